@@ -16,11 +16,18 @@ if [ -z "$OPENAI_API_KEY" ]; then
     exit 1
 fi
 
+echo "🧪 Running tests..."
+npm test || {
+    echo "❌ Tests failed, not deploying"
+    exit 1
+}
+
 echo "📦 Preparing deployment package..."
 
 # Create a temporary deployment directory
 DEPLOY_DIR=$(mktemp -d)
-cp server-production.js "$DEPLOY_DIR/server.js"
+cp index.js migrate.js "$DEPLOY_DIR/"
+cp -r lib migrations "$DEPLOY_DIR/"
 cp package.json "$DEPLOY_DIR/"
 cp ecosystem.config.js "$DEPLOY_DIR/"
 
@@ -107,6 +114,9 @@ ENDSSH
 echo "📦 Installing dependencies..."
 ssh root@$SERVER_IP "cd $REMOTE_DIR && npm ci --only=production"
 
+echo "🗄️  Applying database migrations..."
+ssh root@$SERVER_IP "cd $REMOTE_DIR && npm run migrate"
+
 echo "🔧 Starting application with PM2..."
 ssh root@$SERVER_IP << ENDSSH
 cd $REMOTE_DIR
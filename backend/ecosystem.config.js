@@ -1,7 +1,7 @@
 module.exports = {
   apps: [{
     name: 'ai-homework-backend',
-    script: './server-production.js',
+    script: './index.js',
     instances: 1,
     exec_mode: 'cluster',
     env: {
@@ -0,0 +1,49 @@
+// Server entrypoint: builds the app from the environment, connects Redis
+// (when REDIS_ENABLED=true), checks the database and listens on PORT.
+
+require('dotenv').config();
+const { loadConfig } = require('./lib/config');
+const { createApp } = require('./lib/app');
+const { initDatabase } = require('./lib/database');
+const { startSubscriptionSweep } = require('./lib/routes/subscriptions');
+
+async function main() {
+  const config = loadConfig();
+  const app = createApp(config);
+  const { logger, pool, redis, migrator, solveJobs } = app.locals.services;
+
+  if (redis) {
+    await redis.connect();
+  }
+
+  try {
+    await initDatabase({ pool, migrator, logger });
+  } catch (error) {
+    logger.error('Failed to initialize database:', error);
+    process.exit(1);
+  }
+
+  const server = app.listen(config.port, () => {
+    logger.info(`Server running on port ${config.port} in ${config.nodeEnv} mode`);
+  });
+  startSubscriptionSweep({ pool, logger });
+  solveJobs.start();
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, shutting down gracefully');
+    server.close(async () => {
+      await solveJobs.stop();
+      if (redis) {
+        await redis.close();
+      }
+      await pool.end();
+      process.exit(0);
+    });
+  });
+}
+
+main().catch((error) => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+// Checking a student's own answer (POST /api/v1/homework/check).
+//
+// The student sends a question and their worked answer; the LLM, using the
+// "check" prompt mode, grades it as correct, partially_correct or incorrect,
+// names the first step where the work goes wrong and gives feedback without
+// working the problem. The student's lines are numbered before they are sent
+// so the reply can point at a step by number.
+//
+// Every attempt is kept in problems.checks, and a revised answer can be
+// checked against the same problem by sending its problemId. Checks come out
+// of the daily hint allowance (see dailyHintLimit in lib/auth.js), since
+// neither gives the answer away.
+
+const VERDICTS = ['correct', 'partially_correct', 'incorrect'];
+
+function formatChecks(checks) {
+  return (checks || []).map(check => ({
+    answer: check.answer,
+    verdict: check.verdict,
+    firstWrongStep: check.firstWrongStep,
+    feedback: check.feedback,
+    createdAt: check.createdAt
+  }));
+}
+
+// The student's work split into its non-empty lines
+function answerSteps(answer) {
+  return answer.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+function buildCheckMessages(question, prompt, answer) {
+  const steps = answerSteps(answer).map((line, index) => `${index + 1}. ${line}`);
+  return [
+    { role: 'system', content: prompt.system },
+    {
+      role: 'user',
+      content: `Problem: ${question}\n\nMy work, one step per line:\n${steps.join('\n')}\n\nIs my answer right?`
+    }
+  ];
+}
+
+// Pulls the verdict out of the JSON object in the reply. Returns null when the
+// reply can't be graded. firstWrongStep is { step, text } with the student's
+// own line, or null when the answer is correct or no step was named.
+function parseCheckResult(content, answer) {
+  let result;
+  try {
+    const match = content.match(/\{[\s\S]*\}/);
+    result = match ? JSON.parse(match[0]) : null;
+  } catch (error) {
+    result = null;
+  }
+  if (!result || typeof result !== 'object') return null;
+
+  const verdict = typeof result.verdict === 'string' ? result.verdict.trim().toLowerCase().replace(/[\s-]+/g, '_') : '';
+  if (!VERDICTS.includes(verdict) || typeof result.feedback !== 'string' || !result.feedback.trim()) {
+    return null;
+  }
+
+  const steps = answerSteps(answer);
+  const step = Number(result.firstWrongStep);
+  const firstWrongStep = verdict !== 'correct' && Number.isInteger(step) && step >= 1 && step <= steps.length
+    ? { step, text: steps[step - 1] }
+    : null;
+
+  return { verdict, firstWrongStep, feedback: result.feedback.trim() };
+}
+
+module.exports = {
+  VERDICTS,
+  formatChecks,
+  buildCheckMessages,
+  parseCheckResult
+};
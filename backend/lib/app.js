@@ -0,0 +1,323 @@
+// Builds the Express app from a config object (see lib/config.js).
+//
+// createApp() only wires things up; it doesn't connect to Redis, check the
+// database, start the solve job workers or listen. index.js does that for the
+// real server, and tests can
+// mount the returned app directly, passing their own pool, logger or LLM
+// client through `overrides`. Everything the app was built with is available
+// as app.locals.services.
+
+const express = require('express');
+const cors = require('cors');
+const crypto = require('crypto');
+const helmet = require('helmet');
+const { createLogger } = require('./logger');
+const { createPool } = require('./database');
+const { createMigrator } = require('./migrations');
+const { createRedisConnection } = require('./redis');
+const { createRateLimiter } = require('./rateLimit');
+const { createAuth } = require('./auth');
+const { createUsageTracker } = require('./usage');
+const { createLLMClient } = require('./llm');
+const { createMailer } = require('./mailer');
+const { createAppStoreVerifier } = require('./appstore');
+const { createSubjectRegistry } = require('./subjects');
+const { createPromptRegistry } = require('./prompts');
+const { createSolutionCache } = require('./solutionCache');
+const { createJobQueue } = require('./jobQueue');
+const { createIntegrityEngine } = require('./integrity');
+const { createParentalConsent } = require('./parentalConsent');
+const { createClassrooms } = require('./classrooms');
+const { createSolveChecks } = require('./solveChecks');
+const { createSolutionVerifier } = require('./verification');
+const { createAuthRoutes } = require('./routes/auth');
+const { createHomeworkRoutes } = require('./routes/homework');
+const { createUserRoutes } = require('./routes/users');
+const { createAdminRoutes } = require('./routes/admin');
+const { createSubscriptionRoutes } = require('./routes/subscriptions');
+const { createSubjectRoutes } = require('./routes/subjects');
+const { createRatingRoutes } = require('./routes/ratings');
+const { createResourceRoutes } = require('./routes/resources');
+const { createHistoryRoutes } = require('./routes/history');
+const { createIntegrityRoutes } = require('./routes/integrity');
+const { createParentalConsentRoutes } = require('./routes/parentalConsent');
+const { createParentRoutes } = require('./routes/parents');
+const { createClassRoutes } = require('./routes/classes');
+const { createThreadRoutes } = require('./routes/threads');
+const { createPracticeRoutes } = require('./routes/practice');
+
+function createApp(config, overrides = {}) {
+  const logger = overrides.logger || createLogger({ level: config.logLevel });
+
+  if (!config.jwtSecret && config.nodeEnv === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  const jwtSecret = config.jwtSecret || crypto.randomBytes(64).toString('hex');
+
+  const pool = overrides.pool || createPool(config.database);
+  const migrator = createMigrator({ pool, logger });
+  const redis = overrides.redis || (config.redis ? createRedisConnection(config.redis, logger) : null);
+  const getRedisClient = redis ? redis.getClient : () => null;
+
+  // LLM provider (LLM_PROVIDER=openai | openai-compatible | mock)
+  const llm = overrides.llm || createLLMClient(config.llm);
+  logger.info(`LLM provider: ${llm.provider}`);
+
+  const auth = createAuth({ pool, logger, jwtSecret, adminKey: config.adminKey });
+  const usage = createUsageTracker({
+    pool,
+    logger,
+    getRedisClient,
+    dailyLimitDollars: config.openAIDailyLimit,
+    userDailyLimitTokens: config.openAIUserDailyLimit
+  });
+  // Outgoing email (MAIL_TRANSPORT=outbox | log | webhook)
+  const mailer = overrides.mailer || createMailer(config.mail, logger);
+  const services = {
+    config,
+    logger,
+    pool,
+    migrator,
+    redis,
+    llm,
+    usage,
+    ...auth,
+    mailer,
+    // App Store signed payload verification (APPSTORE_ROOT_CERTS, APPSTORE_BUNDLE_ID)
+    appStoreVerifier: createAppStoreVerifier(config.appStore),
+    // Subject ids, display names and aliases (SUBJECTS_DISABLED turns subjects off)
+    subjects: createSubjectRegistry(config.subjects),
+    // Prompt templates, cached for PROMPT_CACHE_TTL_MS so admin changes reach every process
+    prompts: createPromptRegistry({ pool, logger, cacheTtlMs: config.promptCacheTtlMs }),
+    // Stored solutions for repeated questions (SOLUTION_CACHE_TTL_HOURS)
+    solutionCache: createSolutionCache({ pool, logger, getRedisClient, ttlSeconds: config.solutionCacheTtlSeconds }),
+    // Queued solves; the homework routes register the handler, index.js starts the workers
+    solveJobs: createJobQueue({ name: 'solve', logger, getRedisClient, ...config.solveJobs }),
+    // Academic integrity scoring (INTEGRITY_BLOCK_SCORE, INTEGRITY_LLM_CLASSIFIER)
+    integrity: createIntegrityEngine({ pool, logger, llm, usage, config: config.integrity }),
+    // COPPA consent links for users under 13 (PARENTAL_CONSENT_URL)
+    parentalConsent: createParentalConsent({ pool, logger, mailer, jwtSecret, config: config.parentalConsent }),
+    // Class policies students are held to when solving
+    classrooms: createClassrooms({ pool }),
+    // Local final-answer checks (SOLUTION_VERIFICATION_SUBJECTS, SOLUTION_VERIFICATION_REGENERATE)
+    verifier: createSolutionVerifier(config.verification)
+  };
+  // Consent, class policy, quota, integrity and budget checks run before each completion
+  services.solveChecks = createSolveChecks(services);
+  const { authenticateToken, requireAdmin } = services;
+
+  const app = express();
+  app.locals.services = services;
+
+  // Security middleware
+  app.use(helmet());
+
+  // Trust proxy for rate limiting with Nginx
+  app.set('trust proxy', 1);
+
+  app.use(cors({
+    origin: config.corsOrigins,
+    credentials: true
+  }));
+
+  app.use(express.json({ limit: '10mb' }));
+
+  // Request logging
+  app.use((req, res, next) => {
+    logger.info({
+      method: req.method,
+      url: req.url,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    next();
+  });
+
+  // Rate limits live in Redis while it is connected and in memory otherwise
+  const rateLimitDeps = { getClient: redis ? redis.getClient : null, jwtSecret, logger };
+  app.use('/api/', createRateLimiter({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100,
+    message: 'Too many requests, please try again later.',
+    prefix: 'rl:general:'
+  }, rateLimitDeps));
+  app.use('/api/v1/auth/', createRateLimiter({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: 'Too many authentication attempts, please try again later.',
+    prefix: 'rl:auth:'
+  }, rateLimitDeps));
+  app.use([
+    '/api/v1/homework/solve',
+    '/api/v1/homework/hint',
+    '/api/v1/homework/check',
+    '/api/v1/practice/generate'
+  ], createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 10,
+    message: 'Too many solve requests, please slow down.',
+    prefix: 'rl:solve:'
+  }, rateLimitDeps));
+
+  app.get('/health', async (req, res) => {
+    try {
+      await pool.query('SELECT 1');
+      res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        environment: config.nodeEnv,
+        version: config.appVersion,
+        ...(redis ? { redis: redis.isConnected() ? 'connected' : 'disconnected' } : {})
+      });
+    } catch (error) {
+      logger.error('Health check failed:', error);
+      res.status(500).json({ status: 'error', message: 'Database connection failed' });
+    }
+  });
+
+  app.use('/api/v1/auth', createAuthRoutes({
+    pool,
+    logger,
+    mailer,
+    authenticateToken,
+    startSession: services.startSession,
+    passwordResetUrl: config.passwordResetUrl
+  }));
+
+  app.use('/api/v1/homework', createHomeworkRoutes({
+    pool,
+    logger,
+    authenticateToken,
+    llm,
+    prompts: services.prompts,
+    subjects: services.subjects,
+    usage,
+    solutionCache: services.solutionCache,
+    solveJobs: services.solveJobs,
+    checks: services.solveChecks,
+    verifier: services.verifier,
+    imageLimits: config.images
+  }));
+
+  app.use('/api/v1/users', createUserRoutes({
+    pool,
+    logger,
+    authenticateToken,
+    parentalConsent: services.parentalConsent
+  }));
+
+  // Parent accounts: linked children, weekly reports and daily caps
+  app.use('/api/v1/parent', createParentRoutes({
+    pool,
+    logger,
+    authenticateToken
+  }));
+
+  // Classroom mode: teachers' classes, join codes, policies and rosters
+  app.use('/api/v1/classes', createClassRoutes({
+    pool,
+    logger,
+    authenticateToken,
+    subjects: services.subjects,
+    classrooms: services.classrooms
+  }));
+
+  // Parents answer consent requests here from the emailed link
+  app.use('/api/v1/parental-consent', createParentalConsentRoutes({
+    logger,
+    parentalConsent: services.parentalConsent
+  }));
+
+  app.use('/api/v1/admin', createAdminRoutes({
+    pool,
+    logger,
+    requireAdmin,
+    prompts: services.prompts,
+    solutionCache: services.solutionCache,
+    solveJobs: services.solveJobs,
+    redis
+  }));
+
+  // Subscriptions and App Store Server Notifications
+  app.use('/api/v1/subscription', createSubscriptionRoutes({
+    pool,
+    logger,
+    authenticateToken,
+    verifier: services.appStoreVerifier,
+    allowUnverifiedReceipts: config.allowUnverifiedReceipts
+  }));
+
+  // Subject list for clients
+  app.use('/api/v1/subjects', createSubjectRoutes({ subjects: services.subjects }));
+
+  // Solution ratings and admin rating aggregates
+  app.use('/api/v1', createRatingRoutes({
+    pool,
+    logger,
+    authenticateToken,
+    requireAdmin
+  }));
+
+  // Curated learning resources and admin catalog editing
+  app.use('/api/v1', createResourceRoutes({
+    pool,
+    logger,
+    authenticateToken,
+    requireAdmin,
+    llm,
+    trackAPIUsage: usage.trackAPIUsage,
+    augmentWithLLM: config.resourcesLLMTopics
+  }));
+
+  // Problem history, single-problem fetch and deletion
+  app.use('/api/v1', createHistoryRoutes({
+    pool,
+    logger,
+    authenticateToken
+  }));
+
+  // Follow-up questions on solved problems
+  app.use('/api/v1', createThreadRoutes({
+    pool,
+    logger,
+    authenticateToken,
+    llm,
+    prompts: services.prompts,
+    usage,
+    checks: services.solveChecks
+  }));
+
+  // Practice sets from solved problems, and per-topic mastery
+  app.use('/api/v1/practice', createPracticeRoutes({
+    pool,
+    logger,
+    authenticateToken,
+    llm,
+    prompts: services.prompts,
+    usage,
+    checks: services.solveChecks
+  }));
+
+  // Integrity appeals, and the admin decision log, appeal review and overrides
+  app.use('/api/v1', createIntegrityRoutes({
+    pool,
+    logger,
+    authenticateToken,
+    requireAdmin
+  }));
+
+  // Error handling middleware
+  app.use((err, req, res, next) => {
+    logger.error('Unhandled error:', err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  // 404 handler
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
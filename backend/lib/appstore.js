@@ -0,0 +1,157 @@
+// Verification of App Store signed data (JWS).
+//
+// App Store Server Notifications V2 and StoreKit 2 transactions are ES256 JWS
+// strings whose header carries an x5c certificate chain. A payload is trusted
+// only if that chain ends at one of the configured root certificates (Apple
+// Root CA - G3 in production) and the signature checks out against the leaf.
+//
+// APPSTORE_ROOT_CERTS is a comma-separated list of PEM or DER files. For local
+// testing, generate your own root/intermediate/leaf chain (the tests build one
+// in test/support/appStoreCerts.js), point APPSTORE_ROOT_CERTS at the test
+// root and, unless the chain carries Apple's marker extensions, set
+// APPSTORE_REQUIRE_APPLE_OIDS=false. Every payload except renewal info must
+// name APPSTORE_BUNDLE_ID.
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Marker extensions Apple puts on its App Store signing certificates
+// 1.2.840.113635.100.6.11.1 (leaf) and 1.2.840.113635.100.6.2.1 (intermediate), DER encoded
+const APPLE_LEAF_OID = Buffer.from('060a2a864886f76364060b01', 'hex');
+const APPLE_INTERMEDIATE_OID = Buffer.from('060a2a864886f76364060201', 'hex');
+
+class AppStoreVerificationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AppStoreVerificationError';
+  }
+}
+
+function base64UrlDecode(value) {
+  return Buffer.from(value, 'base64url');
+}
+
+function loadCertificate(file) {
+  return new crypto.X509Certificate(fs.readFileSync(file));
+}
+
+function isValidAt(cert, date) {
+  return new Date(cert.validFrom) <= date && date <= new Date(cert.validTo);
+}
+
+function createAppStoreVerifier({ rootCertificates = [], bundleId, requireAppleOids = true } = {}) {
+  const roots = rootCertificates.map(cert =>
+    cert instanceof crypto.X509Certificate ? cert : new crypto.X509Certificate(cert)
+  );
+
+  function verifyChain(x5c, now) {
+    if (!Array.isArray(x5c) || x5c.length < 2) {
+      throw new AppStoreVerificationError('Missing x5c certificate chain');
+    }
+
+    let chain;
+    try {
+      chain = x5c.map(cert => new crypto.X509Certificate(Buffer.from(cert, 'base64')));
+    } catch (error) {
+      throw new AppStoreVerificationError('Malformed certificate in x5c chain');
+    }
+
+    for (const cert of chain) {
+      if (!isValidAt(cert, now)) {
+        throw new AppStoreVerificationError('Certificate in chain is expired or not yet valid');
+      }
+    }
+
+    // Each certificate must be issued and signed by the next one
+    for (let i = 0; i < chain.length - 1; i++) {
+      if (!chain[i].checkIssued(chain[i + 1]) || !chain[i].verify(chain[i + 1].publicKey)) {
+        throw new AppStoreVerificationError('Certificate chain signature is invalid');
+      }
+    }
+
+    // ...and the top of the chain must be (or be signed by) a trusted root
+    const top = chain[chain.length - 1];
+    const anchored = roots.some(root =>
+      root.fingerprint256 === top.fingerprint256 ||
+      (top.checkIssued(root) && top.verify(root.publicKey))
+    );
+    if (!anchored) {
+      throw new AppStoreVerificationError('Certificate chain is not anchored to a trusted root');
+    }
+
+    if (requireAppleOids) {
+      if (!chain[0].raw.includes(APPLE_LEAF_OID) || !chain[1].raw.includes(APPLE_INTERMEDIATE_OID)) {
+        throw new AppStoreVerificationError('Certificate chain is missing App Store extensions');
+      }
+    }
+
+    return chain[0];
+  }
+
+  // Verifies a JWS and returns its decoded payload. Renewal info has no bundle
+  // id, so it is verified with bundleIdRequired false, and only when nested in
+  // a notification whose bundle id was checked.
+  function verify(jws, { now = new Date(), bundleIdRequired = true } = {}) {
+    if (roots.length === 0) {
+      throw new AppStoreVerificationError('No trusted root certificates configured');
+    }
+
+    const parts = typeof jws === 'string' ? jws.split('.') : [];
+    if (parts.length !== 3) {
+      throw new AppStoreVerificationError('Malformed JWS');
+    }
+
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(base64UrlDecode(parts[0]).toString('utf8'));
+      payload = JSON.parse(base64UrlDecode(parts[1]).toString('utf8'));
+    } catch (error) {
+      throw new AppStoreVerificationError('Malformed JWS');
+    }
+
+    if (header.alg !== 'ES256') {
+      throw new AppStoreVerificationError(`Unsupported JWS algorithm ${header.alg}`);
+    }
+
+    const leaf = verifyChain(header.x5c, now);
+
+    const valid = crypto.verify(
+      'sha256',
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key: leaf.publicKey, dsaEncoding: 'ieee-p1363' },
+      base64UrlDecode(parts[2])
+    );
+    if (!valid) {
+      throw new AppStoreVerificationError('JWS signature is invalid');
+    }
+
+    const payloadBundleId = payload.bundleId || payload.data?.bundleId;
+    if (bundleId && bundleIdRequired && payloadBundleId !== bundleId) {
+      throw new AppStoreVerificationError(payloadBundleId ? `Unexpected bundle id ${payloadBundleId}` : 'Missing bundle id');
+    }
+
+    return payload;
+  }
+
+  return { verify };
+}
+
+function loadAppStoreConfig(env = process.env) {
+  const files = (env.APPSTORE_ROOT_CERTS || '')
+    .split(',')
+    .map(file => file.trim())
+    .filter(Boolean);
+
+  return {
+    rootCertificates: files.map(loadCertificate),
+    bundleId: env.APPSTORE_BUNDLE_ID || 'com.aihelper.homework',
+    requireAppleOids: env.APPSTORE_REQUIRE_APPLE_OIDS !== 'false'
+  };
+}
+
+module.exports = {
+  AppStoreVerificationError,
+  createAppStoreVerifier,
+  loadAppStoreConfig
+};
@@ -0,0 +1,134 @@
+// Sessions and request authentication.
+//
+// Clients get a JWT (sessionToken) that is also stored in the sessions table,
+// so logout and password changes can revoke it before it expires.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const SESSION_DAYS = 30;
+const FREE_DAILY_SOLVES = 5;
+const FREE_DAILY_HINTS = 15;
+// Reported as the limit (and remaining solves) for users without one
+const UNLIMITED_SOLVES = 999;
+
+// Solves allowed per day, or null for no limit. A cap set by a linked parent
+// wins; otherwise free users get FREE_DAILY_SOLVES and premium users are unlimited.
+function dailySolveLimit(userData) {
+  if (userData.daily_solve_cap !== null && userData.daily_solve_cap !== undefined) {
+    return userData.daily_solve_cap;
+  }
+  return userData.is_premium ? null : FREE_DAILY_SOLVES;
+}
+
+// Hints allowed per day, or null for no limit. Hints don't use up solves,
+// and a parent's cap only applies to solves.
+function dailyHintLimit(userData) {
+  return userData.is_premium ? null : FREE_DAILY_HINTS;
+}
+
+function formatUser(userData) {
+  const limit = dailySolveLimit(userData);
+  const hintLimit = dailyHintLimit(userData);
+  return {
+    id: userData.id,
+    email: userData.email || null,
+    accountType: userData.account_type || 'student',
+    // Only teachers wait for approval (routes/teachers.js)
+    teacherApproved: userData.account_type === 'teacher' ? Boolean(userData.teacher_approved_at) : null,
+    isPremium: userData.is_premium,
+    dailySolvesUsed: userData.daily_solves_used,
+    dailySolvesLimit: limit === null ? UNLIMITED_SOLVES : limit,
+    dailyHintsUsed: userData.daily_hints_used || 0,
+    dailyHintsLimit: hintLimit === null ? UNLIMITED_SOLVES : hintLimit,
+    requiresParentalConsent: !userData.parental_consent && userData.age && userData.age < 13
+  };
+}
+
+function createAuth({ pool, logger, jwtSecret, adminKey }) {
+  // Only the user id goes in the payload, which anyone holding the token can read
+  function generateJWT(userId) {
+    return jwt.sign(
+      { userId },
+      jwtSecret,
+      // jwtid keeps tokens unique when one user opens several sessions at once
+      { expiresIn: `${SESSION_DAYS}d`, jwtid: crypto.randomBytes(8).toString('hex') }
+    );
+  }
+
+  // Resets the daily quota if needed, then issues a JWT and stores its session
+  async function startSession(userData, deviceInfo = {}) {
+    // Check and reset daily limits
+    const today = new Date().toISOString().split('T')[0];
+    const lastReset = userData.last_reset_date.toISOString().split('T')[0];
+
+    if (today !== lastReset) {
+      await pool.query(
+        'UPDATE users SET daily_solves_used = 0, daily_hints_used = 0, last_reset_date = CURRENT_DATE WHERE id = $1',
+        [userData.id]
+      );
+      userData.daily_solves_used = 0;
+      userData.daily_hints_used = 0;
+    }
+
+    // Create JWT token
+    const token = generateJWT(userData.id);
+
+    // Store session
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + SESSION_DAYS);
+
+    await pool.query(
+      'INSERT INTO sessions (user_id, token, device_info, expires_at) VALUES ($1, $2, $3, $4)',
+      [userData.id, token, JSON.stringify(deviceInfo), expiresAt]
+    );
+
+    return {
+      sessionToken: token,
+      user: formatUser(userData)
+    };
+  }
+
+  // Middleware to verify JWT token
+  async function authenticateToken(req, res, next) {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    try {
+      const decoded = jwt.verify(token, jwtSecret);
+
+      // Also check the session in the database so logout and password changes revoke it
+      const result = await pool.query(
+        'SELECT u.* FROM sessions s JOIN users u ON s.user_id = u.id WHERE s.token = $1 AND s.user_id = $2 AND s.expires_at > NOW()',
+        [token, decoded.userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(401).json({ error: 'Invalid or expired session' });
+      }
+
+      req.user = result.rows[0];
+      req.sessionToken = token;
+      next();
+    } catch (error) {
+      logger.error('Auth error:', error);
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+  }
+
+  // Admin endpoints require the X-Admin-Key header to match ADMIN_KEY
+  function requireAdmin(req, res, next) {
+    if (!adminKey || req.headers['x-admin-key'] !== adminKey) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  }
+
+  return { startSession, authenticateToken, requireAdmin };
+}
+
+module.exports = { createAuth, formatUser, dailySolveLimit, dailyHintLimit, UNLIMITED_SOLVES };
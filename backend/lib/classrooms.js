@@ -0,0 +1,97 @@
+// Classroom mode. Teachers (accountType "teacher") create classes and share a
+// join code; the students who join are held to each class's policy whenever
+// they solve (routes/homework.js), on top of their daily limit:
+//
+// - allowed_subjects: subject ids the class may solve, or null for any
+// - solution_mode: "full", or "hint_only" to withhold full worked solutions
+// - blackout_windows: [{ startsAt, endsAt, label }] when nothing can be
+//   solved at all, e.g. while an exam is being sat
+//
+// A student in several classes is held to all of them: any class's blackout
+// pauses solving, a subject is allowed if some class allows it, and it is
+// hint-only if any of the classes allowing it is.
+
+const { randomCode, normalizeCode } = require('./codes');
+
+const SOLUTION_MODES = ['full', 'hint_only'];
+const JOIN_CODE_LENGTH = 6;
+
+function createJoinCode() {
+  return randomCode(JOIN_CODE_LENGTH);
+}
+
+// The window in effect at `now`, or null
+function activeBlackout(windows, now = new Date()) {
+  return (windows || []).find(window =>
+    new Date(window.startsAt) <= now && now < new Date(window.endsAt)
+  ) || null;
+}
+
+// How a student's classes (rows of `classes`) treat a solve in `subject`:
+// { allowed: true, mode } or { allowed: false, error, code, classId }
+function evaluateClassPolicies(classes, subject, now = new Date()) {
+  for (const row of classes) {
+    const blackout = activeBlackout(row.blackout_windows, now);
+    if (blackout) {
+      return {
+        allowed: false,
+        error: 'Solving is paused for your class right now.',
+        code: 'class_blackout',
+        classId: row.id,
+        until: new Date(blackout.endsAt).toISOString()
+      };
+    }
+  }
+
+  if (classes.length === 0) {
+    return { allowed: true, mode: 'full' };
+  }
+
+  const governing = classes.filter(row => !row.allowed_subjects || row.allowed_subjects.includes(subject));
+  if (governing.length === 0) {
+    return {
+      allowed: false,
+      error: 'This subject is not enabled for your class.',
+      code: 'class_subject_not_allowed',
+      classId: classes[0].id
+    };
+  }
+
+  return {
+    allowed: true,
+    mode: governing.some(row => row.solution_mode === 'hint_only') ? 'hint_only' : 'full'
+  };
+}
+
+function createClassrooms({ pool }) {
+  async function classesFor(studentId) {
+    const result = await pool.query(`
+      SELECT c.* FROM class_members m
+      JOIN classes c ON c.id = m.class_id
+      WHERE m.student_id = $1
+      ORDER BY c.id
+    `, [studentId]);
+    return result.rows;
+  }
+
+  // The combined policy of every class the user is in
+  async function policyFor(user, subject) {
+    return evaluateClassPolicies(await classesFor(user.id), subject);
+  }
+
+  // The class a join code opens, or null
+  async function findByJoinCode(code) {
+    const result = await pool.query('SELECT * FROM classes WHERE join_code = $1', [normalizeCode(code)]);
+    return result.rows[0] || null;
+  }
+
+  return { classesFor, policyFor, findByJoinCode };
+}
+
+module.exports = {
+  createClassrooms,
+  createJoinCode,
+  evaluateClassPolicies,
+  activeBlackout,
+  SOLUTION_MODES
+};
@@ -0,0 +1,22 @@
+// Short codes people read off one screen and type into another: parent link
+// codes (lib/parentLinks.js) and class join codes (lib/classrooms.js).
+
+const crypto = require('crypto');
+
+// No 0/O or 1/I, so codes read aloud or typed from a screen survive
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function randomCode(length) {
+  let code = '';
+  for (const byte of crypto.randomBytes(length)) {
+    code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+// "abcd 2345-efgh" and "ABCD2345EFGH" are the same code
+function normalizeCode(code) {
+  return code.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+module.exports = { randomCode, normalizeCode };
@@ -0,0 +1,84 @@
+// Application configuration, read from the environment in one place.
+//
+// createApp(config) takes the object returned here, so tests can build an app
+// from a plain object instead of mutating process.env. See .env.example for
+// what each variable does.
+
+const { loadLLMConfig } = require('./llm');
+const { loadImageLimits } = require('./images');
+const { loadMailerConfig } = require('./mailer');
+const { loadAppStoreConfig } = require('./appstore');
+const { loadSubjectConfig } = require('./subjects');
+const { loadIntegrityConfig } = require('./integrity');
+const { loadParentalConsentConfig } = require('./parentalConsent');
+const { loadVerificationConfig } = require('./verification');
+
+function loadConfig(env = process.env) {
+  const nodeEnv = env.NODE_ENV || 'development';
+  const production = nodeEnv === 'production';
+
+  return {
+    nodeEnv,
+    port: parseInt(env.PORT || '3000'),
+    appVersion: env.APP_VERSION || '1.0.0',
+    logLevel: env.LOG_LEVEL || 'info',
+
+    database: {
+      url: env.DATABASE_URL,
+      // Local PostgreSQL doesn't use SSL
+      ssl: production && env.DATABASE_SSL === 'true'
+    },
+
+    // Required in production; a random per-process secret is used otherwise
+    jwtSecret: env.JWT_SECRET || null,
+    // Shared secret for /api/v1/admin/*; admin endpoints are disabled when unset
+    adminKey: env.ADMIN_KEY || null,
+
+    corsOrigins: production
+      ? env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000']
+      : '*',
+
+    // null runs without Redis (rate limits and usage counters stay in memory)
+    redis: env.REDIS_ENABLED === 'true'
+      ? {
+        host: env.REDIS_HOST || 'localhost',
+        port: parseInt(env.REDIS_PORT || '6379'),
+        password: env.REDIS_PASSWORD,
+        connectTimeoutMs: parseInt(env.REDIS_CONNECT_TIMEOUT_MS || '2000')
+      }
+      : null,
+
+    // OPENAI_DAILY_LIMIT is dollars across all users; OPENAI_USER_DAILY_LIMIT is tokens per user
+    openAIDailyLimit: parseInt(env.OPENAI_DAILY_LIMIT || '1000'),
+    openAIUserDailyLimit: parseInt(env.OPENAI_USER_DAILY_LIMIT || '50'),
+
+    promptCacheTtlMs: parseInt(env.PROMPT_CACHE_TTL_MS || '60000'),
+    // How long solutions are reused for repeated questions; 0 turns the cache off
+    solutionCacheTtlSeconds: parseInt(env.SOLUTION_CACHE_TTL_HOURS || '168') * 60 * 60,
+
+    // Queued solves (Prefer: respond-async): workers per process, how many may
+    // wait before new ones get 503, how many one user may have unfinished, how
+    // long a job may wait to run, and how long results can be collected
+    solveJobs: {
+      concurrency: parseInt(env.SOLVE_JOB_CONCURRENCY || '4'),
+      maxDepth: parseInt(env.SOLVE_JOB_MAX_QUEUE || '100'),
+      maxPerOwner: parseInt(env.SOLVE_JOB_MAX_PER_USER || '5'),
+      maxWaitSeconds: parseInt(env.SOLVE_JOB_MAX_WAIT_MINUTES || '15') * 60,
+      resultTtlSeconds: parseInt(env.SOLVE_JOB_RESULT_TTL_MINUTES || '60') * 60
+    },
+    resourcesLLMTopics: env.RESOURCES_LLM_TOPICS === 'true',
+    passwordResetUrl: env.PASSWORD_RESET_URL || 'aihomeworkhelper://reset-password',
+    allowUnverifiedReceipts: !production && env.APPSTORE_ALLOW_UNVERIFIED_RECEIPTS === 'true',
+
+    llm: loadLLMConfig(env),
+    images: loadImageLimits(env),
+    mail: loadMailerConfig(env),
+    appStore: loadAppStoreConfig(env),
+    subjects: loadSubjectConfig(env),
+    integrity: loadIntegrityConfig(env),
+    parentalConsent: loadParentalConsentConfig(env),
+    verification: loadVerificationConfig(env)
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,40 @@
+// PostgreSQL pool and the startup check run before the server listens.
+
+const { Pool } = require('pg');
+const { seedResources } = require('./resources');
+const { seedPromptTemplates } = require('./prompts');
+
+function createPool({ url, ssl }, options = {}) {
+  return new Pool({
+    connectionString: url,
+    ssl: ssl ? { rejectUnauthorized: false } : false,
+    max: 20,
+    idleTimeoutMillis: 30000,
+    connectionTimeoutMillis: 2000,
+    ...options
+  });
+}
+
+// Checks the schema and seeds default data. The schema itself comes from
+// migrations (npm run migrate); startup fails while any are pending.
+async function initDatabase({ pool, migrator, logger }) {
+  try {
+    await migrator.assertCurrent();
+
+    const seeded = await seedResources(pool);
+    if (seeded > 0) {
+      logger.info(`Seeded ${seeded} learning resources`);
+    }
+    const seededPrompts = await seedPromptTemplates(pool);
+    if (seededPrompts > 0) {
+      logger.info(`Seeded ${seededPrompts} prompt templates`);
+    }
+
+    logger.info('Database initialized successfully');
+  } catch (error) {
+    logger.error('Database initialization error:', error);
+    throw error;
+  }
+}
+
+module.exports = { createPool, initDatabase };
@@ -0,0 +1,56 @@
+// Progressive hints (POST /api/v1/homework/hint).
+//
+// A student asks for hint 1, 2, ... up to MAX_HINT_LEVEL for the same
+// problem; each hint is generated with the "hint" prompt mode and the hints
+// already given, and the ladder is kept in problems.hints. The full solution
+// (POST /homework/problem/:id/solution) is only revealed once the student has
+// taken every hint or tried an answer of their own.
+//
+// Hints come out of a daily hint allowance (see dailyHintLimit in lib/auth.js)
+// rather than the daily solves; revealing the solution counts as a solve.
+
+const MAX_HINT_LEVEL = 3;
+
+function formatHints(hints) {
+  return (hints || []).map(hint => ({
+    level: hint.level,
+    hint: hint.content,
+    createdAt: hint.createdAt
+  }));
+}
+
+// True once the student has earned the full solution
+function canRevealSolution(problem) {
+  return (problem.hints || []).length >= MAX_HINT_LEVEL || Boolean(problem.attempt);
+}
+
+// Chat messages for the next hint: the question, then each earlier hint as an
+// assistant turn, then the request for the next level
+function buildHintMessages(question, prompt, hints, attempt) {
+  const messages = [
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: `I'm stuck on this problem: ${question}` }
+  ];
+
+  for (const hint of hints) {
+    messages.push({ role: 'assistant', content: hint.content });
+    messages.push({ role: 'user', content: 'I need another hint.' });
+  }
+  if (hints.length === 0) {
+    messages.push({ role: 'user', content: 'Give me a first hint.' });
+  }
+
+  if (attempt) {
+    messages[messages.length - 1].content += ` Here is what I tried: ${attempt}`;
+  }
+  messages[messages.length - 1].content += ` (This is hint ${hints.length + 1} of ${MAX_HINT_LEVEL}.)`;
+
+  return messages;
+}
+
+module.exports = {
+  MAX_HINT_LEVEL,
+  formatHints,
+  canRevealSolution,
+  buildHintMessages
+};
@@ -0,0 +1,188 @@
+// Validation for base64 images sent with solve requests.
+// The MIME type is sniffed from the file's magic bytes (the client's claim is
+// ignored) and the pixel dimensions are read from the image header, so
+// non-image payloads and oversized photos are rejected before reaching the LLM.
+
+// Formats accepted by OpenAI vision models
+const SUPPORTED_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const DEFAULT_MAX_BYTES = 7 * 1024 * 1024;
+const DEFAULT_MAX_DIMENSION = 4096;
+const MIN_DIMENSION = 16;
+
+class InvalidImageError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvalidImageError';
+    this.status = status;
+  }
+}
+
+function sniffMimeType(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return 'image/png';
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('ascii', 0, 6))) {
+    return 'image/gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp') {
+    return 'image/heic';
+  }
+  return null;
+}
+
+function jpegDimensions(buffer) {
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+
+    // Fill bytes and standalone markers carry no length field
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2;
+      continue;
+    }
+
+    // Start-of-frame markers (excluding DHT, JPG and DAC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7)
+      };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+function webpDimensions(buffer) {
+  if (buffer.length < 30) return null;
+  const chunk = buffer.toString('ascii', 12, 16);
+
+  if (chunk === 'VP8 ') {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff
+    };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buffer.readUInt32LE(21);
+    return {
+      width: (bits & 0x3fff) + 1,
+      height: ((bits >> 14) & 0x3fff) + 1
+    };
+  }
+  if (chunk === 'VP8X') {
+    return {
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1
+    };
+  }
+  return null;
+}
+
+function imageDimensions(buffer, mimeType) {
+  switch (mimeType) {
+    case 'image/png':
+      return buffer.length >= 24
+        ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) }
+        : null;
+    case 'image/gif':
+      return buffer.length >= 10
+        ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) }
+        : null;
+    case 'image/jpeg':
+      return jpegDimensions(buffer);
+    case 'image/webp':
+      return webpDimensions(buffer);
+    default:
+      return null;
+  }
+}
+
+// Accepts raw base64 or a data URL. Returns { mimeType, bytes, width, height, dataUrl }
+// or throws InvalidImageError.
+function parseImageData(imageData, { maxBytes = DEFAULT_MAX_BYTES, maxDimension = DEFAULT_MAX_DIMENSION } = {}) {
+  if (typeof imageData !== 'string' || imageData.length === 0) {
+    throw new InvalidImageError('imageData must be a base64-encoded image');
+  }
+
+  const base64 = imageData
+    .replace(/^data:[\w/+.-]+;base64,/, '')
+    .replace(/\s/g, '');
+
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(base64)) {
+    throw new InvalidImageError('imageData is not valid base64');
+  }
+
+  const buffer = Buffer.from(base64, 'base64');
+  if (buffer.length > maxBytes) {
+    throw new InvalidImageError(`Image is too large (max ${Math.floor(maxBytes / (1024 * 1024))}MB)`, 413);
+  }
+
+  const mimeType = sniffMimeType(buffer);
+  if (!mimeType) {
+    throw new InvalidImageError('imageData is not a recognized image');
+  }
+  if (!SUPPORTED_TYPES.includes(mimeType)) {
+    throw new InvalidImageError(`Unsupported image type ${mimeType}. Please send a JPEG, PNG, GIF or WebP image.`, 415);
+  }
+
+  const dimensions = imageDimensions(buffer, mimeType);
+  if (!dimensions) {
+    throw new InvalidImageError('Image header is corrupt or truncated');
+  }
+  if (dimensions.width < MIN_DIMENSION || dimensions.height < MIN_DIMENSION) {
+    throw new InvalidImageError(`Image is too small (min ${MIN_DIMENSION}x${MIN_DIMENSION} pixels)`);
+  }
+  if (dimensions.width > maxDimension || dimensions.height > maxDimension) {
+    throw new InvalidImageError(`Image dimensions exceed ${maxDimension}x${maxDimension} pixels`);
+  }
+
+  return {
+    mimeType,
+    bytes: buffer.length,
+    width: dimensions.width,
+    height: dimensions.height,
+    dataUrl: `data:${mimeType};base64,${base64}`
+  };
+}
+
+// Builds the user message content: plain text, or text plus an image part
+// in the chat completions multimodal format.
+function buildUserContent(text, image) {
+  if (!image) return text;
+
+  return [
+    { type: 'text', text },
+    { type: 'image_url', image_url: { url: image.dataUrl, detail: 'high' } }
+  ];
+}
+
+function loadImageLimits(env = process.env) {
+  return {
+    maxBytes: parseInt(env.IMAGE_MAX_BYTES || String(DEFAULT_MAX_BYTES)),
+    maxDimension: parseInt(env.IMAGE_MAX_DIMENSION || String(DEFAULT_MAX_DIMENSION))
+  };
+}
+
+module.exports = {
+  InvalidImageError,
+  parseImageData,
+  buildUserContent,
+  loadImageLimits,
+  sniffMimeType,
+  imageDimensions,
+  SUPPORTED_TYPES
+};
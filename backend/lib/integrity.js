@@ -0,0 +1,301 @@
+// Academic integrity checks for solve requests.
+//
+// A question is scored against weighted rules instead of being refused for
+// mentioning a test: each matching rule adds its points (study context such as
+// "practice quiz" subtracts), and phrases like "test for starch" or "unit test"
+// are stripped before the assessment rules look at the text. A score of at
+// least blockScore (INTEGRITY_BLOCK_SCORE) blocks the solve. Scores between
+// reviewScore and blockScore are sent to the LLM classifier when
+// INTEGRITY_LLM_CLASSIFIER=true; otherwise they are allowed.
+//
+// Admins can override the thresholds, the classifier and individual rule
+// points per subject or per class (integrity_overrides; 0 points turns a rule
+// off). Class overrides apply on top of the subject's to the class's students;
+// a student in several overridden classes gets the strictest of them.
+// Every question scoring above 0 is recorded in integrity_decisions, and
+// a blocked student can appeal the decision. Once an appeal is approved the
+// same question is allowed for that student.
+
+const crypto = require('crypto');
+const { normalizeQuestion } = require('./solutionCache');
+
+const OVERRIDE_SCOPES = ['subject', 'class'];
+const BLOCK_MESSAGE = 'This content appears to be from an active assessment. Please use this tool only for homework and study purposes.';
+
+const ASSESSMENT = '(?:exams?|tests?|quiz(?:zes)?|assessments?|midterms?|finals?)';
+
+// Ordinary uses of assessment words: study material, lab and statistics
+// tests, software tests
+const NOT_AN_ASSESSMENT = [
+  new RegExp(`\\b(?:practice|sample|mock|review|pre|diagnostic|old|past)[\\s-]+${ASSESSMENT}`, 'gi'),
+  /\btest(?:s|ed|ing)?\s+(?:for|whether|if|how|the hypothesis)\b/gi,
+  /\b(?:unit|integration|end-to-end|hypothesis|significance|litmus|flame|iodine|biuret|benedict'?s|chi[\s-]square[d]?|t|z|f|ratio|root|comparison|divergence|integral|derivative|vertical line|horizontal line|blood|dna|drug|crash|stress|turing)[\s-]+tests?\b/gi,
+  /\btests?\s+(?:tubes?|cases?|data|suites?|scores?)\b/gi
+];
+
+const RULES = [
+  {
+    id: 'live_assessment',
+    points: 80,
+    ignore: NOT_AN_ASSESSMENT,
+    patterns: [
+      new RegExp(`\\b(?:taking|in|during|sitting)\\s+(?:an?|my|the|this)\\s+(?:\\w+\\s+)?${ASSESSMENT}\\s+(?:right\\s+)?now\\b`, 'i'),
+      new RegExp(`\\b${ASSESSMENT}\\b.{0,40}\\b(?:minutes?|time)\\s+(?:left|remaining)\\b`, 'i'),
+      new RegExp(`\\b(?:minutes?|time)\\s+(?:left|remaining)\\b.{0,40}\\b${ASSESSMENT}\\b`, 'i')
+    ]
+  },
+  {
+    id: 'confidential_material',
+    points: 60,
+    patterns: [
+      /\bdo\s+not\s+(?:share|distribute|copy|reproduce)\b/i,
+      /\bconfidential\b/i,
+      /\bhonou?r\s+code\b/i,
+      /\bproctor(?:ed|ing)?\b/i
+    ]
+  },
+  {
+    id: 'assessment_term',
+    points: 35,
+    ignore: NOT_AN_ASSESSMENT,
+    patterns: [new RegExp(`\\b${ASSESSMENT}\\b`, 'i')]
+  },
+  {
+    id: 'answer_request',
+    points: 30,
+    patterns: [
+      /\b(?:just|only)\s+(?:give|tell|need|want)\s+(?:me\s+)?(?:the\s+)?answers?\b/i,
+      /\banswers?\s+(?:only|for|to)\b/i,
+      /\banswer\s+(?:question|q|#|number)\s*\d+/i,
+      /\banswer\s+key\b/i
+    ]
+  },
+  {
+    id: 'upcoming_assessment',
+    points: 25,
+    ignore: NOT_AN_ASSESSMENT,
+    patterns: [
+      new RegExp(`\\b(?:my|our|tomorrow'?s|today'?s|tonight'?s|next|upcoming|this)\\s+(?:\\w+\\s+)?${ASSESSMENT}\\b`, 'i')
+    ]
+  },
+  {
+    id: 'graded_markup',
+    points: 20,
+    patterns: [
+      /\(\s*\d+\s*(?:pts?|points?|marks?)\s*\)/i,
+      /\bquestion\s+\d+\s+(?:of|out of)\s+\d+\b/i
+    ]
+  },
+  {
+    id: 'study_context',
+    points: -25,
+    patterns: [
+      /\b(?:study(?:ing)?|prepar(?:e|ing)|review(?:ing)?|revis(?:e|ing)|cram(?:ming)?)\s+for\b/i,
+      /\bpractic(?:e|ing)\b/i,
+      /\bhow\s+(?:do|does|can|should)\s+(?:i|you|we|one)\b/i
+    ]
+  }
+];
+
+const RULE_IDS = RULES.map(rule => rule.id);
+
+function matchesRule(rule, text) {
+  let subject = text;
+  for (const pattern of rule.ignore || []) {
+    subject = subject.replace(pattern, ' ');
+  }
+  return rule.patterns.some(pattern => pattern.test(subject));
+}
+
+// Ids of the rules a question matches, before any points are applied
+function matchRules(question) {
+  return RULES.filter(rule => matchesRule(rule, question)).map(rule => rule.id);
+}
+
+// { score (0-100), rules, reason } for matched rule ids. rulePoints replaces
+// the built-in points of any rule it names. reason is the rule that added the
+// most points, or null when nothing added any.
+function scoreRules(ruleIds, rulePoints = {}) {
+  let score = 0;
+  let reason = null;
+  let top = 0;
+  for (const id of ruleIds) {
+    const rule = RULES.find(candidate => candidate.id === id);
+    const points = rulePoints[id] !== undefined ? rulePoints[id] : rule.points;
+    score += points;
+    if (points > top) {
+      top = points;
+      reason = id;
+    }
+  }
+  return { score: Math.max(0, Math.min(100, score)), rules: ruleIds, reason };
+}
+
+function scoreQuestion(question, rulePoints) {
+  return scoreRules(matchRules(question), rulePoints);
+}
+
+function questionHash(question) {
+  return crypto.createHash('sha256').update(normalizeQuestion(question)).digest('hex');
+}
+
+function loadIntegrityConfig(env = process.env) {
+  return {
+    blockScore: parseInt(env.INTEGRITY_BLOCK_SCORE || '60'),
+    reviewScore: parseInt(env.INTEGRITY_REVIEW_SCORE || '30'),
+    classifier: env.INTEGRITY_LLM_CLASSIFIER === 'true'
+  };
+}
+
+const CLASSIFIER_PROMPT = `You review questions sent to a homework help app for students.
+Decide whether the student is most likely asking for answers to a test, quiz or exam they are taking or about to hand in, rather than studying or doing homework.
+Reply with exactly one word: ASSESSMENT or HOMEWORK.`;
+
+function applyOverride(policy, override) {
+  if (override.block_score !== null) policy.blockScore = override.block_score;
+  if (override.review_score !== null) policy.reviewScore = override.review_score;
+  if (override.classifier !== null) policy.classifier = override.classifier;
+  policy.rulePoints = { ...policy.rulePoints, ...override.rule_points };
+}
+
+// One override from several: the lowest thresholds, the classifier if any
+// of them turns it on, and the most points for each rule
+function strictestOverride(overrides) {
+  const lowest = (field) => {
+    const values = overrides.map(override => override[field]).filter(value => value !== null);
+    return values.length > 0 ? Math.min(...values) : null;
+  };
+  const classifiers = overrides.map(override => override.classifier).filter(value => value !== null);
+  const rulePoints = {};
+  for (const override of overrides) {
+    for (const [id, points] of Object.entries(override.rule_points || {})) {
+      rulePoints[id] = id in rulePoints ? Math.max(rulePoints[id], points) : points;
+    }
+  }
+  return {
+    block_score: lowest('block_score'),
+    review_score: lowest('review_score'),
+    classifier: classifiers.length > 0 ? classifiers.includes(true) : null,
+    rule_points: rulePoints
+  };
+}
+
+function createIntegrityEngine({ pool, logger, llm, usage, config = loadIntegrityConfig() }) {
+  // Built-in settings with the subject's override, then the student's
+  // classes' overrides, applied
+  async function policyFor(subject, userId) {
+    const policy = { ...config, rulePoints: {} };
+
+    if (subject) {
+      const result = await pool.query(
+        "SELECT * FROM integrity_overrides WHERE scope = 'subject' AND scope_id = $1",
+        [subject]
+      );
+      if (result.rows[0]) applyOverride(policy, result.rows[0]);
+    }
+
+    const classes = await pool.query(`
+      SELECT o.* FROM integrity_overrides o
+      JOIN class_members m ON o.scope_id = CAST(m.class_id AS VARCHAR)
+      WHERE o.scope = 'class' AND m.student_id = $1
+    `, [userId]);
+    if (classes.rows.length > 0) applyOverride(policy, strictestOverride(classes.rows));
+    return policy;
+  }
+
+  // 'assessment', 'homework' or 'error'; failures leave the rule decision standing
+  async function classify(question, subject) {
+    try {
+      const completion = await llm.complete({
+        subject,
+        messages: [
+          { role: 'system', content: CLASSIFIER_PROMPT },
+          { role: 'user', content: question }
+        ],
+        maxTokens: 5,
+        temperature: 0
+      });
+      const tokensUsed = completion.usage.totalTokens;
+      await usage.trackAPIUsage('integrity_classifier', tokensUsed, Math.ceil(tokensUsed * 0.015 / 1000));
+      return /\bassessment\b/i.test(completion.content) ? 'assessment' : 'homework';
+    } catch (error) {
+      logger.warn('Integrity classifier failed', { error: error.message });
+      return 'error';
+    }
+  }
+
+  async function hasApprovedAppeal(userId, hash) {
+    const result = await pool.query(`
+      SELECT 1 FROM integrity_appeals a
+      JOIN integrity_decisions d ON d.id = a.decision_id
+      WHERE a.user_id = $1 AND a.status = 'approved' AND d.question_hash = $2
+      LIMIT 1
+    `, [userId, hash]);
+    return result.rows.length > 0;
+  }
+
+  async function record(user, { question, subject, hash, score, decision, reason, rules, classifierVerdict }) {
+    try {
+      const result = await pool.query(`
+        INSERT INTO integrity_decisions (user_id, subject, question, question_hash, score, decision, reason, matched_rules, classifier_verdict)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id
+      `, [user.id, subject, question, hash, score, decision, reason, JSON.stringify(rules), classifierVerdict]);
+      return result.rows[0].id;
+    } catch (error) {
+      logger.error('Failed to record integrity decision:', error);
+      return null;
+    }
+  }
+
+  // Returns { allowed, decisionId, score, reason, rules }. Questions scoring 0
+  // (and photo-only questions) are allowed without being recorded.
+  async function evaluate({ user, question, subject }) {
+    const rules = question ? matchRules(question) : [];
+    if (rules.length === 0) {
+      return { allowed: true, decisionId: null, score: 0, reason: null, rules };
+    }
+
+    const policy = await policyFor(subject, user.id);
+    const { score, reason: topRule } = scoreRules(rules, policy.rulePoints);
+    if (score === 0) {
+      return { allowed: true, decisionId: null, score, reason: null, rules };
+    }
+    const hash = questionHash(question);
+    let decision = score >= policy.blockScore ? 'block' : 'allow';
+    let reason = decision === 'block' ? topRule : null;
+    let classifierVerdict = null;
+
+    if (decision === 'allow' && policy.classifier && score >= policy.reviewScore) {
+      classifierVerdict = await classify(question, subject);
+      if (classifierVerdict === 'assessment') {
+        decision = 'block';
+        reason = 'classifier';
+      }
+    }
+
+    if (decision === 'block' && await hasApprovedAppeal(user.id, hash)) {
+      decision = 'allow';
+      reason = 'appeal_approved';
+    }
+
+    const decisionId = await record(user, { question, subject, hash, score, decision, reason, rules, classifierVerdict });
+    if (decision === 'block') {
+      logger.warn('Academic integrity block', { userId: user.id, decisionId, score, reason, rules });
+    }
+
+    return { allowed: decision === 'allow', decisionId, score, reason, rules };
+  }
+
+  return { evaluate };
+}
+
+module.exports = {
+  createIntegrityEngine,
+  loadIntegrityConfig,
+  scoreQuestion,
+  matchRules,
+  RULES,
+  RULE_IDS,
+  OVERRIDE_SCOPES,
+  BLOCK_MESSAGE
+};
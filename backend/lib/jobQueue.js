@@ -0,0 +1,362 @@
+// Background job queue with a fixed number of workers per process.
+//
+// While Redis is connected, queued job ids sit in a Redis list and job records
+// in Redis keys, so any process can run a job and report on it. Otherwise
+// jobs are queued and kept in this process's memory. Payloads are stored
+// apart from job records, so polling a job never reads its payload, and are
+// dropped once the job finishes. Jobs finished or failed are kept for
+// resultTtlSeconds so clients can collect them; jobs still waiting after
+// maxWaitSeconds fail without running, so records of waiting jobs live that
+// much longer.
+//
+// Each owner can have maxPerOwner jobs waiting or running at once.
+//
+// In Redis, a claimed job moves (LMOVE) from the queue to a processing list
+// and holds a lease key its worker renews while the job runs. If the worker's
+// process dies, the lease runs out; the next process to start puts the job
+// back on the queue and it runs again, so it can't be lost with its owner's
+// slot held.
+//
+// Register the job function with process(handler), then start() the workers.
+// A handler is called as handler(payload, job, { checkpoint }) and returns
+// the job's result, or throws; errors with a `status` and `body` (see
+// SolveRejectedError) are reported to the client as-is. checkpoint(data)
+// saves data on the job as job.checkpoint, so a job that runs again knows
+// what its earlier run had done.
+
+const crypto = require('crypto');
+
+class QueueFullError extends Error {
+  constructor(depth) {
+    super(`Job queue is full (${depth} waiting)`);
+    this.name = 'QueueFullError';
+    this.depth = depth;
+  }
+}
+
+// An owner already has as many unfinished jobs as they may
+class TooManyJobsError extends Error {
+  constructor(limit) {
+    super(`Owner already has ${limit} unfinished jobs`);
+    this.name = 'TooManyJobsError';
+    this.limit = limit;
+  }
+}
+
+const EXPIRED_ERROR = { status: 503, error: 'The job waited too long to run. Please try again.' };
+
+function createJobQueue({
+  name,
+  logger,
+  getRedisClient = () => null,
+  concurrency = 4,
+  maxDepth = 100,
+  maxPerOwner = 5,
+  maxWaitSeconds = 15 * 60,
+  resultTtlSeconds = 60 * 60,
+  leaseSeconds = 30,
+  pollIntervalMs = 250
+}) {
+  const prefix = `jobs:${name}:`;
+  // Long enough for a job to wait its longest and still have its result collected
+  const jobTtlSeconds = maxWaitSeconds + resultTtlSeconds;
+  const memoryQueue = [];
+  const memoryJobs = new Map();
+  const memoryPayloads = new Map();
+  const memoryKeys = new Map();
+  let handler = null;
+  let running = false;
+  let recovered = false;
+  let workers = [];
+
+  function pruneMemory() {
+    const now = Date.now();
+    for (const [id, entry] of memoryJobs) {
+      if (entry.expiresAt && entry.expiresAt <= now) memoryJobs.delete(id);
+    }
+    for (const [key, entry] of memoryKeys) {
+      if (entry.expiresAt <= now) memoryKeys.delete(key);
+    }
+  }
+
+  async function save(job, client) {
+    const done = job.status === 'done' || job.status === 'failed';
+    if (client) {
+      await client.set(prefix + 'job:' + job.id, JSON.stringify(job), { EX: done ? resultTtlSeconds : jobTtlSeconds });
+      return;
+    }
+    memoryJobs.set(job.id, { job, expiresAt: done ? Date.now() + resultTtlSeconds * 1000 : null });
+  }
+
+  // Unfinished jobs of an owner queued in this process's memory
+  function memoryOwnerJobs(ownerId) {
+    let count = 0;
+    for (const { job } of memoryJobs.values()) {
+      if (job.ownerId === ownerId && (job.status === 'queued' || job.status === 'running')) count++;
+    }
+    return count;
+  }
+
+  async function load(id) {
+    const entry = memoryJobs.get(id);
+    if (entry && (!entry.expiresAt || entry.expiresAt > Date.now())) {
+      return entry.job;
+    }
+
+    const client = getRedisClient();
+    if (!client) return null;
+    try {
+      const value = await client.get(prefix + 'job:' + id);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      logger.warn('Job queue Redis read failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async function depth() {
+    let waiting = memoryQueue.length;
+    const client = getRedisClient();
+    if (client) {
+      try {
+        waiting += await client.lLen(prefix + 'queue');
+      } catch (error) {
+        logger.warn('Job queue Redis read failed', { error: error.message });
+      }
+    }
+    return waiting;
+  }
+
+  // Adds a job and returns it (without its payload). With an idempotencyKey,
+  // a repeat of the same owner's key while the job is kept returns the
+  // original job instead of queueing another; `duplicate` says which happened.
+  // Throws QueueFullError once maxDepth jobs are waiting, and
+  // TooManyJobsError once the owner has maxPerOwner unfinished jobs.
+  async function enqueue({ ownerId, payload, idempotencyKey }) {
+    pruneMemory();
+
+    const waiting = await depth();
+    if (waiting >= maxDepth) {
+      throw new QueueFullError(waiting);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      ownerId,
+      status: 'queued',
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    const key = idempotencyKey ? `${ownerId}:${idempotencyKey}` : null;
+
+    const client = getRedisClient();
+    if (client) {
+      let owned = false;
+      try {
+        if (key) {
+          const claimed = await client.set(prefix + 'key:' + key, job.id, { NX: true, EX: jobTtlSeconds });
+          if (claimed === null) {
+            const existing = await load(await client.get(prefix + 'key:' + key));
+            if (existing) return { job: existing, duplicate: true };
+            await client.set(prefix + 'key:' + key, job.id, { EX: jobTtlSeconds });
+          }
+        }
+
+        // Counted before the check, so simultaneous requests can't both fit
+        const ownerKey = prefix + 'owner:' + ownerId;
+        const unfinished = await client.incr(ownerKey);
+        owned = true;
+        await client.expire(ownerKey, jobTtlSeconds);
+        if (unfinished + memoryOwnerJobs(ownerId) > maxPerOwner) {
+          await client.decr(ownerKey);
+          owned = false;
+          if (key) await client.del(prefix + 'key:' + key);
+          throw new TooManyJobsError(maxPerOwner);
+        }
+
+        await client.set(prefix + 'payload:' + job.id, JSON.stringify(payload), { EX: jobTtlSeconds });
+        await save(job, client);
+        // The owner travels with the id so a job whose record is gone can
+        // still give back its owner's slot
+        await client.lPush(prefix + 'queue', JSON.stringify({ id: job.id, ownerId }));
+        return { job, duplicate: false };
+      } catch (error) {
+        if (error instanceof TooManyJobsError) throw error;
+        logger.warn('Job queue Redis write failed, queueing in memory', { error: error.message });
+        if (owned) {
+          await client.decr(prefix + 'owner:' + ownerId).catch(() => {});
+        }
+      }
+    }
+
+    if (key && memoryKeys.has(key)) {
+      const existing = await load(memoryKeys.get(key).id);
+      if (existing) return { job: existing, duplicate: true };
+    }
+    if (memoryOwnerJobs(ownerId) >= maxPerOwner) {
+      throw new TooManyJobsError(maxPerOwner);
+    }
+    if (key) {
+      memoryKeys.set(key, { id: job.id, expiresAt: Date.now() + jobTtlSeconds * 1000 });
+    }
+    memoryPayloads.set(job.id, payload);
+    await save(job, null);
+    memoryQueue.push(job.id);
+    return { job, duplicate: false };
+  }
+
+  // Gives back everything a Redis job holds once it's finished (or gone)
+  async function release(client, entry, { id, ownerId }) {
+    await client.del(prefix + 'payload:' + id);
+    await client.decr(prefix + 'owner:' + ownerId);
+    await client.lRem(prefix + 'processing', 1, entry);
+    await client.del(prefix + 'lease:' + id);
+  }
+
+  // Puts jobs whose worker stopped without finishing them back on the queue
+  async function recover(client) {
+    const entries = await client.lRange(prefix + 'processing', 0, -1);
+    for (const entry of entries) {
+      const { id } = JSON.parse(entry);
+      if (await client.get(prefix + 'lease:' + id)) continue;
+      // Another process recovering at the same time gets 0 here
+      if (await client.lRem(prefix + 'processing', 1, entry) === 1) {
+        await client.rPush(prefix + 'queue', entry);
+        logger.warn(`Job ${name} requeued after its worker stopped`, { jobId: id });
+      }
+    }
+  }
+
+  // Next waiting job, its payload and the Redis client and queue entry it
+  // came from (null for memory). A payload that has expired comes back as null.
+  async function claim() {
+    if (memoryQueue.length > 0) {
+      const id = memoryQueue.shift();
+      const payload = memoryPayloads.get(id);
+      memoryPayloads.delete(id);
+      return { job: memoryJobs.get(id)?.job, payload: payload === undefined ? null : payload, client: null };
+    }
+
+    const client = getRedisClient();
+    if (!client) return null;
+    try {
+      // Once per process, when Redis is first there to ask
+      if (!recovered) {
+        recovered = true;
+        await recover(client);
+      }
+
+      const entry = await client.lMove(prefix + 'queue', prefix + 'processing', 'RIGHT', 'LEFT');
+      if (!entry) return null;
+      const queued = JSON.parse(entry);
+      await client.set(prefix + 'lease:' + queued.id, '1', { EX: leaseSeconds });
+
+      const value = await client.get(prefix + 'job:' + queued.id);
+      if (!value) {
+        logger.warn(`Job ${name} record expired before it ran`, { jobId: queued.id });
+        await release(client, entry, queued);
+        return null;
+      }
+      const payload = await client.get(prefix + 'payload:' + queued.id);
+      return { job: JSON.parse(value), payload: payload ? JSON.parse(payload) : null, client, entry };
+    } catch (error) {
+      logger.warn('Job queue Redis read failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async function run({ job, payload, client, entry }) {
+    const recovering = Boolean(job.startedAt);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    // A job run again after its worker stopped had started in time
+    if (payload === null || (!recovering && Date.now() - Date.parse(job.createdAt) > maxWaitSeconds * 1000)) {
+      logger.warn(`Job ${name} expired before it ran`, { jobId: job.id });
+      job.status = 'failed';
+      job.error = EXPIRED_ERROR;
+    } else {
+      await save(job, client);
+      const renewal = client && setInterval(() => {
+        client.expire(prefix + 'lease:' + job.id, leaseSeconds).catch(error => {
+          logger.warn('Job queue Redis write failed', { error: error.message });
+        });
+      }, leaseSeconds * 1000 / 3);
+      const checkpoint = async (data) => {
+        job.checkpoint = { ...job.checkpoint, ...data };
+        await save(job, client);
+      };
+      try {
+        job.result = await handler(payload, job, { checkpoint });
+        job.status = 'done';
+      } catch (error) {
+        if (!error.status || !error.body) {
+          logger.error(`Job ${name} failed:`, error);
+        }
+        job.status = 'failed';
+        job.error = error.status && error.body
+          ? { status: error.status, ...error.body }
+          : { status: 500, error: 'Job failed' };
+      } finally {
+        clearInterval(renewal);
+      }
+    }
+
+    job.finishedAt = new Date().toISOString();
+    try {
+      await save(job, client);
+      if (client) {
+        await release(client, entry, job);
+      }
+    } catch (error) {
+      logger.error(`Job ${name} result could not be saved:`, error);
+    }
+  }
+
+  async function work() {
+    while (running) {
+      let claimed = null;
+      try {
+        claimed = await claim();
+      } catch (error) {
+        logger.error(`Job ${name} claim error:`, error);
+      }
+
+      if (!claimed || !claimed.job) {
+        await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+        continue;
+      }
+
+      try {
+        await run(claimed);
+      } catch (error) {
+        logger.error(`Job ${name} error:`, error);
+      }
+    }
+  }
+
+  function setHandler(jobHandler) {
+    handler = jobHandler;
+  }
+
+  function start() {
+    if (running) return;
+    if (!handler) {
+      throw new Error(`No handler registered for job queue ${name}`);
+    }
+    running = true;
+    workers = Array.from({ length: concurrency }, () => work());
+  }
+
+  // Stops taking new jobs and waits for running ones to finish
+  async function stop() {
+    running = false;
+    await Promise.all(workers);
+    workers = [];
+  }
+
+  return { enqueue, get: load, depth, process: setHandler, start, stop };
+}
+
+module.exports = { createJobQueue, QueueFullError, TooManyJobsError };
@@ -0,0 +1,118 @@
+// LLM provider selection.
+//
+// LLM_PROVIDER picks the backend:
+//   openai             - api.openai.com (default), uses OPENAI_API_KEY
+//   openai-compatible  - any server speaking the chat completions API at LLM_BASE_URL
+//   mock               - deterministic offline responses, no network or key needed
+//
+// LLM_MODEL sets the default model and LLM_SUBJECT_MODELS overrides it per
+// subject, e.g. "math=gpt-4o,physics=gpt-4o". Requests carrying an image use
+// LLM_VISION_MODEL when it is set.
+//
+// A request's `mode` names the prompt mode it was built for (solve, hint,
+// check, practice). Only the mock provider looks at it, to answer check and
+// practice requests with the JSON their parsers expect.
+
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+const { estimateTokens, estimatePromptTokens, hasImageContent } = require('./tokens');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+function parseSubjectModels(value) {
+  const models = {};
+  if (!value) return models;
+
+  for (const entry of value.split(',')) {
+    const [subject, model] = entry.split('=').map(part => part && part.trim());
+    if (subject && model) {
+      models[subject] = model;
+    }
+  }
+  return models;
+}
+
+function createProvider(config) {
+  switch (config.provider) {
+    case 'openai':
+      if (!config.apiKey) {
+        throw new Error('OPENAI_API_KEY is required when LLM_PROVIDER=openai');
+      }
+      return createOpenAIProvider({ apiKey: config.apiKey, timeoutMs: config.timeoutMs });
+    case 'openai-compatible':
+      if (!config.baseUrl) {
+        throw new Error('LLM_BASE_URL is required when LLM_PROVIDER=openai-compatible');
+      }
+      return createOpenAIProvider({
+        name: 'openai-compatible',
+        baseUrl: config.baseUrl,
+        apiKey: config.apiKey,
+        timeoutMs: config.timeoutMs
+      });
+    case 'mock':
+      return createMockProvider({ latencyMs: config.mockLatencyMs });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${config.provider}`);
+  }
+}
+
+function loadLLMConfig(env = process.env) {
+  return {
+    provider: env.LLM_PROVIDER || 'openai',
+    baseUrl: env.LLM_BASE_URL,
+    apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+    defaultModel: env.LLM_MODEL || DEFAULT_MODEL,
+    subjectModels: parseSubjectModels(env.LLM_SUBJECT_MODELS),
+    visionModel: env.LLM_VISION_MODEL,
+    timeoutMs: parseInt(env.LLM_TIMEOUT_MS || '60000'),
+    mockLatencyMs: parseInt(env.LLM_MOCK_LATENCY_MS || '0')
+  };
+}
+
+// Returns a client whose complete() resolves the model for the request's
+// subject and delegates to the configured provider.
+function createLLMClient(config = loadLLMConfig()) {
+  const provider = createProvider(config);
+
+  function modelFor(subject, messages = []) {
+    if (config.visionModel && hasImageContent(messages)) {
+      return config.visionModel;
+    }
+    return config.subjectModels[subject] || config.defaultModel;
+  }
+
+  async function complete({ subject, model, mode = 'solve', messages, maxTokens = 1000, temperature = 0.7 }) {
+    return provider.complete({
+      model: model || modelFor(subject, messages),
+      mode,
+      messages,
+      maxTokens,
+      temperature
+    });
+  }
+
+  function stream({ subject, model, messages, maxTokens = 1000, temperature = 0.7 }) {
+    return provider.stream({
+      model: model || modelFor(subject, messages),
+      messages,
+      maxTokens,
+      temperature
+    });
+  }
+
+  return {
+    provider: provider.name,
+    modelFor,
+    complete,
+    stream
+  };
+}
+
+module.exports = {
+  createLLMClient,
+  loadLLMConfig,
+  parseSubjectModels,
+  estimateTokens,
+  estimatePromptTokens,
+  DEFAULT_MODEL
+};
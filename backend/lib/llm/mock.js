@@ -0,0 +1,115 @@
+// Deterministic offline provider for local development and tests.
+// The same messages always produce the same solution text, and token usage is
+// estimated from character counts (~4 chars per token) so cost tracking still
+// exercises real numbers. Check and practice requests get the JSON object
+// their prompts ask for, so answer checks and practice sets work offline too.
+
+const crypto = require('crypto');
+const { estimateTokens, estimatePromptTokens, hasImageContent } = require('./tokens');
+const { MAX_PRACTICE_COUNT } = require('../practice');
+
+function messageText(message) {
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return '';
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function solutionReply(question, digest, messages) {
+  return [
+    `**Understanding the problem**`,
+    `${question}`,
+    ...(hasImageContent(messages) ? [`(Read from the attached image.)`] : []),
+    ``,
+    `**Step 1:** Identify what is given and what is being asked.`,
+    `**Step 2:** Choose a method that connects the given information to the goal.`,
+    `**Step 3:** Work through the method carefully and check the result.`,
+    ``,
+    `_(mock solution ${digest})_`
+  ].join('\n');
+}
+
+// Always flags the first step, so the wrong-step display can be tried out
+function checkReply(digest) {
+  return JSON.stringify({
+    verdict: 'partially_correct',
+    firstWrongStep: 1,
+    feedback: `Your method is on the right track, but look again at the first step. What is the problem asking for? (mock check ${digest})`
+  });
+}
+
+// As many problems as a set can hold; parsePracticeSet() keeps the ones asked for
+function practiceReply(digest) {
+  const problems = [];
+  for (let i = 0; i < MAX_PRACTICE_COUNT; i++) {
+    const a = parseInt(digest.slice(i * 2, i * 2 + 2), 16) % 20 + 2;
+    const b = parseInt(digest.slice(i * 2 + 1, i * 2 + 3), 16) % 20 + 2;
+    problems.push({ question: `What is ${a} + ${b}?`, answer: String(a + b) });
+  }
+  return JSON.stringify({ topic: 'mock practice', problems });
+}
+
+function createMockProvider({ name = 'mock', latencyMs = 0 } = {}) {
+  function respond({ model, mode = 'solve', messages }) {
+    const prompt = messages.map(messageText).join('\n');
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const question = lastUser ? messageText(lastUser) : '';
+    const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+
+    let content;
+    if (mode === 'check') {
+      content = checkReply(digest);
+    } else if (mode === 'practice') {
+      content = practiceReply(digest);
+    } else {
+      content = solutionReply(question, digest, messages);
+    }
+
+    const promptTokens = estimatePromptTokens(messages);
+    const completionTokens = estimateTokens(content);
+
+    return {
+      content,
+      model: model || 'mock',
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  async function complete(request) {
+    if (latencyMs > 0) {
+      await sleep(latencyMs);
+    }
+    return respond(request);
+  }
+
+  // Emits the same text as complete(), one word at a time
+  async function* stream(request) {
+    const result = respond(request);
+    const words = result.content.split(/(?<=\s)/);
+
+    for (const word of words) {
+      if (latencyMs > 0) {
+        await sleep(latencyMs / words.length);
+      }
+      yield { delta: word };
+    }
+
+    yield { done: true, model: result.model, usage: result.usage };
+  }
+
+  return { name, complete, stream };
+}
+
+module.exports = { createMockProvider };
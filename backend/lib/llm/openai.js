@@ -0,0 +1,107 @@
+// OpenAI chat completions provider.
+// Also used for OpenAI-compatible servers (llama.cpp, vLLM, Ollama, LM Studio)
+// by pointing baseUrl at them; the API key is optional in that case.
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+function toUsage(usage) {
+  return {
+    promptTokens: usage?.prompt_tokens || 0,
+    completionTokens: usage?.completion_tokens || 0,
+    totalTokens: usage?.total_tokens || 0
+  };
+}
+
+function createOpenAIProvider({ name = 'openai', baseUrl = DEFAULT_BASE_URL, apiKey, timeoutMs = 60000 } = {}) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  async function post(payload) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    if (!response.ok) {
+      const error = new Error(`LLM provider error (${name}): HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  async function complete({ model, messages, maxTokens, temperature }) {
+    const response = await post({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    const data = await response.json();
+    const choice = data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+      throw new Error(`LLM provider error (${name}): empty completion`);
+    }
+
+    return {
+      content: choice.message.content || '',
+      model: data.model || model,
+      usage: toUsage(data.usage)
+    };
+  }
+
+  // Yields { delta } for each content chunk, then a final { done, model, usage }.
+  // usage is null when the server does not honour stream_options.include_usage.
+  async function* stream({ model, messages, maxTokens, temperature }) {
+    const response = await post({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let usage = null;
+    let responseModel = model;
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline).trim();
+        buffer = buffer.slice(newline + 1);
+
+        if (!line.startsWith('data:')) continue;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') continue;
+
+        const data = JSON.parse(payload);
+        if (data.model) responseModel = data.model;
+        if (data.usage) usage = toUsage(data.usage);
+
+        const delta = data.choices?.[0]?.delta?.content;
+        if (delta) {
+          yield { delta };
+        }
+      }
+    }
+
+    yield { done: true, model: responseModel, usage };
+  }
+
+  return { name, complete, stream };
+}
+
+module.exports = { createOpenAIProvider, DEFAULT_BASE_URL };
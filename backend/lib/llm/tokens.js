@@ -0,0 +1,32 @@
+// Rough token estimate (~4 characters per token) used when a provider does
+// not report usage, e.g. a stream cut short or a compatible server that omits it.
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil(text.length / 4));
+}
+
+// Approximate cost of one high-detail image part
+const IMAGE_TOKENS = 765;
+
+// Estimates prompt tokens for chat messages, counting image parts at a flat
+// rate instead of by the length of their base64 payload.
+function estimatePromptTokens(messages) {
+  let tokens = 0;
+  for (const message of messages) {
+    if (typeof message.content === 'string') {
+      tokens += estimateTokens(message.content);
+    } else if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        tokens += part.type === 'image_url' ? IMAGE_TOKENS : estimateTokens(part.text || '');
+      }
+    }
+  }
+  return tokens;
+}
+
+function hasImageContent(messages) {
+  return messages.some(message =>
+    Array.isArray(message.content) && message.content.some(part => part.type === 'image_url')
+  );
+}
+
+module.exports = { estimateTokens, estimatePromptTokens, hasImageContent };
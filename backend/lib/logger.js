@@ -0,0 +1,24 @@
+// Application logger: JSON lines in logs/, plain text on the console.
+
+const winston = require('winston');
+
+function createLogger({ level = 'info' } = {}) {
+  return winston.createLogger({
+    level,
+    format: winston.format.combine(
+      winston.format.timestamp(),
+      winston.format.errors({ stack: true }),
+      winston.format.json()
+    ),
+    defaultMeta: { service: 'ai-homework-backend' },
+    transports: [
+      new winston.transports.File({ filename: 'logs/error.log', level: 'error' }),
+      new winston.transports.File({ filename: 'logs/combined.log' }),
+      new winston.transports.Console({
+        format: winston.format.simple()
+      })
+    ]
+  });
+}
+
+module.exports = { createLogger };
@@ -0,0 +1,94 @@
+// Outgoing email.
+//
+// MAIL_TRANSPORT picks where messages go:
+//   outbox  - write each message as a JSON file to MAIL_OUTBOX_DIR (default for development)
+//   log     - log the message through the app logger
+//   webhook - POST the message as JSON to MAIL_WEBHOOK_URL (e.g. a transactional email relay)
+//
+// A custom transport can be passed as a function: createMailer({ transport: async (message) => {} }).
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+function createOutboxTransport(dir) {
+  return async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(path.join(dir, filename), JSON.stringify(message, null, 2));
+  };
+}
+
+function createLogTransport(logger) {
+  return async (message) => {
+    logger.info('Outgoing email', message);
+  };
+}
+
+function createWebhookTransport(url, secret) {
+  return async (message) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      headers['Authorization'] = `Bearer ${secret}`;
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mail webhook error: HTTP ${response.status}`);
+    }
+  };
+}
+
+function resolveTransport(config, logger) {
+  if (typeof config.transport === 'function') {
+    return config.transport;
+  }
+
+  switch (config.transport) {
+    case 'outbox':
+      return createOutboxTransport(config.outboxDir);
+    case 'log':
+      return createLogTransport(logger);
+    case 'webhook':
+      if (!config.webhookUrl) {
+        throw new Error('MAIL_WEBHOOK_URL is required when MAIL_TRANSPORT=webhook');
+      }
+      return createWebhookTransport(config.webhookUrl, config.webhookSecret);
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${config.transport}`);
+  }
+}
+
+function loadMailerConfig(env = process.env) {
+  return {
+    transport: env.MAIL_TRANSPORT || (env.NODE_ENV === 'production' ? 'log' : 'outbox'),
+    outboxDir: env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox'),
+    webhookUrl: env.MAIL_WEBHOOK_URL,
+    webhookSecret: env.MAIL_WEBHOOK_SECRET,
+    from: env.MAIL_FROM || 'AI Homework Helper <no-reply@aihomeworkhelper.app>'
+  };
+}
+
+function createMailer(config = loadMailerConfig(), logger = console) {
+  const transport = resolveTransport(config, logger);
+
+  async function send({ to, subject, text }) {
+    await transport({
+      from: config.from,
+      to,
+      subject,
+      text,
+      sentAt: new Date().toISOString()
+    });
+  }
+
+  return { send };
+}
+
+module.exports = { createMailer, loadMailerConfig };
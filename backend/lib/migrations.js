@@ -0,0 +1,197 @@
+// Versioned schema migrations.
+//
+// Each file in backend/migrations is named <version>_<name>.js and exports
+// async up(client) and down(client). Applied versions are recorded in
+// schema_migrations, every migration runs in its own transaction, and a
+// Postgres advisory lock lets only one process migrate at a time so PM2
+// instances and deploy scripts never race each other.
+//
+// Servers don't migrate on their own: they call assertCurrent() at startup and
+// refuse to start while migrations are pending. Run `npm run migrate` (see
+// migrate.js) before starting a new release.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Advisory lock key shared by every process migrating this database
+const LOCK_ID = 72120301;
+
+// "003_add_widgets", as the file is named
+function migrationLabel({ version, name }) {
+  return `${String(version).padStart(3, '0')}_${name}`;
+}
+
+class PendingMigrationsError extends Error {
+  constructor(pending) {
+    const names = pending.map(migrationLabel);
+    super(`Database schema is behind: ${pending.length} pending migration(s) (${names.join(', ')}). Run \`npm run migrate\` first.`);
+    this.name = 'PendingMigrationsError';
+    this.pending = pending;
+  }
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE.test(file))
+    .map(file => {
+      const [, version, name] = file.match(MIGRATION_FILE);
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== 'function' || typeof down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return { version: parseInt(version, 10), name, up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+function createMigrator({ pool, logger = console, migrations = loadMigrations() }) {
+  async function tableExists(client) {
+    const result = await client.query(
+      "SELECT 1 FROM information_schema.tables WHERE table_name = 'schema_migrations' AND table_schema = current_schema()"
+    );
+    return result.rows.length > 0;
+  }
+
+  async function ensureTable(client) {
+    if (await tableExists(client)) return;
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async function appliedMigrations(client) {
+    if (!(await tableExists(client))) return new Map();
+    const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [row.version, row]));
+  }
+
+  // Runs fn with a dedicated connection holding the migration lock
+  async function withLock(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query(`SELECT pg_advisory_lock(${LOCK_ID})`);
+      try {
+        return await fn(client);
+      } finally {
+        await client.query(`SELECT pg_advisory_unlock(${LOCK_ID})`);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  async function inTransaction(client, fn) {
+    await client.query('BEGIN');
+    try {
+      await fn();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  // { applied, pending, unknown }; unknown are versions recorded in the
+  // database with no migration file (a newer release has migrated it)
+  async function status() {
+    const applied = await appliedMigrations(pool);
+    return {
+      applied: migrations
+        .filter(migration => applied.has(migration.version))
+        .map(({ version, name }) => ({ version, name, appliedAt: applied.get(version).applied_at })),
+      pending: migrations
+        .filter(migration => !applied.has(migration.version))
+        .map(({ version, name }) => ({ version, name })),
+      unknown: [...applied.values()]
+        .filter(row => !migrations.some(migration => migration.version === row.version))
+        .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }))
+    };
+  }
+
+  // Applies pending migrations in version order, up to and including `to`
+  async function migrate({ to } = {}) {
+    return withLock(async (client) => {
+      await ensureTable(client);
+      const applied = await appliedMigrations(client);
+      const pending = migrations.filter(migration =>
+        !applied.has(migration.version) && (to === undefined || migration.version <= to)
+      );
+
+      for (const migration of pending) {
+        await inTransaction(client, async () => {
+          await migration.up(client);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+            [migration.version, migration.name]
+          );
+        });
+        logger.info(`Applied migration ${migrationLabel(migration)}`);
+      }
+      return pending.map(({ version, name }) => ({ version, name }));
+    });
+  }
+
+  // Rolls back the last `steps` applied migrations, or every one after `to`
+  async function rollback({ steps = 1, to } = {}) {
+    return withLock(async (client) => {
+      const applied = await appliedMigrations(client);
+      const versions = [...applied.keys()].sort((a, b) => b - a);
+      const targets = to === undefined ? versions.slice(0, steps) : versions.filter(version => version > to);
+
+      const rolledBack = [];
+      for (const version of targets) {
+        const migration = migrations.find(candidate => candidate.version === version);
+        if (!migration) {
+          throw new Error(`Cannot roll back ${migrationLabel(applied.get(version))}: migration file not found`);
+        }
+
+        await inTransaction(client, async () => {
+          await migration.down(client);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+        });
+        logger.info(`Rolled back migration ${migrationLabel(migration)}`);
+        rolledBack.push({ version, name: migration.name });
+      }
+      return rolledBack;
+    });
+  }
+
+  // Startup check: throws PendingMigrationsError if the schema is behind
+  async function assertCurrent() {
+    const { pending, unknown } = await status();
+    if (unknown.length > 0) {
+      // Expected for a moment during a rolling deploy; old code keeps working
+      // against additive migrations
+      logger.warn('Database has migrations this release does not know about', {
+        versions: unknown.map(row => row.version)
+      });
+    }
+    if (pending.length > 0) {
+      throw new PendingMigrationsError(pending);
+    }
+  }
+
+  return { status, migrate, rollback, assertCurrent };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  PendingMigrationsError,
+  migrationLabel,
+  loadMigrations,
+  createMigrator
+};
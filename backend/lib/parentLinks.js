@@ -0,0 +1,130 @@
+// Linking parent accounts to their children, and the weekly activity reports
+// parents see (routes/parents.js).
+//
+// A child's app shows a one-time code from POST /users/link-code; the parent
+// enters it within LINK_CODE_TTL_MINUTES. Codes are stored hashed, and asking
+// for a new code retires the previous one.
+
+const crypto = require('crypto');
+const { randomCode, normalizeCode } = require('./codes');
+
+const LINK_CODE_TTL_MINUTES = 15;
+const LINK_CODE_LENGTH = 8;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Hours (local to the parent) that make up each part of the day
+const TIMES_OF_DAY = [
+  { name: 'night', from: 0, to: 6 },
+  { name: 'morning', from: 6, to: 12 },
+  { name: 'afternoon', from: 12, to: 18 },
+  { name: 'evening', from: 18, to: 24 }
+];
+
+function hashLinkCode(code) {
+  return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+// Returns { code: "ABCD-2345", expiresAt }
+async function createLinkCode(pool, childId) {
+  const raw = randomCode(LINK_CODE_LENGTH);
+  const expiresAt = new Date(Date.now() + LINK_CODE_TTL_MINUTES * 60 * 1000);
+
+  await pool.query(
+    'UPDATE link_codes SET used_at = NOW() WHERE child_id = $1 AND used_at IS NULL',
+    [childId]
+  );
+  await pool.query(
+    'INSERT INTO link_codes (child_id, code_hash, expires_at) VALUES ($1, $2, $3)',
+    [childId, hashLinkCode(raw), expiresAt]
+  );
+
+  return { code: `${raw.slice(0, 4)}-${raw.slice(4)}`, expiresAt };
+}
+
+// Marks a live code used and returns its child's id, or null
+async function redeemLinkCode(pool, code) {
+  const result = await pool.query(`
+    UPDATE link_codes SET used_at = NOW()
+    WHERE code_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+    RETURNING child_id
+  `, [hashLinkCode(code)]);
+  return result.rows.length ? result.rows[0].child_id : null;
+}
+
+// Start of the week (Monday 00:00) containing `date`, in a timezone
+// utcOffsetMinutes ahead of UTC
+function weekStart(date, utcOffsetMinutes) {
+  const local = new Date(date.getTime() + utcOffsetMinutes * 60 * 1000);
+  const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+  const midnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - daysSinceMonday);
+  return new Date(midnight - utcOffsetMinutes * 60 * 1000);
+}
+
+// Start of the oldest of the `weeks` most recent weeks
+function reportStart({ weeks, utcOffsetMinutes, now = new Date() }) {
+  return new Date(weekStart(now, utcOffsetMinutes).getTime() - (weeks - 1) * WEEK_MS);
+}
+
+// Buckets problems ({ subject, mode, created_at }) and blocked integrity
+// decisions ({ subject, reason, created_at, appeal_status }) into the `weeks`
+// most recent weeks, newest first. Solves are broken down by subject and
+// time; hint ladders and answer checks are only counted, in byMode.
+function summarizeWeeks({ problems, integrityEvents, weeks, utcOffsetMinutes, now = new Date() }) {
+  const current = weekStart(now, utcOffsetMinutes);
+  const summaries = [];
+
+  for (let i = 0; i < weeks; i++) {
+    const from = new Date(current.getTime() - i * WEEK_MS);
+    const to = new Date(from.getTime() + WEEK_MS);
+    const inWeek = (row) => {
+      const at = new Date(row.created_at);
+      return at >= from && at < to;
+    };
+
+    const bySubject = {};
+    const byHour = new Array(24).fill(0);
+    const byTimeOfDay = Object.fromEntries(TIMES_OF_DAY.map(part => [part.name, 0]));
+    const weekProblems = problems.filter(inWeek);
+    const byMode = { solve: 0, hint: 0, check: 0 };
+    for (const problem of weekProblems) {
+      const mode = problem.mode || 'solve';
+      byMode[mode] = (byMode[mode] || 0) + 1;
+    }
+    const solves = weekProblems.filter(problem => (problem.mode || 'solve') === 'solve');
+
+    for (const problem of solves) {
+      const subject = problem.subject || 'other';
+      bySubject[subject] = (bySubject[subject] || 0) + 1;
+
+      const hour = new Date(new Date(problem.created_at).getTime() + utcOffsetMinutes * 60 * 1000).getUTCHours();
+      byHour[hour]++;
+      byTimeOfDay[TIMES_OF_DAY.find(part => hour >= part.from && hour < part.to).name]++;
+    }
+
+    summaries.push({
+      weekStart: from.toISOString(),
+      weekEnd: to.toISOString(),
+      solves: solves.length,
+      byMode,
+      bySubject,
+      byTimeOfDay,
+      byHour,
+      integrityEvents: integrityEvents.filter(inWeek).map(event => ({
+        subject: event.subject,
+        reason: event.reason,
+        appealStatus: event.appeal_status || null,
+        createdAt: new Date(event.created_at).toISOString()
+      }))
+    });
+  }
+
+  return summaries;
+}
+
+module.exports = {
+  createLinkCode,
+  redeemLinkCode,
+  summarizeWeeks,
+  reportStart,
+  LINK_CODE_TTL_MINUTES
+};
@@ -0,0 +1,193 @@
+// Verifiable parental consent for users under 13 (COPPA).
+//
+// A child account that reported an age under 13 can't solve problems until a
+// parent agrees. The child's app asks for consent with a parent's email
+// address; the parent is sent a signed link (a JWT with the
+// "parental-consent" audience, valid for PARENTAL_CONSENT_TTL_HOURS) to
+// PARENTAL_CONSENT_URL, where they grant or deny it. Only the newest request
+// for a child can be answered, and only once. Each request keeps who was asked,
+// when and how it was answered, and from where, for audit; a grant also stamps
+// users.parental_consent_at and parental_consent_method.
+
+const jwt = require('jsonwebtoken');
+
+const TOKEN_AUDIENCE = 'parental-consent';
+const CONSENT_METHOD = 'email_link';
+
+class ParentalConsentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ParentalConsentError';
+    this.status = status;
+  }
+}
+
+function needsParentalConsent(user) {
+  return Boolean(user.age && user.age < 13 && !user.parental_consent);
+}
+
+// p***@example.com
+function maskEmail(email) {
+  const [name, domain] = email.split('@');
+  return `${name.charAt(0)}***@${domain}`;
+}
+
+function formatRequest(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    parentEmail: maskEmail(row.parent_email),
+    requestedAt: row.requested_at,
+    expiresAt: row.expires_at,
+    decidedAt: row.decided_at
+  };
+}
+
+function loadParentalConsentConfig(env = process.env) {
+  return {
+    url: env.PARENTAL_CONSENT_URL || 'https://aihomeworkhelper.app/parental-consent',
+    ttlHours: parseInt(env.PARENTAL_CONSENT_TTL_HOURS || '72')
+  };
+}
+
+function createParentalConsent({ pool, logger, mailer, jwtSecret, config = loadParentalConsentConfig() }) {
+  async function latestRequest(userId) {
+    const result = await pool.query(
+      'SELECT * FROM parental_consents WHERE user_id = $1 ORDER BY id DESC LIMIT 1',
+      [userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // { status, request } for /users/me. status is not_required (13 or older,
+  // or no age given yet), granted, pending (a live link is out), denied, or
+  // required (nothing asked yet, or the last link expired).
+  async function statusFor(user) {
+    if (!user.age || user.age >= 13) {
+      return { status: 'not_required', request: null };
+    }
+    if (user.parental_consent) {
+      return {
+        status: 'granted',
+        grantedAt: user.parental_consent_at,
+        method: user.parental_consent_method,
+        request: null
+      };
+    }
+
+    const request = await latestRequest(user.id);
+    if (!request) {
+      return { status: 'required', request: null };
+    }
+    const live = request.status === 'pending' && new Date(request.expires_at) > new Date();
+    const status = live ? 'pending' : request.status === 'denied' ? 'denied' : 'required';
+    return { status, request: formatRequest(request) };
+  }
+
+  // Emails the parent a consent link; any earlier unanswered link stops working
+  async function request(user, parentEmail) {
+    if (!user.age || user.age >= 13) {
+      throw new ParentalConsentError('Parental consent is only needed for users under 13');
+    }
+    if (user.parental_consent) {
+      throw new ParentalConsentError('Parental consent has already been given', 409);
+    }
+
+    await pool.query(
+      "UPDATE parental_consents SET status = 'superseded' WHERE user_id = $1 AND status = 'pending'",
+      [user.id]
+    );
+    const expiresAt = new Date(Date.now() + config.ttlHours * 60 * 60 * 1000);
+    const result = await pool.query(`
+      INSERT INTO parental_consents (user_id, parent_email, method, expires_at)
+      VALUES ($1, $2, $3, $4) RETURNING *
+    `, [user.id, parentEmail, CONSENT_METHOD, expiresAt]);
+    const row = result.rows[0];
+
+    const token = jwt.sign({ consentId: row.id }, jwtSecret, {
+      audience: TOKEN_AUDIENCE,
+      expiresIn: config.ttlHours * 60 * 60
+    });
+
+    await mailer.send({
+      to: parentEmail,
+      subject: 'Your child would like to use AI Homework Helper',
+      text: [
+        'Your child has asked to use AI Homework Helper, an app that explains homework problems step by step.',
+        '',
+        'Because they are under 13, we need your permission before they can use it. We store the questions',
+        'they ask and the explanations we give, so they can review them later. We do not show ads or sell data.',
+        '',
+        `Open this link within ${config.ttlHours} hours to allow or decline:`,
+        `${config.url}?token=${token}`,
+        '',
+        'If you do not know what this is about, you can ignore this email and the account stays blocked.'
+      ].join('\n')
+    });
+
+    logger.info('Parental consent requested', { userId: user.id, consentId: row.id });
+    return formatRequest(row);
+  }
+
+  // The pending request a link points at, or a ParentalConsentError
+  async function findByToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, jwtSecret, { audience: TOKEN_AUDIENCE });
+    } catch {
+      throw new ParentalConsentError('Consent link is invalid or has expired');
+    }
+
+    const result = await pool.query(
+      "SELECT * FROM parental_consents WHERE id = $1 AND status = 'pending' AND expires_at > NOW()",
+      [payload.consentId]
+    );
+    if (result.rows.length === 0) {
+      throw new ParentalConsentError('Consent link is invalid or has expired');
+    }
+    return result.rows[0];
+  }
+
+  // What the parent's page shows before they decide
+  async function lookup(token) {
+    const row = await findByToken(token);
+    const child = await pool.query('SELECT created_at FROM users WHERE id = $1', [row.user_id]);
+    return {
+      ...formatRequest(row),
+      accountCreatedAt: child.rows[0] ? child.rows[0].created_at : null
+    };
+  }
+
+  // Records the parent's answer; grant is true to allow, false to deny
+  async function decide(token, grant, { ip, userAgent } = {}) {
+    const row = await findByToken(token);
+
+    const result = await pool.query(`
+      UPDATE parental_consents SET status = $2, decided_at = NOW(), decided_ip = $3, decided_user_agent = $4
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `, [row.id, grant ? 'granted' : 'denied', ip || null, userAgent || null]);
+    if (result.rows.length === 0) {
+      throw new ParentalConsentError('Consent link is invalid or has expired');
+    }
+
+    if (grant) {
+      await pool.query(`
+        UPDATE users SET parental_consent = true, parental_consent_at = NOW(), parental_consent_method = $2, updated_at = NOW()
+        WHERE id = $1
+      `, [row.user_id, row.method]);
+    }
+
+    logger.info('Parental consent decided', { userId: row.user_id, consentId: row.id, granted: grant });
+    return formatRequest(result.rows[0]);
+  }
+
+  return { statusFor, request, lookup, decide };
+}
+
+module.exports = {
+  createParentalConsent,
+  loadParentalConsentConfig,
+  needsParentalConsent,
+  ParentalConsentError
+};
@@ -0,0 +1,181 @@
+// Practice sets (POST /api/v1/practice/generate) and per-topic mastery.
+//
+// A set is a few problems like one the student already asked about, at the
+// app's easy, medium or hard difficulty. The LLM, using the "practice" prompt
+// mode, writes the problems and a short answer key in one reply; the key stays
+// in practice_sets and is only returned once the student submits. Answers are
+// graded here, without another completion: numbers are compared numerically,
+// to the key's last decimal place, and anything else as normalized text.
+//
+// Each submitted set moves the student's mastery of its topic towards the
+// set's score, weighted by MASTERY_WEIGHT, so recent practice counts most.
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const DEFAULT_PRACTICE_COUNT = 3;
+const MAX_PRACTICE_COUNT = 5;
+const MASTERY_WEIGHT = 0.4;
+// Fraction keys such as 1/3 are only allowed floating-point error
+const FRACTION_EPSILON = 1e-9;
+
+const DIFFICULTY_GUIDANCE = {
+  easy: 'easier than the original: one or two steps and friendly numbers',
+  medium: 'about as hard as the original, with different numbers or context',
+  hard: 'harder than the original: more steps, or the idea applied in a less familiar way'
+};
+
+// Normalizes the app's "Easy"/"Medium"/"Hard" to the stored ids
+function normalizeDifficulty(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : value;
+}
+
+// prompt is the "practice" mode template from prompts.resolve()
+function buildPracticeMessages(question, prompt, difficulty, count) {
+  return [
+    { role: 'system', content: prompt.system },
+    {
+      role: 'user',
+      content: `My problem was: ${question}\n\nWrite ${count} practice problems ${DIFFICULTY_GUIDANCE[difficulty]}.`
+    }
+  ];
+}
+
+function normalizeTopic(topic) {
+  if (typeof topic !== 'string') return null;
+  const normalized = topic.trim().toLowerCase().replace(/\s+/g, ' ');
+  return normalized.length > 0 && normalized.length <= 50 ? normalized : null;
+}
+
+// { topic, problems: [{ question, answer }] } from the reply, or null when it
+// doesn't hold `count` usable problems. Extra problems are dropped.
+function parsePracticeSet(content, count) {
+  let result;
+  try {
+    const match = content.match(/\{[\s\S]*\}/);
+    result = match ? JSON.parse(match[0]) : null;
+  } catch (error) {
+    result = null;
+  }
+  if (!result || !Array.isArray(result.problems)) return null;
+
+  const problems = result.problems
+    .filter(problem => problem && typeof problem.question === 'string' && problem.question.trim() &&
+      ['string', 'number'].includes(typeof problem.answer) && String(problem.answer).trim())
+    .slice(0, count)
+    .map(problem => ({ question: problem.question.trim(), answer: String(problem.answer).trim() }));
+  if (problems.length < count) return null;
+
+  return { topic: normalizeTopic(result.topic), problems };
+}
+
+// Lowercased, without spaces, a leading "x =" or "answer:", or a final period
+function normalizeAnswer(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/\s+/g, '')
+    .replace(/^(answer:|[a-z]\w*=)/, '')
+    .replace(/\.$/, '');
+}
+
+// Splits "12.5m/s" into { value: 12.5, precision: 0.05, unit: 'm/s' }, reading
+// fractions ("3/4"), percentages and thousands separators. precision is half
+// a unit in the last decimal place written, 0 for whole numbers and null for
+// fractions. null if the answer doesn't start with a number.
+function parseNumber(normalized) {
+  // Commas only as thousands separators: "2,500" but not "2,5"
+  const match = normalized.match(/^(-?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?(.*)$/);
+  if (!match) return null;
+
+  const [, numerator, denominator, rest] = match;
+  if (denominator !== undefined && Number(denominator) === 0) return null;
+  let value = Number(numerator.replace(/,/g, ''));
+  if (denominator !== undefined) value /= Number(denominator);
+  let unit = rest;
+  let decimals = numerator.includes('.') ? numerator.split('.')[1].length : 0;
+  if (unit === '%') {
+    value /= 100;
+    decimals += 2;
+    unit = '';
+  }
+
+  let precision = null;
+  if (denominator === undefined) {
+    precision = numerator.includes('.') ? 0.5 * 10 ** -decimals : 0;
+  }
+  return Number.isFinite(value) ? { value, precision, unit } : null;
+}
+
+function answersMatch(expected, given) {
+  const key = normalizeAnswer(expected);
+  const answer = normalizeAnswer(given);
+  if (!answer) return false;
+  if (key === answer) return true;
+
+  const keyNumber = parseNumber(key);
+  const answerNumber = parseNumber(answer);
+  if (!keyNumber || !answerNumber) return false;
+  // Units may be left off, but not swapped for different ones
+  if (answerNumber.unit && answerNumber.unit !== keyNumber.unit) return false;
+
+  // Half a unit in the key's last decimal place, so a key of 0.5 takes 0.54
+  // but one of 3.14159 doesn't take 3.1416; whole numbers must be exact
+  const difference = Math.abs(keyNumber.value - answerNumber.value);
+  const tolerance = keyNumber.precision === null ? FRACTION_EPSILON : keyNumber.precision;
+  return difference <= tolerance;
+}
+
+// Mastery (0-100) after a set scored `score` out of `total`; the first set
+// for a topic sets it outright
+function nextMastery(previous, score, total) {
+  const percent = (score / total) * 100;
+  if (previous === null || previous === undefined) return Math.round(percent);
+  return Math.round(previous * (1 - MASTERY_WEIGHT) + percent * MASTERY_WEIGHT);
+}
+
+function formatMastery(row) {
+  return {
+    subject: row.subject,
+    topic: row.topic,
+    mastery: row.mastery,
+    problemsAttempted: row.problems_attempted,
+    problemsCorrect: row.problems_correct,
+    updatedAt: row.updated_at
+  };
+}
+
+// A practice set as the student sees it; the answer key only after submitting
+function formatPracticeSet(row) {
+  const submitted = Boolean(row.submitted_at);
+  return {
+    id: row.id.toString(),
+    sourceProblemId: row.source_problem_id ? row.source_problem_id.toString() : null,
+    subject: row.subject,
+    topic: row.topic,
+    difficulty: row.difficulty,
+    problems: row.problems.map((problem, index) => ({
+      number: index + 1,
+      question: problem.question,
+      ...(submitted ? {
+        answer: row.answers[index],
+        correctAnswer: problem.answer,
+        correct: answersMatch(problem.answer, row.answers[index])
+      } : {})
+    })),
+    score: row.score,
+    total: row.problems.length,
+    createdAt: row.created_at,
+    submittedAt: row.submitted_at
+  };
+}
+
+module.exports = {
+  DIFFICULTIES,
+  DEFAULT_PRACTICE_COUNT,
+  MAX_PRACTICE_COUNT,
+  normalizeDifficulty,
+  buildPracticeMessages,
+  parsePracticeSet,
+  answersMatch,
+  nextMastery,
+  formatMastery,
+  formatPracticeSet
+};
@@ -0,0 +1,322 @@
+// Server-side prompt templates.
+//
+// Templates are keyed by subject, grade band and mode, and each key has
+// numbered versions in the prompt_templates table with exactly one active
+// version. A solve looks up the active template for its key, falling back to
+// the "any" grade band and then to the "default" subject, and the template's
+// id and version are stored with the problem.
+//
+// Admins add versions and switch the active one through /api/v1/admin/prompts;
+// every server picks up the change within PROMPT_CACHE_TTL_MS. Template bodies
+// may use {{subject}} (id), {{subjectName}} and {{gradeBand}} placeholders.
+
+const { findSubject } = require('./subjects');
+
+const GRADE_BANDS = ['any', 'elementary', 'middle', 'high', 'college'];
+const PROMPT_MODES = ['solve', 'hint', 'check', 'practice'];
+const DEFAULT_SUBJECT = 'default';
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+
+const BASE_PROMPT = `You are an expert tutor helping students with their homework. Provide clear, educational explanations that help students learn.
+Do not simply give answers - explain the concepts and methodology.
+If you detect this might be from an exam or test, refuse to answer.`;
+
+const subjectPrompt = (role, kind, points) =>
+  `${BASE_PROMPT}\n${role} For ${kind}:\n${points.map(point => `- ${point}`).join('\n')}`;
+
+const COMPUTER_SCIENCE_PROMPT = subjectPrompt('You are a computer science instructor.', 'CS problems', [
+  'Explain algorithms step-by-step',
+  'Provide code examples when relevant',
+  'Analyze time/space complexity',
+  'Show debugging approaches',
+  'Explain underlying concepts',
+  'Use proper programming terminology'
+]);
+
+const HINT_PROMPT = `You are a patient {{subjectName}} tutor using the Socratic method. The student wants hints, not the answer.
+Give exactly one hint each time you are asked, building on the hints you have already given:
+- The first hint points to the concept or the first step
+- Later hints get more specific, but leave the final step to the student
+- Never state the final answer or work through the remaining steps
+- If the student shares an attempt, say which part is on the right track before hinting
+Keep each hint to two or three sentences and end with a question that moves the student forward.`;
+
+// The reply is parsed by parseCheckResult() in lib/answerChecks.js
+const CHECK_PROMPT = `You are a {{subjectName}} teacher checking a student's own work. The student wants to know whether their answer is right, not to be given the answer.
+The student's work is numbered one step per line. Reply with only a JSON object:
+{"verdict": "correct" | "partially_correct" | "incorrect", "firstWrongStep": <number of the first wrong step, or null>, "feedback": "<feedback>"}
+- Use partially_correct when the method is sound but the work is incomplete or has a small slip
+- In the feedback, say what went wrong in that step and what to reconsider, in two to four sentences
+- Never state the correct final answer or work through the remaining steps`;
+
+// The reply is parsed by parsePracticeSet() in lib/practice.js
+const PRACTICE_PROMPT = `You write practice problems for a {{subjectName}} student. Reply with only a JSON object:
+{"topic": "<the skill practiced, 1-3 words>", "problems": [{"question": "<problem>", "answer": "<final answer>"}]}
+- Each problem practices the same skill as the student's problem and can be solved on its own
+- Each answer is only the final answer: a number (with units if any), a short expression or a few words
+- Do not include solutions, hints or working`;
+
+// Built-in templates for the other modes, shared by every subject
+const DEFAULT_MODE_PROMPTS = {
+  hint: HINT_PROMPT,
+  check: CHECK_PROMPT,
+  practice: PRACTICE_PROMPT
+};
+
+const MATH_POINTS = [
+  'Show all work step-by-step',
+  'Number each step clearly (Step 1:, Step 2:, etc.)',
+  'Explain the reasoning behind each step',
+  'Include formulas used',
+  'Highlight the final answer',
+  'Mention common mistakes to avoid'
+];
+const PHYSICS_POINTS = [
+  'Identify given information and unknowns',
+  'List relevant formulas and laws',
+  'Show detailed calculations with units',
+  'Draw diagrams if helpful (describe them)',
+  'Explain physical concepts involved',
+  'Check answer for reasonableness'
+];
+
+// Version 1 of each solve template, seeded into an empty table
+const DEFAULT_PROMPTS = {
+  default: BASE_PROMPT,
+  math: subjectPrompt('You are a math expert.', 'mathematical problems', MATH_POINTS),
+  physics: subjectPrompt('You are a physics professor.', 'physics problems', PHYSICS_POINTS),
+  chemistry: subjectPrompt('You are a chemistry teacher.', 'chemistry problems', [
+    'Write out chemical equations clearly',
+    'Balance equations step-by-step',
+    'Show molar calculations',
+    'Explain chemical concepts',
+    'Include safety considerations if relevant',
+    'Use proper chemical notation'
+  ]),
+  biology: subjectPrompt('You are a biology expert.', 'biology questions', [
+    'Define key terms clearly',
+    'Explain biological processes step-by-step',
+    'Use proper scientific terminology',
+    'Relate to real-world examples',
+    'Include diagrams descriptions if helpful',
+    'Connect to broader biological concepts'
+  ]),
+  history: subjectPrompt('You are a history professor.', 'history questions', [
+    'Provide historical context',
+    'Include relevant dates and figures',
+    'Analyze cause and effect relationships',
+    'Consider multiple perspectives',
+    'Use primary source examples when relevant',
+    'Structure answers with clear arguments'
+  ]),
+  english: subjectPrompt('You are an English teacher.', 'English/Literature questions', [
+    'Analyze text with specific examples',
+    'Explain literary devices and techniques',
+    'Provide clear thesis statements',
+    'Structure essays with introduction, body, conclusion',
+    'Include relevant quotes and citations',
+    'Focus on grammar and style when needed'
+  ]),
+  computerScience: COMPUTER_SCIENCE_PROMPT,
+  programming: COMPUTER_SCIENCE_PROMPT,
+  science: subjectPrompt('You are a general science teacher.', 'science questions', [
+    'Break down scientific concepts clearly',
+    'Use the scientific method approach',
+    'Provide real-world examples',
+    'Explain cause and effect',
+    'Include relevant formulas or laws',
+    'Make connections between different science fields'
+  ])
+};
+
+// Later versions of built-in solve templates. Each is added to the "any" band
+// by migration (and after seeding a new table), and made active only where
+// the previous built-in text is still the active version, so templates admins
+// have changed are left alone.
+const PROMPT_REVISIONS = [
+  {
+    subject: 'math',
+    version: 2,
+    previous: DEFAULT_PROMPTS.math,
+    body: subjectPrompt('You are a math expert.', 'mathematical problems', MATH_POINTS.map(point =>
+      (point === 'Highlight the final answer' ? 'End with the final answer on its own line, starting "Final answer:"' : point))),
+    notes: 'Built-in: ends with a "Final answer:" line for answer verification'
+  },
+  {
+    subject: 'physics',
+    version: 2,
+    previous: DEFAULT_PROMPTS.physics,
+    body: subjectPrompt('You are a physics professor.', 'physics problems', [
+      ...PHYSICS_POINTS,
+      'End with the final answer and its units on its own line, starting "Final answer:"'
+    ]),
+    notes: 'Built-in: ends with a "Final answer:" line for answer verification'
+  }
+];
+
+// The newest built-in solve template for a subject, if it has one
+function builtInPrompt(subject) {
+  const revisions = PROMPT_REVISIONS.filter(revision => revision.subject === subject);
+  return revisions.length > 0 ? revisions[revisions.length - 1].body : DEFAULT_PROMPTS[subject];
+}
+
+function templateKey(subject, gradeBand, mode) {
+  return `${subject}|${gradeBand}|${mode}`;
+}
+
+function renderTemplate(body, vars) {
+  return body.replace(/\{\{(\w+)\}\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+// Inserts DEFAULT_PROMPTS as active version 1 for every subject that has no
+// "any" band solve template yet, and DEFAULT_MODE_PROMPTS for the default
+// subject of each other mode
+async function seedPromptTemplates(pool) {
+  const existing = await pool.query(
+    "SELECT DISTINCT subject, mode FROM prompt_templates WHERE grade_band = 'any'"
+  );
+  const seeded = new Set(existing.rows.map(row => templateKey(row.subject, 'any', row.mode)));
+
+  const defaults = [
+    ...Object.entries(DEFAULT_PROMPTS).map(([subject, body]) => ({ subject, mode: 'solve', body })),
+    ...Object.entries(DEFAULT_MODE_PROMPTS).map(([mode, body]) => ({ subject: DEFAULT_SUBJECT, mode, body }))
+  ];
+  const missing = defaults.filter(({ subject, mode }) => !seeded.has(templateKey(subject, 'any', mode)));
+  for (const { subject, mode, body } of missing) {
+    await pool.query(
+      `INSERT INTO prompt_templates (subject, grade_band, mode, version, body, notes, is_active)
+       VALUES ($1, 'any', $2, 1, $3, 'Built-in default', true)`,
+      [subject, mode, body]
+    );
+  }
+  return missing.length + await applyPromptRevisions(pool);
+}
+
+// Adds each PROMPT_REVISIONS version that isn't stored yet, activating it
+// where the previous built-in version is the active one. Keys with no
+// templates yet, or that already have a version this high, are skipped.
+// Returns how many versions were added.
+async function applyPromptRevisions(pool) {
+  let added = 0;
+  for (const revision of PROMPT_REVISIONS) {
+    const existing = await pool.query(
+      "SELECT * FROM prompt_templates WHERE subject = $1 AND grade_band = 'any' AND mode = 'solve'",
+      [revision.subject]
+    );
+    if (existing.rows.length === 0 || existing.rows.some(row => row.version >= revision.version)) {
+      continue;
+    }
+
+    const inserted = await pool.query(
+      `INSERT INTO prompt_templates (subject, grade_band, mode, version, body, notes, is_active)
+       VALUES ($1, 'any', 'solve', $2, $3, $4, false) RETURNING id`,
+      [revision.subject, revision.version, revision.body, revision.notes]
+    );
+    const active = existing.rows.find(row => row.is_active);
+    if (active && active.version === revision.version - 1 && active.body === revision.previous) {
+      await pool.query(`
+        UPDATE prompt_templates SET
+          is_active = (id = $1),
+          activated_at = CASE WHEN id = $1 THEN NOW() ELSE activated_at END
+        WHERE subject = $2 AND grade_band = 'any' AND mode = 'solve'
+      `, [inserted.rows[0].id, revision.subject]);
+    }
+    added++;
+  }
+  return added;
+}
+
+// Template subject for an id, display name or alias ("default" stays as is)
+function templateSubject(value) {
+  if (value === DEFAULT_SUBJECT) return DEFAULT_SUBJECT;
+  const subject = findSubject(value);
+  return subject ? subject.id : null;
+}
+
+function createPromptRegistry({ pool, logger, cacheTtlMs = DEFAULT_CACHE_TTL_MS }) {
+  let cache = null;
+  let loadedAt = 0;
+
+  async function load() {
+    const result = await pool.query('SELECT * FROM prompt_templates WHERE is_active = true');
+    const templates = new Map();
+    for (const row of result.rows) {
+      templates.set(templateKey(row.subject, row.grade_band, row.mode), row);
+    }
+    cache = templates;
+    loadedAt = Date.now();
+    return templates;
+  }
+
+  async function activeTemplates() {
+    if (cache && Date.now() - loadedAt < cacheTtlMs) {
+      return cache;
+    }
+    try {
+      return await load();
+    } catch (error) {
+      // Keep serving the last known templates if the database hiccups
+      logger.error('Failed to load prompt templates:', error);
+      return cache || new Map();
+    }
+  }
+
+  // Returns { id, version, subject, gradeBand, mode, system } for a solve.
+  // id is null when only the built-in default could be used.
+  async function resolve({ subject: requested, gradeBand = 'any', mode = 'solve' }) {
+    const templates = await activeTemplates();
+    const known = findSubject(requested);
+    const subject = known ? known.id : requested;
+    const candidates = [
+      templateKey(subject, gradeBand, mode),
+      templateKey(subject, 'any', mode),
+      templateKey(DEFAULT_SUBJECT, gradeBand, mode),
+      templateKey(DEFAULT_SUBJECT, 'any', mode)
+    ];
+
+    const row = candidates.map(key => templates.get(key)).find(Boolean);
+    const vars = { subject, subjectName: known ? known.displayName : subject, gradeBand };
+
+    if (!row) {
+      const builtIn = mode === 'solve' && builtInPrompt(subject);
+      return {
+        id: null,
+        version: 0,
+        subject: builtIn ? subject : DEFAULT_SUBJECT,
+        gradeBand: 'any',
+        mode,
+        system: renderTemplate(builtIn || DEFAULT_MODE_PROMPTS[mode] || BASE_PROMPT, vars)
+      };
+    }
+
+    return {
+      id: row.id,
+      version: row.version,
+      subject: row.subject,
+      gradeBand: row.grade_band,
+      mode: row.mode,
+      system: renderTemplate(row.body, vars)
+    };
+  }
+
+  // Drops the cache so the next resolve() sees admin changes immediately
+  function invalidate() {
+    cache = null;
+  }
+
+  return { resolve, invalidate };
+}
+
+module.exports = {
+  GRADE_BANDS,
+  PROMPT_MODES,
+  DEFAULT_SUBJECT,
+  DEFAULT_PROMPTS,
+  DEFAULT_MODE_PROMPTS,
+  PROMPT_REVISIONS,
+  renderTemplate,
+  templateSubject,
+  seedPromptTemplates,
+  applyPromptRevisions,
+  createPromptRegistry
+};
@@ -0,0 +1,137 @@
+// Rate limiting shared by every server process.
+//
+// Hits are kept in Redis as a sliding window: one sorted set per client,
+// scored by request time, trimmed to the last windowMs on every request. All
+// PM2 workers and restarts see the same counts. While Redis is unavailable the
+// limiter falls back to express-rate-limit's per-process memory store and
+// switches back as soon as the connection returns.
+//
+// Clients are keyed by user id when the request carries a valid access token
+// and by IP otherwise. Responses carry the standard RateLimit-Limit,
+// RateLimit-Remaining and RateLimit-Reset headers, plus Retry-After on 429.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
+const { MemoryStore } = rateLimit;
+
+// express-rate-limit store backed by a node-redis v4 client. getClient returns
+// the client, or null while it is not connected.
+function createRedisStore({ getClient, prefix = 'rl:', logger = console }) {
+  const fallback = new MemoryStore();
+  let windowMs;
+  let usingFallback = false;
+
+  function fallBack(error) {
+    if (!usingFallback) {
+      usingFallback = true;
+      logger.warn('Rate limiter using in-memory store', error ? { error: error.message } : {});
+    }
+  }
+
+  function recovered() {
+    if (usingFallback) {
+      usingFallback = false;
+      logger.info('Rate limiter using Redis store');
+    }
+  }
+
+  async function withRedis(command, memoryCommand) {
+    const client = getClient();
+    if (!client) {
+      fallBack();
+      return memoryCommand();
+    }
+    try {
+      const result = await command(client);
+      recovered();
+      return result;
+    } catch (error) {
+      fallBack(error);
+      return memoryCommand();
+    }
+  }
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+      fallback.init(options);
+    },
+
+    async increment(key) {
+      return withRedis(async (client) => {
+        const redisKey = prefix + key;
+        const now = Date.now();
+        const member = `${now}-${crypto.randomBytes(4).toString('hex')}`;
+
+        const [, , totalHits, oldest] = await client.multi()
+          .zRemRangeByScore(redisKey, 0, now - windowMs)
+          .zAdd(redisKey, { score: now, value: member })
+          .zCard(redisKey)
+          .zRangeWithScores(redisKey, 0, 0)
+          .pExpire(redisKey, windowMs)
+          .exec();
+
+        // The window frees a slot when its oldest hit ages out
+        const oldestAt = oldest.length > 0 ? Number(oldest[0].score) : now;
+        return { totalHits: Number(totalHits), resetTime: new Date(oldestAt + windowMs) };
+      }, () => fallback.increment(key));
+    },
+
+    // Undoes the most recent hit (skipSuccessfulRequests / skipFailedRequests)
+    async decrement(key) {
+      return withRedis(async (client) => {
+        await client.zPopMax(prefix + key);
+      }, () => fallback.decrement(key));
+    },
+
+    async resetKey(key) {
+      await fallback.resetKey(key);
+      return withRedis(async (client) => {
+        await client.del(prefix + key);
+      }, () => undefined);
+    }
+  };
+}
+
+// "user:<id>" for requests with a valid access token, "ip:<address>" otherwise.
+// Limiters run before authentication, so the token is only checked for its
+// signature here; revoked sessions are still rejected by authenticateToken.
+function rateLimitKey(jwtSecret) {
+  return (req) => {
+    const authHeader = req.headers.authorization;
+    const token = authHeader && authHeader.split(' ')[1];
+    if (token) {
+      try {
+        const { userId } = jwt.verify(token, jwtSecret);
+        if (userId) return `user:${userId}`;
+      } catch (error) {
+        // Fall through to the IP
+      }
+    }
+    return `ip:${req.ip}`;
+  };
+}
+
+// options: { windowMs, max, message, prefix }. Without getClient (no Redis
+// configured) limits are kept in memory only.
+function createRateLimiter({ windowMs, max, message, prefix }, { getClient = null, jwtSecret, logger = console } = {}) {
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    keyGenerator: rateLimitKey(jwtSecret),
+    store: getClient ? createRedisStore({ getClient, prefix, logger }) : new MemoryStore(),
+    message: { error: message }
+  });
+}
+
+module.exports = {
+  createRedisStore,
+  createRateLimiter,
+  rateLimitKey
+};
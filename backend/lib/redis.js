@@ -0,0 +1,75 @@
+// Optional Redis connection shared by rate limiting and usage tracking.
+//
+// connect() gives up waiting after connectTimeoutMs so the server starts
+// without Redis; the client keeps reconnecting in the background and callers
+// see it again through getClient() once it is up.
+
+const redis = require('redis');
+
+function createRedisConnection({ host, port, password, connectTimeoutMs }, logger) {
+  let connected = false;
+
+  const client = redis.createClient({
+    socket: {
+      host,
+      port,
+      connectTimeout: connectTimeoutMs,
+      reconnectStrategy: (retries) => Math.min(retries * 500, 10000)
+    },
+    password,
+    // Fail commands right away while disconnected instead of queueing them
+    disableOfflineQueue: true
+  });
+
+  client.on('error', (err) => {
+    // Only log the first error of an outage, not every reconnect attempt
+    if (connected) {
+      logger.error('Redis Client Error', err);
+    }
+    connected = false;
+  });
+
+  client.on('ready', () => {
+    logger.info('Redis connected successfully');
+    connected = true;
+  });
+
+  client.on('end', () => {
+    connected = false;
+  });
+
+  async function connect() {
+    const connecting = client.connect();
+    connecting.catch(() => {});
+    let timer;
+    try {
+      await Promise.race([
+        connecting,
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`No connection after ${connectTimeoutMs}ms`)), connectTimeoutMs);
+        })
+      ]);
+      return true;
+    } catch (error) {
+      logger.error('Failed to connect to Redis, continuing without it:', { error: error.message });
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async function close() {
+    if (!client.isOpen) return;
+    await (connected ? client.quit() : client.disconnect());
+  }
+
+  return {
+    connect,
+    close,
+    isConnected: () => connected,
+    // The client while connected, otherwise null
+    getClient: () => (connected ? client : null)
+  };
+}
+
+module.exports = { createRedisConnection };
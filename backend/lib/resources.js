@@ -0,0 +1,126 @@
+// Curated learning resource catalog.
+//
+// Resources live in the learning_resources table, keyed by subject (NULL means
+// "any subject") and tagged with topics. A question is matched by counting the
+// tags that appear in it; ties fall back to each resource's priority. The
+// table is seeded with DEFAULT_RESOURCES the first time it is empty, after
+// which admins edit it through /api/v1/admin/resources.
+
+const { findSubject } = require('./subjects');
+
+const RESOURCE_TYPES = ['video', 'article', 'interactive'];
+
+// Subject id for any spelling the app or an admin uses, or null
+function normalizeResourceSubject(subject) {
+  const match = findSubject(subject);
+  return match ? match.id : null;
+}
+
+const resource = (subject, title, type, url, description, icon, tags = [], priority = 0) =>
+  ({ subject, title, type, url, description, icon, tags, priority });
+
+const DEFAULT_RESOURCES = [
+  resource('math', 'Khan Academy - Math', 'video', 'https://www.khanacademy.org/math', 'Free video lessons and practice', 'play.rectangle.fill', [], 10),
+  resource('math', 'Wolfram Alpha', 'interactive', 'https://www.wolframalpha.com', 'Step-by-step solutions calculator', 'function', ['integral', 'derivative', 'solve', 'equation', 'factor', 'simplify'], 5),
+  resource('math', 'Desmos Graphing Calculator', 'interactive', 'https://www.desmos.com/calculator', 'Visualize equations and functions', 'chart.line.uptrend.xyaxis', ['graph', 'function', 'slope', 'linear', 'quadratic', 'parabola', 'intercept'], 5),
+  resource('math', 'Khan Academy - Algebra 1', 'video', 'https://www.khanacademy.org/math/algebra', 'Equations, inequalities and functions', 'x.squareroot', ['algebra', 'equation', 'inequality', 'linear', 'variable', 'solve for x']),
+  resource('math', 'Khan Academy - Geometry', 'video', 'https://www.khanacademy.org/math/geometry', 'Angles, triangles, circles and proofs', 'triangle', ['geometry', 'triangle', 'angle', 'circle', 'area', 'perimeter', 'volume', 'pythagorean']),
+  resource('math', 'Khan Academy - Trigonometry', 'video', 'https://www.khanacademy.org/math/trigonometry', 'Sine, cosine, tangent and the unit circle', 'waveform', ['trigonometry', 'sine', 'cosine', 'tangent', 'sin', 'cos', 'tan', 'unit circle']),
+  resource('math', 'Paul\'s Online Math Notes - Calculus', 'article', 'https://tutorial.math.lamar.edu', 'Worked calculus notes and examples', 'sum', ['calculus', 'derivative', 'integral', 'limit', 'differentiate', 'integrate', 'integration']),
+  resource('math', 'Khan Academy - Statistics and Probability', 'video', 'https://www.khanacademy.org/math/statistics-probability', 'Data, distributions and probability', 'chart.bar', ['probability', 'statistics', 'mean', 'median', 'mode', 'standard deviation', 'distribution']),
+
+  resource('physics', 'Physics Classroom', 'article', 'https://www.physicsclassroom.com', 'Interactive physics tutorials', 'atom', ['force', 'motion', 'velocity', 'acceleration', 'momentum', 'newton'], 10),
+  resource('physics', 'PhET Simulations', 'interactive', 'https://phet.colorado.edu', 'Interactive physics simulations', 'waveform.circle', ['circuit', 'wave', 'projectile', 'pendulum', 'spring', 'energy'], 5),
+  resource('physics', 'HyperPhysics', 'article', 'http://hyperphysics.phy-astr.gsu.edu/hbase/hframe.html', 'Concept maps for physics topics', 'point.3.connected.trianglepath.dotted', ['electricity', 'magnetism', 'optics', 'thermodynamics', 'quantum', 'relativity']),
+
+  resource('chemistry', 'ChemLibreTexts', 'article', 'https://chem.libretexts.org', 'Open-access chemistry textbooks', 'atom', [], 10),
+  resource('chemistry', 'Periodic Table', 'interactive', 'https://ptable.com', 'Interactive periodic table', 'square.grid.3x3', ['element', 'periodic', 'atomic', 'electron', 'valence', 'isotope'], 5),
+  resource('chemistry', 'Khan Academy - Stoichiometry', 'video', 'https://www.khanacademy.org/science/chemistry/chemical-reactions-stoichiome', 'Balancing equations and mole calculations', 'scalemass', ['balance', 'stoichiometry', 'mole', 'molar', 'reaction', 'limiting reagent', 'yield']),
+  resource('chemistry', 'PhET - Acid-Base Solutions', 'interactive', 'https://phet.colorado.edu/en/simulations/acid-base-solutions', 'Explore pH, acids and bases', 'drop', ['acid', 'base', 'ph', 'titration', 'buffer']),
+
+  resource('biology', 'Crash Course Biology', 'video', 'https://www.youtube.com/playlist?list=PL3EED4C1D684D3ADF', 'Engaging biology video series', 'play.rectangle.fill', [], 10),
+  resource('biology', 'Biology LibreTexts', 'article', 'https://bio.libretexts.org', 'Comprehensive biology resources', 'leaf', [], 5),
+  resource('biology', 'Learn.Genetics', 'interactive', 'https://learn.genetics.utah.edu', 'Interactive genetics and cell biology', 'allergens', ['dna', 'gene', 'genetics', 'heredity', 'mutation', 'punnett', 'cell', 'protein']),
+
+  resource('history', 'History.com', 'article', 'https://www.history.com', 'Historical articles and videos', 'book.closed', [], 10),
+  resource('history', 'Crash Course History', 'video', 'https://www.youtube.com/c/crashcourse', 'World history video series', 'play.rectangle.fill', [], 5),
+  resource('history', 'National Archives - Founding Documents', 'article', 'https://www.archives.gov/founding-docs', 'Constitution, Declaration and Bill of Rights', 'doc.text', ['constitution', 'declaration of independence', 'bill of rights', 'amendment', 'founding']),
+
+  resource('english', 'Purdue OWL', 'article', 'https://owl.purdue.edu', 'Writing and grammar guides', 'pencil.circle', ['essay', 'grammar', 'citation', 'mla', 'apa', 'thesis', 'paragraph'], 10),
+  resource('english', 'SparkNotes', 'article', 'https://www.sparknotes.com', 'Literature guides and analysis', 'book', ['novel', 'poem', 'theme', 'character', 'shakespeare', 'symbolism'], 5),
+
+  resource('computerScience', 'GeeksforGeeks', 'article', 'https://www.geeksforgeeks.org', 'Programming tutorials and examples', 'chevron.left.forwardslash.chevron.right', [], 10),
+  resource('computerScience', 'Visualgo', 'interactive', 'https://visualgo.net', 'Algorithm visualizations', 'chart.bar.doc.horizontal', ['sort', 'sorting', 'graph', 'tree', 'linked list', 'hash', 'heap', 'binary search'], 5),
+  resource('programming', 'GeeksforGeeks', 'article', 'https://www.geeksforgeeks.org', 'Programming tutorials and examples', 'chevron.left.forwardslash.chevron.right', [], 10),
+  resource('programming', 'MDN Web Docs', 'article', 'https://developer.mozilla.org', 'Reference for JavaScript, HTML and CSS', 'globe', ['javascript', 'html', 'css', 'dom', 'web']),
+  resource('programming', 'Python Tutorial', 'article', 'https://docs.python.org/3/tutorial/', 'The official Python tutorial', 'terminal', ['python', 'list comprehension', 'dictionary', 'tuple']),
+
+  resource('science', 'Khan Academy - Science', 'video', 'https://www.khanacademy.org/science', 'Free science lessons and practice', 'play.rectangle.fill', [], 10),
+  resource('science', 'Science Daily', 'article', 'https://www.sciencedaily.com', 'Latest science news and research', 'newspaper', [], 5),
+
+  resource('other', 'Google Scholar', 'article', 'https://scholar.google.com', 'Academic papers and resources', 'magnifyingglass.circle', [], 10),
+
+  resource(null, 'Wikipedia', 'article', 'https://wikipedia.org', 'General reference encyclopedia', 'globe', [], 0)
+];
+
+// Inserts DEFAULT_RESOURCES when the catalog is empty
+async function seedResources(pool) {
+  const existing = await pool.query('SELECT COUNT(*) FROM learning_resources');
+  if (parseInt(existing.rows[0].count) > 0) return 0;
+
+  for (const item of DEFAULT_RESOURCES) {
+    await pool.query(
+      'INSERT INTO learning_resources (subject, title, type, url, description, icon, tags, priority) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+      [item.subject, item.title, item.type, item.url, item.description, item.icon, item.tags, item.priority]
+    );
+  }
+  return DEFAULT_RESOURCES.length;
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Number of the resource's tags found in the text (whole words or their
+// plurals, case-insensitive)
+function countTagMatches(tags, text) {
+  const haystack = text.toLowerCase();
+  return (tags || []).filter(tag => {
+    const needle = tag.trim().toLowerCase();
+    return needle && new RegExp(`(^|[^a-z0-9])${escapeRegExp(needle)}(e?s)?($|[^a-z0-9])`).test(haystack);
+  }).length;
+}
+
+// Orders subject resources by tag matches then priority, and appends the
+// general (subject-less) ones after them
+function rankResources(rows, text, limit) {
+  const scored = rows.map(row => ({ row, matches: countTagMatches(row.tags, text) }));
+  const bySubject = scored
+    .filter(entry => entry.row.subject)
+    .sort((a, b) => b.matches - a.matches || b.row.priority - a.row.priority || a.row.id - b.row.id);
+  const general = scored
+    .filter(entry => !entry.row.subject)
+    .sort((a, b) => b.row.priority - a.row.priority || a.row.id - b.row.id);
+
+  return [...bySubject.slice(0, limit), ...general].map(entry => ({ ...entry.row, matches: entry.matches }));
+}
+
+function formatResource(row) {
+  return {
+    title: row.title,
+    type: row.type,
+    url: row.url,
+    description: row.description,
+    icon: row.icon
+  };
+}
+
+module.exports = {
+  RESOURCE_TYPES,
+  DEFAULT_RESOURCES,
+  normalizeResourceSubject,
+  seedResources,
+  countTagMatches,
+  rankResources,
+  formatResource
+};
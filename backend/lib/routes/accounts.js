@@ -0,0 +1,272 @@
+// Email/password accounts: registration, login, logout, password change and
+// password reset. Mounted under /api/v1/auth next to the device login.
+//
+// Device-only users can attach an email with /link-email; afterwards logging in
+// with that email from any device returns the same user and problem history.
+
+const express = require('express');
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { body, validationResult } = require('express-validator');
+
+const BCRYPT_ROUNDS = 12;
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+// Compared against when the email is unknown so login timing does not reveal
+// which addresses have accounts
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+const emailField = () => body('email').isString().trim().toLowerCase().isEmail().isLength({ max: 255 });
+// bcrypt only uses the first 72 bytes of a password
+const passwordField = (field) => body(field).isString().isLength({ min: 8, max: 72 });
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function createAccountRoutes({ pool, logger, mailer, authenticateToken, startSession, passwordResetUrl }) {
+  const router = express.Router();
+
+  async function findUserByEmail(email) {
+    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+    return result.rows[0];
+  }
+
+  // Create an email account (not tied to any device). Parents register with
+  // accountType "parent" to link their children's accounts, and teachers with
+  // "teacher" to run classes once an admin has approved them.
+  router.post('/register', [
+    emailField(),
+    passwordField('password'),
+    body('accountType').optional().isIn(['student', 'parent', 'teacher']),
+    body('deviceModel').optional().isString().isLength({ max: 100 }),
+    body('osVersion').optional().isString().isLength({ max: 50 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { email, password, accountType = 'student', deviceModel, osVersion } = req.body;
+
+      if (await findUserByEmail(email)) {
+        return res.status(409).json({ error: 'An account with this email already exists' });
+      }
+
+      const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      const result = await pool.query(
+        'INSERT INTO users (device_id, email, password_hash, account_type) VALUES ($1, $2, $3, $4) RETURNING *',
+        [`account:${crypto.randomUUID()}`, email, passwordHash, accountType]
+      );
+
+      res.status(201).json(await startSession(result.rows[0], { deviceModel, osVersion }));
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'An account with this email already exists' });
+      }
+      logger.error('Register error:', error);
+      res.status(500).json({ error: 'Registration failed' });
+    }
+  });
+
+  router.post('/login', [
+    emailField(),
+    body('password').isString().notEmpty(),
+    body('deviceModel').optional().isString().isLength({ max: 100 }),
+    body('osVersion').optional().isString().isLength({ max: 50 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { email, password, deviceModel, osVersion } = req.body;
+      const user = await findUserByEmail(email);
+
+      const valid = await bcrypt.compare(password, user?.password_hash || DUMMY_PASSWORD_HASH);
+      if (!user || !user.password_hash || !valid) {
+        logger.warn('Failed login attempt', { email });
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      res.json(await startSession(user, { deviceModel, osVersion }));
+    } catch (error) {
+      logger.error('Login error:', error);
+      res.status(500).json({ error: 'Login failed' });
+    }
+  });
+
+  // Revokes the current session, or every session with { allDevices: true }
+  router.post('/logout', authenticateToken, [
+    body('allDevices').optional().isBoolean()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      if (req.body.allDevices) {
+        await pool.query('DELETE FROM sessions WHERE user_id = $1', [req.user.id]);
+      } else {
+        await pool.query('DELETE FROM sessions WHERE token = $1', [req.sessionToken]);
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Logout error:', error);
+      res.status(500).json({ error: 'Logout failed' });
+    }
+  });
+
+  // Attach an email and password to the current (device-only) user
+  router.post('/link-email', authenticateToken, [
+    emailField(),
+    passwordField('password')
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { email, password } = req.body;
+
+      if (req.user.email) {
+        return res.status(409).json({ error: 'This account already has an email address' });
+      }
+
+      const existing = await findUserByEmail(email);
+      if (existing) {
+        return res.status(409).json({ error: 'An account with this email already exists' });
+      }
+
+      const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      const result = await pool.query(
+        'UPDATE users SET email = $1, password_hash = $2, updated_at = NOW() WHERE id = $3 RETURNING *',
+        [email, passwordHash, req.user.id]
+      );
+
+      logger.info('Email linked to device account', { userId: req.user.id });
+      res.json({ success: true, email: result.rows[0].email });
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'An account with this email already exists' });
+      }
+      logger.error('Link email error:', error);
+      res.status(500).json({ error: 'Failed to link email' });
+    }
+  });
+
+  // Change password; other sessions are signed out
+  router.post('/password', authenticateToken, [
+    body('currentPassword').isString().notEmpty(),
+    passwordField('newPassword')
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      if (!req.user.password_hash || !(await bcrypt.compare(currentPassword, req.user.password_hash))) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
+      }
+
+      const passwordHash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+      await pool.query(
+        'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+        [passwordHash, req.user.id]
+      );
+      await pool.query(
+        'DELETE FROM sessions WHERE user_id = $1 AND token <> $2',
+        [req.user.id, req.sessionToken]
+      );
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Change password error:', error);
+      res.status(500).json({ error: 'Failed to change password' });
+    }
+  });
+
+  // Always responds with success so the endpoint cannot be used to probe for accounts
+  router.post('/password-reset/request', [emailField()], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const user = await findUserByEmail(req.body.email);
+
+      if (user) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+        // Only the newest link is valid
+        await pool.query(
+          'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL',
+          [user.id]
+        );
+        await pool.query(
+          'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+          [user.id, hashResetToken(token), expiresAt]
+        );
+
+        await mailer.send({
+          to: user.email,
+          subject: 'Reset your AI Homework Helper password',
+          text: [
+            'We received a request to reset your password.',
+            '',
+            `Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new one:`,
+            `${passwordResetUrl}?token=${token}`,
+            '',
+            'If you did not ask for this, you can ignore this email.'
+          ].join('\n')
+        });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Password reset request error:', error);
+      res.status(500).json({ error: 'Failed to request password reset' });
+    }
+  });
+
+  // Sets a new password from an emailed token and signs out every session
+  router.post('/password-reset/confirm', [
+    body('token').isString().isLength({ min: 64, max: 64 }),
+    passwordField('newPassword')
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { token, newPassword } = req.body;
+
+      const result = await pool.query(
+        'SELECT * FROM password_reset_tokens WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()',
+        [hashResetToken(token)]
+      );
+      const resetToken = result.rows[0];
+
+      if (!resetToken) {
+        return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+      }
+
+      const passwordHash = await bcrypt.hash(newPassword, BCRYPT_ROUNDS);
+      await pool.query(
+        'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+        [passwordHash, resetToken.user_id]
+      );
+      await pool.query('UPDATE password_reset_tokens SET used_at = NOW() WHERE id = $1', [resetToken.id]);
+      await pool.query('DELETE FROM sessions WHERE user_id = $1', [resetToken.user_id]);
+
+      logger.info('Password reset completed', { userId: resetToken.user_id });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Password reset confirm error:', error);
+      res.status(500).json({ error: 'Failed to reset password' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAccountRoutes };
@@ -0,0 +1,74 @@
+// Operator endpoints. Mounted at /api/v1/admin; everything here requires
+// the X-Admin-Key header (see requireAdmin).
+//
+// Rating aggregates and the resource catalog live with their own routers
+// (ratings.js, resources.js) under the same prefix.
+
+const express = require('express');
+const { createPromptRoutes } = require('./prompts');
+const { createSolutionCacheRoutes } = require('./solutionCache');
+const { createTeacherRoutes } = require('./teachers');
+
+function createAdminRoutes({ pool, logger, requireAdmin, prompts, solutionCache, solveJobs, redis }) {
+  const router = express.Router();
+
+  // Prompt template versions
+  router.use('/prompts', createPromptRoutes({
+    pool,
+    logger,
+    requireAdmin,
+    prompts
+  }));
+
+  // Cached solutions: listing and invalidation
+  router.use('/solution-cache', createSolutionCacheRoutes({
+    logger,
+    requireAdmin,
+    solutionCache
+  }));
+
+  // Teacher accounts waiting for approval
+  router.use('/teachers', createTeacherRoutes({
+    pool,
+    logger,
+    requireAdmin
+  }));
+
+  router.get('/stats', requireAdmin, async (req, res) => {
+    try {
+      const stats = await pool.query(`
+        SELECT
+          (SELECT COUNT(*) FROM users) as total_users,
+          (SELECT COUNT(*) FROM users WHERE is_premium = true) as premium_users,
+          (SELECT COUNT(*) FROM problems) as total_problems,
+          (SELECT SUM(cost_cents) FROM api_usage WHERE date = CURRENT_DATE) as daily_cost_cents,
+          (SELECT SUM(tokens_used) FROM api_usage WHERE date = CURRENT_DATE) as daily_tokens,
+          (SELECT SUM(count) FROM api_usage WHERE date = CURRENT_DATE AND endpoint = 'homework_solve_cached') as daily_cache_hits,
+          (SELECT SUM(count) FROM api_usage WHERE date = CURRENT_DATE AND endpoint = 'homework_solve') as daily_cache_misses,
+          (SELECT COUNT(*) FROM solution_cache WHERE expires_at > NOW()) as cached_solutions,
+          (SELECT COUNT(*) FROM integrity_decisions WHERE decision = 'block' AND created_at::date = CURRENT_DATE) as daily_integrity_blocks,
+          (SELECT COUNT(*) FROM integrity_appeals WHERE status = 'pending') as pending_integrity_appeals,
+          (SELECT COUNT(*) FROM problems WHERE regenerated = true AND created_at::date = CURRENT_DATE) as daily_regenerated_solutions,
+          (SELECT COUNT(*) FROM problems WHERE verification_status = 'failed' AND created_at::date = CURRENT_DATE) as daily_unverified_solutions
+      `);
+
+      // Share of today's solves answered from the solution cache
+      const hits = Number(stats.rows[0].daily_cache_hits) || 0;
+      const misses = Number(stats.rows[0].daily_cache_misses) || 0;
+
+      res.json({
+        ...stats.rows[0],
+        cache_hit_rate: hits + misses > 0 ? hits / (hits + misses) : null,
+        solve_queue_depth: await solveJobs.depth(),
+        ...(redis ? { redis: redis.isConnected() ? 'connected' : 'disconnected' } : {})
+      });
+    } catch (error) {
+      logger.error('Stats error:', error);
+      res.status(500).json({ error: 'Failed to get stats' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRoutes };
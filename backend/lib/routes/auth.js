@@ -0,0 +1,67 @@
+// Sign-in: anonymous device login plus email/password accounts.
+// Mounted at /api/v1/auth.
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { createAccountRoutes } = require('./accounts');
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+const validateDeviceAuth = [
+  body('deviceId').isString().notEmpty().isLength({ max: 255 })
+    // Email accounts get an internal account:<uuid> device id (routes/accounts.js);
+    // they must sign in with their password, not through this endpoint
+    .not().matches(/^account:/).withMessage('Invalid device id'),
+  body('deviceModel').optional().isString().isLength({ max: 100 }),
+  body('osVersion').optional().isString().isLength({ max: 50 })
+];
+
+function createAuthRoutes({ pool, logger, mailer, authenticateToken, startSession, passwordResetUrl }) {
+  const router = express.Router();
+
+  // Creates the device's user on first login
+  router.post('/device', validateDeviceAuth, async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { deviceId, deviceModel, osVersion } = req.body;
+
+      let user = await pool.query(
+        'SELECT * FROM users WHERE device_id = $1',
+        [deviceId]
+      );
+
+      if (user.rows.length === 0) {
+        user = await pool.query(
+          'INSERT INTO users (device_id) VALUES ($1) RETURNING *',
+          [deviceId]
+        );
+      }
+
+      res.json(await startSession(user.rows[0], { deviceModel, osVersion }));
+    } catch (error) {
+      logger.error('Auth error:', error);
+      res.status(500).json({ error: 'Authentication failed' });
+    }
+  });
+
+  router.use(createAccountRoutes({
+    pool,
+    logger,
+    mailer,
+    authenticateToken,
+    startSession,
+    passwordResetUrl
+  }));
+
+  return router;
+}
+
+module.exports = { createAuthRoutes };
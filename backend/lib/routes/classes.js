@@ -0,0 +1,417 @@
+// Classroom mode. Mounted at /api/v1/classes; every endpoint needs a signed-in
+// user.
+//
+// Teacher accounts (registered with accountType "teacher", then approved by an
+// admin) create classes, set their policies (see lib/classrooms.js), hand out
+// the join code and watch a roster of their students' solves. Students join
+// with the code; only the teacher can take them out of the class again, so a
+// blackout can't be dodged by leaving.
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { createJoinCode, SOLUTION_MODES } = require('../classrooms');
+
+const MAX_BLACKOUT_WINDOWS = 50;
+const MAX_ROSTER_DAYS = 90;
+// Attempts at a join code no other class is using
+const JOIN_CODE_ATTEMPTS = 5;
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+// What students see of a class they're in
+function formatMembership(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    allowedSubjects: row.allowed_subjects,
+    solutionMode: row.solution_mode,
+    blackoutWindows: row.blackout_windows || [],
+    joinedAt: row.joined_at
+  };
+}
+
+// What the teacher sees
+function formatClass(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    joinCode: row.join_code,
+    allowedSubjects: row.allowed_subjects,
+    solutionMode: row.solution_mode,
+    blackoutWindows: row.blackout_windows || [],
+    ...(row.student_count !== undefined ? { studentCount: Number(row.student_count) } : {}),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Teacher accounts are approved by an admin first (routes/teachers.js)
+function requireTeacher(req, res, next) {
+  if (req.user.account_type !== 'teacher') {
+    return res.status(403).json({ error: 'A teacher account is required' });
+  }
+  if (!req.user.teacher_approved_at) {
+    return res.status(403).json({
+      error: 'Your teacher account is waiting for approval.',
+      code: 'teacher_approval_pending'
+    });
+  }
+  next();
+}
+
+function createClassRoutes({ pool, logger, authenticateToken, subjects, classrooms }) {
+  const router = express.Router();
+  router.use(authenticateToken);
+
+  const classFields = (optional) => [
+    (optional ? body('name').optional() : body('name')).isString().trim().isLength({ min: 1, max: 100 }),
+    // null (the default) allows every subject; ids, names and aliases are accepted
+    body('allowedSubjects').optional({ nullable: true }).isArray({ min: 1, max: 50 }).bail()
+      .custom(values => {
+        for (const value of values) {
+          if (!subjects.resolve(value)) throw new Error(`Unknown subject: ${value}`);
+        }
+        return true;
+      })
+      .bail()
+      .customSanitizer(values => [...new Set(values.map(value => subjects.resolve(value).id))]),
+    body('solutionMode').optional().isIn(SOLUTION_MODES),
+    body('blackoutWindows').optional().isArray({ max: MAX_BLACKOUT_WINDOWS }).bail()
+      .custom(windows => {
+        for (const window of windows) {
+          const startsAt = Date.parse(window?.startsAt);
+          const endsAt = Date.parse(window?.endsAt);
+          if (Number.isNaN(startsAt) || Number.isNaN(endsAt) || endsAt <= startsAt) {
+            throw new Error('Each blackout window needs a startsAt before its endsAt');
+          }
+          if (window.label !== undefined && (typeof window.label !== 'string' || window.label.length > 100)) {
+            throw new Error('Blackout window labels are strings of up to 100 characters');
+          }
+        }
+        return true;
+      })
+      .bail()
+      .customSanitizer(windows => windows.map(window => ({
+        startsAt: new Date(window.startsAt).toISOString(),
+        endsAt: new Date(window.endsAt).toISOString(),
+        label: window.label || null
+      })))
+  ];
+
+  const classParam = param('id').isInt({ min: 1 }).toInt();
+
+  // Adds student_count to rows of the teacher's classes
+  async function withStudentCounts(teacherId, rows) {
+    const result = await pool.query(`
+      SELECT m.class_id, COUNT(*) AS student_count FROM class_members m
+      JOIN classes c ON c.id = m.class_id
+      WHERE c.teacher_id = $1
+      GROUP BY m.class_id
+    `, [teacherId]);
+    const counts = new Map(result.rows.map(row => [row.class_id, row.student_count]));
+    return rows.map(row => ({ ...row, student_count: counts.get(row.id) || 0 }));
+  }
+
+  // The teacher's own class, or null (someone else's looks the same as a missing one)
+  async function findClass(teacherId, classId) {
+    const result = await pool.query(
+      'SELECT * FROM classes WHERE id = $1 AND teacher_id = $2',
+      [classId, teacherId]
+    );
+    if (result.rows.length === 0) return null;
+    return (await withStudentCounts(teacherId, result.rows))[0];
+  }
+
+  // Runs `save(code)` with fresh join codes until one isn't taken
+  async function withJoinCode(save) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await save(createJoinCode());
+      } catch (error) {
+        if (error.code !== '23505' || attempt >= JOIN_CODE_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  // Teachers get the classes they teach; everyone else the classes they're in
+  router.get('/', async (req, res) => {
+    try {
+      if (req.user.account_type === 'teacher') {
+        const result = await pool.query(
+          'SELECT * FROM classes WHERE teacher_id = $1 ORDER BY created_at',
+          [req.user.id]
+        );
+        const rows = await withStudentCounts(req.user.id, result.rows);
+        return res.json({ classes: rows.map(formatClass) });
+      }
+
+      const result = await pool.query(`
+        SELECT c.*, m.joined_at FROM class_members m
+        JOIN classes c ON c.id = m.class_id
+        WHERE m.student_id = $1
+        ORDER BY m.joined_at
+      `, [req.user.id]);
+      res.json({ classes: result.rows.map(formatMembership) });
+    } catch (error) {
+      logger.error('List classes error:', error);
+      res.status(500).json({ error: 'Failed to list classes' });
+    }
+  });
+
+  router.post('/', requireTeacher, classFields(false), async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { name, allowedSubjects = null, solutionMode = 'full', blackoutWindows = [] } = req.body;
+
+      const row = await withJoinCode(async (code) => {
+        const result = await pool.query(`
+          INSERT INTO classes (teacher_id, name, join_code, allowed_subjects, solution_mode, blackout_windows)
+          VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
+        `, [
+          req.user.id,
+          name,
+          code,
+          allowedSubjects === null ? null : JSON.stringify(allowedSubjects),
+          solutionMode,
+          JSON.stringify(blackoutWindows)
+        ]);
+        return result.rows[0];
+      });
+
+      logger.info('Class created', { teacherId: req.user.id, classId: row.id });
+      res.status(201).json(formatClass({ ...row, student_count: 0 }));
+    } catch (error) {
+      logger.error('Create class error:', error);
+      res.status(500).json({ error: 'Failed to create class' });
+    }
+  });
+
+  // Students join with the code their teacher shares
+  router.post('/join', [
+    body('code').isString().isLength({ min: 4, max: 20 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      if ((req.user.account_type || 'student') !== 'student') {
+        return res.status(400).json({ error: 'Only student accounts can join a class' });
+      }
+
+      const found = await classrooms.findByJoinCode(req.body.code);
+      if (!found) {
+        return res.status(400).json({ error: 'Join code is invalid' });
+      }
+
+      await pool.query(
+        'INSERT INTO class_members (class_id, student_id) VALUES ($1, $2) ON CONFLICT (class_id, student_id) DO NOTHING',
+        [found.id, req.user.id]
+      );
+      const membership = await pool.query(
+        'SELECT joined_at FROM class_members WHERE class_id = $1 AND student_id = $2',
+        [found.id, req.user.id]
+      );
+
+      logger.info('Student joined class', { studentId: req.user.id, classId: found.id });
+      res.status(201).json(formatMembership({ ...found, joined_at: membership.rows[0].joined_at }));
+    } catch (error) {
+      logger.error('Join class error:', error);
+      res.status(500).json({ error: 'Failed to join class' });
+    }
+  });
+
+  router.get('/:id', requireTeacher, [classParam], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const row = await findClass(req.user.id, req.params.id);
+      if (!row) {
+        return res.status(404).json({ error: 'Class not found' });
+      }
+      res.json(formatClass(row));
+    } catch (error) {
+      logger.error('Get class error:', error);
+      res.status(500).json({ error: 'Failed to get class' });
+    }
+  });
+
+  // Updates the fields sent; policies apply to the next solve
+  router.put('/:id', requireTeacher, [classParam, ...classFields(true)], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const updates = {};
+      if (req.body.name !== undefined) updates.name = req.body.name;
+      if (req.body.solutionMode !== undefined) updates.solution_mode = req.body.solutionMode;
+      if (req.body.allowedSubjects !== undefined) {
+        updates.allowed_subjects = req.body.allowedSubjects === null ? null : JSON.stringify(req.body.allowedSubjects);
+      }
+      if (req.body.blackoutWindows !== undefined) {
+        updates.blackout_windows = JSON.stringify(req.body.blackoutWindows);
+      }
+
+      const columns = Object.keys(updates);
+      if (columns.length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
+
+      const assignments = columns.map((column, i) => `${column} = $${i + 3}`);
+      const result = await pool.query(
+        `UPDATE classes SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 AND teacher_id = $2 RETURNING *`,
+        [req.params.id, req.user.id, ...columns.map(column => updates[column])]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Class not found' });
+      }
+
+      logger.info('Class updated', { teacherId: req.user.id, classId: req.params.id, fields: columns });
+      res.json(formatClass(result.rows[0]));
+    } catch (error) {
+      logger.error('Update class error:', error);
+      res.status(500).json({ error: 'Failed to update class' });
+    }
+  });
+
+  router.delete('/:id', requireTeacher, [classParam], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const result = await pool.query(
+        'DELETE FROM classes WHERE id = $1 AND teacher_id = $2 RETURNING id',
+        [req.params.id, req.user.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Class not found' });
+      }
+
+      logger.info('Class deleted', { teacherId: req.user.id, classId: req.params.id });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Delete class error:', error);
+      res.status(500).json({ error: 'Failed to delete class' });
+    }
+  });
+
+  // Issues a new join code; the old one stops working, students already in stay
+  router.post('/:id/join-code', requireTeacher, [classParam], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const row = await withJoinCode(async (code) => {
+        const result = await pool.query(
+          'UPDATE classes SET join_code = $3, updated_at = NOW() WHERE id = $1 AND teacher_id = $2 RETURNING *',
+          [req.params.id, req.user.id, code]
+        );
+        return result.rows[0];
+      });
+      if (!row) {
+        return res.status(404).json({ error: 'Class not found' });
+      }
+
+      logger.info('Class join code rotated', { teacherId: req.user.id, classId: req.params.id });
+      res.json(formatClass(row));
+    } catch (error) {
+      logger.error('Rotate join code error:', error);
+      res.status(500).json({ error: 'Failed to rotate join code' });
+    }
+  });
+
+  // Each student's solves over the last `days` days, busiest first
+  router.get('/:id/roster', requireTeacher, [
+    classParam,
+    query('days').optional().isInt({ min: 1, max: MAX_ROSTER_DAYS }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const row = await findClass(req.user.id, req.params.id);
+      if (!row) {
+        return res.status(404).json({ error: 'Class not found' });
+      }
+
+      const { days = 7 } = req.query;
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+      const [members, problems] = await Promise.all([
+        pool.query(`
+          SELECT u.id, u.email, m.joined_at FROM class_members m
+          JOIN users u ON u.id = m.student_id
+          WHERE m.class_id = $1
+          ORDER BY m.joined_at
+        `, [row.id]),
+        pool.query(`
+          SELECT p.user_id, p.subject, p.created_at FROM problems p
+          JOIN class_members m ON m.student_id = p.user_id
+          WHERE m.class_id = $1 AND p.mode = 'solve' AND p.created_at >= $2
+        `, [row.id, since])
+      ]);
+
+      const students = members.rows.map(member => {
+        const solved = problems.rows.filter(problem => problem.user_id === member.id);
+        const bySubject = {};
+        for (const problem of solved) {
+          const subject = problem.subject || 'other';
+          bySubject[subject] = (bySubject[subject] || 0) + 1;
+        }
+        const lastSolveAt = solved.reduce((latest, problem) => {
+          const at = new Date(problem.created_at);
+          return !latest || at > latest ? at : latest;
+        }, null);
+
+        return {
+          id: member.id,
+          email: member.email || null,
+          joinedAt: member.joined_at,
+          solves: solved.length,
+          bySubject,
+          lastSolveAt: lastSolveAt ? lastSolveAt.toISOString() : null
+        };
+      });
+      students.sort((a, b) => b.solves - a.solves);
+
+      res.json({ class: formatClass(row), days, since: since.toISOString(), students });
+    } catch (error) {
+      logger.error('Class roster error:', error);
+      res.status(500).json({ error: 'Failed to get class roster' });
+    }
+  });
+
+  router.delete('/:id/students/:studentId', requireTeacher, [
+    classParam,
+    param('studentId').isInt({ min: 1 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      if (!await findClass(req.user.id, req.params.id)) {
+        return res.status(404).json({ error: 'Class not found' });
+      }
+
+      const result = await pool.query(
+        'DELETE FROM class_members WHERE class_id = $1 AND student_id = $2 RETURNING id',
+        [req.params.id, req.params.studentId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Student not found' });
+      }
+
+      logger.info('Student removed from class', { teacherId: req.user.id, classId: req.params.id, studentId: req.params.studentId });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Remove student error:', error);
+      res.status(500).json({ error: 'Failed to remove student' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createClassRoutes };
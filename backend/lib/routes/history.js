@@ -0,0 +1,231 @@
+// Problem history: listing, single-problem fetch and deletion. Mounted at /api/v1.
+//
+// Lists are ordered newest first by id (ids are assigned in insert order, so
+// this matches created_at). Besides limit/offset, /homework/history accepts
+// ?cursor=<nextCursor from the previous page>; a cursor pins the position to
+// the last problem seen, so deleting problems while scrolling neither skips
+// nor repeats entries.
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { findSubject } = require('../subjects');
+const { formatHints } = require('../hints');
+const { formatChecks } = require('../answerChecks');
+const { verifiedFlag } = require('../verification');
+
+const MAX_BULK_DELETE = 100;
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function formatProblem(row) {
+  return {
+    id: row.id.toString(),
+    questionText: row.question,
+    solution: row.solution,
+    subject: row.subject,
+    // Hint ladders have no solution until it is revealed, and checked
+    // answers never get one
+    mode: row.mode || 'solve',
+    hints: formatHints(row.hints),
+    checks: formatChecks(row.checks),
+    // Math and physics final answers checked locally (lib/verification.js)
+    verified: verifiedFlag(row.verification_status),
+    createdAt: row.created_at
+  };
+}
+
+const paginationFields = [
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('cursor').optional().isInt({ min: 1 }).toInt(),
+  query('subject').optional().isString().customSanitizer(value => {
+    const subject = findSubject(value);
+    return subject ? subject.id : value;
+  }),
+  query('from').optional().isISO8601().toDate(),
+  query('to').optional().isISO8601().toDate()
+];
+
+// Problem id from either /problems/:id or /homework/problem/:id
+const PROBLEM_PATHS = ['/problems/:id', '/homework/problem/:id'];
+
+function createHistoryRoutes({ pool, logger, authenticateToken }) {
+  const router = express.Router();
+
+  // WHERE clause and params for the user's problems after filters
+  function buildFilters(userId, { subject, from, to }) {
+    const conditions = ['user_id = $1'];
+    const params = [userId];
+
+    if (subject) {
+      params.push(subject);
+      conditions.push(`subject = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`created_at <= $${params.length}`);
+    }
+
+    return { conditions, params };
+  }
+
+  async function listProblems(userId, filters, { limit, offset, cursor }) {
+    const { conditions, params } = buildFilters(userId, filters);
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*) FROM problems WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+
+    const pageConditions = [...conditions];
+    const pageParams = [...params];
+    if (cursor) {
+      pageParams.push(cursor);
+      pageConditions.push(`id < $${pageParams.length}`);
+    }
+
+    // One extra row tells us whether there is another page
+    pageParams.push(limit + 1, cursor ? 0 : offset);
+    const result = await pool.query(
+      `SELECT id, question, subject, solution, mode, hints, checks, verification_status, created_at FROM problems
+       WHERE ${pageConditions.join(' AND ')}
+       ORDER BY id DESC
+       LIMIT $${pageParams.length - 1} OFFSET $${pageParams.length}`,
+      pageParams
+    );
+
+    const rows = result.rows.slice(0, limit);
+    return {
+      rows,
+      total: parseInt(countResult.rows[0].count),
+      nextCursor: result.rows.length > limit ? rows[rows.length - 1].id.toString() : null
+    };
+  }
+
+  // Client history: { problems, total, limit, offset, nextCursor }
+  router.get('/homework/history', authenticateToken, paginationFields, async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const limit = req.query.limit || 20;
+      const offset = req.query.cursor ? 0 : req.query.offset || 0;
+      const page = await listProblems(req.user.id, req.query, { limit, offset, cursor: req.query.cursor });
+
+      res.json({
+        problems: page.rows.map(formatProblem),
+        total: page.total,
+        limit,
+        offset,
+        nextCursor: page.nextCursor
+      });
+    } catch (error) {
+      logger.error('History error:', error);
+      res.status(500).json({ error: 'Failed to get history' });
+    }
+  });
+
+  // Page-based listing
+  router.get('/problems', authenticateToken, paginationFields, async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const page = req.query.page || 1;
+      const limit = req.query.limit || 20;
+      const result = await listProblems(req.user.id, req.query, { limit, offset: (page - 1) * limit });
+
+      res.json({
+        problems: result.rows,
+        pagination: {
+          page,
+          limit,
+          total: result.total,
+          totalPages: Math.ceil(result.total / limit)
+        }
+      });
+    } catch (error) {
+      logger.error('History error:', error);
+      res.status(500).json({ error: 'Failed to get history' });
+    }
+  });
+
+  // Deletes several of the user's problems at once; ids that are not theirs are ignored
+  router.post('/problems/bulk-delete', authenticateToken, [
+    body('ids').isArray({ min: 1, max: MAX_BULK_DELETE }),
+    body('ids.*').isInt({ min: 1 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { ids } = req.body;
+      const placeholders = ids.map((id, i) => `$${i + 2}`).join(', ');
+      const result = await pool.query(
+        `DELETE FROM problems WHERE user_id = $1 AND id IN (${placeholders}) RETURNING id`,
+        [req.user.id, ...ids]
+      );
+
+      logger.info('Problems deleted', { userId: req.user.id, count: result.rows.length });
+      res.json({ success: true, deleted: result.rows.map(row => row.id.toString()) });
+    } catch (error) {
+      logger.error('Bulk delete error:', error);
+      res.status(500).json({ error: 'Failed to delete problems' });
+    }
+  });
+
+  router.get(PROBLEM_PATHS, authenticateToken, [
+    param('id').isInt({ min: 1 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const result = await pool.query(
+        'SELECT id, question, subject, solution, mode, hints, checks, verification_status, created_at FROM problems WHERE id = $1 AND user_id = $2',
+        [req.params.id, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Problem not found' });
+      }
+      res.json(formatProblem(result.rows[0]));
+    } catch (error) {
+      logger.error('Get problem error:', error);
+      res.status(500).json({ error: 'Failed to get problem' });
+    }
+  });
+
+  router.delete(PROBLEM_PATHS, authenticateToken, [
+    param('id').isInt({ min: 1 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const result = await pool.query(
+        'DELETE FROM problems WHERE id = $1 AND user_id = $2 RETURNING id',
+        [req.params.id, req.user.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Problem not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Delete problem error:', error);
+      res.status(500).json({ error: 'Failed to delete problem' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createHistoryRoutes, formatProblem };
@@ -0,0 +1,923 @@
+// Homework solving. Mounted at /api/v1/homework.
+//
+// Send `Accept: text/event-stream` or use /solve/stream to receive tokens as
+// they arrive; otherwise the full solution comes back as JSON. Questions
+// answered from the solution cache (lib/solutionCache.js) come back with
+// `cached: true` and still count toward the daily free solves.
+//
+// With `Prefer: respond-async` (or `"async": true`) /solve queues the work
+// instead and answers 202 with a job to poll at /jobs/:id; the queue answers
+// 503 once SOLVE_JOB_MAX_QUEUE jobs are waiting.
+//
+// /hint gives progressive hints instead (lib/hints.js), and
+// /problem/:id/solution reveals the full solution once they've been used.
+// /check grades the student's own worked answer without solving it
+// (lib/answerChecks.js).
+//
+// Math and physics solutions carry `verified` (true, false, or null when
+// nothing could be checked) from the local checks in lib/verification.js. A
+// synchronous or queued solve that fails them is regenerated once; streamed
+// solves are already on the client, so they are only flagged.
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { estimateTokens, estimatePromptTokens } = require('../llm');
+const { parseImageData, buildUserContent, InvalidImageError } = require('../images');
+const { openEventStream, wantsEventStream } = require('../sse');
+const { GRADE_BANDS } = require('../prompts');
+const { BudgetExceededError } = require('../usage');
+const { QueueFullError, TooManyJobsError } = require('../jobQueue');
+const { SolveRejectedError } = require('../solveChecks');
+const { dailySolveLimit, dailyHintLimit, UNLIMITED_SOLVES } = require('../auth');
+const { MAX_HINT_LEVEL, formatHints, canRevealSolution, buildHintMessages } = require('../hints');
+const { formatChecks, buildCheckMessages, parseCheckResult } = require('../answerChecks');
+const { verifiedFlag } = require('../verification');
+
+const JOB_POLL_SECONDS = 2;
+const BUSY_MESSAGE = 'Service temporarily unavailable due to high demand. Please try again later.';
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+// Builds the chat messages sent to the LLM for a solve request.
+// prompt comes from prompts.resolve(); image is the result of parseImageData(),
+// or null for text-only questions.
+function buildSolveMessages(question, prompt, image) {
+  return [
+    {
+      role: 'system',
+      content: prompt.system
+    },
+    {
+      role: 'user',
+      content: buildUserContent(
+        question ?
+          `Please help me understand this problem: ${question}` :
+          'Please help me understand the problem shown in this image.',
+        image
+      )
+    }
+  ];
+}
+
+// The solve messages plus the student's own attempt, for revealing a solution
+function buildRevealMessages(question, prompt, attempt) {
+  const messages = buildSolveMessages(question, prompt, null);
+  if (attempt) {
+    messages.push({
+      role: 'user',
+      content: `This is what I tried: ${attempt}\nPlease point out where my attempt went wrong, if it did.`
+    });
+  }
+  return messages;
+}
+
+// The solve messages plus the failed solution and a request to fix it
+function buildRegenerateMessages(messages, solution) {
+  return [
+    ...messages,
+    { role: 'assistant', content: solution },
+    {
+      role: 'user',
+      content: 'Checking your final answer against the problem, it does not work out. Re-check each step and give the corrected solution, ending with a line that starts "Final answer:".'
+    }
+  ];
+}
+
+function dailySolvesRemaining(user) {
+  const limit = dailySolveLimit(user);
+  return limit === null ? UNLIMITED_SOLVES : limit - user.daily_solves_used - 1;
+}
+
+function dailyHintsRemaining(user) {
+  const limit = dailyHintLimit(user);
+  return limit === null ? UNLIMITED_SOLVES : limit - (user.daily_hints_used || 0) - 1;
+}
+
+// A hint ladder as the client sees it; hintOnly is true in hint-only classes
+function formatHintProblem(row, { hintOnly = false } = {}) {
+  const hints = formatHints(row.hints);
+  return {
+    problemId: row.id.toString(),
+    question: row.question,
+    subject: row.subject,
+    level: hints.length,
+    hints,
+    hintsRemaining: MAX_HINT_LEVEL - hints.length,
+    canRevealSolution: !hintOnly && canRevealSolution(row),
+    revealed: Boolean(row.revealed_at)
+  };
+}
+
+function wantsAsync(req) {
+  return req.body.async === true || /\brespond-async\b/.test(req.get('prefer') || '');
+}
+
+function formatJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    ...(job.status === 'done' ? { result: job.result } : {}),
+    ...(job.status === 'failed' ? { error: job.error } : {})
+  };
+}
+
+function createHomeworkRoutes({ pool, logger, authenticateToken, llm, prompts, subjects, usage, solutionCache, solveJobs, checks, verifier, imageLimits }) {
+  const router = express.Router();
+  const { checkAccess, rejectHintOnly, rejectDailySolves, checkDailySolves, checkDailyHints, checkIntegrity, checkUsage } = checks;
+
+  const validateSolveRequest = [
+    // question may be omitted when a photo of the problem is attached
+    body('question').custom((value, { req }) => {
+      if (!req.body.imageData && !(typeof value === 'string' && value.trim())) {
+        throw new Error('question is required when no image is provided');
+      }
+      return true;
+    }),
+    body('question').optional().isString().isLength({ max: 5000 }),
+    // Accepts ids, the app's display names ("Mathematics") and aliases; rewritten to the id
+    subjects.field('subject'),
+    body('gradeBand').optional().isIn(GRADE_BANDS),
+    body('imageData').optional().isString().isLength({ max: 10000000 }), // 10MB base64
+    body('async').optional().isBoolean({ strict: true })
+  ];
+
+  // Persists a finished solve and charges the user's quota and usage counters.
+  // Cache hits are recorded with no tokens and no cost. verification is the
+  // result of verifier.verify(), or null for subjects that aren't checked.
+  // reserved is true when reserveDailySolve() has already counted the solve.
+  async function recordSolve(user, { question, subject, solution, tokensUsed, model, prompt, cached = false, verification = null, regenerated = false, reserved = false }) {
+    // Calculate cost (gpt-4o-mini pricing)
+    const costCents = Math.ceil(tokensUsed * 0.015 / 1000); // $0.15 per 1K tokens
+
+    // Update user usage
+    await usage.incrementUserOpenAIUsage(user.id, tokensUsed);
+
+    // Save to database
+    const result = await pool.query(
+      `INSERT INTO problems (user_id, question, subject, solution, tokens_used, cost_cents, model, prompt_template_id, prompt_version,
+         verification_status, verification_method, final_answer, regenerated)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING id, created_at`,
+      [
+        user.id, question, subject, solution, tokensUsed, costCents, model, prompt.id, prompt.version,
+        verification ? verification.status : null,
+        verification ? verification.method : null,
+        verification ? verification.finalAnswer : null,
+        regenerated
+      ]
+    );
+
+    // Update user stats
+    await pool.query(
+      'UPDATE users SET daily_solves_used = daily_solves_used + $2, total_solves_used = total_solves_used + 1 WHERE id = $1',
+      [user.id, reserved ? 0 : 1]
+    );
+
+    // Track API usage
+    await usage.trackAPIUsage(cached ? 'homework_solve_cached' : 'homework_solve', tokensUsed, costCents);
+
+    return { problem: result.rows[0], costCents };
+  }
+
+  // Streams a solve over Server-Sent Events. Events: `token` for each chunk,
+  // then `done` with the stored problem, or `error`. If the client disconnects
+  // midway the completion is still drained, saved to history and charged, since
+  // the provider bills for it either way.
+  async function streamSolve(req, res, { question, subject, messages, prompt, cacheable, verify }) {
+    const user = req.user;
+    const startTime = Date.now();
+    const events = openEventStream(res);
+    let solution = '';
+    let usageReport = null;
+    let model = null;
+
+    try {
+      for await (const chunk of llm.stream({ subject, messages, maxTokens: 1000, temperature: 0.7 })) {
+        if (chunk.done) {
+          usageReport = chunk.usage;
+          model = chunk.model;
+          break;
+        }
+        solution += chunk.delta;
+        events.send('token', { content: chunk.delta });
+      }
+    } catch (error) {
+      logger.error('Solve stream error:', error);
+
+      // Tokens produced before the failure are still billed; the solve is not
+      if (solution) {
+        const tokensUsed = estimatePromptTokens(messages) + estimateTokens(solution);
+        await usage.incrementUserOpenAIUsage(user.id, tokensUsed);
+        await usage.trackAPIUsage('homework_solve_stream_failed', tokensUsed, Math.ceil(tokensUsed * 0.015 / 1000));
+      }
+
+      events.send('error', { error: 'Failed to solve problem' });
+      return events.end();
+    }
+
+    const tokensUsed = usageReport?.totalTokens ||
+      estimatePromptTokens(messages) + estimateTokens(solution);
+
+    try {
+      const verification = verify ? verifier.verify({ question, solution, subject }) : null;
+      const { problem, costCents } = await recordSolve(user, { question, subject, solution, tokensUsed, model, prompt, verification });
+      // Solutions that fail verification aren't handed to anyone else
+      if (cacheable && !(verification && verification.status === 'failed')) {
+        await solutionCache.set({ question, subject, prompt, solution, model });
+      }
+
+      logger.info('Solve stream completed', {
+        userId: user.id,
+        subject,
+        tokensUsed,
+        costCents,
+        clientDisconnected: events.closed,
+        responseTime: Date.now() - startTime
+      });
+
+      events.send('done', {
+        id: problem.id.toString(),
+        question,
+        subject,
+        tokensUsed,
+        createdAt: problem.created_at.toISOString(),
+        dailySolvesRemaining: dailySolvesRemaining(user),
+        verified: verifiedFlag(verification && verification.status)
+      });
+    } catch (error) {
+      logger.error('Solve stream persistence error:', error);
+      events.send('error', { error: 'Failed to save solution' });
+    }
+
+    events.end();
+  }
+
+  // Parental consent, the policies of the student's classes, the photo and
+  // the daily free solves. Returns the parsed photo, or null.
+  async function checkSolveAllowed(user, { subject, imageData }) {
+    if (await checkAccess(user, subject) === 'hint_only') {
+      rejectHintOnly();
+    }
+
+    // Validate the attached photo before spending any quota on it
+    let image = null;
+    if (imageData) {
+      try {
+        image = parseImageData(imageData, imageLimits);
+      } catch (error) {
+        if (error instanceof InvalidImageError) {
+          throw new SolveRejectedError(error.status, { error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    checkDailySolves(user);
+    return image;
+  }
+
+  // Checks run before any tokens are spent: checkSolveAllowed() and the
+  // academic integrity engine. Then resolves the prompt and looks the
+  // question up in the solution cache.
+  async function prepareSolve(user, { question, subject, imageData, gradeBand }) {
+    const image = await checkSolveAllowed(user, { subject, imageData });
+    await checkIntegrity(user, question, subject);
+
+    const prompt = await prompts.resolve({ subject, gradeBand, mode: 'solve' });
+
+    // Repeated text questions are answered without a completion
+    const cached = image ? null : await solutionCache.get({ question, subject, prompt });
+
+    return {
+      question,
+      // problems.question is NOT NULL, so photo-only questions get a placeholder
+      problemText: question || '[Photo of problem]',
+      subject,
+      image,
+      prompt,
+      cached
+    };
+  }
+
+  // Counts one of the user's daily solves before it's made, so queued solves
+  // running side by side can't take the user past the limit
+  async function reserveDailySolve(user) {
+    const limit = dailySolveLimit(user);
+    if (limit === null) {
+      await pool.query('UPDATE users SET daily_solves_used = daily_solves_used + 1 WHERE id = $1', [user.id]);
+      return;
+    }
+    const result = await pool.query(
+      'UPDATE users SET daily_solves_used = daily_solves_used + 1 WHERE id = $1 AND daily_solves_used < $2',
+      [user.id, limit]
+    );
+    if (result.rowCount === 0) {
+      rejectDailySolves(user);
+    }
+  }
+
+  async function releaseDailySolve(user) {
+    await pool.query('UPDATE users SET daily_solves_used = GREATEST(daily_solves_used - 1, 0) WHERE id = $1', [user.id]);
+  }
+
+  async function solveFromCache(user, { question, problemText, subject, prompt, cached }, { reserved = false } = {}) {
+    const verification = verifier.verify({ question, solution: cached.solution, subject });
+    const { problem } = await recordSolve(user, {
+      question: problemText,
+      subject,
+      solution: cached.solution,
+      tokensUsed: 0,
+      model: cached.model,
+      prompt,
+      cached: true,
+      verification,
+      reserved
+    });
+
+    logger.info('Solve served from cache', { userId: user.id, subject });
+
+    return {
+      id: problem.id.toString(),
+      solution: cached.solution,
+      question: problemText,
+      subject,
+      createdAt: problem.created_at.toISOString(),
+      dailySolvesRemaining: dailySolvesRemaining(user),
+      cached: true,
+      verified: verifiedFlag(verification && verification.status)
+    };
+  }
+
+  async function completeSolve(user, { question, problemText, subject, image, prompt }, { reserved = false } = {}) {
+    // Call LLM provider with token tracking
+    const startTime = Date.now();
+    const messages = buildSolveMessages(question, prompt, image);
+    let completion = await llm.complete({
+      subject,
+      messages,
+      maxTokens: 1000, // Limit tokens
+      temperature: 0.7
+    });
+    let tokensUsed = completion.usage.totalTokens;
+    let verification = verifier.verify({ question, solution: completion.content, subject });
+
+    // One more try when the final answer doesn't check out
+    let regenerated = false;
+    if (verification && verification.status === 'failed' && verifier.regenerate) {
+      logger.warn('Solution failed verification, regenerating', {
+        userId: user.id,
+        subject,
+        method: verification.method,
+        finalAnswer: verification.finalAnswer
+      });
+      try {
+        const retry = await llm.complete({
+          subject,
+          messages: buildRegenerateMessages(messages, completion.content),
+          maxTokens: 1000,
+          temperature: 0.2
+        });
+        completion = retry;
+        tokensUsed += retry.usage.totalTokens;
+        verification = verifier.verify({ question, solution: completion.content, subject });
+        regenerated = true;
+      } catch (error) {
+        // The first solution has been paid for; it's kept, flagged as failed
+        logger.error('Regenerate solution error:', error);
+      }
+    }
+
+    const solution = completion.content;
+    const { problem, costCents } = await recordSolve(user, {
+      question: problemText,
+      subject,
+      solution,
+      tokensUsed,
+      model: completion.model,
+      prompt,
+      verification,
+      regenerated,
+      reserved
+    });
+    // Solutions that fail verification aren't handed to anyone else
+    if (!image && !(verification && verification.status === 'failed')) {
+      await solutionCache.set({ question, subject, prompt, solution, model: completion.model });
+    }
+
+    // Log performance
+    logger.info('Solve request completed', {
+      userId: user.id,
+      subject,
+      tokensUsed,
+      costCents,
+      imageBytes: image ? image.bytes : 0,
+      verification: verification ? verification.status : null,
+      regenerated,
+      responseTime: Date.now() - startTime
+    });
+
+    return {
+      id: problem.id.toString(),
+      solution,
+      question: problemText,
+      subject,
+      createdAt: problem.created_at.toISOString(),
+      dailySolvesRemaining: dailySolvesRemaining(user),
+      cached: false,
+      verified: verifiedFlag(verification && verification.status)
+    };
+  }
+
+  // The whole pipeline for a queued job. The user is loaded again because
+  // their quota may have changed since the job was queued, and the solve is
+  // reserved before it's made because other workers may be solving for them.
+  // A job run again after its worker stopped (see jobQueue.js) may have
+  // reserved its solve already; the checkpoint is saved first, so a stop in
+  // between costs the user nothing.
+  solveJobs.process(async ({ userId, body: input }, job, { checkpoint }) => {
+    let reserved = Boolean(job.checkpoint?.solveReserved);
+    let user = null;
+    try {
+      const result = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+      if (result.rows.length === 0) {
+        throw new SolveRejectedError(404, { error: 'User not found' });
+      }
+      user = result.rows[0];
+
+      // The daily limit check mustn't count the solve this job already holds
+      const solve = await prepareSolve(reserved ? { ...user, daily_solves_used: user.daily_solves_used - 1 } : user, input);
+      if (!solve.cached) {
+        await checkUsage(user);
+      }
+      if (!reserved) {
+        await checkpoint({ solveReserved: true });
+        await reserveDailySolve(user);
+        reserved = true;
+      }
+      return solve.cached
+        ? await solveFromCache(user, solve, { reserved: true })
+        : await completeSolve(user, solve, { reserved: true });
+    } catch (error) {
+      if (reserved && user) {
+        await releaseDailySolve(user);
+      }
+      if (error instanceof SolveRejectedError) throw error;
+      if (error instanceof BudgetExceededError) {
+        throw new SolveRejectedError(503, { error: BUSY_MESSAGE });
+      }
+      logger.error('Solve job error:', error);
+      throw new SolveRejectedError(500, { error: 'Failed to solve problem' });
+    }
+  });
+
+  // Queues the solve and answers 202 with the job. A repeated Idempotency-Key
+  // returns the job queued the first time, so client retries aren't charged twice.
+  // Requests that would be refused anyway (no solves left, a bad photo) are
+  // refused straight away; the job checks everything again when it runs.
+  async function enqueueSolve(req, res) {
+    const { question, subject, imageData, gradeBand } = req.body;
+
+    await checkSolveAllowed(req.user, { subject, imageData });
+    await checkUsage(req.user);
+
+    try {
+      const { job, duplicate } = await solveJobs.enqueue({
+        ownerId: req.user.id,
+        payload: { userId: req.user.id, body: { question, subject, imageData, gradeBand } },
+        idempotencyKey: req.get('idempotency-key')
+      });
+
+      if (!duplicate) {
+        logger.info('Solve job queued', { userId: req.user.id, jobId: job.id, subject });
+      }
+      res.status(202)
+        .location(`${req.baseUrl}/jobs/${job.id}`)
+        .set('Retry-After', String(JOB_POLL_SECONDS))
+        .json(formatJob(job));
+    } catch (error) {
+      if (error instanceof QueueFullError) {
+        logger.warn('Solve queue full, rejecting job', { userId: req.user.id, depth: error.depth });
+        return res.status(503).set('Retry-After', '30').json({ error: BUSY_MESSAGE });
+      }
+      if (error instanceof TooManyJobsError) {
+        return res.status(429).json({
+          error: `You already have ${error.limit} solves waiting. Try again once one has finished.`
+        });
+      }
+      throw error;
+    }
+  }
+
+  // Homework solving endpoint with comprehensive validation and cost control
+  router.post(['/solve', '/solve/stream'], authenticateToken, validateSolveRequest, async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const user = req.user;
+      const stream = req.path.endsWith('/stream') || wantsEventStream(req);
+
+      if (!stream && wantsAsync(req)) {
+        return await enqueueSolve(req, res);
+      }
+
+      const solve = await prepareSolve(user, req.body);
+
+      if (solve.cached) {
+        const { solution, ...result } = await solveFromCache(user, solve);
+        if (!stream) {
+          return res.json({ ...result, solution });
+        }
+
+        const events = openEventStream(res);
+        events.send('token', { content: solution });
+        events.send('done', { ...result, tokensUsed: 0 });
+        return events.end();
+      }
+
+      await checkUsage(user);
+
+      if (stream) {
+        return streamSolve(req, res, {
+          question: solve.problemText,
+          subject: solve.subject,
+          messages: buildSolveMessages(solve.question, solve.prompt, solve.image),
+          prompt: solve.prompt,
+          cacheable: !solve.image,
+          verify: !solve.image
+        });
+      }
+
+      res.json(await completeSolve(user, solve));
+    } catch (error) {
+      if (error instanceof SolveRejectedError) {
+        return res.status(error.status).json(error.body);
+      }
+
+      logger.error('Solve error:', error);
+
+      if (error instanceof BudgetExceededError) {
+        return res.status(503).json({ error: BUSY_MESSAGE });
+      }
+
+      res.status(500).json({ error: 'Failed to solve problem' });
+    }
+  });
+
+  async function findHintProblem(userId, problemId) {
+    const result = await pool.query(
+      "SELECT * FROM problems WHERE id = $1 AND user_id = $2 AND mode = 'hint'",
+      [problemId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // New ladders need a question and subject; later hints name the problem instead
+  const validateHintRequest = [
+    body('problemId').optional().isInt({ min: 1 }).toInt(),
+    body('question').if(body('problemId').not().exists())
+      .isString().trim().isLength({ min: 1, max: 5000 }),
+    body('subject').if(body('problemId').not().exists())
+      .custom(value => Boolean(subjects.resolve(value))).withMessage('Unknown subject')
+      .bail()
+      .customSanitizer(value => subjects.resolve(value).id),
+    body('gradeBand').optional().isIn(GRADE_BANDS),
+    body('attempt').optional().isString().trim().isLength({ min: 1, max: 2000 })
+  ];
+
+  // The next hint for a problem: { question, subject } starts a ladder and
+  // { problemId } continues it, optionally with the student's `attempt`
+  router.post('/hint', authenticateToken, validateHintRequest, async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const user = req.user;
+      const { problemId, gradeBand, attempt } = req.body;
+
+      let problem = null;
+      if (problemId) {
+        problem = await findHintProblem(user.id, problemId);
+        if (!problem) {
+          return res.status(404).json({ error: 'Problem not found' });
+        }
+        if (problem.revealed_at) {
+          return res.status(409).json({ error: 'The solution to this problem has already been revealed' });
+        }
+        if ((problem.hints || []).length >= MAX_HINT_LEVEL) {
+          return res.status(409).json({
+            error: 'No hints left for this problem. Try an answer or reveal the solution.',
+            code: 'hints_exhausted'
+          });
+        }
+      }
+
+      const question = problem ? problem.question : req.body.question;
+      const subject = problem ? problem.subject : req.body.subject;
+      const hints = problem ? problem.hints || [] : [];
+
+      const classMode = await checkAccess(user, subject);
+      checkDailyHints(user);
+      if (!problem) {
+        await checkIntegrity(user, question, subject);
+      }
+      await checkUsage(user);
+
+      const prompt = await prompts.resolve({ subject, gradeBand, mode: 'hint' });
+      const completion = await llm.complete({
+        subject,
+        messages: buildHintMessages(question, prompt, hints, attempt),
+        maxTokens: 300,
+        temperature: 0.7
+      });
+
+      const tokensUsed = completion.usage.totalTokens;
+      const costCents = Math.ceil(tokensUsed * 0.015 / 1000);
+      const ladder = JSON.stringify([
+        ...hints,
+        { level: hints.length + 1, content: completion.content, createdAt: new Date().toISOString() }
+      ]);
+
+      // Only appended if the ladder is still as it was read, so two requests
+      // for the next hint can't both be charged with one hint lost
+      const saved = problem
+        ? await pool.query(`
+          UPDATE problems SET hints = $2, attempt = $3, tokens_used = tokens_used + $4, cost_cents = cost_cents + $5
+          WHERE id = $1 AND revealed_at IS NULL AND COALESCE(jsonb_array_length(hints), 0) = $6 RETURNING *
+        `, [problem.id, ladder, attempt || problem.attempt || null, tokensUsed, costCents, hints.length])
+        : await pool.query(
+          `INSERT INTO problems (user_id, question, subject, mode, hints, attempt, tokens_used, cost_cents, model, prompt_template_id, prompt_version)
+           VALUES ($1, $2, $3, 'hint', $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+          [user.id, question, subject, ladder, attempt || null, tokensUsed, costCents, completion.model, prompt.id, prompt.version]
+        );
+
+      if (saved.rowCount === 0) {
+        await usage.trackAPIUsage('homework_hint', tokensUsed, costCents);
+        return res.status(409).json({
+          error: 'Another hint for this problem was given at the same time. Reload the problem to see it.',
+          code: 'hint_conflict'
+        });
+      }
+
+      await pool.query('UPDATE users SET daily_hints_used = daily_hints_used + 1 WHERE id = $1', [user.id]);
+      await usage.incrementUserOpenAIUsage(user.id, tokensUsed);
+      await usage.trackAPIUsage('homework_hint', tokensUsed, costCents);
+
+      const row = saved.rows[0];
+      logger.info('Hint given', { userId: user.id, problemId: row.id, subject, level: hints.length + 1, tokensUsed });
+
+      res.json({
+        ...formatHintProblem(row, { hintOnly: classMode === 'hint_only' }),
+        hint: completion.content,
+        dailyHintsRemaining: dailyHintsRemaining(user)
+      });
+    } catch (error) {
+      if (error instanceof SolveRejectedError) {
+        return res.status(error.status).json(error.body);
+      }
+
+      logger.error('Hint error:', error);
+
+      if (error instanceof BudgetExceededError) {
+        return res.status(503).json({ error: BUSY_MESSAGE });
+      }
+
+      res.status(500).json({ error: 'Failed to get hint' });
+    }
+  });
+
+  // The full solution to a hint ladder, once every hint has been taken or the
+  // student has tried an answer (sent here as `attempt`, or with a hint). It
+  // counts as a solve; asking again returns the same solution at no charge.
+  router.post('/problem/:id/solution', authenticateToken, [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('attempt').optional().isString().trim().isLength({ min: 1, max: 2000 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const user = req.user;
+      const problem = await findHintProblem(user.id, req.params.id);
+      if (!problem) {
+        return res.status(404).json({ error: 'Problem not found' });
+      }
+
+      const reveal = (row) => ({
+        id: row.id.toString(),
+        solution: row.solution,
+        question: row.question,
+        subject: row.subject,
+        hints: formatHints(row.hints),
+        attempt: row.attempt,
+        createdAt: row.created_at,
+        revealedAt: row.revealed_at
+      });
+      if (problem.revealed_at) {
+        return res.json(reveal(problem));
+      }
+
+      if (await checkAccess(user, problem.subject) === 'hint_only') {
+        rejectHintOnly();
+      }
+
+      const attempt = req.body.attempt || problem.attempt;
+      if (!canRevealSolution({ ...problem, attempt })) {
+        return res.status(403).json({
+          error: 'Take the hints or try an answer before seeing the full solution',
+          code: 'hints_first',
+          hintsRemaining: MAX_HINT_LEVEL - (problem.hints || []).length
+        });
+      }
+
+      checkDailySolves(user);
+      await checkUsage(user);
+
+      const prompt = await prompts.resolve({ subject: problem.subject, mode: 'solve' });
+      const completion = await llm.complete({
+        subject: problem.subject,
+        messages: buildRevealMessages(problem.question, prompt, attempt),
+        maxTokens: 1000,
+        temperature: 0.7
+      });
+
+      const tokensUsed = completion.usage.totalTokens;
+      const costCents = Math.ceil(tokensUsed * 0.015 / 1000);
+      const result = await pool.query(`
+        UPDATE problems SET solution = $2, attempt = $3, tokens_used = tokens_used + $4, cost_cents = cost_cents + $5,
+          model = $6, prompt_template_id = $7, prompt_version = $8, revealed_at = NOW()
+        WHERE id = $1 AND revealed_at IS NULL RETURNING *
+      `, [problem.id, completion.content, attempt || null, tokensUsed, costCents, completion.model, prompt.id, prompt.version]);
+
+      // A simultaneous request revealed it first; its solution stands and
+      // only that request is charged
+      if (result.rowCount === 0) {
+        await usage.trackAPIUsage('homework_solution_reveal', tokensUsed, costCents);
+        return res.json(reveal(await findHintProblem(user.id, problem.id)));
+      }
+
+      await pool.query(
+        'UPDATE users SET daily_solves_used = daily_solves_used + 1, total_solves_used = total_solves_used + 1 WHERE id = $1',
+        [user.id]
+      );
+      await usage.incrementUserOpenAIUsage(user.id, tokensUsed);
+      await usage.trackAPIUsage('homework_solution_reveal', tokensUsed, costCents);
+
+      logger.info('Solution revealed', { userId: user.id, problemId: problem.id, afterAttempt: Boolean(attempt), tokensUsed });
+
+      res.json({ ...reveal(result.rows[0]), dailySolvesRemaining: dailySolvesRemaining(user) });
+    } catch (error) {
+      if (error instanceof SolveRejectedError) {
+        return res.status(error.status).json(error.body);
+      }
+
+      logger.error('Reveal solution error:', error);
+
+      if (error instanceof BudgetExceededError) {
+        return res.status(503).json({ error: BUSY_MESSAGE });
+      }
+
+      res.status(500).json({ error: 'Failed to reveal solution' });
+    }
+  });
+
+  // Checks the student's worked `answer`: { question, subject } starts a new
+  // problem and { problemId } checks a revised answer to an earlier one
+  router.post('/check', authenticateToken, [
+    body('problemId').optional().isInt({ min: 1 }).toInt(),
+    body('question').if(body('problemId').not().exists())
+      .isString().trim().isLength({ min: 1, max: 5000 }),
+    body('subject').if(body('problemId').not().exists())
+      .custom(value => Boolean(subjects.resolve(value))).withMessage('Unknown subject')
+      .bail()
+      .customSanitizer(value => subjects.resolve(value).id),
+    body('gradeBand').optional().isIn(GRADE_BANDS),
+    body('answer').isString().trim().isLength({ min: 1, max: 5000 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const user = req.user;
+      const { problemId, gradeBand, answer } = req.body;
+
+      let problem = null;
+      if (problemId) {
+        const found = await pool.query(
+          "SELECT * FROM problems WHERE id = $1 AND user_id = $2 AND mode = 'check'",
+          [problemId, user.id]
+        );
+        problem = found.rows[0];
+        if (!problem) {
+          return res.status(404).json({ error: 'Problem not found' });
+        }
+      }
+
+      const question = problem ? problem.question : req.body.question;
+      const subject = problem ? problem.subject : req.body.subject;
+
+      // Checks don't reveal the solution, so hint-only classes allow them
+      await checkAccess(user, subject);
+      checkDailyHints(user);
+      if (!problem) {
+        await checkIntegrity(user, question, subject);
+      }
+      await checkUsage(user);
+
+      const prompt = await prompts.resolve({ subject, gradeBand, mode: 'check' });
+      const completion = await llm.complete({
+        subject,
+        mode: 'check',
+        messages: buildCheckMessages(question, prompt, answer),
+        maxTokens: 400,
+        temperature: 0.2
+      });
+
+      const tokensUsed = completion.usage.totalTokens;
+      const costCents = Math.ceil(tokensUsed * 0.015 / 1000);
+      await usage.trackAPIUsage('homework_check', tokensUsed, costCents);
+
+      // An ungradeable reply isn't charged to the student or stored
+      const result = parseCheckResult(completion.content, answer);
+      if (!result) {
+        logger.warn('Answer check reply could not be parsed', { userId: user.id, subject, model: completion.model });
+        return res.status(502).json({ error: 'Could not check this answer. Please try again.' });
+      }
+      await usage.incrementUserOpenAIUsage(user.id, tokensUsed);
+
+      const checks = JSON.stringify([
+        ...(problem ? problem.checks || [] : []),
+        { answer, ...result, createdAt: new Date().toISOString() }
+      ]);
+      const saved = problem
+        ? await pool.query(
+          'UPDATE problems SET checks = $2, attempt = $3, tokens_used = tokens_used + $4, cost_cents = cost_cents + $5 WHERE id = $1 RETURNING *',
+          [problem.id, checks, answer, tokensUsed, costCents]
+        )
+        : await pool.query(
+          `INSERT INTO problems (user_id, question, subject, mode, checks, attempt, tokens_used, cost_cents, model, prompt_template_id, prompt_version)
+           VALUES ($1, $2, $3, 'check', $4, $5, $6, $7, $8, $9, $10) RETURNING *`,
+          [user.id, question, subject, checks, answer, tokensUsed, costCents, completion.model, prompt.id, prompt.version]
+        );
+
+      await pool.query('UPDATE users SET daily_hints_used = daily_hints_used + 1 WHERE id = $1', [user.id]);
+
+      const row = saved.rows[0];
+      logger.info('Answer checked', { userId: user.id, problemId: row.id, subject, verdict: result.verdict, tokensUsed });
+
+      res.json({
+        problemId: row.id.toString(),
+        question: row.question,
+        subject: row.subject,
+        ...result,
+        attempts: formatChecks(row.checks),
+        dailyHintsRemaining: dailyHintsRemaining(user)
+      });
+    } catch (error) {
+      if (error instanceof SolveRejectedError) {
+        return res.status(error.status).json(error.body);
+      }
+
+      logger.error('Check answer error:', error);
+
+      if (error instanceof BudgetExceededError) {
+        return res.status(503).json({ error: BUSY_MESSAGE });
+      }
+
+      res.status(500).json({ error: 'Failed to check answer' });
+    }
+  });
+
+  // Status of a queued solve: queued, running, done (with `result`, the same
+  // body a synchronous solve returns) or failed (with `error`, including the
+  // HTTP status the synchronous solve would have answered with)
+  router.get('/jobs/:id', authenticateToken, [
+    param('id').isUUID()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const job = await solveJobs.get(req.params.id);
+      if (!job || job.ownerId !== req.user.id) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      if (job.status === 'queued' || job.status === 'running') {
+        res.set('Retry-After', String(JOB_POLL_SECONDS));
+      }
+      res.json(formatJob(job));
+    } catch (error) {
+      logger.error('Get solve job error:', error);
+      res.status(500).json({ error: 'Failed to get job' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createHomeworkRoutes, buildSolveMessages, SolveRejectedError };
@@ -0,0 +1,334 @@
+// Academic integrity appeals and administration (see lib/integrity.js).
+//
+// A student whose solve was blocked appeals with the decisionId from the 400
+// response. Admins review appeals, browse the decision log and set overrides
+// of the scoring thresholds, the classifier and rule points. Approving an
+// appeal lets the student ask that question again.
+//
+// Overrides live at /admin/integrity/overrides/:scope/:scopeId, where scope is
+// "subject" (a subject id, name or alias) or "class" (a class id). A class
+// override reaches the class's students through class_members at solve time:
+// it applies on top of the subject's, and a student in several overridden
+// classes gets the strictest of them.
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { RULE_IDS, OVERRIDE_SCOPES } = require('../integrity');
+const { findSubject } = require('../subjects');
+
+const APPEAL_STATUSES = ['pending', 'approved', 'rejected'];
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function formatDecision(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    subject: row.subject,
+    question: row.question,
+    score: row.score,
+    decision: row.decision,
+    reason: row.reason,
+    rules: row.matched_rules || [],
+    classifierVerdict: row.classifier_verdict,
+    createdAt: row.created_at
+  };
+}
+
+function formatAppeal(row) {
+  return {
+    id: row.id,
+    decisionId: row.decision_id,
+    message: row.message,
+    status: row.status,
+    reviewerNote: row.reviewer_note,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at
+  };
+}
+
+function formatOverride(row) {
+  return {
+    scope: row.scope,
+    scopeId: row.scope_id,
+    blockScore: row.block_score,
+    reviewScore: row.review_score,
+    classifier: row.classifier,
+    rulePoints: row.rule_points || {},
+    updatedAt: row.updated_at
+  };
+}
+
+// Subject overrides are keyed by the subject id, whatever name was sent, and
+// class overrides by the class id
+const overrideTarget = [
+  param('scope').isIn(OVERRIDE_SCOPES),
+  param('scopeId').isString().isLength({ min: 1, max: 100 }).custom((value, { req }) => {
+    if (req.params.scope === 'subject' && !findSubject(value)) {
+      throw new Error('Unknown subject');
+    }
+    if (req.params.scope === 'class' && !/^[1-9]\d{0,8}$/.test(value)) {
+      throw new Error('Class id must be a number');
+    }
+    return true;
+  }).customSanitizer((value, { req }) => (req.params.scope === 'subject' ? findSubject(value)?.id || value : value))
+];
+
+// Mounted at /api/v1; requireAdmin guards the /admin endpoints
+function createIntegrityRoutes({ pool, logger, authenticateToken, requireAdmin }) {
+  const router = express.Router();
+
+  router.post('/integrity/appeals', authenticateToken, [
+    body('decisionId').isInt({ min: 1 }).toInt(),
+    body('message').optional().isString().trim().isLength({ max: 2000 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      // Only the student's own blocks can be appealed
+      const decision = await pool.query(
+        "SELECT id FROM integrity_decisions WHERE id = $1 AND user_id = $2 AND decision = 'block'",
+        [req.body.decisionId, req.user.id]
+      );
+      if (decision.rows.length === 0) {
+        return res.status(404).json({ error: 'Decision not found' });
+      }
+
+      const existing = await pool.query('SELECT id FROM integrity_appeals WHERE decision_id = $1', [req.body.decisionId]);
+      if (existing.rows.length > 0) {
+        return res.status(409).json({ error: 'This decision has already been appealed' });
+      }
+
+      const result = await pool.query(
+        'INSERT INTO integrity_appeals (decision_id, user_id, message) VALUES ($1, $2, $3) RETURNING *',
+        [req.body.decisionId, req.user.id, req.body.message || null]
+      );
+
+      logger.info('Integrity appeal submitted', { userId: req.user.id, decisionId: req.body.decisionId });
+      res.status(201).json(formatAppeal(result.rows[0]));
+    } catch (error) {
+      // Lost a race with another appeal of the same decision
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'This decision has already been appealed' });
+      }
+      logger.error('Submit integrity appeal error:', error);
+      res.status(500).json({ error: 'Failed to submit appeal' });
+    }
+  });
+
+  router.get('/integrity/appeals', authenticateToken, async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM integrity_appeals WHERE user_id = $1 ORDER BY id DESC',
+        [req.user.id]
+      );
+      res.json({ appeals: result.rows.map(formatAppeal) });
+    } catch (error) {
+      logger.error('List integrity appeals error:', error);
+      res.status(500).json({ error: 'Failed to list appeals' });
+    }
+  });
+
+  // The audit log, newest first
+  router.get('/admin/integrity/decisions', requireAdmin, [
+    query('decision').optional().isIn(['allow', 'block']),
+    query('userId').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { decision, userId, limit = 50, offset = 0 } = req.query;
+      const conditions = [];
+      const params = [];
+      if (decision) {
+        params.push(decision);
+        conditions.push(`decision = $${params.length}`);
+      }
+      if (userId) {
+        params.push(userId);
+        conditions.push(`user_id = $${params.length}`);
+      }
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const count = await pool.query(`SELECT COUNT(*) FROM integrity_decisions ${where}`, params);
+      params.push(limit, offset);
+      const result = await pool.query(
+        `SELECT * FROM integrity_decisions ${where}
+         ORDER BY id DESC
+         LIMIT $${params.length - 1} OFFSET $${params.length}`,
+        params
+      );
+
+      res.json({ decisions: result.rows.map(formatDecision), total: parseInt(count.rows[0].count), limit, offset });
+    } catch (error) {
+      logger.error('List integrity decisions error:', error);
+      res.status(500).json({ error: 'Failed to list integrity decisions' });
+    }
+  });
+
+  // Appeals with the decision they dispute, oldest first so the queue is worked in order
+  router.get('/admin/integrity/appeals', requireAdmin, [
+    query('status').optional().isIn(APPEAL_STATUSES),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { status = 'pending', limit = 50, offset = 0 } = req.query;
+      const result = await pool.query(`
+        SELECT a.*, d.user_id AS decision_user_id, d.subject, d.question, d.score, d.decision,
+          d.reason, d.matched_rules, d.classifier_verdict, d.created_at AS decided_at
+        FROM integrity_appeals a
+        JOIN integrity_decisions d ON d.id = a.decision_id
+        WHERE a.status = $1
+        ORDER BY a.id
+        LIMIT $2 OFFSET $3
+      `, [status, limit, offset]);
+
+      res.json({
+        appeals: result.rows.map(row => ({
+          ...formatAppeal(row),
+          decision: formatDecision({ ...row, id: row.decision_id, user_id: row.decision_user_id, created_at: row.decided_at })
+        })),
+        status,
+        limit,
+        offset
+      });
+    } catch (error) {
+      logger.error('List integrity appeals error:', error);
+      res.status(500).json({ error: 'Failed to list appeals' });
+    }
+  });
+
+  router.post('/admin/integrity/appeals/:id/review', requireAdmin, [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('status').isIn(['approved', 'rejected']),
+    body('note').optional().isString().trim().isLength({ max: 2000 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const existing = await pool.query('SELECT status FROM integrity_appeals WHERE id = $1', [req.params.id]);
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: 'Appeal not found' });
+      }
+      if (existing.rows[0].status !== 'pending') {
+        return res.status(409).json({ error: 'Appeal has already been reviewed' });
+      }
+
+      const result = await pool.query(`
+        UPDATE integrity_appeals SET status = $2, reviewer_note = $3, reviewed_at = NOW()
+        WHERE id = $1 AND status = 'pending'
+        RETURNING *
+      `, [req.params.id, req.body.status, req.body.note || null]);
+      if (result.rows.length === 0) {
+        return res.status(409).json({ error: 'Appeal has already been reviewed' });
+      }
+
+      logger.info('Integrity appeal reviewed', { appealId: req.params.id, status: req.body.status });
+      res.json(formatAppeal(result.rows[0]));
+    } catch (error) {
+      logger.error('Review integrity appeal error:', error);
+      res.status(500).json({ error: 'Failed to review appeal' });
+    }
+  });
+
+  router.get('/admin/integrity/overrides', requireAdmin, async (req, res) => {
+    try {
+      const result = await pool.query('SELECT * FROM integrity_overrides ORDER BY scope, scope_id');
+      res.json({ overrides: result.rows.map(formatOverride), rules: RULE_IDS });
+    } catch (error) {
+      logger.error('List integrity overrides error:', error);
+      res.status(500).json({ error: 'Failed to list integrity overrides' });
+    }
+  });
+
+  // Replaces the override for a scope; omitted fields fall back to the
+  // server-wide settings and built-in rule points
+  router.put('/admin/integrity/overrides/:scope/:scopeId', requireAdmin, [
+    ...overrideTarget,
+    body('blockScore').optional({ values: 'null' }).isInt({ min: 1, max: 101 }).toInt(),
+    body('reviewScore').optional({ values: 'null' }).isInt({ min: 0, max: 100 }).toInt(),
+    body('classifier').optional({ values: 'null' }).isBoolean({ strict: true }),
+    body('rulePoints').optional().isObject().custom(value => {
+      for (const [id, points] of Object.entries(value)) {
+        if (!RULE_IDS.includes(id)) {
+          throw new Error(`Unknown rule: ${id}`);
+        }
+        if (!Number.isInteger(points) || points < -100 || points > 100) {
+          throw new Error(`Points for ${id} must be an integer from -100 to 100`);
+        }
+      }
+      return true;
+    })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      if (req.params.scope === 'class') {
+        const found = await pool.query('SELECT id FROM classes WHERE id = $1', [Number(req.params.scopeId)]);
+        if (found.rows.length === 0) {
+          return res.status(404).json({ error: 'Class not found' });
+        }
+      }
+
+      const { blockScore, reviewScore, classifier, rulePoints } = req.body;
+      const result = await pool.query(`
+        INSERT INTO integrity_overrides (scope, scope_id, block_score, review_score, classifier, rule_points)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (scope, scope_id) DO UPDATE SET
+          block_score = EXCLUDED.block_score,
+          review_score = EXCLUDED.review_score,
+          classifier = EXCLUDED.classifier,
+          rule_points = EXCLUDED.rule_points,
+          updated_at = NOW()
+        RETURNING *
+      `, [
+        req.params.scope,
+        req.params.scopeId,
+        blockScore ?? null,
+        reviewScore ?? null,
+        classifier ?? null,
+        JSON.stringify(rulePoints || {})
+      ]);
+
+      logger.info('Integrity override saved', { scope: req.params.scope, scopeId: req.params.scopeId });
+      res.json(formatOverride(result.rows[0]));
+    } catch (error) {
+      logger.error('Save integrity override error:', error);
+      res.status(500).json({ error: 'Failed to save integrity override' });
+    }
+  });
+
+  router.delete('/admin/integrity/overrides/:scope/:scopeId', requireAdmin, overrideTarget, async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const result = await pool.query(
+        'DELETE FROM integrity_overrides WHERE scope = $1 AND scope_id = $2 RETURNING id',
+        [req.params.scope, req.params.scopeId]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Override not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Delete integrity override error:', error);
+      res.status(500).json({ error: 'Failed to delete integrity override' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createIntegrityRoutes };
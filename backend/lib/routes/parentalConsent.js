@@ -0,0 +1,63 @@
+// The parent's side of the consent flow. Mounted at /api/v1/parental-consent.
+//
+// No sign-in: the signed token from the emailed link is the credential. The
+// page at PARENTAL_CONSENT_URL reads the request with GET and posts the
+// parent's answer to /confirm.
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { ParentalConsentError } = require('../parentalConsent');
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function createParentalConsentRoutes({ logger, parentalConsent }) {
+  const router = express.Router();
+
+  router.get('/', [
+    query('token').isJWT()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      res.json(await parentalConsent.lookup(req.query.token));
+    } catch (error) {
+      if (error instanceof ParentalConsentError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Parental consent lookup error:', error);
+      res.status(500).json({ error: 'Failed to load consent request' });
+    }
+  });
+
+  router.post('/confirm', [
+    body('token').isJWT(),
+    body('decision').isIn(['grant', 'deny'])
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const decided = await parentalConsent.decide(req.body.token, req.body.decision === 'grant', {
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+      });
+      res.json(decided);
+    } catch (error) {
+      if (error instanceof ParentalConsentError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Parental consent confirm error:', error);
+      res.status(500).json({ error: 'Failed to record consent' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createParentalConsentRoutes };
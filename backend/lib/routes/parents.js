@@ -0,0 +1,210 @@
+// Parent accounts. Mounted at /api/v1/parent; every endpoint needs a signed-in
+// account registered with accountType "parent".
+//
+// Parents link a child by entering the code from the child's app, then see
+// weekly summaries of the child's solves and blocked integrity checks, and can
+// set a daily solve cap that replaces the child's usual limit (5 free, or
+// unlimited with premium). A child can be linked to several parents; the cap
+// is cleared once the last one unlinks.
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { formatUser } = require('../auth');
+const { redeemLinkCode, summarizeWeeks, reportStart } = require('../parentLinks');
+
+const MAX_REPORT_WEEKS = 12;
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function formatChild(row) {
+  return {
+    ...formatUser(row),
+    dailySolveCap: row.daily_solve_cap,
+    linkedAt: row.linked_at
+  };
+}
+
+function requireParent(req, res, next) {
+  if (req.user.account_type !== 'parent') {
+    return res.status(403).json({ error: 'A parent account is required' });
+  }
+  next();
+}
+
+function createParentRoutes({ pool, logger, authenticateToken }) {
+  const router = express.Router();
+  router.use(authenticateToken, requireParent);
+
+  // The linked child, or null (someone else's child looks the same as a missing one)
+  async function findChild(parentId, childId) {
+    const result = await pool.query(`
+      SELECT u.*, l.created_at AS linked_at
+      FROM parent_links l
+      JOIN users u ON u.id = l.child_id
+      WHERE l.parent_id = $1 AND l.child_id = $2
+    `, [parentId, childId]);
+    return result.rows[0] || null;
+  }
+
+  const childParam = param('id').isInt({ min: 1 }).toInt();
+
+  router.get('/children', async (req, res) => {
+    try {
+      const result = await pool.query(`
+        SELECT u.*, l.created_at AS linked_at
+        FROM parent_links l
+        JOIN users u ON u.id = l.child_id
+        WHERE l.parent_id = $1
+        ORDER BY l.created_at
+      `, [req.user.id]);
+      res.json({ children: result.rows.map(formatChild) });
+    } catch (error) {
+      logger.error('List children error:', error);
+      res.status(500).json({ error: 'Failed to list children' });
+    }
+  });
+
+  router.post('/children', [
+    body('code').isString().isLength({ min: 4, max: 20 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const childId = await redeemLinkCode(pool, req.body.code);
+      if (!childId) {
+        return res.status(400).json({ error: 'Link code is invalid or has expired' });
+      }
+      if (childId === req.user.id) {
+        return res.status(400).json({ error: 'You cannot link your own account' });
+      }
+
+      await pool.query(
+        'INSERT INTO parent_links (parent_id, child_id) VALUES ($1, $2) ON CONFLICT (parent_id, child_id) DO NOTHING',
+        [req.user.id, childId]
+      );
+
+      logger.info('Child linked', { parentId: req.user.id, childId });
+      res.status(201).json(formatChild(await findChild(req.user.id, childId)));
+    } catch (error) {
+      logger.error('Link child error:', error);
+      res.status(500).json({ error: 'Failed to link child' });
+    }
+  });
+
+  router.delete('/children/:id', [childParam], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const result = await pool.query(
+        'DELETE FROM parent_links WHERE parent_id = $1 AND child_id = $2 RETURNING id',
+        [req.user.id, req.params.id]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Child not found' });
+      }
+
+      // A cap only stays while some parent is still linked to set it
+      await pool.query(`
+        UPDATE users SET daily_solve_cap = NULL
+        WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM parent_links WHERE child_id = $1)
+      `, [req.params.id]);
+
+      logger.info('Child unlinked', { parentId: req.user.id, childId: req.params.id });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Unlink child error:', error);
+      res.status(500).json({ error: 'Failed to unlink child' });
+    }
+  });
+
+  // { dailyCap: n } replaces the child's daily solve limit; null restores it
+  router.put('/children/:id/daily-cap', [
+    childParam,
+    body('dailyCap').custom(value => {
+      if (value !== null && !(Number.isInteger(value) && value >= 0 && value <= 999)) {
+        throw new Error('dailyCap must be null or an integer from 0 to 999');
+      }
+      return true;
+    })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      if (!await findChild(req.user.id, req.params.id)) {
+        return res.status(404).json({ error: 'Child not found' });
+      }
+
+      await pool.query(
+        'UPDATE users SET daily_solve_cap = $1, updated_at = NOW() WHERE id = $2',
+        [req.body.dailyCap, req.params.id]
+      );
+
+      logger.info('Daily cap set', { parentId: req.user.id, childId: req.params.id, dailyCap: req.body.dailyCap });
+      res.json(formatChild(await findChild(req.user.id, req.params.id)));
+    } catch (error) {
+      logger.error('Set daily cap error:', error);
+      res.status(500).json({ error: 'Failed to set daily cap' });
+    }
+  });
+
+  // Weekly summaries, newest first. Weeks start on Monday and hours are
+  // counted in the parent's timezone, given as utcOffsetMinutes (e.g. -300
+  // for US Eastern Standard Time).
+  router.get('/children/:id/weekly', [
+    childParam,
+    query('weeks').optional().isInt({ min: 1, max: MAX_REPORT_WEEKS }).toInt(),
+    query('utcOffsetMinutes').optional().isInt({ min: -14 * 60, max: 14 * 60 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const child = await findChild(req.user.id, req.params.id);
+      if (!child) {
+        return res.status(404).json({ error: 'Child not found' });
+      }
+
+      const { weeks = 1, utcOffsetMinutes = 0 } = req.query;
+      const now = new Date();
+      const since = reportStart({ weeks, utcOffsetMinutes, now });
+
+      const [problems, integrityEvents] = await Promise.all([
+        pool.query(
+          'SELECT subject, mode, created_at FROM problems WHERE user_id = $1 AND created_at >= $2',
+          [child.id, since]
+        ),
+        pool.query(`
+          SELECT d.subject, d.reason, d.created_at, a.status AS appeal_status
+          FROM integrity_decisions d
+          LEFT JOIN integrity_appeals a ON a.decision_id = d.id
+          WHERE d.user_id = $1 AND d.decision = 'block' AND d.created_at >= $2
+        `, [child.id, since])
+      ]);
+
+      res.json({
+        child: formatChild(child),
+        utcOffsetMinutes,
+        weeks: summarizeWeeks({
+          problems: problems.rows,
+          integrityEvents: integrityEvents.rows,
+          weeks,
+          utcOffsetMinutes,
+          now
+        })
+      });
+    } catch (error) {
+      logger.error('Weekly report error:', error);
+      res.status(500).json({ error: 'Failed to build weekly report' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createParentRoutes };
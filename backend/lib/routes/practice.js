@@ -0,0 +1,232 @@
+// Practice sets and topic mastery (see lib/practice.js). Mounted at
+// /api/v1/practice; every endpoint needs a signed-in user.
+//
+// /generate writes a set from one of the student's problems, /:id/submit
+// grades it against the hidden answer key and updates the student's mastery
+// of the set's topic, and /mastery lists that mastery per topic.
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { BudgetExceededError } = require('../usage');
+const { SolveRejectedError } = require('../solveChecks');
+const { dailyHintLimit, UNLIMITED_SOLVES } = require('../auth');
+const {
+  DIFFICULTIES,
+  DEFAULT_PRACTICE_COUNT,
+  MAX_PRACTICE_COUNT,
+  normalizeDifficulty,
+  buildPracticeMessages,
+  parsePracticeSet,
+  answersMatch,
+  nextMastery,
+  formatMastery,
+  formatPracticeSet
+} = require('../practice');
+
+const BUSY_MESSAGE = 'Service temporarily unavailable due to high demand. Please try again later.';
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function createPracticeRoutes({ pool, logger, authenticateToken, llm, prompts, usage, checks }) {
+  const router = express.Router();
+
+  const setParam = param('id').isInt({ min: 1 }).toInt();
+
+  async function findSet(userId, setId) {
+    const result = await pool.query(
+      'SELECT * FROM practice_sets WHERE id = $1 AND user_id = $2',
+      [setId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Generating a set comes out of the daily hint allowance
+  router.post('/generate', authenticateToken, [
+    body('problemId').isInt({ min: 1 }).toInt(),
+    body('difficulty').optional().customSanitizer(normalizeDifficulty).isIn(DIFFICULTIES),
+    body('count').optional().isInt({ min: 1, max: MAX_PRACTICE_COUNT }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const user = req.user;
+      const difficulty = req.body.difficulty || 'medium';
+      const count = req.body.count || DEFAULT_PRACTICE_COUNT;
+
+      const found = await pool.query(
+        'SELECT * FROM problems WHERE id = $1 AND user_id = $2',
+        [req.body.problemId, user.id]
+      );
+      const source = found.rows[0];
+      if (!source) {
+        return res.status(404).json({ error: 'Problem not found' });
+      }
+      if (!source.question) {
+        return res.status(409).json({ error: 'Practice needs a problem with question text' });
+      }
+
+      // The source question passed the integrity check when it was asked
+      await checks.checkAccess(user, source.subject);
+      checks.checkDailyHints(user);
+      await checks.checkUsage(user);
+
+      const prompt = await prompts.resolve({ subject: source.subject, mode: 'practice' });
+      const completion = await llm.complete({
+        subject: source.subject,
+        mode: 'practice',
+        messages: buildPracticeMessages(source.question, prompt, difficulty, count),
+        maxTokens: 250 * count,
+        temperature: 0.8
+      });
+
+      const tokensUsed = completion.usage.totalTokens;
+      const costCents = Math.ceil(tokensUsed * 0.015 / 1000);
+      await usage.trackAPIUsage('practice_generate', tokensUsed, costCents);
+
+      // An unusable reply isn't charged to the student
+      const generated = parsePracticeSet(completion.content, count);
+      if (!generated) {
+        logger.warn('Practice set reply could not be parsed', { userId: user.id, problemId: source.id, model: completion.model });
+        return res.status(502).json({ error: 'Could not generate practice problems. Please try again.' });
+      }
+      await usage.incrementUserOpenAIUsage(user.id, tokensUsed);
+
+      const result = await pool.query(`
+        INSERT INTO practice_sets (user_id, source_problem_id, subject, topic, difficulty, problems, tokens_used, cost_cents, model)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *
+      `, [
+        user.id,
+        source.id,
+        source.subject,
+        generated.topic || source.subject,
+        difficulty,
+        JSON.stringify(generated.problems),
+        tokensUsed,
+        costCents,
+        completion.model
+      ]);
+      await pool.query('UPDATE users SET daily_hints_used = daily_hints_used + 1 WHERE id = $1', [user.id]);
+
+      const set = result.rows[0];
+      logger.info('Practice set generated', { userId: user.id, setId: set.id, problemId: source.id, difficulty, count, tokensUsed });
+
+      const limit = dailyHintLimit(user);
+      res.status(201).json({
+        ...formatPracticeSet(set),
+        dailyHintsRemaining: limit === null ? UNLIMITED_SOLVES : limit - (user.daily_hints_used || 0) - 1
+      });
+    } catch (error) {
+      if (error instanceof SolveRejectedError) {
+        return res.status(error.status).json(error.body);
+      }
+
+      logger.error('Generate practice error:', error);
+
+      if (error instanceof BudgetExceededError) {
+        return res.status(503).json({ error: BUSY_MESSAGE });
+      }
+
+      res.status(500).json({ error: 'Failed to generate practice problems' });
+    }
+  });
+
+  router.get('/mastery', authenticateToken, async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM topic_mastery WHERE user_id = $1 ORDER BY subject, topic',
+        [req.user.id]
+      );
+      res.json({ topics: result.rows.map(formatMastery) });
+    } catch (error) {
+      logger.error('Get mastery error:', error);
+      res.status(500).json({ error: 'Failed to get mastery' });
+    }
+  });
+
+  router.get('/:id', authenticateToken, [setParam], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const set = await findSet(req.user.id, req.params.id);
+      if (!set) {
+        return res.status(404).json({ error: 'Practice set not found' });
+      }
+      res.json(formatPracticeSet(set));
+    } catch (error) {
+      logger.error('Get practice set error:', error);
+      res.status(500).json({ error: 'Failed to get practice set' });
+    }
+  });
+
+  // Grades one answer per problem, in order; a set can be submitted once
+  router.post('/:id/submit', authenticateToken, [
+    setParam,
+    body('answers').isArray({ min: 1, max: MAX_PRACTICE_COUNT }),
+    body('answers.*').isString().trim().isLength({ max: 500 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const user = req.user;
+      const { answers } = req.body;
+
+      const set = await findSet(user.id, req.params.id);
+      if (!set) {
+        return res.status(404).json({ error: 'Practice set not found' });
+      }
+      if (set.submitted_at) {
+        return res.status(409).json({ error: 'This practice set has already been submitted' });
+      }
+      if (answers.length !== set.problems.length) {
+        return res.status(400).json({ error: `Expected ${set.problems.length} answers` });
+      }
+
+      const score = set.problems.filter((problem, index) => answersMatch(problem.answer, answers[index])).length;
+      // Only one of two simultaneous submissions gets to grade the set
+      const saved = await pool.query(
+        'UPDATE practice_sets SET answers = $2, score = $3, submitted_at = NOW() WHERE id = $1 AND submitted_at IS NULL RETURNING *',
+        [set.id, JSON.stringify(answers), score]
+      );
+      if (saved.rowCount === 0) {
+        return res.status(409).json({ error: 'This practice set has already been submitted' });
+      }
+
+      const previous = await pool.query(
+        'SELECT mastery FROM topic_mastery WHERE user_id = $1 AND subject = $2 AND topic = $3',
+        [user.id, set.subject, set.topic]
+      );
+      const mastery = nextMastery(previous.rows[0] ? previous.rows[0].mastery : null, score, set.problems.length);
+      const updated = await pool.query(`
+        INSERT INTO topic_mastery (user_id, subject, topic, mastery, problems_attempted, problems_correct)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (user_id, subject, topic) DO UPDATE SET
+          mastery = EXCLUDED.mastery,
+          problems_attempted = topic_mastery.problems_attempted + EXCLUDED.problems_attempted,
+          problems_correct = topic_mastery.problems_correct + EXCLUDED.problems_correct,
+          updated_at = NOW()
+        RETURNING *
+      `, [user.id, set.subject, set.topic, mastery, set.problems.length, score]);
+
+      logger.info('Practice set submitted', { userId: user.id, setId: set.id, score, total: set.problems.length, mastery });
+
+      res.json({
+        ...formatPracticeSet(saved.rows[0]),
+        mastery: formatMastery(updated.rows[0])
+      });
+    } catch (error) {
+      logger.error('Submit practice error:', error);
+      res.status(500).json({ error: 'Failed to submit practice set' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPracticeRoutes };
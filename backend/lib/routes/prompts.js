@@ -0,0 +1,163 @@
+// Admin management of prompt templates. Mounted at /api/v1/admin/prompts.
+//
+// Templates are never edited in place: saving creates the next version for
+// the subject/grade band/mode, and rolling forward or back is activating
+// another version. Solved problems keep pointing at the version that produced
+// them.
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { GRADE_BANDS, PROMPT_MODES, templateSubject } = require('../prompts');
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function formatTemplate(row) {
+  return {
+    id: row.id,
+    subject: row.subject,
+    gradeBand: row.grade_band,
+    mode: row.mode,
+    version: row.version,
+    body: row.body,
+    notes: row.notes,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    activatedAt: row.activated_at
+  };
+}
+
+// Makes one version the only active one for its key (a single statement, so
+// there is never a moment with zero or two active versions)
+async function activateTemplate(pool, template) {
+  await pool.query(`
+    UPDATE prompt_templates SET
+      is_active = (id = $1),
+      activated_at = CASE WHEN id = $1 THEN NOW() ELSE activated_at END
+    WHERE subject = $2 AND grade_band = $3 AND mode = $4
+  `, [template.id, template.subject, template.grade_band, template.mode]);
+}
+
+function createPromptRoutes({ pool, logger, requireAdmin, prompts }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  router.get('/', [
+    query('subject').optional().isString().customSanitizer(value => templateSubject(value) || value),
+    query('mode').optional().isIn(PROMPT_MODES)
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const conditions = [];
+      const params = [];
+      if (req.query.subject) {
+        params.push(req.query.subject);
+        conditions.push(`subject = $${params.length}`);
+      }
+      if (req.query.mode) {
+        params.push(req.query.mode);
+        conditions.push(`mode = $${params.length}`);
+      }
+
+      const result = await pool.query(
+        `SELECT * FROM prompt_templates
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY subject, grade_band, mode, version DESC`,
+        params
+      );
+      res.json({ templates: result.rows.map(formatTemplate) });
+    } catch (error) {
+      logger.error('List prompts error:', error);
+      res.status(500).json({ error: 'Failed to list prompt templates' });
+    }
+  });
+
+  // Saves a new version; pass activate: true to start using it right away
+  router.post('/', [
+    // A subject id, display name or alias, or "default" for the fallback template
+    body('subject').isString().bail().custom(value => {
+      if (!templateSubject(value)) throw new Error('Unknown subject');
+      return true;
+    }).bail().customSanitizer(templateSubject),
+    body('gradeBand').optional().isIn(GRADE_BANDS),
+    body('mode').optional().isIn(PROMPT_MODES),
+    body('body').isString().trim().isLength({ min: 1, max: 10000 }),
+    body('notes').optional().isString().isLength({ max: 500 }),
+    body('activate').optional().isBoolean().toBoolean()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { subject, gradeBand = 'any', mode = 'solve', notes, activate } = req.body;
+
+      const latest = await pool.query(
+        'SELECT MAX(version) AS version FROM prompt_templates WHERE subject = $1 AND grade_band = $2 AND mode = $3',
+        [subject, gradeBand, mode]
+      );
+      const version = (latest.rows[0].version || 0) + 1;
+
+      const result = await pool.query(`
+        INSERT INTO prompt_templates (subject, grade_band, mode, version, body, notes, is_active)
+        VALUES ($1, $2, $3, $4, $5, $6, false)
+        RETURNING *
+      `, [subject, gradeBand, mode, version, req.body.body, notes || null]);
+      let template = result.rows[0];
+
+      if (activate) {
+        await activateTemplate(pool, template);
+        prompts.invalidate();
+        template = (await pool.query('SELECT * FROM prompt_templates WHERE id = $1', [template.id])).rows[0];
+      }
+
+      logger.info('Prompt template saved', { subject, gradeBand, mode, version, activated: !!activate });
+      res.status(201).json(formatTemplate(template));
+    } catch (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Another version was saved at the same time; retry' });
+      }
+      logger.error('Create prompt error:', error);
+      res.status(500).json({ error: 'Failed to save prompt template' });
+    }
+  });
+
+  // Roll forward or back to any saved version
+  router.post('/:id/activate', [
+    param('id').isInt({ min: 1 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const result = await pool.query('SELECT * FROM prompt_templates WHERE id = $1', [req.params.id]);
+      const template = result.rows[0];
+      if (!template) {
+        return res.status(404).json({ error: 'Prompt template not found' });
+      }
+
+      await activateTemplate(pool, template);
+      prompts.invalidate();
+
+      logger.info('Prompt template activated', {
+        subject: template.subject,
+        gradeBand: template.grade_band,
+        mode: template.mode,
+        version: template.version
+      });
+      const updated = await pool.query('SELECT * FROM prompt_templates WHERE id = $1', [template.id]);
+      res.json(formatTemplate(updated.rows[0]));
+    } catch (error) {
+      logger.error('Activate prompt error:', error);
+      res.status(500).json({ error: 'Failed to activate prompt template' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPromptRoutes };
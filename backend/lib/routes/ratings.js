@@ -0,0 +1,155 @@
+// Solution ratings. Students rate each of their own solutions once (1-5 plus
+// "was this helpful"), and can change their rating later.
+//
+// Admin aggregates group ratings by subject, model, prompt template version and
+// the day the problem was solved, so weak subjects, models and prompts show up;
+// groups other than days are listed worst first.
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+
+const DEFAULT_AGGREGATE_DAYS = 30;
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+// node-postgres returns DATE columns as local midnight
+function formatDate(value) {
+  if (!(value instanceof Date)) return value;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+function formatAggregate(row) {
+  const ratings = parseInt(row.ratings);
+  return {
+    ratings,
+    averageRating: ratings ? Math.round(parseFloat(row.average_rating) * 100) / 100 : null,
+    helpfulRate: ratings ? Math.round(parseInt(row.helpful) / ratings * 1000) / 1000 : null
+  };
+}
+
+// Mounted at /api/v1; requireAdmin guards the aggregate endpoint
+function createRatingRoutes({ pool, logger, authenticateToken, requireAdmin }) {
+  const router = express.Router();
+
+  router.post('/homework/problem/:id/rate', authenticateToken, [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('rating').isInt({ min: 1, max: 5 }).toInt(),
+    body('wasHelpful').isBoolean().toBoolean(),
+    body('comment').optional().isString().trim().isLength({ max: 1000 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { rating, wasHelpful, comment } = req.body;
+
+      // Someone else's problem looks the same as a missing one
+      const problem = await pool.query(
+        'SELECT id FROM problems WHERE id = $1 AND user_id = $2',
+        [req.params.id, req.user.id]
+      );
+      if (problem.rows.length === 0) {
+        return res.status(404).json({ error: 'Problem not found' });
+      }
+
+      const result = await pool.query(`
+        INSERT INTO problem_ratings (problem_id, user_id, rating, was_helpful, comment)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (problem_id) DO UPDATE SET
+          rating = EXCLUDED.rating,
+          was_helpful = EXCLUDED.was_helpful,
+          comment = EXCLUDED.comment,
+          updated_at = NOW()
+        RETURNING *
+      `, [req.params.id, req.user.id, rating, wasHelpful, comment || null]);
+
+      const saved = result.rows[0];
+      res.json({
+        success: true,
+        problemId: saved.problem_id.toString(),
+        rating: saved.rating,
+        wasHelpful: saved.was_helpful
+      });
+    } catch (error) {
+      logger.error('Rate problem error:', error);
+      res.status(500).json({ error: 'Failed to rate problem' });
+    }
+  });
+
+  // ?days=N limits the window to problems solved in the last N days (default 30)
+  router.get('/admin/ratings', requireAdmin, [
+    query('days').optional().isInt({ min: 1, max: 365 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const days = req.query.days || DEFAULT_AGGREGATE_DAYS;
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+      const aggregate = (groupBy) => pool.query(`
+        SELECT ${groupBy} AS key,
+          COUNT(*) AS ratings,
+          AVG(r.rating) AS average_rating,
+          SUM(CASE WHEN r.was_helpful THEN 1 ELSE 0 END) AS helpful
+        FROM problem_ratings r
+        JOIN problems p ON p.id = r.problem_id
+        WHERE p.created_at > $1
+        GROUP BY ${groupBy}
+      `, [since]);
+
+      const [bySubject, byModel, byDay, byPrompt] = await Promise.all([
+        aggregate('p.subject'),
+        aggregate('p.model'),
+        aggregate('p.created_at::date'),
+        pool.query(`
+          SELECT t.id, t.subject, t.grade_band, t.mode, t.version,
+            COUNT(*) AS ratings,
+            AVG(r.rating) AS average_rating,
+            SUM(CASE WHEN r.was_helpful THEN 1 ELSE 0 END) AS helpful
+          FROM problem_ratings r
+          JOIN problems p ON p.id = r.problem_id
+          JOIN prompt_templates t ON t.id = p.prompt_template_id
+          WHERE p.created_at > $1
+          GROUP BY t.id, t.subject, t.grade_band, t.mode, t.version
+        `, [since])
+      ]);
+
+      res.json({
+        days,
+        bySubject: bySubject.rows
+          .map(row => ({ subject: row.key, ...formatAggregate(row) }))
+          .sort((a, b) => a.averageRating - b.averageRating),
+        byModel: byModel.rows
+          .map(row => ({ model: row.key, ...formatAggregate(row) }))
+          .sort((a, b) => a.averageRating - b.averageRating),
+        byDay: byDay.rows
+          .map(row => ({ date: formatDate(row.key), ...formatAggregate(row) }))
+          .sort((a, b) => (a.date < b.date ? -1 : 1)),
+        byPrompt: byPrompt.rows
+          .map(row => ({
+            promptTemplateId: row.id,
+            subject: row.subject,
+            gradeBand: row.grade_band,
+            mode: row.mode,
+            version: row.version,
+            ...formatAggregate(row)
+          }))
+          .sort((a, b) => a.averageRating - b.averageRating)
+      });
+    } catch (error) {
+      logger.error('Rating aggregates error:', error);
+      res.status(500).json({ error: 'Failed to get rating aggregates' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createRatingRoutes };
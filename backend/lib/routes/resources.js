@@ -0,0 +1,235 @@
+// Learning resources for a question, plus admin editing of the catalog.
+// Mounted at /api/v1.
+//
+// With augmentWithLLM enabled, questions that match no catalog tags are sent
+// to the LLM for a few topic keywords. The keywords are matched against the
+// catalog again, and any that still match nothing become Khan Academy search
+// links; the model never supplies URLs itself.
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const {
+  RESOURCE_TYPES,
+  normalizeResourceSubject,
+  rankResources,
+  countTagMatches,
+  formatResource
+} = require('../resources');
+const { findSubject } = require('../subjects');
+
+const MAX_SUBJECT_RESOURCES = 4;
+const MAX_TOPICS = 3;
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+// Pulls the JSON array of topics out of the reply; anything else yields none
+function parseTopics(content) {
+  let topics;
+  try {
+    const match = content.match(/\[[\s\S]*\]/);
+    topics = match ? JSON.parse(match[0]) : [];
+  } catch (error) {
+    topics = [];
+  }
+  if (!Array.isArray(topics)) return [];
+
+  return topics
+    .filter(topic => typeof topic === 'string')
+    .map(topic => topic.trim().toLowerCase())
+    .filter(topic => topic.length > 1 && topic.length <= 40 && topic.split(/\s+/).length <= 4)
+    .slice(0, MAX_TOPICS);
+}
+
+function searchResource(topic) {
+  return {
+    title: `Khan Academy: ${topic}`,
+    type: 'video',
+    url: `https://www.khanacademy.org/search?page_search_query=${encodeURIComponent(topic)}`,
+    description: `Lessons and practice on ${topic}`,
+    icon: 'magnifyingglass'
+  };
+}
+
+const resourceFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    // null makes the resource show up for every subject
+    body('subject').optional({ nullable: true }).custom(value => {
+      if (!findSubject(value)) throw new Error('Unknown subject');
+      return true;
+    }),
+    field('title').isString().trim().isLength({ min: 1, max: 200 }),
+    field('type').isIn(RESOURCE_TYPES),
+    field('url').isURL({ protocols: ['http', 'https'], require_protocol: true }),
+    field('description').isString().trim().isLength({ min: 1, max: 500 }),
+    field('icon').isString().trim().isLength({ min: 1, max: 100 }),
+    body('tags').optional().isArray({ max: 50 }),
+    body('tags.*').isString().trim().toLowerCase().isLength({ min: 1, max: 50 }),
+    body('priority').optional().isInt({ min: -100, max: 100 }).toInt(),
+    body('active').optional().isBoolean().toBoolean()
+  ];
+};
+
+function createResourceRoutes({ pool, logger, authenticateToken, requireAdmin, llm, trackAPIUsage, augmentWithLLM = false }) {
+  const router = express.Router();
+
+  async function suggestTopics(question, subject) {
+    const completion = await llm.complete({
+      subject,
+      messages: [
+        {
+          role: 'system',
+          content: `List up to ${MAX_TOPICS} short ${subject || 'school'} topic names (1-3 words each) a student should review to understand the question. Reply with a JSON array of strings only.`
+        },
+        { role: 'user', content: question }
+      ],
+      maxTokens: 60,
+      temperature: 0
+    });
+
+    const tokensUsed = completion.usage.totalTokens;
+    await trackAPIUsage('homework_resources', tokensUsed, Math.ceil(tokensUsed * 0.015 / 1000));
+    return parseTopics(completion.content);
+  }
+
+  router.post('/homework/resources', authenticateToken, [
+    body('question').isString().isLength({ max: 5000 }),
+    body('subject').isString().isLength({ min: 1, max: 50 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { question } = req.body;
+      const subject = normalizeResourceSubject(req.body.subject);
+
+      const result = await pool.query(
+        'SELECT * FROM learning_resources WHERE active = true AND (subject = $1 OR subject IS NULL)',
+        [subject]
+      );
+
+      let text = question;
+      let unmatchedTopics = [];
+      const hasTagMatch = result.rows.some(row => row.subject && countTagMatches(row.tags, question) > 0);
+
+      if (augmentWithLLM && question.trim() && !hasTagMatch) {
+        try {
+          const topics = await suggestTopics(question, subject);
+          text = [question, ...topics].join('\n');
+          unmatchedTopics = topics.filter(topic =>
+            !result.rows.some(row => row.subject && countTagMatches(row.tags, topic) > 0)
+          );
+        } catch (error) {
+          // The catalog alone is still a useful answer
+          logger.warn('Resource topic suggestion failed', { error: error.message });
+        }
+      }
+
+      const ranked = rankResources(result.rows, text, MAX_SUBJECT_RESOURCES);
+      const resources = ranked.map(formatResource);
+      if (unmatchedTopics.length > 0) {
+        // Search links go after the subject resources, before the general ones
+        const subjectCount = ranked.filter(row => row.subject).length;
+        resources.splice(subjectCount, 0, ...unmatchedTopics.map(searchResource));
+      }
+
+      res.json({ resources });
+    } catch (error) {
+      logger.error('Resources error:', error);
+      res.status(500).json({ error: 'Failed to get resources' });
+    }
+  });
+
+  router.get('/admin/resources', requireAdmin, async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM learning_resources ORDER BY subject NULLS LAST, priority DESC, id'
+      );
+      res.json({ resources: result.rows });
+    } catch (error) {
+      logger.error('List resources error:', error);
+      res.status(500).json({ error: 'Failed to list resources' });
+    }
+  });
+
+  router.post('/admin/resources', requireAdmin, resourceFields(false), async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { title, type, url, description, icon, tags = [], priority = 0, active = true } = req.body;
+      const result = await pool.query(
+        `INSERT INTO learning_resources (subject, title, type, url, description, icon, tags, priority, active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+        [normalizeResourceSubject(req.body.subject), title, type, url, description, icon, tags, priority, active]
+      );
+      res.status(201).json(result.rows[0]);
+    } catch (error) {
+      logger.error('Create resource error:', error);
+      res.status(500).json({ error: 'Failed to create resource' });
+    }
+  });
+
+  // Partial update: only the fields present in the body change
+  router.put('/admin/resources/:id', requireAdmin, [
+    param('id').isInt({ min: 1 }).toInt(),
+    ...resourceFields(true)
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const updates = {};
+      for (const field of ['title', 'type', 'url', 'description', 'icon', 'tags', 'priority', 'active']) {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      }
+      if (req.body.subject !== undefined) {
+        updates.subject = normalizeResourceSubject(req.body.subject);
+      }
+
+      const columns = Object.keys(updates);
+      if (columns.length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+      }
+
+      const assignments = columns.map((column, i) => `${column} = $${i + 2}`);
+      const result = await pool.query(
+        `UPDATE learning_resources SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [req.params.id, ...columns.map(column => updates[column])]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Resource not found' });
+      }
+      res.json(result.rows[0]);
+    } catch (error) {
+      logger.error('Update resource error:', error);
+      res.status(500).json({ error: 'Failed to update resource' });
+    }
+  });
+
+  router.delete('/admin/resources/:id', requireAdmin, [
+    param('id').isInt({ min: 1 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const result = await pool.query('DELETE FROM learning_resources WHERE id = $1 RETURNING id', [req.params.id]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Resource not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Delete resource error:', error);
+      res.status(500).json({ error: 'Failed to delete resource' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createResourceRoutes, parseTopics };
@@ -0,0 +1,81 @@
+// Admin view of the solution cache. Mounted at /api/v1/admin/solution-cache.
+//
+// Activating a new prompt version already stops reuse of the old version's
+// entries; invalidate when a cached solution is wrong or a subject's answers
+// need regenerating.
+
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { findSubject } = require('../subjects');
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+// Subject ids, display names and aliases all filter by the id
+const subjectFilter = query('subject').optional().isString().customSanitizer(value => {
+  const subject = findSubject(value);
+  return subject ? subject.id : value;
+});
+
+function createSolutionCacheRoutes({ logger, requireAdmin, solutionCache }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  router.get('/', [
+    subjectFilter,
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { subject, limit = 50, offset = 0 } = req.query;
+      const page = await solutionCache.list({ subject, limit, offset });
+      res.json({ ...page, limit, offset });
+    } catch (error) {
+      logger.error('List solution cache error:', error);
+      res.status(500).json({ error: 'Failed to list cached solutions' });
+    }
+  });
+
+  router.delete('/:id', [
+    param('id').isInt({ min: 1 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const deleted = await solutionCache.invalidate({ id: req.params.id });
+      if (deleted === 0) {
+        return res.status(404).json({ error: 'Cached solution not found' });
+      }
+      res.json({ deleted });
+    } catch (error) {
+      logger.error('Invalidate solution cache error:', error);
+      res.status(500).json({ error: 'Failed to invalidate cached solution' });
+    }
+  });
+
+  // Clears one subject's entries with ?subject=, otherwise the whole cache
+  router.delete('/', [subjectFilter], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const deleted = await solutionCache.invalidate({ subject: req.query.subject });
+      logger.info('Solution cache invalidated', { subject: req.query.subject || 'all', deleted });
+      res.json({ deleted });
+    } catch (error) {
+      logger.error('Invalidate solution cache error:', error);
+      res.status(500).json({ error: 'Failed to invalidate cached solutions' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createSolutionCacheRoutes };
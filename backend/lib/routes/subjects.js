@@ -0,0 +1,17 @@
+// Subject list for clients. Mounted at /api/v1/subjects; no auth so the app
+// can load it before signing in.
+
+const express = require('express');
+
+function createSubjectRoutes({ subjects }) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json({ subjects: subjects.list() });
+  });
+
+  return router;
+}
+
+module.exports = { createSubjectRoutes };
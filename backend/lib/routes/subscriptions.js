@@ -0,0 +1,424 @@
+// App Store subscriptions. Mounted under /api/v1/subscription.
+//
+// users.is_premium is derived from the subscriptions table: a user is premium
+// while any subscription is active, or in its billing grace period. It is
+// recomputed whenever the app reports a purchase, whenever App Store Server
+// Notifications V2 arrive, and by a periodic sweep that expires lapsed rows.
+// Only products in SUBSCRIPTION_TYPES are accepted. Apple may deliver
+// notifications out of order, so one signed before the last applied is
+// recorded but changes nothing.
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { AppStoreVerificationError } = require('../appstore');
+const { dailySolveLimit, UNLIMITED_SOLVES } = require('../auth');
+
+const SUBSCRIPTION_TYPES = {
+  'com.aihelper.homework.weekly': 'weekly',
+  'com.aihelper.homework.monthly': 'monthly'
+};
+
+const ENTITLING_SQL = `
+  (s.status = 'active' AND s.expires_at > NOW()) OR
+  (s.status = 'grace_period' AND COALESCE(s.grace_period_expires_at, s.expires_at) > NOW())
+`;
+
+function toDate(ms) {
+  return ms ? new Date(Number(ms)) : null;
+}
+
+function statusFromTransaction(transaction, now = new Date()) {
+  if (transaction.revocationDate) return 'revoked';
+  const expiresAt = toDate(transaction.expiresDate);
+  return expiresAt && expiresAt > now ? 'active' : 'expired';
+}
+
+// Maps a V2 notification onto a subscription status. Types not listed here
+// (price increases, consumption requests, ...) fall back to the transaction.
+function statusFromNotification(notificationType, subtype, transaction, renewal) {
+  switch (notificationType) {
+    case 'SUBSCRIBED':
+    case 'DID_RENEW':
+    case 'OFFER_REDEEMED':
+    case 'DID_CHANGE_RENEWAL_PREF':
+      return statusFromTransaction(transaction);
+    case 'DID_FAIL_TO_RENEW':
+      return subtype === 'GRACE_PERIOD' || renewal?.gracePeriodExpiresDate ? 'grace_period' : 'billing_retry';
+    case 'EXPIRED':
+    case 'GRACE_PERIOD_EXPIRED':
+      return 'expired';
+    case 'REFUND':
+    case 'REVOKE':
+      return 'revoked';
+    default:
+      return statusFromTransaction(transaction);
+  }
+}
+
+async function refreshPremiumStatus(pool, userId) {
+  const result = await pool.query(`
+    UPDATE users SET
+      is_premium = EXISTS (SELECT 1 FROM subscriptions s WHERE s.user_id = $1 AND (${ENTITLING_SQL})),
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING is_premium
+  `, [userId]);
+  return result.rows[0]?.is_premium || false;
+}
+
+// Marks lapsed subscriptions expired and drops premium from their users
+async function expireSubscriptions(pool) {
+  const result = await pool.query(`
+    UPDATE subscriptions SET status = 'expired', updated_at = NOW()
+    WHERE (status = 'active' AND expires_at <= NOW())
+       OR (status IN ('grace_period', 'billing_retry') AND COALESCE(grace_period_expires_at, expires_at) <= NOW())
+    RETURNING user_id
+  `);
+
+  const userIds = [...new Set(result.rows.map(row => row.user_id).filter(Boolean))];
+  for (const userId of userIds) {
+    await refreshPremiumStatus(pool, userId);
+  }
+  return userIds.length;
+}
+
+function startSubscriptionSweep({ pool, logger, intervalMs = 10 * 60 * 1000 }) {
+  const timer = setInterval(async () => {
+    try {
+      const expired = await expireSubscriptions(pool);
+      if (expired > 0) {
+        logger.info('Expired subscriptions swept', { users: expired });
+      }
+    } catch (error) {
+      logger.error('Subscription sweep error:', error);
+    }
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+function formatSubscription(row) {
+  return {
+    productId: row.product_id,
+    subscriptionType: SUBSCRIPTION_TYPES[row.product_id] || null,
+    originalTransactionId: row.original_transaction_id,
+    status: row.status,
+    purchaseDate: row.purchase_date,
+    expiryDate: row.expires_at,
+    gracePeriodExpiry: row.grace_period_expires_at,
+    autoRenew: row.auto_renew,
+    environment: row.environment
+  };
+}
+
+function createSubscriptionRoutes({ pool, logger, authenticateToken, verifier, allowUnverifiedReceipts = false }) {
+  const router = express.Router();
+
+  // Records a purchase reported by the app. `receipt` should be the StoreKit 2
+  // signed transaction (JWS); its verified contents win over the other fields.
+  router.post('/process', authenticateToken, [
+    body('receipt').isString().notEmpty(),
+    body('productId').isString().notEmpty().isLength({ max: 255 }),
+    body('transactionId').isString().notEmpty().isLength({ max: 255 }),
+    body('originalTransactionId').isString().notEmpty().isLength({ max: 255 }),
+    body('purchaseDate').isISO8601(),
+    body('expiryDate').isISO8601()
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      let purchase;
+      let verified = false;
+
+      try {
+        const transaction = verifier.verify(req.body.receipt);
+        purchase = {
+          productId: transaction.productId,
+          transactionId: transaction.transactionId,
+          originalTransactionId: transaction.originalTransactionId,
+          purchaseDate: toDate(transaction.purchaseDate),
+          expiresAt: toDate(transaction.expiresDate),
+          status: statusFromTransaction(transaction),
+          environment: transaction.environment || null
+        };
+        verified = true;
+      } catch (error) {
+        if (!(error instanceof AppStoreVerificationError) || !allowUnverifiedReceipts) {
+          logger.warn('Receipt verification failed', { userId: req.user.id, reason: error.message });
+          return res.status(400).json({ error: 'Receipt could not be verified' });
+        }
+
+        // Development only: trust the fields the client sent
+        const expiresAt = new Date(req.body.expiryDate);
+        purchase = {
+          productId: req.body.productId,
+          transactionId: req.body.transactionId,
+          originalTransactionId: req.body.originalTransactionId,
+          purchaseDate: new Date(req.body.purchaseDate),
+          expiresAt,
+          status: expiresAt > new Date() ? 'active' : 'expired',
+          environment: 'Unverified'
+        };
+      }
+
+      if (!SUBSCRIPTION_TYPES[purchase.productId]) {
+        logger.warn('Unknown subscription product', { userId: req.user.id, productId: purchase.productId });
+        return res.status(400).json({ error: 'Unknown subscription product' });
+      }
+
+      const previous = await pool.query(
+        'SELECT user_id FROM subscriptions WHERE original_transaction_id = $1',
+        [purchase.originalTransactionId]
+      );
+
+      // A restore on another account moves the subscription to the current user
+      const result = await pool.query(`
+        INSERT INTO subscriptions
+          (user_id, product_id, original_transaction_id, latest_transaction_id, purchase_date, expires_at, status, environment, verified)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (original_transaction_id) DO UPDATE SET
+          user_id = EXCLUDED.user_id,
+          product_id = EXCLUDED.product_id,
+          latest_transaction_id = EXCLUDED.latest_transaction_id,
+          purchase_date = EXCLUDED.purchase_date,
+          expires_at = EXCLUDED.expires_at,
+          status = EXCLUDED.status,
+          environment = EXCLUDED.environment,
+          verified = EXCLUDED.verified,
+          updated_at = NOW()
+        RETURNING *
+      `, [
+        req.user.id,
+        purchase.productId,
+        purchase.originalTransactionId,
+        purchase.transactionId,
+        purchase.purchaseDate,
+        purchase.expiresAt,
+        purchase.status,
+        purchase.environment,
+        verified
+      ]);
+
+      await refreshPremiumStatus(pool, req.user.id);
+      const previousUserId = previous.rows[0]?.user_id;
+      if (previousUserId && previousUserId !== req.user.id) {
+        await refreshPremiumStatus(pool, previousUserId);
+      }
+
+      const subscription = result.rows[0];
+      logger.info('Subscription processed', {
+        userId: req.user.id,
+        productId: subscription.product_id,
+        status: subscription.status,
+        verified
+      });
+
+      res.json({
+        success: true,
+        subscriptionStatus: subscription.status,
+        expiryDate: subscription.expires_at ? subscription.expires_at.toISOString() : null
+      });
+    } catch (error) {
+      logger.error('Subscription process error:', error);
+      res.status(500).json({ error: 'Failed to process subscription' });
+    }
+  });
+
+  router.get('/status', authenticateToken, async (req, res) => {
+    try {
+      const isPremium = await refreshPremiumStatus(pool, req.user.id);
+
+      // Prefer a subscription that currently entitles the user, then the most recent one
+      const result = await pool.query(`
+        SELECT s.*, (${ENTITLING_SQL}) AS entitled
+        FROM subscriptions s
+        WHERE s.user_id = $1
+        ORDER BY entitled DESC, s.expires_at DESC
+        LIMIT 1
+      `, [req.user.id]);
+      const subscription = result.rows[0];
+
+      let subscriptionStatus = 'none';
+      if (subscription) {
+        subscriptionStatus = subscription.status === 'active' && !subscription.entitled
+          ? 'expired'
+          : subscription.status;
+      }
+
+      const dailySolvesUsed = req.user.daily_solves_used;
+      const limit = dailySolveLimit({ ...req.user, is_premium: isPremium });
+      res.json({
+        subscriptionStatus,
+        subscriptionType: subscription ? SUBSCRIPTION_TYPES[subscription.product_id] || null : null,
+        subscriptionExpiry: subscription ? subscription.expires_at : null,
+        gracePeriodExpiry: subscription ? subscription.grace_period_expires_at : null,
+        autoRenew: subscription ? subscription.auto_renew : null,
+        isPremium,
+        dailySolvesUsed,
+        dailySolvesRemaining: limit === null ? UNLIMITED_SOLVES : Math.max(0, limit - dailySolvesUsed)
+      });
+    } catch (error) {
+      logger.error('Subscription status error:', error);
+      res.status(500).json({ error: 'Failed to get subscription status' });
+    }
+  });
+
+  router.get('/history', authenticateToken, async (req, res) => {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM subscriptions WHERE user_id = $1 ORDER BY purchase_date DESC',
+        [req.user.id]
+      );
+      res.json({ subscriptions: result.rows.map(formatSubscription) });
+    } catch (error) {
+      logger.error('Subscription history error:', error);
+      res.status(500).json({ error: 'Failed to get subscription history' });
+    }
+  });
+
+  // App Store Server Notifications V2 webhook (configure this URL in App Store Connect)
+  router.post('/notifications', [
+    body('signedPayload').isString().notEmpty()
+  ], async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let notification;
+    let transaction;
+    let renewal = null;
+    try {
+      notification = verifier.verify(req.body.signedPayload);
+      if (!notification.signedDate) {
+        logger.warn('Rejected App Store notification', { reason: 'Missing signedDate' });
+        return res.status(400).json({ error: 'Invalid signed payload' });
+      }
+      if (!notification.data?.signedTransactionInfo) {
+        // Test notifications and summaries carry no transaction
+        logger.info('App Store notification without transaction', { type: notification.notificationType });
+        return res.json({ success: true });
+      }
+      transaction = verifier.verify(notification.data.signedTransactionInfo);
+      if (notification.data.signedRenewalInfo) {
+        renewal = verifier.verify(notification.data.signedRenewalInfo, { bundleIdRequired: false });
+      }
+    } catch (error) {
+      if (error instanceof AppStoreVerificationError) {
+        logger.warn('Rejected App Store notification', { reason: error.message });
+        return res.status(400).json({ error: 'Invalid signed payload' });
+      }
+      logger.error('App Store notification error:', error);
+      return res.status(500).json({ error: 'Failed to process notification' });
+    }
+
+    try {
+      const { notificationType, subtype, notificationUUID } = notification;
+
+      // Apple retries deliveries, so each notification is applied once
+      const seen = await pool.query(
+        'SELECT 1 FROM app_store_notifications WHERE notification_uuid = $1',
+        [notificationUUID]
+      );
+      if (seen.rows.length > 0) {
+        return res.json({ success: true, duplicate: true });
+      }
+
+      const existing = await pool.query(
+        'SELECT * FROM subscriptions WHERE original_transaction_id = $1',
+        [transaction.originalTransactionId]
+      );
+      const subscription = existing.rows[0];
+      let stale = false;
+      if (!subscription) {
+        // The app has not reported this purchase yet; /process will pick it up
+        logger.warn('App Store notification for unknown subscription', {
+          notificationType,
+          originalTransactionId: transaction.originalTransactionId
+        });
+      } else if (!SUBSCRIPTION_TYPES[transaction.productId]) {
+        logger.warn('App Store notification for unknown product', {
+          notificationType,
+          productId: transaction.productId,
+          userId: subscription.user_id
+        });
+      } else {
+        const status = statusFromNotification(notificationType, subtype, transaction, renewal);
+        const updated = await pool.query(`
+          UPDATE subscriptions SET
+            product_id = $1,
+            latest_transaction_id = $2,
+            expires_at = COALESCE($3, expires_at),
+            status = $4,
+            grace_period_expires_at = $5,
+            auto_renew = COALESCE($6, auto_renew),
+            environment = COALESCE($7, environment),
+            verified = true,
+            notification_signed_at = $9,
+            updated_at = NOW()
+          WHERE id = $8 AND (notification_signed_at IS NULL OR notification_signed_at <= $9)
+        `, [
+          transaction.productId,
+          transaction.transactionId,
+          toDate(transaction.expiresDate),
+          status,
+          status === 'grace_period' ? toDate(renewal?.gracePeriodExpiresDate) : null,
+          renewal ? renewal.autoRenewStatus === 1 : null,
+          transaction.environment || null,
+          subscription.id,
+          toDate(notification.signedDate)
+        ]);
+
+        if (updated.rowCount === 0) {
+          stale = true;
+          logger.info('Out-of-order App Store notification skipped', {
+            notificationType,
+            userId: subscription.user_id,
+            signedDate: toDate(notification.signedDate)
+          });
+        } else {
+          const isPremium = await refreshPremiumStatus(pool, subscription.user_id);
+          logger.info('App Store notification applied', {
+            notificationType,
+            subtype,
+            userId: subscription.user_id,
+            status,
+            isPremium
+          });
+        }
+      }
+
+      await pool.query(`
+        INSERT INTO app_store_notifications
+          (notification_uuid, notification_type, subtype, original_transaction_id, user_id, payload)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (notification_uuid) DO NOTHING
+      `, [
+        notificationUUID,
+        notificationType,
+        subtype || null,
+        transaction.originalTransactionId,
+        subscription ? subscription.user_id : null,
+        JSON.stringify({ notification, transaction, renewal })
+      ]);
+
+      res.json(stale ? { success: true, stale: true } : { success: true });
+    } catch (error) {
+      logger.error('App Store notification error:', error);
+      res.status(500).json({ error: 'Failed to process notification' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createSubscriptionRoutes,
+  refreshPremiumStatus,
+  expireSubscriptions,
+  startSubscriptionSweep,
+  SUBSCRIPTION_TYPES
+};
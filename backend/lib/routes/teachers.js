@@ -0,0 +1,79 @@
+// Admin approval of teacher accounts. Mounted at /api/v1/admin/teachers.
+//
+// Anyone can register with accountType "teacher", but classes and rosters
+// (routes/classes.js) stay closed until an admin approves the account here.
+
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function formatTeacher(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    approved: Boolean(row.teacher_approved_at),
+    approvedAt: row.teacher_approved_at,
+    createdAt: row.created_at
+  };
+}
+
+function createTeacherRoutes({ pool, logger, requireAdmin }) {
+  const router = express.Router();
+  router.use(requireAdmin);
+
+  // Newest first; ?status=pending lists the accounts waiting for approval
+  router.get('/', [
+    query('status').optional().isIn(['pending', 'approved'])
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const conditions = ["account_type = 'teacher'"];
+      if (req.query.status === 'pending') conditions.push('teacher_approved_at IS NULL');
+      if (req.query.status === 'approved') conditions.push('teacher_approved_at IS NOT NULL');
+
+      const result = await pool.query(
+        `SELECT id, email, teacher_approved_at, created_at FROM users WHERE ${conditions.join(' AND ')} ORDER BY id DESC`
+      );
+      res.json({ teachers: result.rows.map(formatTeacher) });
+    } catch (error) {
+      logger.error('List teachers error:', error);
+      res.status(500).json({ error: 'Failed to list teachers' });
+    }
+  });
+
+  router.post('/:id/approve', [
+    param('id').isInt({ min: 1 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const result = await pool.query(`
+        UPDATE users SET teacher_approved_at = COALESCE(teacher_approved_at, NOW())
+        WHERE id = $1 AND account_type = 'teacher'
+        RETURNING id, email, teacher_approved_at, created_at
+      `, [req.params.id]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'Teacher not found' });
+      }
+
+      logger.info('Teacher approved', { teacherId: req.params.id });
+      res.json(formatTeacher(result.rows[0]));
+    } catch (error) {
+      logger.error('Approve teacher error:', error);
+      res.status(500).json({ error: 'Failed to approve teacher' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createTeacherRoutes };
@@ -0,0 +1,177 @@
+// Follow-up threads on solved problems (see lib/threads.js). Mounted at
+// /api/v1; like the history routes, each path is also served under
+// /homework/problem/:id.
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { BudgetExceededError } = require('../usage');
+const { SolveRejectedError } = require('../solveChecks');
+const { dailySolveLimit, UNLIMITED_SOLVES } = require('../auth');
+const { FREE_FOLLOW_UPS, formatMessage, buildThreadMessages } = require('../threads');
+
+const BUSY_MESSAGE = 'Service temporarily unavailable due to high demand. Please try again later.';
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function createThreadRoutes({ pool, logger, authenticateToken, llm, prompts, usage, checks }) {
+  const router = express.Router();
+
+  const paths = ['/problems/:id/messages', '/homework/problem/:id/messages'];
+  const problemParam = param('id').isInt({ min: 1 }).toInt();
+
+  async function findProblem(userId, problemId) {
+    const result = await pool.query(
+      'SELECT * FROM problems WHERE id = $1 AND user_id = $2',
+      [problemId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async function loadThread(problemId) {
+    const result = await pool.query(
+      'SELECT * FROM problem_messages WHERE problem_id = $1 ORDER BY id',
+      [problemId]
+    );
+    return result.rows;
+  }
+
+  function freeFollowUpsRemaining(thread) {
+    const asked = thread.filter(message => message.role === 'user').length;
+    return Math.max(0, FREE_FOLLOW_UPS - asked);
+  }
+
+  router.get(paths, authenticateToken, [problemParam], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const problem = await findProblem(req.user.id, req.params.id);
+      if (!problem) {
+        return res.status(404).json({ error: 'Problem not found' });
+      }
+
+      const thread = await loadThread(problem.id);
+      res.json({
+        problemId: problem.id.toString(),
+        messages: thread.map(formatMessage),
+        freeFollowUpsRemaining: freeFollowUpsRemaining(thread)
+      });
+    } catch (error) {
+      logger.error('Get thread error:', error);
+      res.status(500).json({ error: 'Failed to get messages' });
+    }
+  });
+
+  // Asks a follow-up question about the problem's solution
+  router.post(paths, authenticateToken, [
+    problemParam,
+    body('content').isString().trim().isLength({ min: 1, max: 2000 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const user = req.user;
+      const { content } = req.body;
+
+      const problem = await findProblem(user.id, req.params.id);
+      if (!problem) {
+        return res.status(404).json({ error: 'Problem not found' });
+      }
+      // Hint ladders only get a thread once their solution is revealed
+      if (!problem.solution) {
+        return res.status(409).json({
+          error: 'Follow-up questions can be asked once the problem has a solution',
+          code: 'no_solution'
+        });
+      }
+
+      if (await checks.checkAccess(user, problem.subject) === 'hint_only') {
+        checks.rejectHintOnly();
+      }
+
+      const thread = await loadThread(problem.id);
+      const countsAsSolve = freeFollowUpsRemaining(thread) === 0;
+      if (countsAsSolve) {
+        checks.checkDailySolves(user);
+      }
+      await checks.checkIntegrity(user, content, problem.subject);
+      await checks.checkUsage(user);
+
+      const prompt = await prompts.resolve({ subject: problem.subject, mode: 'solve' });
+      const { messages, trimmed } = buildThreadMessages({
+        prompt,
+        question: problem.question,
+        solution: problem.solution,
+        history: thread,
+        content
+      });
+
+      const completion = await llm.complete({
+        subject: problem.subject,
+        messages,
+        maxTokens: 500,
+        temperature: 0.7
+      });
+      const tokensUsed = completion.usage.totalTokens;
+      const costCents = Math.ceil(tokensUsed * 0.015 / 1000);
+
+      const asked = await pool.query(
+        "INSERT INTO problem_messages (problem_id, role, content) VALUES ($1, 'user', $2) RETURNING *",
+        [problem.id, content]
+      );
+      const answered = await pool.query(`
+        INSERT INTO problem_messages (problem_id, role, content, tokens_used, cost_cents, model, counted_as_solve)
+        VALUES ($1, 'assistant', $2, $3, $4, $5, $6) RETURNING *
+      `, [problem.id, completion.content, tokensUsed, costCents, completion.model, countsAsSolve]);
+
+      if (countsAsSolve) {
+        await pool.query(
+          'UPDATE users SET daily_solves_used = daily_solves_used + 1, total_solves_used = total_solves_used + 1 WHERE id = $1',
+          [user.id]
+        );
+      }
+      await usage.incrementUserOpenAIUsage(user.id, tokensUsed);
+      await usage.trackAPIUsage('homework_follow_up', tokensUsed, costCents);
+
+      logger.info('Follow-up answered', {
+        userId: user.id,
+        problemId: problem.id,
+        tokensUsed,
+        trimmedMessages: trimmed,
+        countsAsSolve
+      });
+
+      const limit = dailySolveLimit(user);
+      const solvesUsed = user.daily_solves_used + (countsAsSolve ? 1 : 0);
+      res.status(201).json({
+        message: formatMessage(asked.rows[0]),
+        reply: formatMessage(answered.rows[0]),
+        countedAsSolve: countsAsSolve,
+        freeFollowUpsRemaining: Math.max(0, freeFollowUpsRemaining(thread) - 1),
+        dailySolvesRemaining: limit === null ? UNLIMITED_SOLVES : Math.max(0, limit - solvesUsed)
+      });
+    } catch (error) {
+      if (error instanceof SolveRejectedError) {
+        return res.status(error.status).json(error.body);
+      }
+
+      logger.error('Follow-up error:', error);
+
+      if (error instanceof BudgetExceededError) {
+        return res.status(503).json({ error: BUSY_MESSAGE });
+      }
+
+      res.status(500).json({ error: 'Failed to answer follow-up' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createThreadRoutes };
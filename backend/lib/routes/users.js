@@ -0,0 +1,108 @@
+// The signed-in user's profile and COPPA age verification. Mounted at /api/v1/users.
+//
+// Users under 13 can't solve problems until a parent grants consent through
+// the emailed link (see lib/parentalConsent.js); /me reports where that stands.
+// /link-code gives a student a short code to enter in a parent account
+// (see lib/parentLinks.js).
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { formatUser } = require('../auth');
+const { ParentalConsentError } = require('../parentalConsent');
+const { createLinkCode, LINK_CODE_TTL_MINUTES } = require('../parentLinks');
+
+function validate(req, res) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return false;
+  }
+  return true;
+}
+
+function createUserRoutes({ pool, logger, authenticateToken, parentalConsent }) {
+  const router = express.Router();
+
+  router.get('/me', authenticateToken, async (req, res) => {
+    try {
+      const user = req.user;
+      res.json({
+        ...formatUser(user),
+        totalSolvesUsed: user.total_solves_used,
+        parentalConsent: await parentalConsent.statusFor(user)
+      });
+    } catch (error) {
+      logger.error('Get user error:', error);
+      res.status(500).json({ error: 'Failed to get user' });
+    }
+  });
+
+  // COPPA compliance endpoint. An age under 13 is recorded and blocks solving
+  // until a parent consents; it can't be raised afterwards to skip consent.
+  router.post('/age-verification', authenticateToken, [
+    body('age').isInt({ min: 1, max: 120 }).toInt()
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const { age } = req.body;
+      const user = req.user;
+
+      if (user.age && user.age < 13 && !user.parental_consent && age >= 13) {
+        return res.status(409).json({
+          error: 'Age has already been recorded as under 13. Ask a parent to give consent.',
+          requiresParentalConsent: true
+        });
+      }
+
+      // A parent's earlier consent carries over to a corrected age under 13
+      const consent = age >= 13 || Boolean(user.age && user.age < 13 && user.parental_consent);
+      await pool.query(
+        'UPDATE users SET age = $1, parental_consent = $2, updated_at = NOW() WHERE id = $3',
+        [age, consent, user.id]
+      );
+
+      res.json({ success: true, requiresParentalConsent: !consent });
+    } catch (error) {
+      logger.error('Age verification error:', error);
+      res.status(500).json({ error: 'Failed to verify age' });
+    }
+  });
+
+  // Emails a consent link to the parent; asking again replaces the earlier link
+  router.post('/parental-consent/request', authenticateToken, [
+    body('parentEmail').isString().trim().toLowerCase().isEmail().isLength({ max: 255 })
+  ], async (req, res) => {
+    if (!validate(req, res)) return;
+
+    try {
+      const request = await parentalConsent.request(req.user, req.body.parentEmail);
+      res.status(202).json(request);
+    } catch (error) {
+      if (error instanceof ParentalConsentError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      logger.error('Parental consent request error:', error);
+      res.status(500).json({ error: 'Failed to request parental consent' });
+    }
+  });
+
+  // A one-time code a parent enters to link this account; only the newest works
+  router.post('/link-code', authenticateToken, async (req, res) => {
+    try {
+      if ((req.user.account_type || 'student') !== 'student') {
+        return res.status(400).json({ error: 'Only student accounts can be linked to a parent' });
+      }
+
+      const { code, expiresAt } = await createLinkCode(pool, req.user.id);
+      res.status(201).json({ code, expiresAt, expiresInMinutes: LINK_CODE_TTL_MINUTES });
+    } catch (error) {
+      logger.error('Create link code error:', error);
+      res.status(500).json({ error: 'Failed to create link code' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createUserRoutes };
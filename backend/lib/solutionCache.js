@@ -0,0 +1,196 @@
+// Cache of solutions for repeated questions.
+//
+// Entries are keyed on the normalized question text, the subject and the
+// prompt template version that answered it, so activating another template
+// version starts from an empty cache for that key. Postgres holds every entry
+// until it expires (SOLUTION_CACHE_TTL_HOURS, 0 turns the cache off); while
+// Redis is connected it answers lookups first, with the same expiry. Photo
+// questions are never cached.
+//
+// Cache failures are logged and treated as misses, so they never fail a solve.
+
+const crypto = require('crypto');
+
+const REDIS_PREFIX = 'solution:';
+
+// Case, spacing around operators and trailing punctuation don't change the
+// question, so "Solve 2x + 3 = 11." and "solve 2x+3=11" share an entry
+function normalizeQuestion(text) {
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/\s*([=+\-*/^(),<>])\s*/g, '$1')
+    .replace(/[\s.?!]+$/, '')
+    .trim();
+}
+
+function solutionCacheKey({ question, subject, prompt }) {
+  return crypto
+    .createHash('sha256')
+    .update([subject || '', prompt.id, prompt.version, normalizeQuestion(question)].join('\n'))
+    .digest('hex');
+}
+
+function formatEntry(row) {
+  return {
+    id: row.id,
+    subject: row.subject,
+    question: row.question,
+    promptTemplateId: row.prompt_template_id,
+    promptVersion: row.prompt_version,
+    model: row.model,
+    hits: row.hit_count,
+    createdAt: row.created_at,
+    lastHitAt: row.last_hit_at,
+    expiresAt: row.expires_at
+  };
+}
+
+function createSolutionCache({ pool, logger, getRedisClient = () => null, ttlSeconds }) {
+  const enabled = ttlSeconds > 0;
+
+  async function readRedis(key) {
+    const client = getRedisClient();
+    if (!client) return null;
+    try {
+      const value = await client.get(REDIS_PREFIX + key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      logger.warn('Solution cache Redis read failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async function writeRedis(key, entry, seconds) {
+    const client = getRedisClient();
+    if (!client || seconds <= 0) return;
+    try {
+      await client.set(REDIS_PREFIX + key, JSON.stringify(entry), { EX: seconds });
+    } catch (error) {
+      logger.warn('Solution cache Redis write failed', { error: error.message });
+    }
+  }
+
+  async function deleteRedis(keys) {
+    const client = getRedisClient();
+    if (!client || keys.length === 0) return;
+    try {
+      for (let i = 0; i < keys.length; i += 500) {
+        await client.del(keys.slice(i, i + 500).map(key => REDIS_PREFIX + key));
+      }
+    } catch (error) {
+      logger.warn('Solution cache Redis delete failed', { error: error.message });
+    }
+  }
+
+  // Returns { solution, model } for a live entry, or null
+  async function get({ question, subject, prompt }) {
+    if (!enabled || !question) return null;
+
+    const key = solutionCacheKey({ question, subject, prompt });
+    try {
+      let entry = await readRedis(key);
+
+      if (!entry) {
+        const result = await pool.query(
+          'SELECT solution, model, expires_at FROM solution_cache WHERE cache_key = $1 AND expires_at > NOW()',
+          [key]
+        );
+        if (result.rows.length === 0) return null;
+
+        const row = result.rows[0];
+        entry = { solution: row.solution, model: row.model };
+        await writeRedis(key, entry, Math.floor((new Date(row.expires_at) - Date.now()) / 1000));
+      }
+
+      await pool.query(
+        'UPDATE solution_cache SET hit_count = hit_count + 1, last_hit_at = NOW() WHERE cache_key = $1',
+        [key]
+      );
+      return entry;
+    } catch (error) {
+      logger.warn('Solution cache lookup failed', { error: error.message });
+      return null;
+    }
+  }
+
+  async function set({ question, subject, prompt, solution, model }) {
+    if (!enabled || !question || !solution) return;
+
+    const key = solutionCacheKey({ question, subject, prompt });
+    try {
+      await pool.query(`
+        INSERT INTO solution_cache (cache_key, subject, prompt_template_id, prompt_version, question, solution, model, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (cache_key)
+        DO UPDATE SET
+          solution = EXCLUDED.solution,
+          model = EXCLUDED.model,
+          hit_count = 0,
+          created_at = NOW(),
+          last_hit_at = NULL,
+          expires_at = EXCLUDED.expires_at
+      `, [key, subject, prompt.id, prompt.version, normalizeQuestion(question), solution, model, new Date(Date.now() + ttlSeconds * 1000)]);
+
+      await writeRedis(key, { solution, model }, ttlSeconds);
+    } catch (error) {
+      logger.warn('Solution cache write failed', { error: error.message });
+    }
+  }
+
+  // Live entries, most used first
+  async function list({ subject, limit = 50, offset = 0 } = {}) {
+    const conditions = ['expires_at > NOW()'];
+    const params = [];
+    if (subject) {
+      params.push(subject);
+      conditions.push(`subject = $${params.length}`);
+    }
+
+    const count = await pool.query(
+      `SELECT COUNT(*) FROM solution_cache WHERE ${conditions.join(' AND ')}`,
+      params
+    );
+    params.push(limit, offset);
+    const result = await pool.query(
+      `SELECT * FROM solution_cache
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY hit_count DESC, id DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+
+    return { entries: result.rows.map(formatEntry), total: parseInt(count.rows[0].count) };
+  }
+
+  // Deletes one entry (id), every entry for a subject, or everything.
+  // Returns the number of entries removed.
+  async function invalidate({ id, subject } = {}) {
+    const conditions = [];
+    const params = [];
+    if (id) {
+      params.push(id);
+      conditions.push(`id = $${params.length}`);
+    }
+    if (subject) {
+      params.push(subject);
+      conditions.push(`subject = $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `DELETE FROM solution_cache ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''} RETURNING cache_key`,
+      params
+    );
+    await deleteRedis(result.rows.map(row => row.cache_key));
+    return result.rows.length;
+  }
+
+  return { enabled, get, set, list, invalidate };
+}
+
+module.exports = {
+  createSolutionCache,
+  normalizeQuestion,
+  solutionCacheKey
+};
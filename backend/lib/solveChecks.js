@@ -0,0 +1,105 @@
+// Checks a request has to pass before the LLM is asked anything on a
+// student's behalf: solves, hints (routes/homework.js) and follow-up
+// questions (routes/threads.js). Each check throws a SolveRejectedError
+// carrying the status and body to answer with.
+
+const { BLOCK_MESSAGE } = require('./integrity');
+const { needsParentalConsent } = require('./parentalConsent');
+const { dailySolveLimit, dailyHintLimit } = require('./auth');
+
+const UPGRADE_URL = 'https://apps.apple.com/app/ai-homework-helper';
+
+// A solve the client is refused, with the status and body to answer with
+class SolveRejectedError extends Error {
+  constructor(status, body) {
+    super(body.error);
+    this.name = 'SolveRejectedError';
+    this.status = status;
+    this.body = body;
+  }
+}
+
+function createSolveChecks({ classrooms, integrity, usage }) {
+  // Parental consent and the policies of the student's classes, checked for
+  // solves and hints alike. Returns the class solution mode, full or hint_only.
+  async function checkAccess(user, subject) {
+    // Users under 13 wait for a parent to grant consent (see /users/me)
+    if (needsParentalConsent(user)) {
+      throw new SolveRejectedError(403, {
+        error: 'A parent needs to give consent before you can solve problems.',
+        code: 'parental_consent_required',
+        requiresParentalConsent: true
+      });
+    }
+
+    // Blackout windows and allowed subjects (lib/classrooms.js)
+    const { allowed, mode, ...classRejection } = await classrooms.policyFor(user, subject);
+    if (!allowed) {
+      throw new SolveRejectedError(403, classRejection);
+    }
+    return mode;
+  }
+
+  function rejectHintOnly() {
+    throw new SolveRejectedError(403, {
+      error: 'Your class only allows hints for this subject.',
+      code: 'class_hints_only'
+    });
+  }
+
+  // A parent's cap can't be lifted by upgrading
+  function rejectDailySolves(user) {
+    throw new SolveRejectedError(429, user.daily_solve_cap !== null && user.daily_solve_cap !== undefined
+      ? { error: 'Daily limit set by your parent reached' }
+      : { error: 'Daily limit reached', upgradeUrl: UPGRADE_URL });
+  }
+
+  // Check daily limit
+  function checkDailySolves(user) {
+    const limit = dailySolveLimit(user);
+    if (limit !== null && user.daily_solves_used >= limit) {
+      rejectDailySolves(user);
+    }
+  }
+
+  // Hints have their own daily allowance, separate from solves
+  function checkDailyHints(user) {
+    const limit = dailyHintLimit(user);
+    if (limit !== null && (user.daily_hints_used || 0) >= limit) {
+      throw new SolveRejectedError(429, {
+        error: 'Daily hint limit reached',
+        upgradeUrl: UPGRADE_URL
+      });
+    }
+  }
+
+  // Academic integrity check; blocked students can appeal the decision
+  async function checkIntegrity(user, question, subject) {
+    const check = await integrity.evaluate({ user, question, subject });
+    if (!check.allowed) {
+      throw new SolveRejectedError(400, {
+        error: BLOCK_MESSAGE,
+        code: 'academic_integrity',
+        reason: check.reason,
+        decisionId: check.decisionId
+      });
+    }
+  }
+
+  // Per-user token limit and the overall budget; only completions need these
+  async function checkUsage(user) {
+    // Check user's daily OpenAI usage
+    if (await usage.hasUserReachedLimit(user.id)) {
+      throw new SolveRejectedError(429, {
+        error: 'Daily AI usage limit reached. Please try again tomorrow.'
+      });
+    }
+
+    // Check overall OpenAI budget
+    await usage.checkOpenAIBudget();
+  }
+
+  return { checkAccess, rejectHintOnly, rejectDailySolves, checkDailySolves, checkDailyHints, checkIntegrity, checkUsage };
+}
+
+module.exports = { createSolveChecks, SolveRejectedError };
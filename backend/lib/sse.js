@@ -0,0 +1,39 @@
+// Minimal Server-Sent Events writer for Express responses.
+
+function wantsEventStream(req) {
+  return (req.get('accept') || '').includes('text/event-stream');
+}
+
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable Nginx proxy buffering
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    get closed() {
+      return closed;
+    },
+    send(event, data) {
+      if (closed) return false;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+    end() {
+      if (!closed) {
+        res.end();
+      }
+    }
+  };
+}
+
+module.exports = { openEventStream, wantsEventStream };
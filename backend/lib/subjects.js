@@ -0,0 +1,95 @@
+// Canonical subject registry.
+//
+// Every subject has a stable id (stored in problems.subject, used for prompt
+// templates, resources and LLM_SUBJECT_MODELS), the display name the iOS app
+// sends as Subject.rawValue, and extra aliases. Requests may use any of these;
+// they are resolved to the id before anything else sees them.
+//
+// SUBJECTS_DISABLED is a comma-separated list of ids to turn off (they are
+// rejected by the solve endpoint and hidden from GET /api/v1/subjects).
+
+const { body } = require('express-validator');
+
+const SUBJECTS = [
+  { id: 'math', displayName: 'Mathematics', icon: 'function', aliases: ['maths', 'algebra', 'geometry', 'calculus'] },
+  { id: 'science', displayName: 'Science', icon: 'atom', aliases: ['general science'] },
+  { id: 'physics', displayName: 'Physics', icon: 'bolt.fill', aliases: [] },
+  { id: 'chemistry', displayName: 'Chemistry', icon: 'flask.fill', aliases: ['chem'] },
+  { id: 'biology', displayName: 'Biology', icon: 'leaf.fill', aliases: ['bio'] },
+  { id: 'english', displayName: 'English', icon: 'text.book.closed', aliases: ['literature', 'writing', 'ela'] },
+  { id: 'history', displayName: 'History', icon: 'clock.arrow.circlepath', aliases: ['social studies'] },
+  { id: 'programming', displayName: 'Programming', icon: 'chevron.left.forwardslash.chevron.right', aliases: ['coding'] },
+  { id: 'computerScience', displayName: 'Computer Science', icon: 'desktopcomputer', aliases: ['cs', 'compsci'] },
+  { id: 'other', displayName: 'Other', icon: 'questionmark.circle', aliases: [] }
+];
+
+// "Computer Science", "computer_science" and "computerScience" all compare equal
+function normalizeName(value) {
+  return String(value).toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+const SUBJECTS_BY_NAME = new Map();
+for (const subject of SUBJECTS) {
+  for (const name of [subject.id, subject.displayName, ...subject.aliases]) {
+    SUBJECTS_BY_NAME.set(normalizeName(name), subject);
+  }
+}
+
+// Looks a subject up by id, display name or alias, enabled or not
+function findSubject(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  return SUBJECTS_BY_NAME.get(normalizeName(value.trim())) || null;
+}
+
+function loadSubjectConfig(env = process.env) {
+  return {
+    disabled: (env.SUBJECTS_DISABLED || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean)
+  };
+}
+
+function createSubjectRegistry(config = loadSubjectConfig()) {
+  const disabled = new Set(config.disabled.map(id => (findSubject(id) || { id }).id));
+
+  function isEnabled(id) {
+    return !!findSubject(id) && !disabled.has(findSubject(id).id);
+  }
+
+  // Enabled subject for any accepted spelling, or null
+  function resolve(value) {
+    const subject = findSubject(value);
+    return subject && !disabled.has(subject.id) ? subject : null;
+  }
+
+  function list() {
+    return SUBJECTS
+      .filter(subject => !disabled.has(subject.id))
+      .map(({ id, displayName, icon, aliases }) => ({ id, displayName, icon, aliases }));
+  }
+
+  // express-validator chain that rewrites the field to the subject id
+  function field(name = 'subject') {
+    return body(name)
+      .isString()
+      .bail()
+      .custom(value => {
+        if (!resolve(value)) {
+          throw new Error(findSubject(value) ? 'Subject is not available' : 'Unknown subject');
+        }
+        return true;
+      })
+      .bail()
+      .customSanitizer(value => resolve(value).id);
+  }
+
+  return { isEnabled, resolve, list, field };
+}
+
+module.exports = {
+  SUBJECTS,
+  findSubject,
+  loadSubjectConfig,
+  createSubjectRegistry
+};
@@ -0,0 +1,61 @@
+// Follow-up questions on a solved problem ("why did you divide by 2 in step
+// 3?"), kept in problem_messages as a thread under the problem.
+//
+// Each follow-up is answered with the original question and solution plus as
+// much of the earlier thread as fits in THREAD_CONTEXT_TOKENS, dropping the
+// oldest exchanges first. The first FREE_FOLLOW_UPS follow-ups on a problem
+// ride on its original solve; after that each one counts as a solve.
+
+const { estimatePromptTokens } = require('./llm');
+
+const FREE_FOLLOW_UPS = 3;
+const THREAD_CONTEXT_TOKENS = 3000;
+
+function formatMessage(row) {
+  return {
+    id: row.id.toString(),
+    role: row.role,
+    content: row.content,
+    createdAt: row.created_at
+  };
+}
+
+// Chat messages for the next follow-up. `history` is the thread so far
+// ({ role, content }, oldest first). The system prompt, the problem and the
+// new question are always sent; earlier exchanges are dropped, oldest first,
+// once the total passes maxContextTokens. Returns { messages, trimmed }, where
+// trimmed counts the dropped messages.
+function buildThreadMessages({ prompt, question, solution, history, content, maxContextTokens = THREAD_CONTEXT_TOKENS }) {
+  const head = [
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: `Please help me understand this problem: ${question}` },
+    { role: 'assistant', content: solution }
+  ];
+  const tail = [{ role: 'user', content }];
+
+  let budget = maxContextTokens - estimatePromptTokens(head) - estimatePromptTokens(tail);
+  let kept = history.length;
+  while (kept > 0) {
+    const cost = estimatePromptTokens([history[kept - 1]]);
+    if (cost > budget) break;
+    budget -= cost;
+    kept--;
+  }
+
+  // Never start the replayed thread on an orphaned answer
+  if (kept < history.length && history[kept].role === 'assistant') {
+    kept++;
+  }
+
+  return {
+    messages: [...head, ...history.slice(kept).map(({ role, content: text }) => ({ role, content: text })), ...tail],
+    trimmed: kept
+  };
+}
+
+module.exports = {
+  FREE_FOLLOW_UPS,
+  THREAD_CONTEXT_TOKENS,
+  formatMessage,
+  buildThreadMessages
+};
@@ -0,0 +1,94 @@
+// OpenAI spend tracking and cost control.
+//
+// api_usage keeps daily totals per endpoint (and backs the global daily
+// budget). Per-user daily token counts live in Redis while it is connected so
+// every process sees them, and in this process's memory otherwise.
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+class BudgetExceededError extends Error {
+  constructor() {
+    super('Daily OpenAI budget exceeded');
+    this.name = 'BudgetExceededError';
+  }
+}
+
+function createUsageTracker({ pool, logger, getRedisClient = () => null, dailyLimitDollars, userDailyLimitTokens }) {
+  const memoryUsage = new Map();
+
+  function userKey(userId) {
+    return `openai:user:${userId}:${new Date().toDateString()}`;
+  }
+
+  async function getUserOpenAIUsage(userId) {
+    const key = userKey(userId);
+    const client = getRedisClient();
+    if (client) {
+      try {
+        return parseInt(await client.get(key) || '0');
+      } catch (error) {
+        logger.warn('Redis usage read failed, using memory', { error: error.message });
+      }
+    }
+    return memoryUsage.get(key) || 0;
+  }
+
+  async function incrementUserOpenAIUsage(userId, tokens) {
+    const key = userKey(userId);
+    const client = getRedisClient();
+    if (client) {
+      try {
+        await client.incrBy(key, tokens);
+        await client.expire(key, DAY_SECONDS);
+        return;
+      } catch (error) {
+        logger.warn('Redis usage write failed, using memory', { error: error.message });
+      }
+    }
+    memoryUsage.set(key, (memoryUsage.get(key) || 0) + tokens);
+  }
+
+  async function hasUserReachedLimit(userId) {
+    return await getUserOpenAIUsage(userId) >= userDailyLimitTokens;
+  }
+
+  async function trackAPIUsage(endpoint, tokens = 0, costCents = 0) {
+    try {
+      await pool.query(`
+        INSERT INTO api_usage (date, endpoint, count, tokens_used, cost_cents)
+        VALUES (CURRENT_DATE, $1, 1, $2, $3)
+        ON CONFLICT (date, endpoint)
+        DO UPDATE SET
+          count = api_usage.count + 1,
+          tokens_used = api_usage.tokens_used + $2,
+          cost_cents = api_usage.cost_cents + $3
+      `, [endpoint, tokens, costCents]);
+    } catch (error) {
+      logger.error('Error tracking API usage:', error);
+    }
+  }
+
+  // Throws BudgetExceededError once today's spend passes OPENAI_DAILY_LIMIT
+  async function checkOpenAIBudget() {
+    const result = await pool.query(`
+      SELECT SUM(cost_cents) as total_cost
+      FROM api_usage
+      WHERE date = CURRENT_DATE
+    `);
+
+    const dailyCostCents = result.rows[0]?.total_cost || 0;
+    if (dailyCostCents > dailyLimitDollars * 100) {
+      throw new BudgetExceededError();
+    }
+  }
+
+  return {
+    getUserOpenAIUsage,
+    incrementUserOpenAIUsage,
+    hasUserReachedLimit,
+    trackAPIUsage,
+    checkOpenAIBudget
+  };
+}
+
+module.exports = { createUsageTracker, BudgetExceededError };
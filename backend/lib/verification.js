@@ -0,0 +1,593 @@
+// Local checks of the final answer in math and physics solutions.
+//
+// The LLM's arithmetic can't be trusted, so after a solve the final answer is
+// pulled out of the solution ("Final answer: x = 4") and checked here, without
+// another completion:
+//   substitution - the question is one equation in one variable; each value
+//                  in the answer is put back into both sides
+//   arithmetic   - the question is a bare expression ("What is 17 * 23?");
+//                  it is evaluated and compared with the answer
+//   units        - physics only: the answer's units must match the quantity
+//                  asked for (a speed in m/s, a force in N)
+// Numbers the solution rounded are compared to the precision it gave.
+//
+// The outcome is 'verified', 'failed' or 'unverifiable' (nothing could be
+// checked). A failed synchronous solve is regenerated once when
+// SOLUTION_VERIFICATION_REGENERATE allows it; see routes/homework.js.
+//
+// Expressions are parsed by a small evaluator below (numbers, + - * / ^,
+// parentheses, implicit multiplication, single-letter variables and a few
+// functions); nothing from the question or the solution is ever eval'd.
+
+const DEFAULT_VERIFIED_SUBJECTS = 'math,physics';
+// Deeper nesting than any homework needs; stops the parser's recursion early
+const MAX_NESTING = 50;
+
+function loadVerificationConfig(env = process.env) {
+  const subjects = env.SOLUTION_VERIFICATION_SUBJECTS !== undefined
+    ? env.SOLUTION_VERIFICATION_SUBJECTS
+    : DEFAULT_VERIFIED_SUBJECTS;
+  return {
+    subjects: subjects.split(',').map(subject => subject.trim()).filter(Boolean),
+    regenerate: env.SOLUTION_VERIFICATION_REGENERATE !== 'false'
+  };
+}
+
+// Thrown for anything the evaluator can't read; callers treat it as unverifiable
+class ExpressionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExpressionError';
+  }
+}
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  ln: Math.log,
+  log: Math.log10,
+  exp: Math.exp
+};
+const CONSTANTS = { pi: Math.PI };
+
+// Rewrites typeset math into something the tokenizer reads
+function normalizeMath(text) {
+  return text
+    .replace(/\\left|\\right|\\,|\\!|\$/g, '')
+    .replace(/\\d?frac\{([^{}]+)\}\{([^{}]+)\}/g, '($1)/($2)')
+    .replace(/\\sqrt\{([^{}]+)\}/g, 'sqrt($1)')
+    .replace(/\\(cdot|times)/g, '*')
+    .replace(/\\div/g, '/')
+    .replace(/\\pi/g, 'pi')
+    .replace(/[{}]/g, match => (match === '{' ? '(' : ')'))
+    .replace(/[×·∙]/g, '*')
+    .replace(/÷/g, '/')
+    .replace(/[−–]/g, '-')
+    .replace(/²/g, '^2')
+    .replace(/³/g, '^3')
+    .replace(/√/g, 'sqrt')
+    .replace(/π/g, 'pi')
+    .toLowerCase();
+}
+
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)|([a-z]+)|([-+*/^()]))/y;
+  const source = normalizeMath(text).trim();
+  let index = 0;
+
+  while (index < source.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) throw new ExpressionError(`Unexpected character in "${source}"`);
+    index = pattern.lastIndex;
+
+    const [, number, word, symbol] = match;
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number) });
+    } else if (symbol) {
+      tokens.push({ type: symbol });
+    } else if (FUNCTIONS[word]) {
+      tokens.push({ type: 'function', name: word });
+    } else if (CONSTANTS[word]) {
+      tokens.push({ type: 'number', value: CONSTANTS[word] });
+    } else {
+      // "xy" is x times y
+      for (const letter of word) {
+        tokens.push({ type: 'variable', name: letter });
+      }
+    }
+  }
+
+  // Implicit multiplication: 2x, 3(x + 1), (x + 1)(x - 1), x sqrt(2)
+  const withProducts = [];
+  for (const token of tokens) {
+    const previous = withProducts[withProducts.length - 1];
+    if (previous && ['number', 'variable', ')'].includes(previous.type) &&
+      ['number', 'variable', 'function', '('].includes(token.type)) {
+      withProducts.push({ type: '*' });
+    }
+    withProducts.push(token);
+  }
+  return withProducts;
+}
+
+// Parses an expression into a function of a variable scope ({ x: 4 }), and
+// lists the variables it uses
+function compileExpression(text) {
+  const tokens = tokenize(text);
+  const variables = new Set();
+  let position = 0;
+  let depth = 0;
+
+  // Runs one level of recursion, refusing to go past MAX_NESTING
+  const nested = (parse) => {
+    if (++depth > MAX_NESTING) throw new ExpressionError('Expression is nested too deeply');
+    const node = parse();
+    depth--;
+    return node;
+  };
+
+  const peek = () => tokens[position];
+  const take = (type) => {
+    const token = tokens[position];
+    if (!token || (type && token.type !== type)) {
+      throw new ExpressionError(`Expected ${type || 'more input'}`);
+    }
+    position++;
+    return token;
+  };
+
+  function expression() {
+    let node = term();
+    while (peek() && (peek().type === '+' || peek().type === '-')) {
+      const operator = take().type;
+      const left = node;
+      const right = term();
+      node = operator === '+' ? scope => left(scope) + right(scope) : scope => left(scope) - right(scope);
+    }
+    return node;
+  }
+
+  function term() {
+    let node = unary();
+    while (peek() && (peek().type === '*' || peek().type === '/')) {
+      const operator = take().type;
+      const left = node;
+      const right = unary();
+      node = operator === '*' ? scope => left(scope) * right(scope) : scope => left(scope) / right(scope);
+    }
+    return node;
+  }
+
+  function unary() {
+    if (peek() && peek().type === '-') {
+      take();
+      const operand = nested(unary);
+      return scope => -operand(scope);
+    }
+    if (peek() && peek().type === '+') {
+      take();
+      return nested(unary);
+    }
+    return power();
+  }
+
+  function power() {
+    const base = atom();
+    if (peek() && peek().type === '^') {
+      take();
+      const exponent = nested(unary);
+      return scope => base(scope) ** exponent(scope);
+    }
+    return base;
+  }
+
+  function atom() {
+    const token = take();
+    switch (token.type) {
+      case 'number':
+        return () => token.value;
+      case 'variable': {
+        variables.add(token.name);
+        return (scope) => {
+          if (scope[token.name] === undefined) throw new ExpressionError(`No value for ${token.name}`);
+          return scope[token.name];
+        };
+      }
+      case 'function': {
+        const fn = FUNCTIONS[token.name];
+        const argument = nested(peek() && peek().type === '(' ? atom : power);
+        return scope => fn(argument(scope));
+      }
+      case '(': {
+        const inner = nested(expression);
+        take(')');
+        return inner;
+      }
+      default:
+        throw new ExpressionError(`Unexpected ${token.type}`);
+    }
+  }
+
+  const evaluate = expression();
+  if (position < tokens.length) throw new ExpressionError('Unexpected input after expression');
+  return { evaluate, variables: [...variables] };
+}
+
+function evaluateExpression(text, scope = {}) {
+  return compileExpression(text).evaluate(scope);
+}
+
+function stripMarkdown(text) {
+  return text.replace(/\*\*|__|`/g, '').replace(/^[\s#>*-]+/, '').trim();
+}
+
+const FINAL_ANSWER_PATTERNS = [
+  /\\boxed\{(.+)\}/,
+  /final answer\s*(?:is)?\s*[:-]?\s*(.+)/i,
+  /\banswer\s*(?:is)?\s*:\s*(.+)/i,
+  /\bthe answer is\s+(.+)/i
+];
+
+// The final answer from the last line that states one, or null
+function extractFinalAnswer(solution) {
+  const lines = solution.split('\n').map(stripMarkdown).filter(Boolean);
+
+  for (const line of [...lines].reverse()) {
+    for (const pattern of FINAL_ANSWER_PATTERNS) {
+      const match = line.match(pattern);
+      if (match && match[1].trim()) {
+        return match[1].replace(/^[\s:*]+/, '').replace(/[\s.]+$/, '').trim();
+      }
+    }
+  }
+
+  // Otherwise the last line that is just "x = <number>"
+  const assignment = [...lines].reverse().find(line => /^[a-z]\s*=\s*-?[\d.]/i.test(line));
+  return assignment ? assignment.replace(/[\s.]+$/, '') : null;
+}
+
+// A word that can be part of an expression: digits, operators and single
+// letters or function names
+function isMathWord(word) {
+  if (!word || !/^[0-9a-z.+\-*/^()×÷−·²³√π]+$/i.test(word)) return false;
+  return (word.toLowerCase().match(/[a-z]+/g) || [])
+    .every(run => run.length === 1 || FUNCTIONS[run] || CONSTANTS[run]);
+}
+
+// The single equation in the question, as { lhs, rhs, variable }, or null
+function extractEquation(question) {
+  const text = question.replace(/≈/g, '=');
+  if ((text.match(/=/g) || []).length !== 1) return null;
+
+  const [before, after] = text.split('=');
+  const left = [];
+  for (const word of before.trim().split(/\s+/).reverse()) {
+    if (!isMathWord(word)) break;
+    left.unshift(word);
+  }
+  const right = [];
+  for (const raw of after.trim().split(/\s+/)) {
+    const word = raw.replace(/[.,;:!?]+$/, '');
+    if (!isMathWord(word)) break;
+    right.push(word);
+    if (word !== raw) break;
+  }
+  if (left.length === 0 || right.length === 0) return null;
+
+  try {
+    const lhs = compileExpression(left.join(' '));
+    const rhs = compileExpression(right.join(' '));
+    const variables = [...new Set([...lhs.variables, ...rhs.variables])];
+    if (variables.length !== 1) return null;
+    // "y = 3" states a value rather than asking for one
+    if (lhs.variables.length === 0 || rhs.variables.length === 0) {
+      const bare = lhs.variables.length ? left.join('') : right.join('');
+      if (bare === variables[0]) return null;
+    }
+    return { lhs, rhs, variable: variables[0] };
+  } catch (error) {
+    if (error instanceof ExpressionError) return null;
+    throw error;
+  }
+}
+
+// Decimal places written in a number, or null for exact values
+function decimalsIn(text) {
+  const match = text.match(/\.(\d+)/);
+  return match ? match[1].length : null;
+}
+
+// The values the answer gives for `variable`: "x = 2 or x = -3", "x = 2, 3",
+// "x = ±2". A bare value counts when `allowBare` is set.
+function answerValues(finalAnswer, variable, allowBare) {
+  const text = normalizeMath(finalAnswer).replace(/≈/g, '=');
+  const assigned = new RegExp(`(?:^|[^a-z])${variable}\\s*=\\s*([^=]+?)(?=(?:,|;|\\bor\\b|\\band\\b)\\s*[a-z]\\s*=|$)`, 'g');
+  const parts = [];
+  let match;
+  while ((match = assigned.exec(text)) !== null) {
+    parts.push(...match[1].split(/,|;|\bor\b|\band\b/));
+  }
+  if (parts.length === 0) {
+    if (!allowBare || /[a-z]\s*=/.test(text)) return [];
+    parts.push(...text.split(/,|;|\bor\b|\band\b/));
+  }
+
+  const values = [];
+  for (const part of parts.map(value => value.trim()).filter(Boolean)) {
+    const variants = part.startsWith('±') ? [part.slice(1), `-(${part.slice(1)})`] : [part];
+    for (const variant of variants) {
+      const { evaluate, variables } = compileExpression(variant);
+      if (variables.length > 0) throw new ExpressionError('Answer is not a number');
+      values.push({ value: evaluate({}), decimals: decimalsIn(variant) });
+    }
+  }
+  return values;
+}
+
+// True when `value` solves the equation: exactly, or, for a rounded value,
+// somewhere within the rounding
+function satisfies({ lhs, rhs, variable }, { value, decimals }) {
+  const difference = x => lhs.evaluate({ [variable]: x }) - rhs.evaluate({ [variable]: x });
+  const atValue = difference(value);
+  const scale = Math.max(1, Math.abs(lhs.evaluate({ [variable]: value })));
+  if (Math.abs(atValue) <= 1e-9 * scale) return true;
+  if (decimals === null) return false;
+
+  const half = 0.5 * 10 ** -decimals;
+  const low = difference(value - half);
+  const high = difference(value + half);
+  return Math.sign(low) !== Math.sign(high) || Math.abs(atValue) <= 1e-6 * scale;
+}
+
+// Real roots of the equation found by scanning [-ROOT_SEARCH_LIMIT,
+// ROOT_SEARCH_LIMIT] for sign changes (dense near zero) and bisecting them.
+// Poles also change sign, so only points where the sides really meet count.
+// Double roots that only touch zero between sample points can be missed.
+const ROOT_SEARCH_LIMIT = 1000;
+const ROOT_SEARCH_STEPS = 600;
+
+function findRoots({ lhs, rhs, variable }) {
+  const difference = (x) => {
+    try {
+      return lhs.evaluate({ [variable]: x }) - rhs.evaluate({ [variable]: x });
+    } catch (error) {
+      if (error instanceof ExpressionError) return NaN;
+      throw error;
+    }
+  };
+  const isRoot = (x, y) => Math.abs(y) <= 1e-6 * Math.max(1, Math.abs(lhs.evaluate({ [variable]: x })));
+
+  const points = [];
+  for (let step = ROOT_SEARCH_STEPS; step > 0; step--) {
+    points.push(-ROOT_SEARCH_LIMIT * (step / ROOT_SEARCH_STEPS) ** 3);
+  }
+  for (let step = 0; step <= ROOT_SEARCH_STEPS; step++) {
+    points.push(ROOT_SEARCH_LIMIT * (step / ROOT_SEARCH_STEPS) ** 3);
+  }
+
+  const roots = [];
+  let previous = null;
+  for (const x of points) {
+    const y = difference(x);
+    if (!Number.isFinite(y)) {
+      previous = null;
+      continue;
+    }
+    if (y === 0) {
+      roots.push(x);
+    } else if (previous && previous.y !== 0 && Math.sign(previous.y) !== Math.sign(y)) {
+      let low = previous.x;
+      let high = x;
+      for (let i = 0; i < 80 && high - low > 1e-12 * Math.max(1, Math.abs(low)); i++) {
+        const middle = (low + high) / 2;
+        if (Math.sign(difference(middle)) === Math.sign(previous.y)) low = middle;
+        else high = middle;
+      }
+      const root = (low + high) / 2;
+      if (isRoot(root, difference(root))) roots.push(root);
+    }
+    previous = { x, y };
+  }
+  return roots;
+}
+
+// True when `root` is the value given, allowing for the value's rounding
+function covers({ value, decimals }, root) {
+  const tolerance = decimals === null ? 1e-6 * Math.max(1, Math.abs(value)) : 0.5 * 10 ** -decimals + 1e-9;
+  return Math.abs(root - value) <= tolerance;
+}
+
+function checkSubstitution(question, finalAnswer) {
+  const equation = extractEquation(question);
+  if (!equation) return null;
+
+  const asked = new RegExp(`\\bsolve\\b|\\b(find|value of|what is)\\s+${equation.variable}\\b`, 'i').test(question);
+  const values = answerValues(finalAnswer, equation.variable, asked);
+  if (values.length === 0) return null;
+
+  if (!values.every(value => satisfies(equation, value))) return 'failed';
+  // Right as far as it goes, but "x = 2" for x^2 = 4 leaves out a root
+  const missed = findRoots(equation).some(root => !values.some(value => covers(value, root)));
+  return missed ? 'unverifiable' : 'verified';
+}
+
+const ARITHMETIC_LEAD = /^(what is|what's|calculate|compute|evaluate|simplify|find)\b[:\s]*/i;
+
+// The whole answer as one number: "391", "-2.5", "7/3", a mixed number
+// ("3 1/2") or scientific notation ("1.2 × 10^7", "1.2e7"), with the decimal
+// places written (null for exact values). null for anything else, so an
+// answer with more after the number isn't judged by its first part.
+function parseAnswerNumber(answer) {
+  const mixed = answer.match(/^(-?)(\d+)\s+(\d+)\s*\/\s*(\d+)$/);
+  if (mixed) {
+    const [, sign, whole, numerator, denominator] = mixed;
+    const value = Number(whole) + Number(numerator) / Number(denominator);
+    return { value: sign ? -value : value, decimals: null };
+  }
+
+  const scientific = answer.match(/^(-?(?:\d+(?:\.\d+)?|\.\d+))\s*(?:(?:\*|x)\s*10\s*\^\s*\(?\s*|e)([+-]?\d+)\)?$/);
+  if (scientific) {
+    const [, mantissa, exponent] = scientific;
+    const decimals = (decimalsIn(mantissa) || 0) - Number(exponent);
+    return { value: Number(mantissa) * 10 ** Number(exponent), decimals };
+  }
+
+  const plain = answer.match(/^-?(\d+(\.\d+)?|\.\d+)(\s*\/\s*\d+(\.\d+)?)?$/);
+  if (!plain) return null;
+  return { value: evaluateExpression(plain[0]), decimals: plain[3] ? null : decimalsIn(plain[0]) };
+}
+
+function checkArithmetic(question, finalAnswer) {
+  const expression = question.trim().replace(ARITHMETIC_LEAD, '').replace(/[\s?=.]+$/, '');
+  // Only questions that are nothing but the expression
+  if (!/^[\d\s.+\-*/^()×÷−·²³√π]+$/.test(expression) || !/\d\s*[-+*/^×÷−·]\s*[\d(√π-]/.test(expression)) {
+    return null;
+  }
+
+  const expected = evaluateExpression(expression);
+  const answer = normalizeMath(finalAnswer).replace(/^[a-z]+\s*=\s*/, '').replace(/,(?=\d{3}\b)/g, '').trim();
+  const number = parseAnswerNumber(answer);
+  if (!number || !Number.isFinite(number.value) || !Number.isFinite(expected)) return null;
+
+  const tolerance = number.decimals === null
+    ? 1e-9 * Math.max(1, Math.abs(expected))
+    : 0.5 * 10 ** -number.decimals + 1e-12;
+  return Math.abs(expected - number.value) <= tolerance ? 'verified' : 'failed';
+}
+
+// Dimensions as exponents of [mass, length, time, current]
+const UNITS = {
+  kg: [1, 0, 0, 0],
+  g: [1, 0, 0, 0],
+  m: [0, 1, 0, 0],
+  km: [0, 1, 0, 0],
+  cm: [0, 1, 0, 0],
+  mm: [0, 1, 0, 0],
+  s: [0, 0, 1, 0],
+  ms: [0, 0, 1, 0],
+  min: [0, 0, 1, 0],
+  h: [0, 0, 1, 0],
+  hr: [0, 0, 1, 0],
+  a: [0, 0, 0, 1],
+  n: [1, 1, -2, 0],
+  kn: [1, 1, -2, 0],
+  j: [1, 2, -2, 0],
+  kj: [1, 2, -2, 0],
+  w: [1, 2, -3, 0],
+  kw: [1, 2, -3, 0],
+  pa: [1, -1, -2, 0],
+  kpa: [1, -1, -2, 0],
+  hz: [0, 0, -1, 0],
+  c: [0, 0, 1, 1],
+  v: [1, 2, -3, -1],
+  ohm: [1, 2, -3, -2],
+  'ω': [1, 2, -3, -2]
+};
+
+// The quantity the question asks for, first match wins
+const QUANTITIES = [
+  [/\bacceleration\b/, [0, 1, -2, 0]],
+  [/\b(velocity|speed)\b/, [0, 1, -1, 0]],
+  [/\b(force|weight|tension)\b/, [1, 1, -2, 0]],
+  [/\b(energy|work done|work)\b/, [1, 2, -2, 0]],
+  [/\bpower\b/, [1, 2, -3, 0]],
+  [/\bpressure\b/, [1, -1, -2, 0]],
+  [/\bfrequency\b/, [0, 0, -1, 0]],
+  [/\b(voltage|potential difference)\b/, [1, 2, -3, -1]],
+  [/\bresistance\b/, [1, 2, -3, -2]],
+  [/\bcurrent\b/, [0, 0, 0, 1]],
+  [/\bcharge\b/, [0, 0, 1, 1]],
+  [/\bmass\b/, [1, 0, 0, 0]],
+  [/\b(how long|time)\b/, [0, 0, 1, 0]],
+  [/\b(distance|displacement|height|how far|length)\b/, [0, 1, 0, 0]]
+];
+
+// Dimensions of a unit like "m/s^2" or "kg·m/s²", or null if any part is unknown
+function unitDimensions(unit) {
+  const [numerator, ...denominators] = normalizeMath(unit).replace(/\s+/g, '').split('/');
+  const dimensions = [0, 0, 0, 0];
+
+  const add = (part, sign) => {
+    const match = part.match(/^([a-zω]+)(?:\^(-?\d+))?$/);
+    if (!match || !UNITS[match[1]]) return false;
+    const exponent = Number(match[2] || 1) * sign;
+    UNITS[match[1]].forEach((value, index) => { dimensions[index] += value * exponent; });
+    return true;
+  };
+
+  const parts = numerator.split('*').filter(Boolean);
+  if (parts.length === 0 || !parts.every(part => add(part, 1))) return null;
+  for (const denominator of denominators) {
+    if (!denominator.split('*').every(part => add(part, -1))) return null;
+  }
+  return dimensions;
+}
+
+function checkUnits(question, finalAnswer) {
+  // The question's last sentence says what is asked for
+  const sentences = question.toLowerCase().split(/(?<=[.?!])\s+/).filter(Boolean);
+  const asked = sentences[sentences.length - 1] || '';
+  const quantity = QUANTITIES.find(([pattern]) => pattern.test(asked));
+  if (!quantity) return null;
+
+  const match = finalAnswer.match(/^[^\d-]*-?[\d.,]+(?:\s*[×x*]\s*10\^?\s*-?\d+)?\s*([a-zA-Zω·*/^²³\-\d\s]+?)\s*$/);
+  if (!match) return null;
+  const dimensions = unitDimensions(match[1]);
+  if (!dimensions) return null;
+
+  return dimensions.every((value, index) => value === quantity[1][index]) ? 'verified' : 'failed';
+}
+
+// { status, method, finalAnswer } for a solution; status is 'verified',
+// 'failed' or 'unverifiable'
+function verifySolution({ question, solution, subject }) {
+  const finalAnswer = solution ? extractFinalAnswer(solution) : null;
+  if (!question || !finalAnswer) {
+    return { status: 'unverifiable', method: null, finalAnswer };
+  }
+
+  const checks = [['substitution', checkSubstitution], ['arithmetic', checkArithmetic]];
+  if (subject === 'physics') checks.push(['units', checkUnits]);
+
+  for (const [method, check] of checks) {
+    try {
+      const status = check(question, finalAnswer);
+      if (status) return { status, method, finalAnswer };
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+    }
+  }
+  return { status: 'unverifiable', method: null, finalAnswer };
+}
+
+// The response flag: true, false, or null when nothing could be checked
+function verifiedFlag(status) {
+  if (status === 'verified') return true;
+  if (status === 'failed') return false;
+  return null;
+}
+
+function createSolutionVerifier(config = loadVerificationConfig()) {
+  // null for subjects that aren't checked
+  function verify({ question, solution, subject }) {
+    if (!config.subjects.includes(subject)) return null;
+    return verifySolution({ question, solution, subject });
+  }
+
+  return { verify, regenerate: config.regenerate };
+}
+
+module.exports = {
+  loadVerificationConfig,
+  createSolutionVerifier,
+  verifySolution,
+  verifiedFlag,
+  extractFinalAnswer,
+  evaluateExpression,
+  ExpressionError
+};
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// Database migrations (see lib/migrations.js).
+//
+//   node migrate.js [up] [version]   apply pending migrations (up to version)
+//   node migrate.js down [steps]     roll back the last migration, or the last <steps>
+//   node migrate.js down --to <ver>  roll back every migration after <ver>
+//   node migrate.js status           list applied and pending migrations
+//   node migrate.js create <name>    add an empty migration file
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./lib/config');
+const { createPool } = require('./lib/database');
+const { MIGRATIONS_DIR, migrationLabel, loadMigrations, createMigrator } = require('./lib/migrations');
+
+const MIGRATION_TEMPLATE = `// TODO: describe the change
+
+async function up(client) {
+}
+
+async function down(client) {
+}
+
+module.exports = { up, down };
+`;
+
+function parseVersion(value, label) {
+  if (!/^\d+$/.test(value || '')) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return parseInt(value, 10);
+}
+
+// Returns the path of the new file
+function createMigrationFile(name, dir = MIGRATIONS_DIR) {
+  if (!/^[a-z0-9_]+$/.test(name || '')) {
+    throw new Error('Usage: node migrate.js create <name> (lowercase letters, digits and underscores)');
+  }
+  const migrations = loadMigrations(dir);
+  const next = (migrations.length > 0 ? migrations[migrations.length - 1].version : 0) + 1;
+  const file = path.join(dir, `${migrationLabel({ version: next, name })}.js`);
+  fs.writeFileSync(file, MIGRATION_TEMPLATE);
+  return file;
+}
+
+// Runs up, down or status with `migrator`, printing through `log`
+async function runCommand(migrator, [command = 'up', ...args], log = console.log) {
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.migrate(args[0] ? { to: parseVersion(args[0], 'version') } : {});
+      log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      break;
+    }
+    case 'down': {
+      const options = args[0] === '--to'
+        ? { to: parseVersion(args[1], 'version') }
+        : { steps: args[0] ? parseVersion(args[0], 'step count') : 1 };
+      const rolledBack = await migrator.rollback(options);
+      log(`Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+    case 'status': {
+      const { applied, pending, unknown } = await migrator.status();
+      for (const migration of applied) {
+        log(`  applied  ${migrationLabel(migration)}  (${new Date(migration.appliedAt).toISOString()})`);
+      }
+      for (const migration of pending) {
+        log(`  pending  ${migrationLabel(migration)}`);
+      }
+      for (const migration of unknown) {
+        log(`  unknown  ${migrationLabel(migration)}  (no migration file in this release)`);
+      }
+      log(pending.length > 0 ? `${pending.length} pending migration(s)` : 'Database is up to date');
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}" (expected up, down, status or create)`);
+  }
+}
+
+async function main([command = 'up', ...args]) {
+  if (command === 'create') {
+    const file = createMigrationFile(args[0]);
+    console.log(`Created ${path.relative(process.cwd(), file)}`);
+    return;
+  }
+
+  const pool = createPool(loadConfig().database, { max: 2 });
+  const migrator = createMigrator({ pool, logger: console });
+
+  try {
+    await runCommand(migrator, [command, ...args]);
+  } finally {
+    await pool.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseVersion, createMigrationFile, runCommand };
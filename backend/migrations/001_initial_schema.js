@@ -0,0 +1,205 @@
+// Baseline schema: everything initDatabase() used to create at startup.
+//
+// Databases that predate migrations already have some of these tables, and
+// those created by server.js lack most of the later columns, so everything
+// here is IF NOT EXISTS and the later columns are added explicitly.
+
+async function up(client) {
+  // Users table with enhanced fields
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      device_id VARCHAR(255) UNIQUE NOT NULL,
+      email VARCHAR(255),
+      password_hash VARCHAR(255),
+      is_premium BOOLEAN DEFAULT false,
+      daily_solves_used INTEGER DEFAULT 0,
+      total_solves_used INTEGER DEFAULT 0,
+      last_reset_date DATE DEFAULT CURRENT_DATE,
+      age INTEGER,
+      parental_consent BOOLEAN DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Problems table with cost tracking
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS problems (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id),
+      question TEXT NOT NULL,
+      subject VARCHAR(50),
+      solution TEXT,
+      tokens_used INTEGER,
+      cost_cents INTEGER,
+      model VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Prompt templates: versions per subject, grade band and mode, one active per key
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS prompt_templates (
+      id SERIAL PRIMARY KEY,
+      subject VARCHAR(50) NOT NULL,
+      grade_band VARCHAR(20) NOT NULL DEFAULT 'any',
+      mode VARCHAR(20) NOT NULL DEFAULT 'solve',
+      version INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      notes TEXT,
+      is_active BOOLEAN DEFAULT false,
+      activated_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(subject, grade_band, mode, version)
+    )
+  `);
+
+  // One rating per problem, updatable by its owner
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS problem_ratings (
+      id SERIAL PRIMARY KEY,
+      problem_id INTEGER UNIQUE NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+      was_helpful BOOLEAN NOT NULL,
+      comment TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Sessions table with expiry
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id),
+      token VARCHAR(255) UNIQUE NOT NULL,
+      device_info JSONB,
+      expires_at TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // API usage tracking
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS api_usage (
+      id SERIAL PRIMARY KEY,
+      date DATE DEFAULT CURRENT_DATE,
+      endpoint VARCHAR(255),
+      count INTEGER DEFAULT 0,
+      tokens_used INTEGER DEFAULT 0,
+      cost_cents INTEGER DEFAULT 0,
+      UNIQUE(date, endpoint)
+    )
+  `);
+
+  // Password reset tokens (only the SHA-256 hash of the emailed token is stored)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // App Store subscriptions, one row per original transaction
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS subscriptions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      product_id VARCHAR(255) NOT NULL,
+      original_transaction_id VARCHAR(255) UNIQUE NOT NULL,
+      latest_transaction_id VARCHAR(255),
+      purchase_date TIMESTAMP,
+      expires_at TIMESTAMP,
+      status VARCHAR(20) NOT NULL DEFAULT 'active',
+      grace_period_expires_at TIMESTAMP,
+      auto_renew BOOLEAN DEFAULT true,
+      environment VARCHAR(20),
+      verified BOOLEAN DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Curated learning resources; subject NULL applies to every subject
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS learning_resources (
+      id SERIAL PRIMARY KEY,
+      subject VARCHAR(50),
+      title VARCHAR(200) NOT NULL,
+      type VARCHAR(20) NOT NULL,
+      url TEXT NOT NULL,
+      description TEXT NOT NULL,
+      icon VARCHAR(100) NOT NULL,
+      tags TEXT[] NOT NULL DEFAULT '{}',
+      priority INTEGER DEFAULT 0,
+      active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Processed App Store Server Notifications (deduplicated by notification UUID)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS app_store_notifications (
+      id SERIAL PRIMARY KEY,
+      notification_uuid VARCHAR(64) UNIQUE NOT NULL,
+      notification_type VARCHAR(50),
+      subtype VARCHAR(50),
+      original_transaction_id VARCHAR(255),
+      user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      payload JSONB,
+      received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Columns that databases first created by server.js (or before these
+  // features shipped) are missing
+  await client.query(`
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255);
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS total_solves_used INTEGER DEFAULT 0;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS age INTEGER;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS parental_consent BOOLEAN DEFAULT false;
+    ALTER TABLE problems ADD COLUMN IF NOT EXISTS tokens_used INTEGER;
+    ALTER TABLE problems ADD COLUMN IF NOT EXISTS cost_cents INTEGER;
+    ALTER TABLE problems ADD COLUMN IF NOT EXISTS model VARCHAR(100);
+    ALTER TABLE problems ADD COLUMN IF NOT EXISTS prompt_template_id INTEGER REFERENCES prompt_templates(id);
+    ALTER TABLE problems ADD COLUMN IF NOT EXISTS prompt_version INTEGER;
+    ALTER TABLE sessions ADD COLUMN IF NOT EXISTS device_info JSONB;
+  `);
+
+  // Create indexes for performance
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_users_device_id ON users(device_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email ON users(email);
+    CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+    CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id);
+    CREATE INDEX IF NOT EXISTS idx_learning_resources_subject ON learning_resources(subject);
+    CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(token);
+    CREATE INDEX IF NOT EXISTS idx_problems_user_id ON problems(user_id);
+    CREATE INDEX IF NOT EXISTS idx_api_usage_date ON api_usage(date);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS app_store_notifications;
+    DROP TABLE IF EXISTS learning_resources;
+    DROP TABLE IF EXISTS subscriptions;
+    DROP TABLE IF EXISTS password_reset_tokens;
+    DROP TABLE IF EXISTS api_usage;
+    DROP TABLE IF EXISTS sessions;
+    DROP TABLE IF EXISTS problem_ratings;
+    DROP TABLE IF EXISTS problems;
+    DROP TABLE IF EXISTS prompt_templates;
+    DROP TABLE IF EXISTS users;
+  `);
+}
+
+module.exports = { up, down };
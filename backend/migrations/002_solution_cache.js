@@ -0,0 +1,28 @@
+// Cached solutions for repeated questions (see lib/solutionCache.js).
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE solution_cache (
+      id SERIAL PRIMARY KEY,
+      cache_key VARCHAR(64) UNIQUE NOT NULL,
+      subject VARCHAR(50),
+      prompt_template_id INTEGER REFERENCES prompt_templates(id) ON DELETE CASCADE,
+      prompt_version INTEGER,
+      question TEXT NOT NULL,
+      solution TEXT NOT NULL,
+      model VARCHAR(100),
+      hit_count INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_hit_at TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_solution_cache_subject ON solution_cache(subject)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS solution_cache');
+}
+
+module.exports = { up, down };
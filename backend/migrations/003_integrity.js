@@ -0,0 +1,58 @@
+// Academic integrity audit log, appeals and per-scope overrides (see lib/integrity.js).
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE integrity_decisions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      subject VARCHAR(50),
+      question TEXT NOT NULL,
+      question_hash VARCHAR(64) NOT NULL,
+      score INTEGER NOT NULL,
+      decision VARCHAR(10) NOT NULL,
+      reason VARCHAR(50),
+      matched_rules JSONB,
+      classifier_verdict VARCHAR(20),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE integrity_appeals (
+      id SERIAL PRIMARY KEY,
+      decision_id INTEGER UNIQUE NOT NULL REFERENCES integrity_decisions(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      message TEXT,
+      status VARCHAR(20) DEFAULT 'pending',
+      reviewer_note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      reviewed_at TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE integrity_overrides (
+      id SERIAL PRIMARY KEY,
+      scope VARCHAR(20) NOT NULL,
+      scope_id VARCHAR(100) NOT NULL,
+      block_score INTEGER,
+      review_score INTEGER,
+      classifier BOOLEAN,
+      rule_points JSONB,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (scope, scope_id)
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_integrity_decisions_user ON integrity_decisions(user_id, question_hash)');
+  await client.query('CREATE INDEX idx_integrity_decisions_created ON integrity_decisions(created_at)');
+  await client.query('CREATE INDEX idx_integrity_appeals_status ON integrity_appeals(status)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS integrity_overrides');
+  await client.query('DROP TABLE IF EXISTS integrity_appeals');
+  await client.query('DROP TABLE IF EXISTS integrity_decisions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// Verifiable parental consent for users under 13 (see lib/parentalConsent.js).
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE parental_consents (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      parent_email VARCHAR(255) NOT NULL,
+      status VARCHAR(20) DEFAULT 'pending',
+      method VARCHAR(30) NOT NULL,
+      requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      decided_at TIMESTAMP,
+      decided_ip VARCHAR(64),
+      decided_user_agent TEXT
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_parental_consents_user ON parental_consents(user_id)');
+
+  await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS parental_consent_at TIMESTAMP');
+  await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS parental_consent_method VARCHAR(30)');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS parental_consent_method');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS parental_consent_at');
+  await client.query('DROP TABLE IF EXISTS parental_consents');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+// Parent accounts, their links to child users and parent-set daily caps
+// (see lib/routes/parents.js).
+
+async function up(client) {
+  await client.query("ALTER TABLE users ADD COLUMN IF NOT EXISTS account_type VARCHAR(20) DEFAULT 'student'");
+  await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS daily_solve_cap INTEGER');
+
+  await client.query(`
+    CREATE TABLE parent_links (
+      id SERIAL PRIMARY KEY,
+      parent_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      child_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (parent_id, child_id)
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE link_codes (
+      id SERIAL PRIMARY KEY,
+      child_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) UNIQUE NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_parent_links_child ON parent_links(child_id)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS link_codes');
+  await client.query('DROP TABLE IF EXISTS parent_links');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS daily_solve_cap');
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS account_type');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,38 @@
+// Classroom mode: teacher-owned classes students join with a code, and the
+// per-class solve policies (see lib/classrooms.js).
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE classes (
+      id SERIAL PRIMARY KEY,
+      teacher_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      join_code VARCHAR(12) UNIQUE NOT NULL,
+      allowed_subjects JSONB,
+      solution_mode VARCHAR(20) NOT NULL DEFAULT 'full',
+      blackout_windows JSONB,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE class_members (
+      id SERIAL PRIMARY KEY,
+      class_id INTEGER NOT NULL REFERENCES classes(id) ON DELETE CASCADE,
+      student_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (class_id, student_id)
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_classes_teacher ON classes(teacher_id)');
+  await client.query('CREATE INDEX idx_class_members_student ON class_members(student_id)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS class_members');
+  await client.query('DROP TABLE IF EXISTS classes');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// Hint mode: a problem's hint ladder, the student's latest attempt and when
+// the full solution was revealed, plus a daily hint counter separate from
+// daily solves (see lib/hints.js).
+
+async function up(client) {
+  await client.query("ALTER TABLE problems ADD COLUMN IF NOT EXISTS mode VARCHAR(20) DEFAULT 'solve'");
+  await client.query('ALTER TABLE problems ADD COLUMN IF NOT EXISTS hints JSONB');
+  await client.query('ALTER TABLE problems ADD COLUMN IF NOT EXISTS attempt TEXT');
+  await client.query('ALTER TABLE problems ADD COLUMN IF NOT EXISTS revealed_at TIMESTAMP');
+  await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS daily_hints_used INTEGER DEFAULT 0');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS daily_hints_used');
+  await client.query('ALTER TABLE problems DROP COLUMN IF EXISTS revealed_at');
+  await client.query('ALTER TABLE problems DROP COLUMN IF EXISTS attempt');
+  await client.query('ALTER TABLE problems DROP COLUMN IF EXISTS hints');
+  await client.query('ALTER TABLE problems DROP COLUMN IF EXISTS mode');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Follow-up conversation threads on solved problems (see lib/threads.js).
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE problem_messages (
+      id SERIAL PRIMARY KEY,
+      problem_id INTEGER NOT NULL REFERENCES problems(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL,
+      content TEXT NOT NULL,
+      tokens_used INTEGER,
+      cost_cents INTEGER,
+      model VARCHAR(100),
+      counted_as_solve BOOLEAN DEFAULT false,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_problem_messages_problem ON problem_messages(problem_id, id)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS problem_messages');
+}
+
+module.exports = { up, down };
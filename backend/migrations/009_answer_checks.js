@@ -0,0 +1,12 @@
+// Answer checking: the student's checked attempts at a problem, with the
+// verdict and feedback for each (see lib/answerChecks.js).
+
+async function up(client) {
+  await client.query('ALTER TABLE problems ADD COLUMN IF NOT EXISTS checks JSONB');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE problems DROP COLUMN IF EXISTS checks');
+}
+
+module.exports = { up, down };
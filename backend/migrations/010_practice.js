@@ -0,0 +1,46 @@
+// Practice sets generated from a student's problems, with their hidden answer
+// keys, and each student's mastery per topic (see lib/practice.js).
+
+async function up(client) {
+  await client.query(`
+    CREATE TABLE practice_sets (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      source_problem_id INTEGER REFERENCES problems(id) ON DELETE SET NULL,
+      subject VARCHAR(50) NOT NULL,
+      topic VARCHAR(50) NOT NULL,
+      difficulty VARCHAR(10) NOT NULL,
+      problems JSONB NOT NULL,
+      answers JSONB,
+      score INTEGER,
+      tokens_used INTEGER,
+      cost_cents INTEGER,
+      model VARCHAR(100),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      submitted_at TIMESTAMP
+    )
+  `);
+
+  await client.query(`
+    CREATE TABLE topic_mastery (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      subject VARCHAR(50) NOT NULL,
+      topic VARCHAR(50) NOT NULL,
+      mastery INTEGER NOT NULL,
+      problems_attempted INTEGER DEFAULT 0,
+      problems_correct INTEGER DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, subject, topic)
+    )
+  `);
+
+  await client.query('CREATE INDEX idx_practice_sets_user ON practice_sets(user_id, created_at DESC)');
+}
+
+async function down(client) {
+  await client.query('DROP TABLE IF EXISTS topic_mastery');
+  await client.query('DROP TABLE IF EXISTS practice_sets');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+// Outcome of checking each math and physics solution's final answer locally
+// (see lib/verification.js), and whether a failed solution was regenerated.
+// Also adds version 2 of the built-in math and physics solve templates, which
+// ask for the "Final answer:" line the checks read (PROMPT_REVISIONS in
+// lib/prompts.js).
+
+const { PROMPT_REVISIONS, applyPromptRevisions } = require('../lib/prompts');
+
+async function up(client) {
+  await client.query('ALTER TABLE problems ADD COLUMN IF NOT EXISTS verification_status VARCHAR(20)');
+  await client.query('ALTER TABLE problems ADD COLUMN IF NOT EXISTS verification_method VARCHAR(20)');
+  await client.query('ALTER TABLE problems ADD COLUMN IF NOT EXISTS final_answer TEXT');
+  await client.query('ALTER TABLE problems ADD COLUMN IF NOT EXISTS regenerated BOOLEAN DEFAULT false');
+  await applyPromptRevisions(client);
+}
+
+async function down(client) {
+  // Back to the previous version wherever the revision is active; revisions
+  // problems were solved with are kept
+  for (const revision of PROMPT_REVISIONS) {
+    await client.query(`
+      UPDATE prompt_templates SET is_active = (version = $2 - 1)
+      WHERE subject = $1 AND grade_band = 'any' AND mode = 'solve'
+        AND EXISTS (
+          SELECT 1 FROM prompt_templates
+          WHERE subject = $1 AND grade_band = 'any' AND mode = 'solve' AND version = $2 AND is_active AND notes = $3
+        )
+    `, [revision.subject, revision.version, revision.notes]);
+    await client.query(`
+      DELETE FROM prompt_templates
+      WHERE subject = $1 AND grade_band = 'any' AND mode = 'solve' AND version = $2 AND notes = $3
+        AND id NOT IN (SELECT prompt_template_id FROM problems WHERE prompt_template_id IS NOT NULL)
+    `, [revision.subject, revision.version, revision.notes]);
+  }
+
+  await client.query('ALTER TABLE problems DROP COLUMN IF EXISTS regenerated');
+  await client.query('ALTER TABLE problems DROP COLUMN IF EXISTS final_answer');
+  await client.query('ALTER TABLE problems DROP COLUMN IF EXISTS verification_method');
+  await client.query('ALTER TABLE problems DROP COLUMN IF EXISTS verification_status');
+}
+
+module.exports = { up, down };
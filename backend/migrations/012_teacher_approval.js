@@ -0,0 +1,13 @@
+// Teacher accounts wait for an admin's approval before they can run classes
+// (see routes/teachers.js). Teachers who signed up before this are approved.
+
+async function up(client) {
+  await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS teacher_approved_at TIMESTAMP');
+  await client.query("UPDATE users SET teacher_approved_at = NOW() WHERE account_type = 'teacher'");
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE users DROP COLUMN IF EXISTS teacher_approved_at');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,13 @@
+// App Store notifications can arrive out of order. Each subscription keeps
+// the signedDate of the last notification applied to it, and older ones are
+// skipped (see routes/subscriptions.js).
+
+async function up(client) {
+  await client.query('ALTER TABLE subscriptions ADD COLUMN IF NOT EXISTS notification_signed_at TIMESTAMP');
+}
+
+async function down(client) {
+  await client.query('ALTER TABLE subscriptions DROP COLUMN IF EXISTS notification_signed_at');
+}
+
+module.exports = { up, down };
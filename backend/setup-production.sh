@@ -62,6 +62,9 @@ EOF
 cd /root/ai-homework-backend
 npm ci --only=production
 
+# Bring the database schema up to date (the server refuses to start otherwise)
+npm run migrate
+
 # Start the application
 pm2 restart ecosystem.config.js --env production
 pm2 save
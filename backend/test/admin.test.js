@@ -0,0 +1,61 @@
+// Admin key checks, end to end. Run with `npm test`.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, ADMIN_KEY } = require('./support/testApp');
+
+describe('GET /api/v1/admin/stats', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  function stats(headers) {
+    return t.request('GET', '/api/v1/admin/stats', { headers });
+  }
+
+  it('returns totals with the admin key', async () => {
+    const { token } = await t.login('stats-user');
+    await t.request('POST', '/api/v1/homework/solve', { token, body: { question: 'What is a prime number?', subject: 'math' } });
+
+    const response = await stats({ 'X-Admin-Key': ADMIN_KEY });
+    assert.equal(response.status, 200);
+    assert.equal(Number(response.body.total_users), 1);
+    assert.equal(Number(response.body.total_problems), 1);
+    assert.equal(Number(response.body.daily_tokens), 60);
+    assert.equal('redis' in response.body, false);
+  });
+
+  it('rejects a missing or wrong key', async () => {
+    assert.equal((await stats()).status, 401);
+    assert.equal((await stats({ 'X-Admin-Key': 'wrong' })).status, 401);
+  });
+
+  it('rejects user session tokens', async () => {
+    const { token } = await t.login('not-an-admin');
+    const response = await t.request('GET', '/api/v1/admin/stats', { token });
+    assert.equal(response.status, 401);
+  });
+});
+
+describe('admin endpoints without ADMIN_KEY', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ ADMIN_KEY: '' });
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  it('are disabled', async () => {
+    assert.equal((await t.request('GET', '/api/v1/admin/stats', { headers: { 'X-Admin-Key': '' } })).status, 401);
+    assert.equal((await t.request('GET', '/api/v1/admin/stats', { headers: { 'X-Admin-Key': ADMIN_KEY } })).status, 401);
+  });
+});
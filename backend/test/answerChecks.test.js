@@ -0,0 +1,120 @@
+// Checking a student's own worked answer. Run with `npm test`.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCheckResult, buildCheckMessages } = require('../lib/answerChecks');
+const { startTestApp } = require('./support/testApp');
+
+const WORK = '2x + 3 = 11\n2x = 14\nx = 7';
+
+function checkReply(result) {
+  return { content: JSON.stringify(result) };
+}
+
+describe('parseCheckResult', () => {
+  it('maps the wrong step back to the student\'s line', () => {
+    const result = parseCheckResult(
+      'Here you go: {"verdict": "Partially correct", "firstWrongStep": 2, "feedback": "Check the sign when you move the 3."}',
+      WORK
+    );
+    assert.deepEqual(result, {
+      verdict: 'partially_correct',
+      firstWrongStep: { step: 2, text: '2x = 14' },
+      feedback: 'Check the sign when you move the 3.'
+    });
+  });
+
+  it('drops the step for correct answers and rejects ungradeable replies', () => {
+    const correct = parseCheckResult('{"verdict": "correct", "firstWrongStep": 1, "feedback": "Nice work."}', WORK);
+    assert.equal(correct.firstWrongStep, null);
+
+    assert.equal(parseCheckResult('Looks good to me!', WORK), null);
+    assert.equal(parseCheckResult('{"verdict": "maybe", "feedback": "Hmm."}', WORK), null);
+  });
+
+  it('numbers the student\'s lines', () => {
+    const messages = buildCheckMessages('Solve 2x + 3 = 11', { system: 'Check it.' }, WORK);
+    assert.match(messages[1].content, /1\. 2x \+ 3 = 11\n2\. 2x = 14\n3\. x = 7/);
+  });
+});
+
+describe('answer checking', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  beforeEach(() => {
+    t.llm.reset();
+  });
+
+  function check(token, body) {
+    return t.request('POST', '/api/v1/homework/check', { token, body });
+  }
+
+  it('grades the answer and keeps each attempt on the problem', async () => {
+    const { token } = await t.login('check-attempts');
+
+    t.llm.reply = checkReply({ verdict: 'incorrect', firstWrongStep: 2, feedback: 'What happens to the 3 when it moves across?' });
+    const first = await check(token, { question: 'Solve 2x + 3 = 11', subject: 'Mathematics', answer: WORK });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.verdict, 'incorrect');
+    assert.deepEqual(first.body.firstWrongStep, { step: 2, text: '2x = 14' });
+    assert.equal(first.body.subject, 'math');
+    assert.match(t.llm.requests[0].messages[0].content, /Never state the correct final answer/);
+
+    t.llm.reply = checkReply({ verdict: 'correct', firstWrongStep: null, feedback: 'Every step checks out.' });
+    const second = await check(token, { problemId: Number(first.body.problemId), answer: '2x + 3 = 11\n2x = 8\nx = 4' });
+    assert.equal(second.body.verdict, 'correct');
+    assert.equal(second.body.firstWrongStep, null);
+    assert.deepEqual(second.body.attempts.map(attempt => attempt.verdict), ['incorrect', 'correct']);
+
+    const stored = await t.request('GET', `/api/v1/problems/${first.body.problemId}`, { token });
+    assert.equal(stored.body.mode, 'check');
+    assert.equal(stored.body.solution, null);
+    assert.equal(stored.body.checks.length, 2);
+
+    // Checks use the hint allowance, not solves
+    const me = await t.request('GET', '/api/v1/users/me', { token });
+    assert.equal(me.body.dailyHintsUsed, 2);
+    assert.equal(me.body.dailySolvesUsed, 0);
+  });
+
+  it('answers 502 without charging when the reply can\'t be graded', async () => {
+    const { token, user } = await t.login('check-garbled');
+    const garbled = await check(token, { question: 'What is 6 times 7?', subject: 'math', answer: '42' });
+    assert.equal(garbled.status, 502);
+
+    const me = await t.request('GET', '/api/v1/users/me', { token });
+    assert.equal(me.body.dailyHintsUsed, 0);
+    assert.equal(await t.app.locals.services.usage.getUserOpenAIUsage(user.id), 0);
+    const history = await t.request('GET', '/api/v1/homework/history', { token });
+    assert.equal(history.body.total, 0);
+  });
+
+  it('applies the hint allowance, integrity checks and ownership', async () => {
+    const owner = await t.login('check-owner');
+    const other = await t.login('check-other');
+
+    const blocked = await check(owner.token, {
+      question: 'I am taking a math test right now, what is 4x=12',
+      subject: 'math',
+      answer: 'x = 3'
+    });
+    assert.equal(blocked.status, 400);
+    assert.equal(blocked.body.code, 'academic_integrity');
+
+    t.llm.reply = checkReply({ verdict: 'correct', firstWrongStep: null, feedback: 'Right.' });
+    const first = await check(owner.token, { question: 'What is 5 squared?', subject: 'math', answer: '25' });
+    assert.equal((await check(other.token, { problemId: Number(first.body.problemId), answer: '25' })).status, 404);
+
+    await t.pool.query('UPDATE users SET daily_hints_used = 15 WHERE id = $1', [owner.user.id]);
+    const limited = await check(owner.token, { question: 'What is 6 squared?', subject: 'math', answer: '36' });
+    assert.equal(limited.status, 429);
+  });
+});
@@ -0,0 +1,212 @@
+// Device sign-in and session checks, end to end. Run with `npm test`.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/testApp');
+
+describe('device auth', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  it('creates a user on first login and returns it again for the same device', async () => {
+    const first = await t.login('device-a');
+    assert.ok(first.token);
+    assert.equal(first.user.isPremium, false);
+    assert.equal(first.user.dailySolvesUsed, 0);
+    assert.equal(first.user.dailySolvesLimit, 5);
+
+    const second = await t.login('device-a');
+    assert.equal(second.user.id, first.user.id);
+    assert.notEqual(second.token, first.token);
+
+    const other = await t.login('device-b');
+    assert.notEqual(other.user.id, first.user.id);
+  });
+
+  it('rejects a login without a device id', async () => {
+    const response = await t.request('POST', '/api/v1/auth/device', { body: {} });
+    assert.equal(response.status, 400);
+    assert.ok(Array.isArray(response.body.errors));
+  });
+
+  it('accepts the session token on authenticated routes', async () => {
+    const { token, user } = await t.login('device-c');
+
+    const me = await t.request('GET', '/api/v1/users/me', { token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.id, user.id);
+  });
+
+  it('rejects missing, malformed and revoked tokens', async () => {
+    assert.equal((await t.request('GET', '/api/v1/users/me')).status, 401);
+    assert.equal((await t.request('GET', '/api/v1/users/me', { token: 'not-a-jwt' })).status, 401);
+
+    const { token } = await t.login('device-d');
+    await t.pool.query('DELETE FROM sessions WHERE token = $1', [token]);
+    const revoked = await t.request('GET', '/api/v1/users/me', { token });
+    assert.equal(revoked.status, 401);
+  });
+});
+
+describe('email accounts', () => {
+  let t;
+  let addresses = 0;
+
+  // Requests without a token are rate limited per address, so each gets its own
+  function anonymous(method, path, body) {
+    addresses++;
+    return t.request(method, path, { body, headers: { 'X-Forwarded-For': `10.1.0.${addresses}` } });
+  }
+
+  function register(email, password = 'correct horse') {
+    return anonymous('POST', '/api/v1/auth/register', { email, password });
+  }
+
+  function signIn(email, password = 'correct horse') {
+    return anonymous('POST', '/api/v1/auth/login', { email, password });
+  }
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  it('registers an account once per email', async () => {
+    const registered = await register('Student@Example.com');
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.email, 'student@example.com');
+    assert.equal(registered.body.user.accountType, 'student');
+
+    const me = await t.request('GET', '/api/v1/users/me', { token: registered.body.sessionToken });
+    assert.equal(me.body.id, registered.body.user.id);
+
+    assert.equal((await register('student@example.com')).status, 409);
+    assert.equal((await register('short@example.com', 'short')).status, 400);
+  });
+
+  it('keeps the account device id out of tokens and away from device login', async () => {
+    const registered = await register('no-device@example.com');
+    const payload = JSON.parse(Buffer.from(registered.body.sessionToken.split('.')[1], 'base64url').toString());
+    assert.equal('deviceId' in payload, false);
+
+    const { rows } = await t.pool.query('SELECT device_id FROM users WHERE id = $1', [registered.body.user.id]);
+    const device = await anonymous('POST', '/api/v1/auth/device', { deviceId: rows[0].device_id });
+    assert.equal(device.status, 400);
+  });
+
+  it('logs in with the right password only', async () => {
+    const registered = await register('login@example.com');
+
+    const loggedIn = await signIn('LOGIN@example.com');
+    assert.equal(loggedIn.status, 200);
+    assert.equal(loggedIn.body.user.id, registered.body.user.id);
+
+    assert.equal((await signIn('login@example.com', 'wrong password')).status, 401);
+    assert.equal((await signIn('nobody@example.com')).status, 401);
+  });
+
+  it('logs out one session or every session', async () => {
+    await register('logout@example.com');
+    const first = (await signIn('logout@example.com')).body.sessionToken;
+    const second = (await signIn('logout@example.com')).body.sessionToken;
+    const third = (await signIn('logout@example.com')).body.sessionToken;
+
+    assert.equal((await t.request('POST', '/api/v1/auth/logout', { token: first, body: {} })).status, 200);
+    assert.equal((await t.request('GET', '/api/v1/users/me', { token: first })).status, 401);
+    assert.equal((await t.request('GET', '/api/v1/users/me', { token: second })).status, 200);
+
+    await t.request('POST', '/api/v1/auth/logout', { token: second, body: { allDevices: true } });
+    assert.equal((await t.request('GET', '/api/v1/users/me', { token: second })).status, 401);
+    assert.equal((await t.request('GET', '/api/v1/users/me', { token: third })).status, 401);
+  });
+
+  it('links an email to a device user so the same user can log in anywhere', async () => {
+    const { token, user } = await t.login('linking-device');
+
+    const linked = await t.request('POST', '/api/v1/auth/link-email', {
+      token,
+      body: { email: 'linked@example.com', password: 'correct horse' }
+    });
+    assert.equal(linked.status, 200);
+    assert.equal(linked.body.email, 'linked@example.com');
+
+    const loggedIn = await signIn('linked@example.com');
+    assert.equal(loggedIn.body.user.id, user.id);
+
+    const again = await t.request('POST', '/api/v1/auth/link-email', {
+      token,
+      body: { email: 'other@example.com', password: 'correct horse' }
+    });
+    assert.equal(again.status, 409);
+
+    const other = await t.login('other-linking-device');
+    const taken = await t.request('POST', '/api/v1/auth/link-email', {
+      token: other.token,
+      body: { email: 'linked@example.com', password: 'correct horse' }
+    });
+    assert.equal(taken.status, 409);
+  });
+
+  it('changes the password and signs out the other sessions', async () => {
+    const current = (await register('change@example.com')).body.sessionToken;
+    const other = (await signIn('change@example.com')).body.sessionToken;
+
+    const wrong = await t.request('POST', '/api/v1/auth/password', {
+      token: current,
+      body: { currentPassword: 'wrong password', newPassword: 'battery staple' }
+    });
+    assert.equal(wrong.status, 401);
+
+    const changed = await t.request('POST', '/api/v1/auth/password', {
+      token: current,
+      body: { currentPassword: 'correct horse', newPassword: 'battery staple' }
+    });
+    assert.equal(changed.status, 200);
+    assert.equal((await t.request('GET', '/api/v1/users/me', { token: current })).status, 200);
+    assert.equal((await t.request('GET', '/api/v1/users/me', { token: other })).status, 401);
+
+    assert.equal((await signIn('change@example.com')).status, 401);
+    assert.equal((await signIn('change@example.com', 'battery staple')).status, 200);
+  });
+
+  it('resets a forgotten password with the emailed link once', async () => {
+    const session = (await register('reset@example.com')).body.sessionToken;
+    const sent = t.mail.length;
+
+    const unknown = await anonymous('POST', '/api/v1/auth/password-reset/request', { email: 'nobody@example.com' });
+    assert.equal(unknown.status, 200);
+    assert.equal(t.mail.length, sent);
+
+    await anonymous('POST', '/api/v1/auth/password-reset/request', { email: 'reset@example.com' });
+    assert.equal(t.mail.at(-1).to, 'reset@example.com');
+    const token = t.mail.at(-1).text.match(/\?token=([0-9a-f]{64})/)[1];
+
+    const confirmed = await anonymous('POST', '/api/v1/auth/password-reset/confirm', { token, newPassword: 'battery staple' });
+    assert.equal(confirmed.status, 200);
+    assert.equal((await t.request('GET', '/api/v1/users/me', { token: session })).status, 401);
+    assert.equal((await signIn('reset@example.com', 'battery staple')).status, 200);
+
+    const reused = await anonymous('POST', '/api/v1/auth/password-reset/confirm', { token, newPassword: 'another one' });
+    assert.equal(reused.status, 400);
+  });
+
+  it('only accepts the newest reset link', async () => {
+    await register('newest@example.com');
+    await anonymous('POST', '/api/v1/auth/password-reset/request', { email: 'newest@example.com' });
+    const older = t.mail.at(-1).text.match(/\?token=([0-9a-f]{64})/)[1];
+    await anonymous('POST', '/api/v1/auth/password-reset/request', { email: 'newest@example.com' });
+
+    const confirmed = await anonymous('POST', '/api/v1/auth/password-reset/confirm', { token: older, newPassword: 'battery staple' });
+    assert.equal(confirmed.status, 400);
+  });
+});
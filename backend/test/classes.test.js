@@ -0,0 +1,219 @@
+// Classroom mode: classes, join codes, policies and rosters. Run with `npm test`.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateClassPolicies } = require('../lib/classrooms');
+const { startTestApp, ADMIN_KEY } = require('./support/testApp');
+
+const admin = { 'X-Admin-Key': ADMIN_KEY };
+
+describe('evaluateClassPolicies', () => {
+  const now = new Date('2025-05-06T10:00:00Z');
+  const exam = { startsAt: '2025-05-06T09:00:00Z', endsAt: '2025-05-06T11:00:00Z', label: 'Unit test' };
+
+  it('leaves students without classes alone', () => {
+    assert.deepEqual(evaluateClassPolicies([], 'math', now), { allowed: true, mode: 'full' });
+  });
+
+  it('pauses solving during any class\'s blackout', () => {
+    const classes = [
+      { id: 1, allowed_subjects: null, solution_mode: 'full', blackout_windows: [] },
+      { id: 2, allowed_subjects: ['history'], solution_mode: 'full', blackout_windows: [exam] }
+    ];
+    const result = evaluateClassPolicies(classes, 'math', now);
+    assert.equal(result.code, 'class_blackout');
+    assert.equal(result.classId, 2);
+    assert.equal(result.until, '2025-05-06T11:00:00.000Z');
+
+    assert.equal(evaluateClassPolicies(classes, 'math', new Date('2025-05-06T11:00:00Z')).allowed, true);
+  });
+
+  it('allows a subject any class allows, hint-only if one of those is', () => {
+    const classes = [
+      { id: 1, allowed_subjects: ['math'], solution_mode: 'hint_only', blackout_windows: [] },
+      { id: 2, allowed_subjects: ['math', 'science'], solution_mode: 'full', blackout_windows: [] }
+    ];
+    assert.deepEqual(evaluateClassPolicies(classes, 'math', now), { allowed: true, mode: 'hint_only' });
+    assert.deepEqual(evaluateClassPolicies(classes, 'science', now), { allowed: true, mode: 'full' });
+    assert.equal(evaluateClassPolicies(classes, 'history', now).code, 'class_subject_not_allowed');
+  });
+});
+
+describe('classes', () => {
+  let t;
+  let teacher;
+
+  before(async () => {
+    t = await startTestApp();
+
+    teacher = (await t.registerTeacher('teacher@example.com', '10.2.0.1')).token;
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  function solve(token, question, subject = 'math') {
+    return t.request('POST', '/api/v1/homework/solve', { token, body: { question, subject } });
+  }
+
+  async function createClass(body) {
+    const created = await t.request('POST', '/api/v1/classes', { token: teacher, body });
+    assert.equal(created.status, 201);
+    return created.body;
+  }
+
+  async function join(deviceId, joinCode) {
+    const student = await t.login(deviceId);
+    const joined = await t.request('POST', '/api/v1/classes/join', {
+      token: student.token,
+      body: { code: joinCode.toLowerCase() }
+    });
+    assert.equal(joined.status, 201);
+    assert.equal(joined.body.joinCode, undefined);
+    return student;
+  }
+
+  function updateClass(id, body) {
+    return t.request('PUT', `/api/v1/classes/${id}`, { token: teacher, body });
+  }
+
+  it('limits students to the class\'s subjects', async () => {
+    const algebra = await createClass({ name: 'Algebra I', allowedSubjects: ['Mathematics'] });
+    assert.deepEqual(algebra.allowedSubjects, ['math']);
+    assert.equal(algebra.solutionMode, 'full');
+    assert.match(algebra.joinCode, /^[A-Z2-9]{6}$/);
+
+    const student = await join('algebra-student', algebra.joinCode);
+    assert.equal((await solve(student.token, 'What is 6 times 7?')).status, 200);
+
+    const history = await solve(student.token, 'Who built the pyramids?', 'history');
+    assert.equal(history.status, 403);
+    assert.equal(history.body.code, 'class_subject_not_allowed');
+    assert.equal(history.body.classId, algebra.id);
+
+    const classes = await t.request('GET', '/api/v1/classes', { token: student.token });
+    assert.deepEqual(classes.body.classes.map(entry => entry.name), ['Algebra I']);
+  });
+
+  it('withholds full solutions from hint-only classes', async () => {
+    const geometry = await createClass({ name: 'Geometry', solutionMode: 'hint_only' });
+    const student = await join('geometry-student', geometry.joinCode);
+
+    const response = await solve(student.token, 'What is the area of a 3 by 4 rectangle?');
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'class_hints_only');
+
+    // Queued solves are held to the same policy, before they're queued
+    const queued = await t.request('POST', '/api/v1/homework/solve', {
+      token: student.token,
+      body: { question: 'What is the area of a 3 by 4 rectangle?', subject: 'math', async: true }
+    });
+    assert.equal(queued.status, 403);
+    assert.equal(queued.body.code, 'class_hints_only');
+
+    const updated = await updateClass(geometry.id, { solutionMode: 'full' });
+    assert.equal(updated.status, 200);
+    assert.equal((await solve(student.token, 'What is the area of a 3 by 4 rectangle?')).status, 200);
+  });
+
+  it('pauses solving during blackout windows', async () => {
+    const chemistry = await createClass({ name: 'Chemistry' });
+    const student = await join('chemistry-student', chemistry.joinCode);
+
+    const endsAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const updated = await updateClass(chemistry.id, {
+      blackoutWindows: [{ startsAt: new Date(Date.now() - 60 * 1000).toISOString(), endsAt, label: 'Midterm' }]
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.blackoutWindows[0].label, 'Midterm');
+
+    const blocked = await solve(student.token, 'What is 2 plus 2?');
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, 'class_blackout');
+    assert.equal(blocked.body.until, endsAt);
+    assert.equal(t.llm.requests.filter(request => JSON.stringify(request).includes('2 plus 2')).length, 0);
+
+    const backwards = await updateClass(chemistry.id, { blackoutWindows: [{ startsAt: endsAt, endsAt: endsAt }] });
+    assert.equal(backwards.status, 400);
+
+    await updateClass(chemistry.id, { blackoutWindows: [] });
+    assert.equal((await solve(student.token, 'What is 2 plus 2?')).status, 200);
+  });
+
+  it('shows the teacher a roster of their students\' solves', async () => {
+    const biology = await createClass({ name: 'Biology' });
+    const busy = await join('busy-student', biology.joinCode);
+    const quiet = await join('quiet-student', biology.joinCode);
+
+    await solve(busy.token, 'What do mitochondria do?', 'science');
+    await solve(busy.token, 'What is 5 times 5?');
+    // Hints aren't solves
+    await t.request('POST', '/api/v1/homework/hint', { token: quiet.token, body: { question: 'What is 6 times 6?', subject: 'math' } });
+
+    const roster = await t.request('GET', `/api/v1/classes/${biology.id}/roster?days=7`, { token: teacher });
+    assert.equal(roster.status, 200);
+    assert.equal(roster.body.class.studentCount, 2);
+    assert.deepEqual(roster.body.students.map(student => student.id), [busy.user.id, quiet.user.id]);
+    assert.deepEqual(roster.body.students[0].bySubject, { science: 1, math: 1 });
+    assert.ok(roster.body.students[0].lastSolveAt);
+    assert.equal(roster.body.students[1].solves, 0);
+
+    const classes = await t.request('GET', '/api/v1/classes', { token: teacher });
+    assert.equal(classes.body.classes.find(entry => entry.id === biology.id).studentCount, 2);
+
+    const removed = await t.request('DELETE', `/api/v1/classes/${biology.id}/students/${quiet.user.id}`, { token: teacher });
+    assert.equal(removed.status, 200);
+    const after = await t.request('GET', `/api/v1/classes/${biology.id}/roster`, { token: teacher });
+    assert.equal(after.body.students.length, 1);
+  });
+
+  it('retires the old join code when a new one is issued', async () => {
+    const physics = await createClass({ name: 'Physics' });
+    const rotated = await t.request('POST', `/api/v1/classes/${physics.id}/join-code`, { token: teacher });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.joinCode, physics.joinCode);
+
+    const { token } = await t.login('late-student');
+    const stale = await t.request('POST', '/api/v1/classes/join', { token, body: { code: physics.joinCode } });
+    assert.equal(stale.status, 400);
+  });
+
+  it('keeps teacher endpoints to the class\'s teacher', async () => {
+    const english = await createClass({ name: 'English' });
+    const student = await join('english-student', english.joinCode);
+
+    assert.equal((await t.request('POST', '/api/v1/classes', { token: student.token, body: { name: 'Mine' } })).status, 403);
+    assert.equal((await t.request('GET', `/api/v1/classes/${english.id}/roster`, { token: student.token })).status, 403);
+
+    const stranger = (await t.registerTeacher('other-teacher@example.com', '10.2.0.2')).token;
+    assert.equal((await t.request('GET', `/api/v1/classes/${english.id}`, { token: stranger })).status, 404);
+    assert.equal((await t.request('PUT', `/api/v1/classes/${english.id}`, { token: stranger, body: { solutionMode: 'hint_only' } })).status, 404);
+    assert.equal((await t.request('POST', '/api/v1/classes/join', { token: stranger, body: { code: english.joinCode } })).status, 400);
+  });
+
+  it('keeps classes and rosters closed until a teacher is approved', async () => {
+    const registered = await t.request('POST', '/api/v1/auth/register', {
+      body: { email: 'new-teacher@example.com', password: 'correct horse', accountType: 'teacher' },
+      headers: { 'X-Forwarded-For': '10.2.0.3' }
+    });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.teacherApproved, false);
+    const token = registered.body.sessionToken;
+
+    const refused = await t.request('POST', '/api/v1/classes', { token, body: { name: 'Unapproved' } });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'teacher_approval_pending');
+
+    const pending = await t.request('GET', '/api/v1/admin/teachers?status=pending', { headers: admin });
+    assert.deepEqual(pending.body.teachers.map(teacher => teacher.email), ['new-teacher@example.com']);
+    assert.equal((await t.request('POST', '/api/v1/admin/teachers/999999/approve', { headers: admin })).status, 404);
+    assert.equal((await t.request('GET', '/api/v1/admin/teachers')).status, 401);
+
+    const approved = await t.request('POST', `/api/v1/admin/teachers/${registered.body.user.id}/approve`, { headers: admin });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.approved, true);
+    assert.equal((await t.request('POST', '/api/v1/classes', { token, body: { name: 'Approved' } })).status, 201);
+    assert.equal((await t.request('GET', '/api/v1/users/me', { token })).body.teacherApproved, true);
+  });
+});
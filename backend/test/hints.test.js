@@ -0,0 +1,202 @@
+// Progressive hint mode and revealing the full solution. Run with `npm test`.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildHintMessages, MAX_HINT_LEVEL } = require('../lib/hints');
+const { startTestApp } = require('./support/testApp');
+
+describe('buildHintMessages', () => {
+  it('replays earlier hints and asks for the next level', () => {
+    const messages = buildHintMessages('Solve 2x + 3 = 11', { system: 'Give hints.' }, [
+      { level: 1, content: 'What could you do to both sides?' }
+    ], 'I got x = 7');
+
+    assert.deepEqual(messages.map(message => message.role), ['system', 'user', 'assistant', 'user']);
+    assert.match(messages[3].content, /another hint/);
+    assert.match(messages[3].content, /I got x = 7/);
+    assert.match(messages[3].content, new RegExp(`hint 2 of ${MAX_HINT_LEVEL}`));
+  });
+});
+
+describe('hint mode', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  beforeEach(() => {
+    t.llm.reset();
+  });
+
+  function hint(token, body) {
+    return t.request('POST', '/api/v1/homework/hint', { token, body });
+  }
+
+  function reveal(token, problemId, body = {}) {
+    return t.request('POST', `/api/v1/homework/problem/${problemId}/solution`, { token, body });
+  }
+
+  it('climbs the hint ladder before revealing the solution', async () => {
+    const { token, user } = await t.login('hint-ladder');
+
+    t.llm.reply = { content: 'What could you do to both sides of the equation?' };
+    const first = await hint(token, { question: 'Solve 2x + 3 = 11', subject: 'math' });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.level, 1);
+    assert.equal(first.body.hint, 'What could you do to both sides of the equation?');
+    assert.equal(first.body.hintsRemaining, MAX_HINT_LEVEL - 1);
+    assert.equal(first.body.canRevealSolution, false);
+    assert.match(t.llm.requests[0].messages[0].content, /Socratic/);
+
+    const early = await reveal(token, first.body.problemId);
+    assert.equal(early.status, 403);
+    assert.equal(early.body.code, 'hints_first');
+
+    for (let level = 2; level <= MAX_HINT_LEVEL; level++) {
+      const next = await hint(token, { problemId: Number(first.body.problemId) });
+      assert.equal(next.body.level, level);
+    }
+    // Each hint is asked for with the earlier ones as context
+    assert.equal(t.llm.requests.at(-1).messages.filter(message => message.role === 'assistant').length, MAX_HINT_LEVEL - 1);
+
+    const exhausted = await hint(token, { problemId: Number(first.body.problemId) });
+    assert.equal(exhausted.status, 409);
+    assert.equal(exhausted.body.code, 'hints_exhausted');
+
+    t.llm.reply = { content: 'Step 1: Subtract 3. Step 2: Divide by 2. x = 4' };
+    const solved = await reveal(token, first.body.problemId);
+    assert.equal(solved.status, 200);
+    assert.equal(solved.body.solution, 'Step 1: Subtract 3. Step 2: Divide by 2. x = 4');
+    assert.equal(solved.body.hints.length, MAX_HINT_LEVEL);
+    assert.ok(solved.body.revealedAt);
+
+    // The ladder and the solution are kept on the problem
+    const stored = await t.request('GET', `/api/v1/problems/${first.body.problemId}`, { token });
+    assert.equal(stored.body.mode, 'hint');
+    assert.equal(stored.body.hints.length, MAX_HINT_LEVEL);
+    assert.equal(stored.body.solution, solved.body.solution);
+
+    // Hints use the hint allowance; the reveal is the one solve
+    const me = await t.request('GET', '/api/v1/users/me', { token });
+    assert.equal(me.body.dailyHintsUsed, MAX_HINT_LEVEL);
+    assert.equal(me.body.dailySolvesUsed, 1);
+
+    const again = await reveal(token, first.body.problemId);
+    assert.equal(again.body.solution, solved.body.solution);
+    const users = await t.pool.query('SELECT daily_solves_used FROM users WHERE id = $1', [user.id]);
+    assert.equal(users.rows[0].daily_solves_used, 1);
+  });
+
+  it('reveals the solution early once the student tries an answer', async () => {
+    const { token } = await t.login('hint-attempt');
+    const first = await hint(token, { question: 'What is 15% of 80?', subject: 'math' });
+
+    const solved = await reveal(token, first.body.problemId, { attempt: 'I think it is 10' });
+    assert.equal(solved.status, 200);
+    assert.equal(solved.body.attempt, 'I think it is 10');
+    assert.match(t.llm.requests.at(-1).messages.at(-1).content, /I think it is 10/);
+  });
+
+  it('runs out of hints for the day separately from solves', async () => {
+    const { token, user } = await t.login('hint-quota');
+    await t.pool.query('UPDATE users SET daily_hints_used = 15 WHERE id = $1', [user.id]);
+
+    const limited = await hint(token, { question: 'What is a prime number?', subject: 'math' });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, 'Daily hint limit reached');
+
+    const solve = await t.request('POST', '/api/v1/homework/solve', {
+      token,
+      body: { question: 'What is a prime number?', subject: 'math' }
+    });
+    assert.equal(solve.status, 200);
+  });
+
+  it('applies integrity checks and class policies to hints', async () => {
+    const { token } = await t.login('hint-checks');
+    const blocked = await hint(token, { question: 'I am taking a math test right now, what is 4x=12', subject: 'math' });
+    assert.equal(blocked.status, 400);
+    assert.equal(blocked.body.code, 'academic_integrity');
+
+    const teacher = await t.registerTeacher('hint-teacher@example.com', '10.3.0.1');
+    const created = await t.request('POST', '/api/v1/classes', {
+      token: teacher.token,
+      body: { name: 'Hints only', solutionMode: 'hint_only' }
+    });
+    await t.request('POST', '/api/v1/classes/join', { token, body: { code: created.body.joinCode } });
+
+    const allowed = await hint(token, { question: 'What is 3 cubed?', subject: 'math' });
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.body.canRevealSolution, false);
+
+    const refused = await reveal(token, allowed.body.problemId, { attempt: '9' });
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, 'class_hints_only');
+  });
+
+  // Holds each request's read of the ladder until both have made it
+  async function simultaneously(requests) {
+    const query = t.pool.query;
+    const held = [];
+    t.pool.query = function (text, ...rest) {
+      if (held.length < requests.length && typeof text === 'string' &&
+        text.startsWith('SELECT * FROM problems WHERE id = $1 AND user_id = $2')) {
+        return new Promise(resolve => {
+          held.push(resolve);
+          if (held.length === requests.length) held.forEach(release => release());
+        }).then(() => query.call(this, text, ...rest));
+      }
+      return query.call(this, text, ...rest);
+    };
+    try {
+      return await Promise.all(requests.map(send => send()));
+    } finally {
+      t.pool.query = query;
+    }
+  }
+
+  it('gives one of two simultaneous next hints and charges for one', async () => {
+    const { token, user } = await t.login('hint-race');
+    const first = await hint(token, { question: 'Solve 3x = 12', subject: 'math' });
+    const problemId = Number(first.body.problemId);
+
+    const results = await simultaneously([() => hint(token, { problemId }), () => hint(token, { problemId })]);
+    assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+    assert.equal(results.find(result => result.status === 409).body.code, 'hint_conflict');
+
+    const stored = await t.pool.query('SELECT hints FROM problems WHERE id = $1', [problemId]);
+    assert.deepEqual(stored.rows[0].hints.map(step => step.level), [1, 2]);
+    const users = await t.pool.query('SELECT daily_hints_used FROM users WHERE id = $1', [user.id]);
+    assert.equal(users.rows[0].daily_hints_used, 2);
+  });
+
+  it('charges one solve for two simultaneous reveals', async () => {
+    const { token, user } = await t.login('reveal-race');
+    const first = await hint(token, { question: 'Solve 5x = 20', subject: 'math' });
+
+    t.llm.reply = { content: 'Divide both sides by 5. x = 4' };
+    const results = await simultaneously([
+      () => reveal(token, first.body.problemId, { attempt: 'x = 4' }),
+      () => reveal(token, first.body.problemId, { attempt: 'x = 4' })
+    ]);
+    assert.deepEqual(results.map(result => result.status), [200, 200]);
+    assert.equal(results[0].body.solution, results[1].body.solution);
+
+    const users = await t.pool.query('SELECT daily_solves_used FROM users WHERE id = $1', [user.id]);
+    assert.equal(users.rows[0].daily_solves_used, 1);
+  });
+
+  it('keeps ladders private to their student', async () => {
+    const owner = await t.login('hint-owner');
+    const other = await t.login('hint-other');
+    const first = await hint(owner.token, { question: 'What is the capital of France?', subject: 'history' });
+
+    assert.equal((await hint(other.token, { problemId: Number(first.body.problemId) })).status, 404);
+    assert.equal((await reveal(other.token, first.body.problemId, { attempt: 'Paris' })).status, 404);
+  });
+});
@@ -0,0 +1,99 @@
+// Problem history pagination, end to end. Run with `npm test`.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/testApp');
+
+const PROBLEM_COUNT = 25;
+
+describe('GET /api/v1/homework/history', () => {
+  let t;
+  let token;
+
+  before(async () => {
+    t = await startTestApp();
+    const session = await t.login('history-user');
+    token = session.token;
+
+    for (let i = 1; i <= PROBLEM_COUNT; i++) {
+      await t.pool.query(
+        'INSERT INTO problems (user_id, question, subject, solution) VALUES ($1, $2, $3, $4)',
+        [session.user.id, `Question ${i}`, i % 2 ? 'math' : 'physics', `Solution ${i}`]
+      );
+    }
+
+    // Another user's problems never show up
+    const other = await t.login('other-user');
+    await t.pool.query(
+      'INSERT INTO problems (user_id, question, subject, solution) VALUES ($1, $2, $3, $4)',
+      [other.user.id, 'Not mine', 'math', 'Hidden']
+    );
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  function history(query = '') {
+    return t.request('GET', `/api/v1/homework/history${query}`, { token });
+  }
+
+  it('returns the newest problems first with the total', async () => {
+    const response = await history();
+    assert.equal(response.status, 200);
+    assert.equal(response.body.total, PROBLEM_COUNT);
+    assert.equal(response.body.limit, 20);
+    assert.equal(response.body.problems.length, 20);
+    assert.equal(response.body.problems[0].questionText, `Question ${PROBLEM_COUNT}`);
+  });
+
+  it('walks every page with the cursor', async () => {
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+
+    do {
+      const response = await history(`?limit=10${cursor ? `&cursor=${cursor}` : ''}`);
+      assert.equal(response.status, 200);
+      seen.push(...response.body.problems.map(problem => problem.questionText));
+      cursor = response.body.nextCursor;
+      pages++;
+    } while (cursor);
+
+    assert.equal(pages, 3);
+    assert.equal(seen.length, PROBLEM_COUNT);
+    assert.equal(new Set(seen).size, PROBLEM_COUNT);
+    assert.equal(seen[seen.length - 1], 'Question 1');
+  });
+
+  it('neither skips nor repeats problems deleted between pages', async () => {
+    const first = await history('?limit=5');
+    const firstIds = first.body.problems.map(problem => problem.id);
+
+    await t.request('DELETE', `/api/v1/homework/problem/${firstIds[0]}`, { token });
+
+    const second = await history(`?limit=5&cursor=${first.body.nextCursor}`);
+    const secondIds = second.body.problems.map(problem => problem.id);
+    assert.equal(secondIds.length, 5);
+    assert.ok(secondIds.every(id => !firstIds.includes(id)));
+    assert.equal(Number(secondIds[0]), Number(firstIds[4]) - 1);
+  });
+
+  it('supports limit and offset', async () => {
+    const response = await history('?limit=3&offset=3');
+    assert.equal(response.body.offset, 3);
+    assert.equal(response.body.problems.length, 3);
+  });
+
+  it('filters by subject', async () => {
+    const response = await history('?subject=Physics&limit=100');
+    assert.ok(response.body.problems.length > 0);
+    assert.ok(response.body.problems.every(problem => problem.subject === 'physics'));
+  });
+
+  it('rejects out-of-range pagination', async () => {
+    assert.equal((await history('?limit=0')).status, 400);
+    assert.equal((await history('?limit=101')).status, 400);
+    assert.equal((await history('?cursor=abc')).status, 400);
+  });
+});
@@ -0,0 +1,157 @@
+// Photo validation: MIME sniffing, size and dimension limits, and how the
+// solve endpoint answers bad photos. Run with `npm test`.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseImageData, sniffMimeType, imageDimensions, InvalidImageError } = require('../lib/images');
+const { startTestApp } = require('./support/testApp');
+
+// Just enough of each format's header for the sniffing and dimension reading,
+// padded with `extra` zero bytes
+function png(width, height, extra = 0) {
+  const buffer = Buffer.alloc(33 + extra);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+function jpeg(width, height) {
+  const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x10, ...Buffer.from('JFIF\0'), 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  const frame = Buffer.alloc(19);
+  frame.writeUInt16BE(0xffc0, 0);
+  frame.writeUInt16BE(17, 2);
+  frame[4] = 8;
+  frame.writeUInt16BE(height, 5);
+  frame.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, frame, Buffer.from([0xff, 0xd9])]);
+}
+
+function gif(width, height) {
+  const buffer = Buffer.alloc(16);
+  buffer.write('GIF89a', 0, 'ascii');
+  buffer.writeUInt16LE(width, 6);
+  buffer.writeUInt16LE(height, 8);
+  return buffer;
+}
+
+function webp(width, height) {
+  const buffer = Buffer.alloc(30);
+  buffer.write('RIFF', 0, 'ascii');
+  buffer.writeUInt32LE(22, 4);
+  buffer.write('WEBPVP8X', 8, 'ascii');
+  buffer.writeUInt32LE(10, 16);
+  buffer.writeUIntLE(width - 1, 24, 3);
+  buffer.writeUIntLE(height - 1, 27, 3);
+  return buffer;
+}
+
+function heic() {
+  const buffer = Buffer.alloc(24);
+  buffer.writeUInt32BE(24, 0);
+  buffer.write('ftypheic', 4, 'ascii');
+  return buffer;
+}
+
+const base64 = (buffer) => buffer.toString('base64');
+
+function rejects(imageData, status, message, limits) {
+  assert.throws(() => parseImageData(imageData, limits), error =>
+    error instanceof InvalidImageError && error.status === status && message.test(error.message));
+}
+
+describe('sniffMimeType and imageDimensions', () => {
+  it('recognizes each format by its magic bytes and reads its size', () => {
+    const samples = [
+      [png(640, 480), 'image/png'],
+      [jpeg(640, 480), 'image/jpeg'],
+      [gif(640, 480), 'image/gif'],
+      [webp(640, 480), 'image/webp']
+    ];
+    for (const [buffer, mimeType] of samples) {
+      assert.equal(sniffMimeType(buffer), mimeType);
+      assert.deepEqual(imageDimensions(buffer, mimeType), { width: 640, height: 480 });
+    }
+    assert.equal(sniffMimeType(heic()), 'image/heic');
+    assert.equal(sniffMimeType(Buffer.from('%PDF-1.7 not an image')), null);
+  });
+});
+
+describe('parseImageData', () => {
+  it('accepts raw base64 and data URLs, trusting the bytes over the claimed type', () => {
+    const image = parseImageData(base64(png(800, 600)));
+    assert.equal(image.mimeType, 'image/png');
+    assert.equal(image.width, 800);
+    assert.equal(image.height, 600);
+    assert.equal(image.bytes, 33);
+
+    const relabelled = parseImageData(`data:image/gif;base64,${base64(jpeg(100, 200))}`);
+    assert.equal(relabelled.mimeType, 'image/jpeg');
+    assert.match(relabelled.dataUrl, /^data:image\/jpeg;base64,/);
+  });
+
+  it('rejects payloads that are not images', () => {
+    rejects('', 400, /base64-encoded image/);
+    rejects('not base64!', 400, /not valid base64/);
+    rejects(base64(Buffer.from('%PDF-1.7 definitely a document')), 400, /not a recognized image/);
+    rejects(base64(heic()), 415, /Unsupported image type image\/heic/);
+    rejects(base64(png(100, 100).subarray(0, 12)), 400, /corrupt or truncated/);
+  });
+
+  it('enforces the byte size and pixel dimension limits', () => {
+    rejects(base64(png(100, 100, 2000)), 413, /too large/, { maxBytes: 1000 });
+    assert.equal(parseImageData(base64(png(100, 100, 900)), { maxBytes: 1000 }).bytes, 933);
+
+    rejects(base64(png(4097, 100)), 400, /exceed 4096x4096/);
+    rejects(base64(jpeg(100, 5000)), 400, /exceed 4096x4096/);
+    rejects(base64(gif(800, 600)), 400, /exceed 512x512/, { maxDimension: 512 });
+    rejects(base64(webp(8, 8)), 400, /too small/);
+  });
+});
+
+describe('photo solves', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ IMAGE_MAX_BYTES: '4096', IMAGE_MAX_DIMENSION: '2000' });
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  beforeEach(() => {
+    t.llm.reset();
+  });
+
+  function solvePhoto(token, imageData) {
+    return t.request('POST', '/api/v1/homework/solve', { token, body: { subject: 'math', imageData } });
+  }
+
+  it('sends a valid photo to the model as an image part', async () => {
+    const { token } = await t.login('photo-valid');
+    const solved = await solvePhoto(token, `data:image/png;base64,${base64(jpeg(1200, 900))}`);
+    assert.equal(solved.status, 200);
+
+    const content = t.llm.requests[0].messages.at(-1).content;
+    const part = content.find(item => item.type === 'image_url');
+    assert.match(part.image_url.url, /^data:image\/jpeg;base64,/);
+  });
+
+  it('refuses bad photos without a completion or a used solve', async () => {
+    const { token } = await t.login('photo-invalid');
+
+    assert.equal((await solvePhoto(token, base64(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')))).status, 400);
+    assert.equal((await solvePhoto(token, base64(heic()))).status, 415);
+    assert.equal((await solvePhoto(token, base64(png(100, 100, 5000)))).status, 413);
+    const huge = await solvePhoto(token, base64(png(2001, 1000)));
+    assert.equal(huge.status, 400);
+    assert.match(huge.body.error, /exceed 2000x2000/);
+
+    assert.equal(t.llm.requests.length, 0);
+    const me = await t.request('GET', '/api/v1/users/me', { token });
+    assert.equal(me.body.dailySolvesUsed, 0);
+  });
+});
@@ -0,0 +1,263 @@
+// Academic integrity engine, appeals and overrides. Run with `npm test`.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreQuestion } = require('../lib/integrity');
+const { startTestApp, ADMIN_KEY } = require('./support/testApp');
+
+const admin = { 'X-Admin-Key': ADMIN_KEY };
+
+describe('scoreQuestion', () => {
+  it('leaves ordinary study questions alone', () => {
+    for (const question of [
+      'How do I test for starch in a leaf?',
+      'Can you walk me through this practice quiz on fractions?',
+      'Write a unit test for my sorting function',
+      'Run a t-test on these two samples',
+      'Study for my test tomorrow: what is mitosis?',
+      'Explain this example'
+    ]) {
+      assert.ok(scoreQuestion(question).score < 60, question);
+    }
+  });
+
+  it('scores questions from a live or graded assessment highly', () => {
+    assert.equal(scoreQuestion('I am taking a chemistry test right now, what is a mole?').reason, 'live_assessment');
+    assert.ok(scoreQuestion('Answers for tomorrow\'s quiz please').score >= 60);
+    assert.equal(scoreQuestion('CONFIDENTIAL - do not share. Q1: balance the equation').reason, 'confidential_material');
+  });
+
+  it('uses overridden rule points', () => {
+    const question = 'Answer question 3 of my chemistry quiz';
+    assert.equal(scoreQuestion(question).score, 90);
+    assert.equal(scoreQuestion(question, { assessment_term: 0, upcoming_assessment: 0 }).score, 30);
+  });
+});
+
+describe('integrity checks over the API', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  beforeEach(() => {
+    t.llm.reset();
+  });
+
+  function solve(token, question, subject = 'chemistry') {
+    return t.request('POST', '/api/v1/homework/solve', { token, body: { question, subject } });
+  }
+
+  it('blocks with a reason code and records the decision', async () => {
+    const { token, user } = await t.login('blocked-student');
+
+    const response = await solve(token, 'Answers for tomorrow\'s chemistry quiz please');
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'academic_integrity');
+    assert.equal(response.body.reason, 'assessment_term');
+    assert.equal(t.llm.requests.length, 0);
+
+    const log = await t.request('GET', `/api/v1/admin/integrity/decisions?userId=${user.id}`, { headers: admin });
+    assert.equal(log.body.total, 1);
+    assert.equal(log.body.decisions[0].id, response.body.decisionId);
+    assert.equal(log.body.decisions[0].decision, 'block');
+    assert.deepEqual(log.body.decisions[0].rules, ['assessment_term', 'answer_request', 'upcoming_assessment']);
+  });
+
+  it('answers questions that only mention a test', async () => {
+    const { token, user } = await t.login('lab-student');
+
+    assert.equal((await solve(token, 'How do I test for starch?', 'biology')).status, 200);
+    assert.equal((await solve(token, 'I need to study for my test: what is an ion?')).status, 200);
+
+    // Only the question that scored above 0 is logged
+    const log = await t.request('GET', `/api/v1/admin/integrity/decisions?userId=${user.id}`, { headers: admin });
+    assert.equal(log.body.total, 1);
+    assert.equal(log.body.decisions[0].decision, 'allow');
+    assert.equal(log.body.decisions[0].score, 35);
+  });
+
+  it('lets a student appeal and ask again once the appeal is approved', async () => {
+    const { token } = await t.login('appealing-student');
+    const other = await t.login('other-student');
+    const question = 'Answer question 2 of my chemistry quiz, we may use any help';
+
+    const blocked = await solve(token, question);
+    assert.equal(blocked.status, 400);
+
+    const stranger = await t.request('POST', '/api/v1/integrity/appeals', {
+      token: other.token,
+      body: { decisionId: blocked.body.decisionId }
+    });
+    assert.equal(stranger.status, 404);
+
+    const appeal = await t.request('POST', '/api/v1/integrity/appeals', {
+      token,
+      body: { decisionId: blocked.body.decisionId, message: 'It is an open-book take-home quiz' }
+    });
+    assert.equal(appeal.status, 201);
+    assert.equal(appeal.body.status, 'pending');
+
+    const again = await t.request('POST', '/api/v1/integrity/appeals', { token, body: { decisionId: blocked.body.decisionId } });
+    assert.equal(again.status, 409);
+
+    const pending = await t.request('GET', '/api/v1/admin/integrity/appeals', { headers: admin });
+    const listed = pending.body.appeals.find(entry => entry.id === appeal.body.id);
+    assert.equal(listed.decision.question, question);
+    assert.equal(listed.message, 'It is an open-book take-home quiz');
+
+    const stats = await t.request('GET', '/api/v1/admin/stats', { headers: admin });
+    assert.ok(Number(stats.body.pending_integrity_appeals) >= 1);
+    assert.ok(Number(stats.body.daily_integrity_blocks) >= 1);
+
+    const review = await t.request('POST', `/api/v1/admin/integrity/appeals/${appeal.body.id}/review`, {
+      headers: admin,
+      body: { status: 'approved', note: 'Teacher confirmed' }
+    });
+    assert.equal(review.status, 200);
+    assert.equal(review.body.status, 'approved');
+
+    const twice = await t.request('POST', `/api/v1/admin/integrity/appeals/${appeal.body.id}/review`, {
+      headers: admin,
+      body: { status: 'rejected' }
+    });
+    assert.equal(twice.status, 409);
+
+    assert.equal((await solve(token, question)).status, 200);
+    assert.equal((await solve(other.token, question)).status, 400);
+
+    const mine = await t.request('GET', '/api/v1/integrity/appeals', { token });
+    assert.equal(mine.body.appeals[0].reviewerNote, 'Teacher confirmed');
+  });
+
+  it('answers 409 to one of two simultaneous appeals', async () => {
+    const { token } = await t.login('racing-appeals');
+    const blocked = await solve(token, 'Answer question 4 of my chemistry quiz, we may use any help');
+    const appeal = () => t.request('POST', '/api/v1/integrity/appeals', { token, body: { decisionId: blocked.body.decisionId } });
+
+    // Hold each request's existing-appeal check until both have made it
+    const query = t.pool.query;
+    const held = [];
+    t.pool.query = function (text, ...rest) {
+      if (typeof text === 'string' && text.startsWith('SELECT id FROM integrity_appeals')) {
+        return new Promise(resolve => {
+          held.push(resolve);
+          if (held.length === 2) held.forEach(release => release());
+        }).then(() => query.call(this, text, ...rest));
+      }
+      return query.call(this, text, ...rest);
+    };
+    let results;
+    try {
+      results = await Promise.all([appeal(), appeal()]);
+    } finally {
+      t.pool.query = query;
+    }
+    assert.deepEqual(results.map(result => result.status).sort(), [201, 409]);
+  });
+
+  it('applies per-subject overrides', async () => {
+    const { token } = await t.login('history-student');
+    const question = 'Answer question 4 of my history quiz';
+
+    assert.equal((await solve(token, question, 'history')).status, 400);
+
+    const saved = await t.request('PUT', '/api/v1/admin/integrity/overrides/subject/History', {
+      headers: admin,
+      body: { rulePoints: { assessment_term: 0 } }
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.scopeId, 'history');
+
+    assert.equal((await solve(token, question, 'history')).status, 200);
+    assert.equal((await solve(token, 'Answer question 4 of my physics quiz', 'physics')).status, 400);
+
+    const invalid = await t.request('PUT', '/api/v1/admin/integrity/overrides/subject/history', {
+      headers: admin,
+      body: { rulePoints: { made_up: 10 } }
+    });
+    assert.equal(invalid.status, 400);
+
+    const list = await t.request('GET', '/api/v1/admin/integrity/overrides', { headers: admin });
+    assert.equal(list.body.overrides.length, 1);
+
+    assert.equal((await t.request('DELETE', '/api/v1/admin/integrity/overrides/subject/history', { headers: admin })).status, 200);
+    assert.equal((await solve(token, 'Answer question 5 of my history quiz', 'history')).status, 400);
+    assert.equal((await t.request('GET', '/api/v1/admin/integrity/overrides')).status, 401);
+  });
+
+  it('applies class overrides to their students, taking the strictest', async () => {
+    const { user: teacher } = await t.login('integrity-teacher');
+    const student = await t.login('class-override-student');
+    const outsider = await t.login('class-override-outsider');
+    const classes = await Promise.all(['Open book', 'Strict'].map((name, index) => t.pool.query(
+      'INSERT INTO classes (teacher_id, name, join_code) VALUES ($1, $2, $3) RETURNING id',
+      [teacher.id, name, `INTEG${index}`]
+    )));
+    const [openBook, strictClass] = classes.map(result => result.rows[0].id);
+    await t.pool.query('INSERT INTO class_members (class_id, student_id) VALUES ($1, $2)', [openBook, student.user.id]);
+    const question = 'Answer question 6 of my chemistry quiz';
+
+    const saved = await t.request('PUT', `/api/v1/admin/integrity/overrides/class/${openBook}`, {
+      headers: admin,
+      body: { rulePoints: { assessment_term: 0, upcoming_assessment: 0 } }
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.scope, 'class');
+    assert.equal((await solve(student.token, question)).status, 200);
+    assert.equal((await solve(outsider.token, question)).status, 400);
+
+    // Joining a stricter class takes the stricter setting
+    await t.request('PUT', `/api/v1/admin/integrity/overrides/class/${strictClass}`, {
+      headers: admin,
+      body: { rulePoints: { assessment_term: 60 } }
+    });
+    await t.pool.query('INSERT INTO class_members (class_id, student_id) VALUES ($1, $2)', [strictClass, student.user.id]);
+    assert.equal((await solve(student.token, 'Answer question 7 of my chemistry quiz')).status, 400);
+
+    assert.equal((await t.request('PUT', '/api/v1/admin/integrity/overrides/class/999999', { headers: admin, body: {} })).status, 404);
+    assert.equal((await t.request('PUT', '/api/v1/admin/integrity/overrides/class/algebra', { headers: admin, body: {} })).status, 400);
+    for (const id of [openBook, strictClass]) {
+      assert.equal((await t.request('DELETE', `/api/v1/admin/integrity/overrides/class/${id}`, { headers: admin })).status, 200);
+    }
+  });
+});
+
+describe('integrity checks with the LLM classifier', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ INTEGRITY_LLM_CLASSIFIER: 'true' });
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  it('asks the classifier about borderline questions only', async () => {
+    const { token } = await t.login('borderline-student');
+
+    t.llm.reply = { ...t.llm.reply, content: 'ASSESSMENT' };
+    const blocked = await t.request('POST', '/api/v1/homework/solve', {
+      token,
+      body: { question: 'What is on the biology exam about cells?', subject: 'biology' }
+    });
+    assert.equal(blocked.status, 400);
+    assert.equal(blocked.body.reason, 'classifier');
+    assert.equal(t.llm.requests.length, 1);
+    assert.equal(t.llm.requests[0].max_tokens, 5);
+
+    t.llm.reset();
+    const plain = await t.request('POST', '/api/v1/homework/solve', {
+      token,
+      body: { question: 'What is a cell membrane?', subject: 'biology' }
+    });
+    assert.equal(plain.status, 200);
+    assert.equal(t.llm.requests.length, 1);
+  });
+});
@@ -0,0 +1,309 @@
+// Job queue tests. Run with `npm test`.
+//
+// Redis mode runs against an in-process stand-in for the node-redis client,
+// shared by two queues to stand for two server processes.
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue, QueueFullError, TooManyJobsError } = require('../lib/jobQueue');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+// The subset of the node-redis v4 client the queue uses. Expiry isn't
+// simulated, but each key's last TTL is kept in `ttls`.
+function createFakeRedis() {
+  const strings = new Map();
+  const lists = new Map();
+  const ttls = new Map();
+
+  return {
+    strings,
+    lists,
+    ttls,
+    async get(key) {
+      return strings.has(key) ? strings.get(key) : null;
+    },
+    async set(key, value, { NX, EX } = {}) {
+      if (NX && strings.has(key)) return null;
+      strings.set(key, value);
+      ttls.set(key, EX);
+      return 'OK';
+    },
+    async del(key) {
+      return strings.delete(key) ? 1 : 0;
+    },
+    async incr(key) {
+      strings.set(key, String(Number(strings.get(key) || 0) + 1));
+      return Number(strings.get(key));
+    },
+    async decr(key) {
+      strings.set(key, String(Number(strings.get(key) || 0) - 1));
+      return Number(strings.get(key));
+    },
+    async expire(key, seconds) {
+      ttls.set(key, seconds);
+      return strings.has(key);
+    },
+    async lPush(key, value) {
+      lists.set(key, [value, ...(lists.get(key) || [])]);
+      return lists.get(key).length;
+    },
+    async rPush(key, value) {
+      lists.set(key, [...(lists.get(key) || []), value]);
+      return lists.get(key).length;
+    },
+    async lMove(source, destination, from, to) {
+      const list = lists.get(source) || [];
+      if (list.length === 0) return null;
+      const value = from === 'RIGHT' ? list.pop() : list.shift();
+      const target = lists.get(destination) || [];
+      lists.set(destination, to === 'LEFT' ? [value, ...target] : [...target, value]);
+      return value;
+    },
+    async lRem(key, count, value) {
+      const list = lists.get(key) || [];
+      const index = list.indexOf(value);
+      if (index === -1) return 0;
+      list.splice(index, 1);
+      return 1;
+    },
+    async lRange(key) {
+      return [...(lists.get(key) || [])];
+    },
+    async lLen(key) {
+      return (lists.get(key) || []).length;
+    }
+  };
+}
+
+async function waitFor(queue, id, status = 'done') {
+  for (let i = 0; i < 200; i++) {
+    const job = await queue.get(id);
+    if (job && job.status === status) return job;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Job ${id} never reached ${status}`);
+}
+
+describe('createJobQueue', () => {
+  const queues = [];
+
+  function queue(options = {}) {
+    const created = createJobQueue({ name: 'test', logger: silentLogger, pollIntervalMs: 5, ...options });
+    queues.push(created);
+    return created;
+  }
+
+  afterEach(async () => {
+    await Promise.all(queues.splice(0).map(q => q.stop()));
+  });
+
+  it('runs jobs in memory and keeps the result', async () => {
+    const q = queue();
+    q.process(async ({ a, b }) => ({ sum: a + b }));
+    q.start();
+
+    const { job } = await q.enqueue({ ownerId: 1, payload: { a: 2, b: 3 } });
+    assert.equal(job.status, 'queued');
+    assert.equal('payload' in job, false);
+
+    const done = await waitFor(q, job.id);
+    assert.deepEqual(done.result, { sum: 5 });
+    assert.ok(done.startedAt && done.finishedAt);
+  });
+
+  it('reports client errors as given and hides other errors', async () => {
+    const q = queue();
+    q.process(async ({ kind }) => {
+      if (kind === 'rejected') {
+        throw Object.assign(new Error('nope'), { status: 429, body: { error: 'Daily limit reached' } });
+      }
+      throw new Error('database exploded');
+    });
+    q.start();
+
+    const rejected = await q.enqueue({ ownerId: 1, payload: { kind: 'rejected' } });
+    const crashed = await q.enqueue({ ownerId: 1, payload: { kind: 'crashed' } });
+
+    assert.deepEqual((await waitFor(q, rejected.job.id, 'failed')).error, { status: 429, error: 'Daily limit reached' });
+    assert.deepEqual((await waitFor(q, crashed.job.id, 'failed')).error, { status: 500, error: 'Job failed' });
+  });
+
+  it('never runs more than `concurrency` jobs at once', async () => {
+    const q = queue({ concurrency: 2 });
+    let running = 0;
+    let most = 0;
+    q.process(async () => {
+      running++;
+      most = Math.max(most, running);
+      await new Promise(resolve => setTimeout(resolve, 20));
+      running--;
+    });
+    q.start();
+
+    const jobs = [];
+    for (let i = 0; i < 6; i++) {
+      jobs.push((await q.enqueue({ ownerId: i, payload: {} })).job);
+    }
+    for (const job of jobs) {
+      await waitFor(q, job.id);
+    }
+    assert.equal(most, 2);
+  });
+
+  it('rejects new jobs once maxDepth are waiting', async () => {
+    const q = queue({ maxDepth: 2 });
+    q.process(async () => {});
+
+    await q.enqueue({ ownerId: 1, payload: {} });
+    await q.enqueue({ ownerId: 1, payload: {} });
+    await assert.rejects(q.enqueue({ ownerId: 1, payload: {} }), QueueFullError);
+    assert.equal(await q.depth(), 2);
+  });
+
+  it('caps the unfinished jobs of each owner', async () => {
+    const q = queue({ maxPerOwner: 2 });
+    q.process(async () => 'ok');
+
+    await q.enqueue({ ownerId: 1, payload: {} });
+    const second = await q.enqueue({ ownerId: 1, payload: {}, idempotencyKey: 'again' });
+    await assert.rejects(q.enqueue({ ownerId: 1, payload: {} }), TooManyJobsError);
+    // A repeated key is still answered with its job
+    assert.equal((await q.enqueue({ ownerId: 1, payload: {}, idempotencyKey: 'again' })).job.id, second.job.id);
+    await q.enqueue({ ownerId: 2, payload: {} });
+
+    q.start();
+    await waitFor(q, second.job.id);
+    await q.enqueue({ ownerId: 1, payload: {} });
+  });
+
+  it('fails jobs that waited longer than maxWaitSeconds without running them', async () => {
+    const q = queue({ maxWaitSeconds: 0 });
+    let ran = false;
+    q.process(async () => {
+      ran = true;
+    });
+
+    const { job } = await q.enqueue({ ownerId: 1, payload: {} });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    q.start();
+    const failed = await waitFor(q, job.id, 'failed');
+    assert.equal(failed.error.status, 503);
+    assert.equal(ran, false);
+  });
+
+  it('returns the original job for a repeated idempotency key of the same owner', async () => {
+    const q = queue();
+    q.process(async () => 'ok');
+
+    const first = await q.enqueue({ ownerId: 1, payload: {}, idempotencyKey: 'abc' });
+    const again = await q.enqueue({ ownerId: 1, payload: {}, idempotencyKey: 'abc' });
+    const otherOwner = await q.enqueue({ ownerId: 2, payload: {}, idempotencyKey: 'abc' });
+
+    assert.equal(again.duplicate, true);
+    assert.equal(again.job.id, first.job.id);
+    assert.equal(otherOwner.duplicate, false);
+    assert.equal(await q.depth(), 2);
+  });
+
+  it('shares jobs between processes through Redis', async () => {
+    const redis = createFakeRedis();
+    const api = queue({ getRedisClient: () => redis });
+    const worker = queue({ getRedisClient: () => redis });
+    worker.process(async ({ n }) => n * 2);
+    worker.start();
+
+    const { job } = await api.enqueue({ ownerId: 1, payload: { n: 21 }, idempotencyKey: 'k' });
+    const done = await waitFor(api, job.id);
+    assert.equal(done.result, 42);
+
+    const again = await worker.enqueue({ ownerId: 1, payload: { n: 1 }, idempotencyKey: 'k' });
+    assert.equal(again.job.id, job.id);
+  });
+
+  it('keeps payloads out of Redis job records and waiting records alive', async () => {
+    const redis = createFakeRedis();
+    const options = { getRedisClient: () => redis, maxWaitSeconds: 600, resultTtlSeconds: 60, maxPerOwner: 1 };
+    const api = queue(options);
+    const worker = queue(options);
+    worker.process(async ({ image }) => image.length);
+
+    const { job } = await api.enqueue({ ownerId: 1, payload: { image: 'x'.repeat(1000) } });
+    const record = redis.strings.get(`jobs:test:job:${job.id}`);
+    assert.equal(record.includes('xxx'), false);
+    assert.equal(redis.ttls.get(`jobs:test:job:${job.id}`), 660);
+    assert.equal(redis.ttls.get(`jobs:test:payload:${job.id}`), 660);
+    await assert.rejects(api.enqueue({ ownerId: 1, payload: {} }), TooManyJobsError);
+
+    worker.start();
+    assert.equal((await waitFor(api, job.id)).result, 1000);
+    assert.equal(redis.strings.has(`jobs:test:payload:${job.id}`), false);
+    assert.equal(redis.ttls.get(`jobs:test:job:${job.id}`), 60);
+    await api.enqueue({ ownerId: 1, payload: {} });
+  });
+
+  it('gives back the owner slot and payload of a job whose record expired', async () => {
+    const redis = createFakeRedis();
+    const q = queue({ getRedisClient: () => redis });
+    q.process(async () => 'ran');
+
+    const { job } = await q.enqueue({ ownerId: 1, payload: {} });
+    redis.strings.delete(`jobs:test:job:${job.id}`);
+    q.start();
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(redis.strings.get('jobs:test:owner:1'), '0');
+    assert.equal(redis.strings.has(`jobs:test:payload:${job.id}`), false);
+    assert.deepEqual(redis.lists.get('jobs:test:processing'), []);
+  });
+
+  it('runs jobs again whose worker stopped, with their checkpoint', async () => {
+    const redis = createFakeRedis();
+    const options = { getRedisClient: () => redis, maxWaitSeconds: 60 };
+    const api = queue(options);
+    const { job } = await api.enqueue({ ownerId: 1, payload: { n: 2 } });
+    const live = await api.enqueue({ ownerId: 2, payload: { n: 3 } });
+
+    // Both were claimed; the first one's worker died partway through and its
+    // lease ran out, while the second's is still held
+    await redis.lMove('jobs:test:queue', 'jobs:test:processing', 'RIGHT', 'LEFT');
+    await redis.lMove('jobs:test:queue', 'jobs:test:processing', 'RIGHT', 'LEFT');
+    await redis.set(`jobs:test:lease:${live.job.id}`, '1');
+    const record = JSON.parse(redis.strings.get(`jobs:test:job:${job.id}`));
+    redis.strings.set(`jobs:test:job:${job.id}`, JSON.stringify({
+      ...record,
+      status: 'running',
+      createdAt: new Date(Date.now() - 120 * 1000).toISOString(),
+      startedAt: new Date(Date.now() - 100 * 1000).toISOString(),
+      checkpoint: { step: 1 }
+    }));
+
+    const seen = [];
+    const worker = queue(options);
+    worker.process(async ({ n }, running, { checkpoint }) => {
+      seen.push(running.checkpoint);
+      await checkpoint({ step: 2 });
+      return n * 2;
+    });
+    worker.start();
+
+    const done = await waitFor(api, job.id);
+    assert.equal(done.result, 4);
+    assert.deepEqual(done.checkpoint, { step: 2 });
+    assert.deepEqual(seen, [{ step: 1 }]);
+    assert.equal(redis.strings.get('jobs:test:owner:1'), '0');
+    assert.equal((await api.get(live.job.id)).status, 'queued');
+    assert.equal(redis.lists.get('jobs:test:processing').length, 1);
+  });
+
+  it('falls back to memory while Redis is unavailable', async () => {
+    let client = null;
+    const q = queue({ getRedisClient: () => client });
+    q.process(async () => 'ran');
+    q.start();
+
+    const { job } = await q.enqueue({ ownerId: 1, payload: {} });
+    client = createFakeRedis();
+    assert.equal((await waitFor(q, job.id)).result, 'ran');
+  });
+});
@@ -0,0 +1,89 @@
+// The offline mock provider, alone and behind the app. Run with `npm test`.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockProvider } = require('../lib/llm/mock');
+const { parseCheckResult } = require('../lib/answerChecks');
+const { parsePracticeSet, MAX_PRACTICE_COUNT } = require('../lib/practice');
+const { startTestApp } = require('./support/testApp');
+
+const messages = [
+  { role: 'system', content: 'You are a tutor.' },
+  { role: 'user', content: 'Solve 2x + 3 = 11' }
+];
+
+describe('mock provider', () => {
+  const mock = createMockProvider();
+
+  it('answers the same messages the same way and streams the same text', async () => {
+    const first = await mock.complete({ messages });
+    assert.equal((await mock.complete({ messages })).content, first.content);
+    assert.match(first.content, /Solve 2x \+ 3 = 11/);
+    assert.equal(first.model, 'mock');
+    assert.equal(first.usage.totalTokens, first.usage.promptTokens + first.usage.completionTokens);
+
+    let streamed = '';
+    let done;
+    for await (const chunk of mock.stream({ messages })) {
+      if (chunk.done) done = chunk;
+      else streamed += chunk.delta;
+    }
+    assert.equal(streamed, first.content);
+    assert.deepEqual(done.usage, first.usage);
+  });
+
+  it('answers check and practice requests with gradeable JSON', async () => {
+    const check = await mock.complete({ mode: 'check', messages });
+    const graded = parseCheckResult(check.content, '2x = 8\nx = 4');
+    assert.equal(graded.verdict, 'partially_correct');
+    assert.deepEqual(graded.firstWrongStep, { step: 1, text: '2x = 8' });
+
+    const practice = await mock.complete({ mode: 'practice', messages });
+    const set = parsePracticeSet(practice.content, MAX_PRACTICE_COUNT);
+    assert.equal(set.problems.length, MAX_PRACTICE_COUNT);
+    for (const problem of set.problems) {
+      const [, a, b] = problem.question.match(/What is (\d+) \+ (\d+)\?/);
+      assert.equal(problem.answer, String(Number(a) + Number(b)));
+    }
+  });
+});
+
+describe('LLM_PROVIDER=mock', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ LLM_PROVIDER: 'mock' });
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  it('solves, checks answers and makes practice sets offline', async () => {
+    const { token } = await t.login('offline-student');
+
+    const solved = await t.request('POST', '/api/v1/homework/solve', { token, body: { question: 'Solve 2x + 3 = 11', subject: 'math' } });
+    assert.equal(solved.status, 200);
+    assert.match(solved.body.solution, /mock solution/);
+
+    const checked = await t.request('POST', '/api/v1/homework/check', {
+      token,
+      body: { question: 'Solve 2x + 3 = 11', subject: 'math', answer: '2x = 8\nx = 4' }
+    });
+    assert.equal(checked.status, 200);
+    assert.equal(checked.body.verdict, 'partially_correct');
+
+    const set = await t.request('POST', '/api/v1/practice/generate', { token, body: { problemId: Number(solved.body.id) } });
+    assert.equal(set.status, 201);
+    assert.equal(set.body.problems.length, 3);
+
+    const answers = set.body.problems.map(problem => {
+      const [, a, b] = problem.question.match(/What is (\d+) \+ (\d+)\?/);
+      return String(Number(a) + Number(b));
+    });
+    const submitted = await t.request('POST', `/api/v1/practice/${set.body.id}/submit`, { token, body: { answers } });
+    assert.equal(submitted.status, 200);
+    assert.equal(submitted.body.score, 3);
+    assert.equal(t.llm.requests.length, 0);
+  });
+});
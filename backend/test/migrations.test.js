@@ -0,0 +1,294 @@
+// The migrator and the migrate.js commands, against an in-memory database.
+// Run with `npm test`.
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PendingMigrationsError, loadMigrations, createMigrator } = require('../lib/migrations');
+const { parseVersion, createMigrationFile, runCommand } = require('../migrate');
+const { createTestDatabase } = require('./support/testApp');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// Each migration creates (and drops) its own table
+function tableMigration(version, table, calls = []) {
+  return {
+    version,
+    name: `create_${table}`,
+    async up(client) {
+      calls.push(`up ${version}`);
+      await client.query(`CREATE TABLE ${table} (id INTEGER)`);
+    },
+    async down(client) {
+      calls.push(`down ${version}`);
+      await client.query(`DROP TABLE ${table}`);
+    }
+  };
+}
+
+async function tables(pool) {
+  const result = await pool.query("SELECT table_name FROM information_schema.tables WHERE table_schema = current_schema() AND table_name LIKE 'widget%'");
+  return result.rows.map(row => row.table_name).sort();
+}
+
+async function recorded(pool) {
+  const result = await pool.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+}
+
+describe('createMigrator', () => {
+  let pool;
+  let calls;
+  let migrator;
+
+  beforeEach(async () => {
+    pool = await createTestDatabase();
+    calls = [];
+    migrator = createMigrator({
+      pool,
+      logger: silentLogger,
+      migrations: [tableMigration(1, 'widgets', calls), tableMigration(2, 'widget_parts', calls), tableMigration(3, 'widget_colors', calls)]
+    });
+  });
+
+  afterEach(async () => {
+    await pool.end();
+  });
+
+  it('applies pending migrations in order, up to a version', async () => {
+    assert.deepEqual((await migrator.status()).pending.map(migration => migration.version), [1, 2, 3]);
+
+    assert.deepEqual(await migrator.migrate({ to: 2 }), [{ version: 1, name: 'create_widgets' }, { version: 2, name: 'create_widget_parts' }]);
+    assert.deepEqual(await tables(pool), ['widget_parts', 'widgets']);
+    assert.deepEqual(await migrator.migrate(), [{ version: 3, name: 'create_widget_colors' }]);
+    assert.deepEqual(await migrator.migrate(), []);
+
+    assert.deepEqual(calls, ['up 1', 'up 2', 'up 3']);
+    assert.deepEqual(await recorded(pool), [1, 2, 3]);
+  });
+
+  it('reports status and refuses to start while migrations are pending', async () => {
+    await migrator.migrate({ to: 1 });
+
+    const { applied, pending, unknown } = await migrator.status();
+    assert.deepEqual(applied.map(migration => migration.version), [1]);
+    assert.ok(applied[0].appliedAt);
+    assert.deepEqual(pending, [{ version: 2, name: 'create_widget_parts' }, { version: 3, name: 'create_widget_colors' }]);
+    assert.deepEqual(unknown, []);
+
+    await assert.rejects(migrator.assertCurrent(), error =>
+      error instanceof PendingMigrationsError &&
+      error.pending.length === 2 &&
+      /002_create_widget_parts, 003_create_widget_colors/.test(error.message));
+
+    await migrator.migrate();
+    await migrator.assertCurrent();
+  });
+
+  it('rolls back the last steps or everything after a version', async () => {
+    await migrator.migrate();
+
+    assert.deepEqual(await migrator.rollback(), [{ version: 3, name: 'create_widget_colors' }]);
+    assert.deepEqual(await recorded(pool), [1, 2]);
+    assert.deepEqual(await tables(pool), ['widget_parts', 'widgets']);
+
+    await migrator.migrate();
+    assert.deepEqual((await migrator.rollback({ steps: 2 })).map(migration => migration.version), [3, 2]);
+    assert.deepEqual((await migrator.rollback({ to: 0 })).map(migration => migration.version), [1]);
+    assert.deepEqual(await tables(pool), []);
+    assert.deepEqual(calls.filter(call => call.startsWith('down')), ['down 3', 'down 3', 'down 2', 'down 1']);
+  });
+
+  it('leaves a failed migration unrecorded and stops there', async () => {
+    const failing = createMigrator({
+      pool,
+      logger: silentLogger,
+      migrations: [
+        tableMigration(1, 'widgets', calls),
+        { version: 2, name: 'broken', async up() { throw new Error('syntax error'); }, async down() {} },
+        tableMigration(3, 'widget_colors', calls)
+      ]
+    });
+
+    await assert.rejects(failing.migrate(), /syntax error/);
+    assert.deepEqual(await recorded(pool), [1]);
+    assert.deepEqual(calls, ['up 1']);
+    assert.deepEqual((await failing.status()).pending.map(migration => migration.version), [2, 3]);
+  });
+
+  it('tolerates versions from a newer release but cannot roll them back', async () => {
+    await migrator.migrate();
+    await pool.query("INSERT INTO schema_migrations (version, name) VALUES (4, 'from_the_future')");
+
+    const warnings = [];
+    const logger = { ...silentLogger, warn: (message, meta) => warnings.push(meta) };
+    const older = createMigrator({ pool, logger, migrations: [tableMigration(1, 'widgets'), tableMigration(2, 'widget_parts'), tableMigration(3, 'widget_colors')] });
+
+    assert.deepEqual((await older.status()).unknown.map(migration => migration.version), [4]);
+    await older.assertCurrent();
+    assert.deepEqual(warnings, [{ versions: [4] }]);
+    await assert.rejects(older.rollback(), /Cannot roll back 004_from_the_future: migration file not found/);
+  });
+
+  it('holds the advisory lock, so concurrent runs apply each migration once', async () => {
+    // pg-mem's advisory lock functions return at once; this one blocks
+    const events = [];
+    const lock = { held: false, waiting: [] };
+    const connect = pool.connect.bind(pool);
+    pool.connect = async () => {
+      const client = await connect();
+      if (client.locking) return client;
+      const query = client.query.bind(client);
+      client.locking = true;
+      client.query = async (sql, ...rest) => {
+        if (typeof sql === 'string' && sql.includes('pg_advisory_lock(')) {
+          while (lock.held) await new Promise(resolve => lock.waiting.push(resolve));
+          lock.held = true;
+          events.push('lock');
+        } else if (typeof sql === 'string' && sql.includes('pg_advisory_unlock(')) {
+          lock.held = false;
+          events.push('unlock');
+          const next = lock.waiting.shift();
+          if (next) next();
+        }
+        return query(sql, ...rest);
+      };
+      return client;
+    };
+
+    const slow = (version, table) => ({
+      ...tableMigration(version, table),
+      async up(client) {
+        events.push(`up ${version}`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await client.query(`CREATE TABLE ${table} (id INTEGER)`);
+      }
+    });
+    const locked = createMigrator({ pool, logger: silentLogger, migrations: [slow(1, 'widgets'), slow(2, 'widget_parts')] });
+
+    const [first, second] = await Promise.all([locked.migrate(), locked.migrate()]);
+    assert.equal(first.length + second.length, 2);
+    assert.deepEqual(events, ['lock', 'up 1', 'up 2', 'unlock', 'lock', 'unlock']);
+
+    // and lets go of it when a migration fails
+    const broken = createMigrator({
+      pool,
+      logger: silentLogger,
+      migrations: [{ version: 9, name: 'broken', async up() { throw new Error('boom'); }, async down() {} }]
+    });
+    await assert.rejects(broken.migrate(), /boom/);
+    assert.equal(lock.held, false);
+  });
+});
+
+describe('loadMigrations', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (file, source = 'module.exports = { up: async () => {}, down: async () => {} };') =>
+    fs.writeFileSync(path.join(dir, file), source);
+
+  it('loads numbered files in version order and ignores the rest', () => {
+    write('010_later.js');
+    write('002_second.js');
+    write('README.md', '# notes');
+    write('helpers.js');
+    assert.deepEqual(loadMigrations(dir).map(({ version, name }) => [version, name]), [[2, 'second'], [10, 'later']]);
+  });
+
+  it('rejects duplicate versions and files without up and down', () => {
+    write('001_one.js');
+    write('01_also_one.js');
+    assert.throws(() => loadMigrations(dir), /Duplicate migration version 1/);
+
+    fs.rmSync(path.join(dir, '01_also_one.js'));
+    write('002_no_down.js', 'module.exports = { up: async () => {} };');
+    assert.throws(() => loadMigrations(dir), /002_no_down.js must export up\(\) and down\(\)/);
+  });
+
+  it('keeps the shipped migrations numbered and reversible', async () => {
+    const migrations = loadMigrations();
+    assert.deepEqual(migrations.map(migration => migration.version), migrations.map((migration, i) => i + 1));
+
+    const pool = await createTestDatabase();
+    try {
+      const migrator = createMigrator({ pool, logger: silentLogger, migrations });
+      assert.equal((await migrator.migrate()).length, migrations.length);
+      await migrator.assertCurrent();
+      // pg-mem keeps constraint names after DROP TABLE, so the round trip
+      // stops here rather than migrating the same database again
+      assert.equal((await migrator.rollback({ to: 0 })).length, migrations.length);
+      const left = await pool.query("SELECT table_name FROM information_schema.tables WHERE table_schema = current_schema() AND table_name <> 'schema_migrations'");
+      assert.deepEqual(left.rows, []);
+    } finally {
+      await pool.end();
+    }
+  });
+});
+
+describe('migrate.js', () => {
+  let pool;
+  let dir;
+  let migrator;
+  let output;
+  const log = (line) => output.push(line);
+
+  beforeEach(async () => {
+    pool = await createTestDatabase();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    migrator = createMigrator({
+      pool,
+      logger: silentLogger,
+      migrations: [tableMigration(1, 'widgets'), tableMigration(2, 'widget_parts')]
+    });
+    output = [];
+  });
+
+  afterEach(async () => {
+    await pool.end();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('applies, reports and rolls back', async () => {
+    await runCommand(migrator, ['up', '1'], log);
+    await runCommand(migrator, ['status'], log);
+    assert.equal(output[0], 'Applied 1 migration(s)');
+    assert.match(output[1], /^ {2}applied {2}001_create_widgets {2}\(\d{4}-\d{2}-\d{2}T/);
+    assert.deepEqual(output.slice(2), ['  pending  002_create_widget_parts', '1 pending migration(s)']);
+
+    output = [];
+    await runCommand(migrator, [], log);
+    await runCommand(migrator, ['up'], log);
+    await runCommand(migrator, ['down', '--to', '0'], log);
+    await runCommand(migrator, ['down'], log);
+    assert.deepEqual(output, ['Applied 1 migration(s)', 'Database is up to date', 'Rolled back 2 migration(s)', 'Rolled back 0 migration(s)']);
+  });
+
+  it('rejects bad arguments and unknown commands', async () => {
+    await assert.rejects(runCommand(migrator, ['up', 'latest'], log), /Invalid version: latest/);
+    await assert.rejects(runCommand(migrator, ['down', '--to'], log), /Invalid version: undefined/);
+    await assert.rejects(runCommand(migrator, ['down', '-1'], log), /Invalid step count: -1/);
+    await assert.rejects(runCommand(migrator, ['redo'], log), /Unknown command "redo"/);
+    assert.equal(parseVersion('012', 'version'), 12);
+    assert.equal((await migrator.status()).pending.length, 2);
+  });
+
+  it('creates the next numbered migration file', () => {
+    fs.writeFileSync(path.join(dir, '007_existing.js'), 'module.exports = { up: async () => {}, down: async () => {} };');
+    const file = createMigrationFile('add_widgets', dir);
+    assert.equal(path.basename(file), '008_add_widgets.js');
+    assert.deepEqual(loadMigrations(dir).map(migration => migration.name), ['existing', 'add_widgets']);
+
+    assert.throws(() => createMigrationFile('Add Widgets', dir), /Usage/);
+    assert.throws(() => createMigrationFile(undefined, dir), /Usage/);
+  });
+});
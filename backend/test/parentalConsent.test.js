@@ -0,0 +1,132 @@
+// COPPA parental consent flow. Run with `npm test`.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { startTestApp } = require('./support/testApp');
+
+describe('parental consent', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ PARENTAL_CONSENT_URL: 'https://example.test/consent' });
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  function solve(token) {
+    return t.request('POST', '/api/v1/homework/solve', { token, body: { question: 'What is 6 times 7?', subject: 'math' } });
+  }
+
+  async function registerChild(deviceId) {
+    const { token, user } = await t.login(deviceId);
+    const verified = await t.request('POST', '/api/v1/users/age-verification', { token, body: { age: 10 } });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.requiresParentalConsent, true);
+    return { token, user };
+  }
+
+  async function requestConsent(token, parentEmail = 'parent@example.com') {
+    const response = await t.request('POST', '/api/v1/users/parental-consent/request', { token, body: { parentEmail } });
+    assert.equal(response.status, 202);
+    const link = t.mail.at(-1).text.match(/https:\/\/example\.test\/consent\?token=(\S+)/);
+    return { response, token: link[1] };
+  }
+
+  async function consentStatus(token) {
+    return (await t.request('GET', '/api/v1/users/me', { token })).body.parentalConsent;
+  }
+
+  it('blocks solving for children until a parent grants consent', async () => {
+    const child = await registerChild('child-1');
+    assert.equal((await consentStatus(child.token)).status, 'required');
+
+    const blocked = await solve(child.token);
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, 'parental_consent_required');
+    assert.equal(t.llm.requests.length, 0);
+
+    const { response, token } = await requestConsent(child.token);
+    assert.equal(response.body.parentEmail, 'p***@example.com');
+    assert.equal(t.mail.at(-1).to, 'parent@example.com');
+    assert.equal((await consentStatus(child.token)).status, 'pending');
+
+    const lookup = await t.request('GET', `/api/v1/parental-consent?token=${token}`);
+    assert.equal(lookup.status, 200);
+    assert.equal(lookup.body.status, 'pending');
+
+    const granted = await t.request('POST', '/api/v1/parental-consent/confirm', {
+      body: { token, decision: 'grant' },
+      headers: { 'User-Agent': 'parent-browser' }
+    });
+    assert.equal(granted.status, 200);
+    assert.equal(granted.body.status, 'granted');
+
+    const status = await consentStatus(child.token);
+    assert.equal(status.status, 'granted');
+    assert.equal(status.method, 'email_link');
+    assert.ok(status.grantedAt);
+
+    const audit = await t.pool.query('SELECT decided_at, decided_user_agent FROM parental_consents WHERE user_id = $1', [child.user.id]);
+    assert.ok(audit.rows[0].decided_at);
+    assert.equal(audit.rows[0].decided_user_agent, 'parent-browser');
+
+    assert.equal((await solve(child.token)).status, 200);
+
+    // The link only works once
+    const reused = await t.request('POST', '/api/v1/parental-consent/confirm', { body: { token, decision: 'deny' } });
+    assert.equal(reused.status, 400);
+  });
+
+  it('keeps the account blocked when the parent declines', async () => {
+    const child = await registerChild('child-2');
+    const { token } = await requestConsent(child.token);
+
+    const denied = await t.request('POST', '/api/v1/parental-consent/confirm', { body: { token, decision: 'deny' } });
+    assert.equal(denied.body.status, 'denied');
+    assert.equal((await consentStatus(child.token)).status, 'denied');
+    assert.equal((await solve(child.token)).status, 403);
+  });
+
+  it('only honours the newest link', async () => {
+    const child = await registerChild('child-3');
+    const first = await requestConsent(child.token, 'mom@example.com');
+    const second = await requestConsent(child.token, 'dad@example.com');
+
+    const stale = await t.request('POST', '/api/v1/parental-consent/confirm', { body: { token: first.token, decision: 'grant' } });
+    assert.equal(stale.status, 400);
+
+    const fresh = await t.request('POST', '/api/v1/parental-consent/confirm', { body: { token: second.token, decision: 'grant' } });
+    assert.equal(fresh.status, 200);
+  });
+
+  it('rejects forged and session tokens', async () => {
+    const child = await registerChild('child-4');
+    const { token } = await requestConsent(child.token);
+    const { consentId } = jwt.decode(token);
+
+    const forged = jwt.sign({ consentId }, 'not-the-secret', { audience: 'parental-consent' });
+    assert.equal((await t.request('POST', '/api/v1/parental-consent/confirm', { body: { token: forged, decision: 'grant' } })).status, 400);
+    assert.equal((await t.request('POST', '/api/v1/parental-consent/confirm', { body: { token: child.token, decision: 'grant' } })).status, 400);
+    assert.equal((await consentStatus(child.token)).status, 'pending');
+  });
+
+  it('does not let a child raise their age to skip consent', async () => {
+    const child = await registerChild('child-5');
+    const raised = await t.request('POST', '/api/v1/users/age-verification', { token: child.token, body: { age: 14 } });
+    assert.equal(raised.status, 409);
+    assert.equal((await solve(child.token)).status, 403);
+  });
+
+  it('needs no consent from teenagers', async () => {
+    const { token } = await t.login('teen');
+    const verified = await t.request('POST', '/api/v1/users/age-verification', { token, body: { age: 15 } });
+    assert.equal(verified.body.requiresParentalConsent, false);
+    assert.equal((await consentStatus(token)).status, 'not_required');
+
+    const request = await t.request('POST', '/api/v1/users/parental-consent/request', { token, body: { parentEmail: 'parent@example.com' } });
+    assert.equal(request.status, 400);
+  });
+});
@@ -0,0 +1,164 @@
+// Parent accounts, child linking, weekly reports and daily caps. Run with `npm test`.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeWeeks } = require('../lib/parentLinks');
+const { normalizeCode } = require('../lib/codes');
+const { startTestApp } = require('./support/testApp');
+
+describe('summarizeWeeks', () => {
+  // Wednesday 2025-03-12 15:00 UTC
+  const now = new Date('2025-03-12T15:00:00Z');
+
+  it('buckets solves by week, subject and the parent\'s local hour', () => {
+    const [current, previous] = summarizeWeeks({
+      problems: [
+        { subject: 'math', mode: 'solve', created_at: '2025-03-10T01:30:00Z' }, // Sunday 20:30 in UTC-5, so last week
+        { subject: 'math', mode: 'solve', created_at: '2025-03-11T21:00:00Z' },
+        { subject: 'history', mode: 'solve', created_at: '2025-03-12T13:00:00Z' },
+        { subject: 'math', mode: 'hint', created_at: '2025-03-12T14:00:00Z' },
+        { subject: 'math', mode: 'check', created_at: '2025-03-12T14:30:00Z' }
+      ],
+      integrityEvents: [{ subject: 'math', reason: 'live_assessment', created_at: '2025-03-11T21:05:00Z' }],
+      weeks: 2,
+      utcOffsetMinutes: -300,
+      now
+    });
+
+    assert.equal(current.weekStart, '2025-03-10T05:00:00.000Z');
+    assert.equal(current.solves, 2);
+    assert.deepEqual(current.byMode, { solve: 2, hint: 1, check: 1 });
+    assert.deepEqual(current.bySubject, { math: 1, history: 1 });
+    assert.equal(current.byHour[16], 1);
+    assert.equal(current.byTimeOfDay.morning, 1);
+    assert.equal(current.byTimeOfDay.afternoon, 1);
+    assert.equal(current.integrityEvents[0].reason, 'live_assessment');
+
+    assert.equal(previous.solves, 1);
+    assert.equal(previous.byTimeOfDay.evening, 1);
+  });
+
+  it('accepts link codes however they are typed', () => {
+    assert.equal(normalizeCode(' abcd-2345 '), 'ABCD2345');
+  });
+});
+
+describe('parent accounts', () => {
+  let t;
+  let parent;
+  let child;
+
+  before(async () => {
+    t = await startTestApp();
+
+    const registered = await t.request('POST', '/api/v1/auth/register', {
+      body: { email: 'parent@example.com', password: 'correct horse', accountType: 'parent' },
+      headers: { 'X-Forwarded-For': '10.1.0.1' }
+    });
+    assert.equal(registered.status, 201);
+    assert.equal(registered.body.user.accountType, 'parent');
+    parent = registered.body.sessionToken;
+
+    child = await t.login('kid-device');
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  function solve(token, question, subject = 'math') {
+    return t.request('POST', '/api/v1/homework/solve', { token, body: { question, subject } });
+  }
+
+  async function link(token = parent) {
+    const code = await t.request('POST', '/api/v1/users/link-code', { token: child.token });
+    assert.equal(code.status, 201);
+    assert.match(code.body.code, /^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+    return t.request('POST', '/api/v1/parent/children', { token, body: { code: code.body.code.toLowerCase() } });
+  }
+
+  it('links a child with the code from the child\'s app', async () => {
+    const linked = await link();
+    assert.equal(linked.status, 201);
+    assert.equal(linked.body.id, child.user.id);
+
+    const children = await t.request('GET', '/api/v1/parent/children', { token: parent });
+    assert.deepEqual(children.body.children.map(entry => entry.id), [child.user.id]);
+  });
+
+  it('only accepts a code once', async () => {
+    const code = await t.request('POST', '/api/v1/users/link-code', { token: child.token });
+    const first = await t.request('POST', '/api/v1/parent/children', { token: parent, body: { code: code.body.code } });
+    assert.equal(first.status, 201);
+    const again = await t.request('POST', '/api/v1/parent/children', { token: parent, body: { code: code.body.code } });
+    assert.equal(again.status, 400);
+  });
+
+  it('keeps parent endpoints to parent accounts', async () => {
+    const response = await t.request('GET', '/api/v1/parent/children', { token: child.token });
+    assert.equal(response.status, 403);
+  });
+
+  it('summarizes the child\'s week', async () => {
+    assert.equal((await solve(child.token, 'What is 9 times 9?')).status, 200);
+    assert.equal((await solve(child.token, 'Who built the pyramids?', 'history')).status, 200);
+    assert.equal((await solve(child.token, 'I am taking a math test right now, what is 4x=12')).status, 400);
+    const hint = await t.request('POST', '/api/v1/homework/hint', { token: child.token, body: { question: 'What is 7 times 8?', subject: 'math' } });
+    assert.equal(hint.status, 200);
+
+    const report = await t.request('GET', `/api/v1/parent/children/${child.user.id}/weekly?weeks=2`, { token: parent });
+    assert.equal(report.status, 200);
+    assert.equal(report.body.weeks.length, 2);
+
+    const [week] = report.body.weeks;
+    assert.equal(week.solves, 2);
+    assert.deepEqual(week.byMode, { solve: 2, hint: 1, check: 0 });
+    assert.deepEqual(week.bySubject, { math: 1, history: 1 });
+    assert.equal(week.byHour.reduce((sum, n) => sum + n, 0), 2);
+    assert.equal(week.integrityEvents.length, 1);
+    assert.equal(week.integrityEvents[0].reason, 'live_assessment');
+  });
+
+  it('lets the parent cap daily solves', async () => {
+    const capped = await t.request('PUT', `/api/v1/parent/children/${child.user.id}/daily-cap`, {
+      token: parent,
+      body: { dailyCap: 2 }
+    });
+    assert.equal(capped.status, 200);
+    assert.equal(capped.body.dailySolveCap, 2);
+    assert.equal(capped.body.dailySolvesLimit, 2);
+
+    const blocked = await solve(child.token, 'What is 8 times 8?');
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.error, 'Daily limit set by your parent reached');
+    assert.equal(blocked.body.upgradeUrl, undefined);
+
+    // The cap wins over premium's unlimited solves too
+    await t.pool.query('UPDATE users SET is_premium = true WHERE id = $1', [child.user.id]);
+    assert.equal((await solve(child.token, 'What is 8 times 8?')).status, 429);
+
+    await t.request('PUT', `/api/v1/parent/children/${child.user.id}/daily-cap`, { token: parent, body: { dailyCap: null } });
+    assert.equal((await solve(child.token, 'What is 8 times 8?')).status, 200);
+
+    const invalid = await t.request('PUT', `/api/v1/parent/children/${child.user.id}/daily-cap`, { token: parent, body: { dailyCap: -1 } });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('hides children linked to other parents and clears the cap on unlink', async () => {
+    const other = await t.request('POST', '/api/v1/auth/register', {
+      body: { email: 'other-parent@example.com', password: 'correct horse', accountType: 'parent' },
+      headers: { 'X-Forwarded-For': '10.1.0.2' }
+    });
+    const stranger = other.body.sessionToken;
+    assert.equal((await t.request('GET', `/api/v1/parent/children/${child.user.id}/weekly`, { token: stranger })).status, 404);
+    assert.equal((await t.request('PUT', `/api/v1/parent/children/${child.user.id}/daily-cap`, { token: stranger, body: { dailyCap: 0 } })).status, 404);
+
+    await t.request('PUT', `/api/v1/parent/children/${child.user.id}/daily-cap`, { token: parent, body: { dailyCap: 1 } });
+    const unlinked = await t.request('DELETE', `/api/v1/parent/children/${child.user.id}`, { token: parent });
+    assert.equal(unlinked.status, 200);
+
+    const stored = await t.pool.query('SELECT daily_solve_cap FROM users WHERE id = $1', [child.user.id]);
+    assert.equal(stored.rows[0].daily_solve_cap, null);
+    assert.equal((await t.request('DELETE', `/api/v1/parent/children/${child.user.id}`, { token: parent })).status, 404);
+  });
+});
@@ -0,0 +1,221 @@
+// Practice sets, auto-grading and topic mastery. Run with `npm test`.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { answersMatch, nextMastery, parsePracticeSet } = require('../lib/practice');
+const { startTestApp } = require('./support/testApp');
+
+const PRACTICE_REPLY = {
+  content: JSON.stringify({
+    topic: 'Linear Equations',
+    problems: [
+      { question: 'Solve 3x + 2 = 11', answer: 'x = 3' },
+      { question: 'Solve 5x - 4 = 16', answer: '4' },
+      { question: 'Solve x / 3 = 1', answer: '3' }
+    ]
+  })
+};
+
+describe('answersMatch', () => {
+  it('compares numbers to the precision of the key', () => {
+    assert.equal(answersMatch('x = 3', '3'), true);
+    assert.equal(answersMatch('0.5', '0.54'), true);
+    assert.equal(answersMatch('0.5', '0.56'), false);
+    assert.equal(answersMatch('3.14159', '3.141592'), true);
+    assert.equal(answersMatch('3.14159', '3.1416'), false);
+    assert.equal(answersMatch('3.14159', '3.13'), false);
+    assert.equal(answersMatch('3.14159', '3.1'), false);
+    assert.equal(answersMatch('0.04', '0.0'), false);
+    assert.equal(answersMatch('25%', '0.25'), true);
+    assert.equal(answersMatch('25%', '0.254'), false);
+    assert.equal(answersMatch('12.5%', '0.125'), true);
+  });
+
+  it('requires whole-number keys to match exactly', () => {
+    assert.equal(answersMatch('1000', '1000.0'), true);
+    assert.equal(answersMatch('1000', '996'), false);
+    assert.equal(answersMatch('1000', '999.9'), false);
+    assert.equal(answersMatch('250', '249'), false);
+  });
+
+  it('allows fraction keys only floating-point error', () => {
+    assert.equal(answersMatch('1/3', '1/3'), true);
+    assert.equal(answersMatch('1/3', '2/6'), true);
+    assert.equal(answersMatch('1/2', '0.5'), true);
+    assert.equal(answersMatch('1/3', '0.333'), false);
+    assert.equal(answersMatch('1/3', '0.3'), false);
+  });
+
+  it('only reads commas as thousands separators', () => {
+    assert.equal(answersMatch('2,500', '2500'), true);
+    assert.equal(answersMatch('1234567', '1,234,567'), true);
+    assert.equal(answersMatch('23', '2,3'), false);
+    assert.equal(answersMatch('2500', '25,00'), false);
+  });
+
+  it('allows leaving units off but not changing them', () => {
+    assert.equal(answersMatch('12 m/s', '12'), true);
+    assert.equal(answersMatch('12 m/s', '12 m/s'), true);
+    assert.equal(answersMatch('12 m/s', '12 km/h'), false);
+  });
+
+  it('compares words as normalized text', () => {
+    assert.equal(answersMatch('Mitochondria', ' mitochondria. '), true);
+    assert.equal(answersMatch('Mitochondria', 'nucleus'), false);
+    assert.equal(answersMatch('3', ''), false);
+  });
+});
+
+describe('practice helpers', () => {
+  it('needs as many problems as were asked for', () => {
+    assert.equal(parsePracticeSet(PRACTICE_REPLY.content, 3).topic, 'linear equations');
+    assert.equal(parsePracticeSet(PRACTICE_REPLY.content, 2).problems.length, 2);
+    assert.equal(parsePracticeSet(PRACTICE_REPLY.content, 4), null);
+    assert.equal(parsePracticeSet('Here are some problems!', 1), null);
+  });
+
+  it('moves mastery towards the latest score', () => {
+    assert.equal(nextMastery(null, 2, 3), 67);
+    assert.equal(nextMastery(50, 3, 3), 70);
+  });
+});
+
+describe('practice sets', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  beforeEach(() => {
+    t.llm.reset();
+  });
+
+  async function solveProblem(token) {
+    const solved = await t.request('POST', '/api/v1/homework/solve', {
+      token,
+      body: { question: 'Solve 2x + 3 = 11', subject: 'math' }
+    });
+    return Number(solved.body.id);
+  }
+
+  function generate(token, body) {
+    return t.request('POST', '/api/v1/practice/generate', { token, body });
+  }
+
+  it('generates a set without its answer key and grades submissions', async () => {
+    const { token } = await t.login('practice-grade');
+    const problemId = await solveProblem(token);
+
+    t.llm.reply = PRACTICE_REPLY;
+    const set = await generate(token, { problemId, difficulty: 'Hard', count: 3 });
+    assert.equal(set.status, 201);
+    assert.equal(set.body.difficulty, 'hard');
+    assert.equal(set.body.topic, 'linear equations');
+    assert.equal(set.body.problems.length, 3);
+    assert.equal(JSON.stringify(set.body).includes('answer'), false);
+    assert.match(t.llm.requests.at(-1).messages[1].content, /Write 3 practice problems harder/);
+
+    const fetched = await t.request('GET', `/api/v1/practice/${set.body.id}`, { token });
+    assert.equal(fetched.body.problems[0].correctAnswer, undefined);
+
+    const wrongCount = await t.request('POST', `/api/v1/practice/${set.body.id}/submit`, { token, body: { answers: ['3'] } });
+    assert.equal(wrongCount.status, 400);
+
+    const graded = await t.request('POST', `/api/v1/practice/${set.body.id}/submit`, {
+      token,
+      body: { answers: ['x = 3', '5', '3'] }
+    });
+    assert.equal(graded.status, 200);
+    assert.equal(graded.body.score, 2);
+    assert.deepEqual(graded.body.problems.map(problem => problem.correct), [true, false, true]);
+    assert.equal(graded.body.problems[1].correctAnswer, '4');
+    assert.equal(graded.body.mastery.mastery, 67);
+
+    const again = await t.request('POST', `/api/v1/practice/${set.body.id}/submit`, {
+      token,
+      body: { answers: ['3', '4', '3'] }
+    });
+    assert.equal(again.status, 409);
+  });
+
+  it('tracks mastery per topic across sets', async () => {
+    const { token } = await t.login('practice-mastery');
+    const problemId = await solveProblem(token);
+
+    t.llm.reply = PRACTICE_REPLY;
+    const first = await generate(token, { problemId });
+    assert.equal(first.body.difficulty, 'medium');
+    await t.request('POST', `/api/v1/practice/${first.body.id}/submit`, { token, body: { answers: ['0', '0', '0'] } });
+    const second = await generate(token, { problemId });
+    await t.request('POST', `/api/v1/practice/${second.body.id}/submit`, { token, body: { answers: ['3', '4', '3'] } });
+
+    const mastery = await t.request('GET', '/api/v1/practice/mastery', { token });
+    assert.equal(mastery.status, 200);
+    assert.deepEqual(mastery.body.topics.map(topic => [topic.subject, topic.topic, topic.mastery]), [['math', 'linear equations', 40]]);
+    assert.equal(mastery.body.topics[0].problemsAttempted, 6);
+    assert.equal(mastery.body.topics[0].problemsCorrect, 3);
+
+    // Generating uses the hint allowance
+    const me = await t.request('GET', '/api/v1/users/me', { token });
+    assert.equal(me.body.dailyHintsUsed, 2);
+  });
+
+  it('grades a set once when it is submitted twice at the same time', async () => {
+    const { token } = await t.login('practice-race');
+    const problemId = await solveProblem(token);
+
+    t.llm.reply = PRACTICE_REPLY;
+    const set = await generate(token, { problemId });
+    const submit = () => t.request('POST', `/api/v1/practice/${set.body.id}/submit`, { token, body: { answers: ['3', '4', '3'] } });
+
+    // Hold each submission's read of the set until both have made it
+    const query = t.pool.query;
+    const held = [];
+    t.pool.query = function (text, ...rest) {
+      if (typeof text === 'string' && text.startsWith('SELECT * FROM practice_sets')) {
+        return new Promise(resolve => {
+          held.push(resolve);
+          if (held.length === 2) held.forEach(release => release());
+        }).then(() => query.call(this, text, ...rest));
+      }
+      return query.call(this, text, ...rest);
+    };
+    let results;
+    try {
+      results = await Promise.all([submit(), submit()]);
+    } finally {
+      t.pool.query = query;
+    }
+    assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+
+    const mastery = await t.request('GET', '/api/v1/practice/mastery', { token });
+    assert.equal(mastery.body.topics[0].problemsAttempted, 3);
+  });
+
+  it('keeps sets and source problems private', async () => {
+    const owner = await t.login('practice-owner');
+    const other = await t.login('practice-other');
+    const problemId = await solveProblem(owner.token);
+
+    assert.equal((await generate(other.token, { problemId })).status, 404);
+    assert.equal((await generate(owner.token, { problemId, difficulty: 'extreme' })).status, 400);
+
+    const tokensBefore = await t.app.locals.services.usage.getUserOpenAIUsage(owner.user.id);
+    const garbled = await generate(owner.token, { problemId });
+    assert.equal(garbled.status, 502);
+    assert.equal(await t.app.locals.services.usage.getUserOpenAIUsage(owner.user.id), tokensBefore);
+
+    t.llm.reply = PRACTICE_REPLY;
+    const set = await generate(owner.token, { problemId });
+    assert.equal((await t.request('GET', `/api/v1/practice/${set.body.id}`, { token: other.token })).status, 404);
+    assert.equal((await t.request('POST', `/api/v1/practice/${set.body.id}/submit`, {
+      token: other.token,
+      body: { answers: ['3', '4', '3'] }
+    })).status, 404);
+  });
+});
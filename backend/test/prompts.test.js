@@ -0,0 +1,214 @@
+// Prompt template versions: saving, rolling forward and back, and the
+// built-in revisions. Run with `npm test`.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_PROMPTS,
+  PROMPT_REVISIONS,
+  renderTemplate,
+  applyPromptRevisions,
+  createPromptRegistry
+} = require('../lib/prompts');
+const { startTestApp, ADMIN_KEY } = require('./support/testApp');
+
+const admin = { 'X-Admin-Key': ADMIN_KEY };
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('/api/v1/admin/prompts', () => {
+  let t;
+  let questions = 0;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  function save(body) {
+    return t.request('POST', '/api/v1/admin/prompts', { headers: admin, body });
+  }
+
+  function activate(id) {
+    return t.request('POST', `/api/v1/admin/prompts/${id}/activate`, { headers: admin });
+  }
+
+  async function templates(subject, mode = 'solve') {
+    const response = await t.request('GET', `/api/v1/admin/prompts?subject=${encodeURIComponent(subject)}&mode=${mode}`, { headers: admin });
+    assert.equal(response.status, 200);
+    return response.body.templates;
+  }
+
+  // The system prompt the solve was sent with, and the version stored with
+  // it. Each solve is a new student's, to stay under the daily limit.
+  async function solve(body) {
+    questions++;
+    const { token } = await t.login(`prompted-student-${questions}`);
+    const response = await t.request('POST', '/api/v1/homework/solve', {
+      token,
+      body: { question: `Prompted question ${questions}`, ...body }
+    });
+    assert.equal(response.status, 200);
+    const stored = await t.pool.query('SELECT prompt_template_id, prompt_version FROM problems WHERE id = $1', [parseInt(response.body.id)]);
+    return {
+      system: t.llm.requests.at(-1).messages[0].content,
+      templateId: stored.rows[0].prompt_template_id,
+      version: stored.rows[0].prompt_version
+    };
+  }
+
+  it('starts from the built-in templates with the newest revision active', async () => {
+    const math = await templates('Mathematics');
+    assert.deepEqual(math.map(template => [template.version, template.isActive]), [[2, true], [1, false]]);
+    assert.equal(math[0].body, PROMPT_REVISIONS.find(revision => revision.subject === 'math').body);
+
+    const used = await solve({ subject: 'math' });
+    assert.equal(used.system, math[0].body);
+    assert.equal(used.version, 2);
+  });
+
+  it('saves new versions inactive unless asked, and rolls forward and back', async () => {
+    const draft = await save({ subject: 'chem', body: 'Draft chemistry prompt for {{subjectName}}', notes: 'Trying a shorter prompt' });
+    assert.equal(draft.status, 201);
+    assert.equal(draft.body.subject, 'chemistry');
+    assert.equal(draft.body.version, 2);
+    assert.equal(draft.body.isActive, false);
+    assert.equal((await solve({ subject: 'chemistry' })).system, DEFAULT_PROMPTS.chemistry);
+
+    const forward = await activate(draft.body.id);
+    assert.equal(forward.status, 200);
+    assert.equal(forward.body.isActive, true);
+    assert.ok(forward.body.activatedAt);
+    const drafted = await solve({ subject: 'chemistry' });
+    assert.equal(drafted.system, 'Draft chemistry prompt for Chemistry');
+    assert.equal(drafted.templateId, draft.body.id);
+    assert.equal(drafted.version, 2);
+
+    const original = (await templates('chemistry')).find(template => template.version === 1);
+    const back = await activate(original.id);
+    assert.equal(back.status, 200);
+    const restored = await solve({ subject: 'chemistry' });
+    assert.equal(restored.system, DEFAULT_PROMPTS.chemistry);
+    assert.equal(restored.version, 1);
+
+    const active = (await templates('chemistry')).filter(template => template.isActive);
+    assert.deepEqual(active.map(template => template.version), [1]);
+    // Problems keep the version that produced them
+    const kept = await t.pool.query('SELECT COUNT(*) AS count FROM problems WHERE prompt_template_id = $1', [draft.body.id]);
+    assert.equal(parseInt(kept.rows[0].count), 1);
+  });
+
+  it('activates on save and falls back to the any band and then the default subject', async () => {
+    const middle = await save({ subject: 'biology', gradeBand: 'middle', body: 'Middle school {{subject}} ({{gradeBand}})', activate: true });
+    assert.equal(middle.status, 201);
+    assert.equal(middle.body.version, 1);
+    assert.equal(middle.body.isActive, true);
+
+    assert.equal((await solve({ subject: 'biology', gradeBand: 'middle' })).system, 'Middle school biology (middle)');
+    assert.equal((await solve({ subject: 'biology', gradeBand: 'high' })).system, DEFAULT_PROMPTS.biology);
+    assert.equal((await solve({ subject: 'other' })).system, DEFAULT_PROMPTS.default);
+  });
+
+  it('numbers versions per subject, band and mode', async () => {
+    const hint = await save({ subject: 'default', mode: 'hint', body: 'Hint {{subjectName}}' });
+    assert.equal(hint.body.version, 2);
+    const mathHint = await save({ subject: 'math', mode: 'hint', body: 'Math hint' });
+    assert.equal(mathHint.body.version, 1);
+    assert.deepEqual((await templates('default', 'hint')).map(template => template.version), [2, 1]);
+  });
+
+  it('validates input and requires the admin key', async () => {
+    const { token } = await t.login('prompt-vandal');
+    assert.equal((await save({ subject: 'astrology', body: 'x' })).status, 400);
+    assert.equal((await save({ subject: 'math', body: '   ' })).status, 400);
+    assert.equal((await save({ subject: 'math', mode: 'grade', body: 'x' })).status, 400);
+    assert.equal((await save({ subject: 'math', gradeBand: 'kindergarten', body: 'x' })).status, 400);
+    assert.equal((await activate(999999)).status, 404);
+    assert.equal((await activate('latest')).status, 400);
+
+    assert.equal((await t.request('GET', '/api/v1/admin/prompts', { token })).status, 401);
+    assert.equal((await t.request('POST', '/api/v1/admin/prompts/1/activate', { token })).status, 401);
+  });
+});
+
+describe('applyPromptRevisions', () => {
+  let t;
+  const revision = PROMPT_REVISIONS.find(item => item.subject === 'math');
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  async function resetMath(body) {
+    await t.pool.query("DELETE FROM prompt_templates WHERE subject = 'math' AND version > 1");
+    await t.pool.query("UPDATE prompt_templates SET body = $1, is_active = true WHERE subject = 'math' AND mode = 'solve'", [body]);
+  }
+
+  async function mathVersions() {
+    const result = await t.pool.query("SELECT version, is_active, body FROM prompt_templates WHERE subject = 'math' AND mode = 'solve' ORDER BY version");
+    return result.rows;
+  }
+
+  it('activates a revision over the untouched built-in version', async () => {
+    await resetMath(DEFAULT_PROMPTS.math);
+    assert.equal(await applyPromptRevisions(t.pool), 1);
+    const versions = await mathVersions();
+    assert.deepEqual(versions.map(row => [row.version, row.is_active]), [[1, false], [2, true]]);
+    assert.equal(versions[1].body, revision.body);
+  });
+
+  it('adds but does not activate a revision over an edited version', async () => {
+    await resetMath('Our own math prompt');
+    assert.equal(await applyPromptRevisions(t.pool), 1);
+    assert.deepEqual((await mathVersions()).map(row => [row.version, row.is_active]), [[1, true], [2, false]]);
+  });
+
+  it('runs once', async () => {
+    assert.equal(await applyPromptRevisions(t.pool), 0);
+  });
+});
+
+describe('createPromptRegistry', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  it('caches active templates until invalidated', async () => {
+    const registry = createPromptRegistry({ pool: t.pool, logger: silentLogger, cacheTtlMs: 60 * 1000 });
+    assert.equal((await registry.resolve({ subject: 'english' })).system, DEFAULT_PROMPTS.english);
+
+    await t.pool.query("UPDATE prompt_templates SET body = 'Edited English prompt' WHERE subject = 'english' AND mode = 'solve'");
+    assert.equal((await registry.resolve({ subject: 'english' })).system, DEFAULT_PROMPTS.english);
+    registry.invalidate();
+    assert.equal((await registry.resolve({ subject: 'english' })).system, 'Edited English prompt');
+  });
+
+  it('falls back to the built-in text when the table has no match', async () => {
+    await t.pool.query("DELETE FROM prompt_templates WHERE subject = 'physics'");
+    await t.pool.query("DELETE FROM prompt_templates WHERE subject = 'default'");
+    const registry = createPromptRegistry({ pool: t.pool, logger: silentLogger, cacheTtlMs: 0 });
+
+    const physics = await registry.resolve({ subject: 'physics' });
+    assert.equal(physics.id, null);
+    assert.equal(physics.system, PROMPT_REVISIONS.find(item => item.subject === 'physics').body);
+    const check = await registry.resolve({ subject: 'math', mode: 'check' });
+    assert.equal(check.subject, 'default');
+    assert.match(check.system, /You are a Mathematics teacher/);
+  });
+
+  it('fills in known placeholders only', () => {
+    assert.equal(renderTemplate('{{subjectName}} for {{gradeBand}} {{unknown}}', { subjectName: 'Physics', gradeBand: 'high' }), 'Physics for high {{unknown}}');
+  });
+});
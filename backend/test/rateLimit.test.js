@@ -0,0 +1,264 @@
+// Rate limiter tests. Run with `npm test`.
+//
+// The Redis store runs against an in-process stand-in for the node-redis
+// client by default; set REDIS_URL to also run it against a real server.
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createRedisStore, createRateLimiter, rateLimitKey } = require('../lib/rateLimit');
+
+const JWT_SECRET = 'test-secret';
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+// The subset of the node-redis v4 client the store uses
+function createFakeRedis() {
+  const sets = new Map();
+
+  function entries(key) {
+    return sets.get(key) || [];
+  }
+
+  const commands = {
+    zRemRangeByScore(key, min, max) {
+      const kept = entries(key).filter(entry => entry.score < min || entry.score > max);
+      sets.set(key, kept);
+      return entries(key).length - kept.length;
+    },
+    zAdd(key, { score, value }) {
+      sets.set(key, [...entries(key), { score, value }].sort((a, b) => a.score - b.score));
+      return 1;
+    },
+    zCard(key) {
+      return entries(key).length;
+    },
+    zRangeWithScores(key, start, stop) {
+      return entries(key).slice(start, stop + 1);
+    },
+    pExpire() {
+      return true;
+    }
+  };
+
+  return {
+    sets,
+    multi() {
+      const queued = [];
+      const chain = {
+        exec: async () => queued.map(run => run())
+      };
+      for (const [name, command] of Object.entries(commands)) {
+        chain[name] = (...args) => {
+          queued.push(() => command(...args));
+          return chain;
+        };
+      }
+      return chain;
+    },
+    async zPopMax(key) {
+      const list = entries(key);
+      return list.length > 0 ? list.pop() : null;
+    },
+    async del(key) {
+      return sets.delete(key) ? 1 : 0;
+    }
+  };
+}
+
+const backends = [['in-process stand-in', async () => ({ client: createFakeRedis(), close: async () => {} })]];
+if (process.env.REDIS_URL) {
+  backends.push(['Redis at REDIS_URL', async () => {
+    const client = require('redis').createClient({ url: process.env.REDIS_URL });
+    await client.connect();
+    return { client, close: () => client.quit() };
+  }]);
+}
+
+async function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function limitedApp(limiter) {
+  const app = express();
+  app.use(limiter);
+  app.get('/', (req, res) => res.json({ ok: true }));
+  return app;
+}
+
+for (const [name, connect] of backends) {
+  describe(`Redis store (${name})`, () => {
+    let redis;
+
+    before(async () => {
+      redis = await connect();
+    });
+
+    after(async () => {
+      await redis.close();
+    });
+
+    // A fresh prefix per test keeps counts from leaking between tests
+    let testCount = 0;
+    function newStore(windowMs, getClient = () => redis.client) {
+      const prefix = `rl:test:${process.pid}:${Date.now()}:${testCount++}:`;
+      const store = createRedisStore({ getClient, prefix, logger: silentLogger });
+      store.init({ windowMs });
+      return store;
+    }
+
+    afterEach(() => {
+      mock.timers.reset();
+    });
+
+    it('counts hits within the window', async () => {
+      const store = newStore(60000);
+      assert.equal((await store.increment('ip:1')).totalHits, 1);
+      assert.equal((await store.increment('ip:1')).totalHits, 2);
+      assert.equal((await store.increment('ip:2')).totalHits, 1);
+    });
+
+    it('slides the window instead of resetting it', async () => {
+      mock.timers.enable({ apis: ['Date'], now: 1000000 });
+      const store = newStore(1000);
+
+      await store.increment('ip:1');
+      mock.timers.tick(600);
+      await store.increment('ip:1');
+      mock.timers.tick(100);
+      const third = await store.increment('ip:1');
+      assert.equal(third.totalHits, 3);
+      // The first hit ages out 1000ms after it was made
+      assert.equal(third.resetTime.getTime(), 1000000 + 1000);
+
+      mock.timers.tick(301);
+      const afterFirstExpired = await store.increment('ip:1');
+      assert.equal(afterFirstExpired.totalHits, 3);
+      assert.equal(afterFirstExpired.resetTime.getTime(), 1000600 + 1000);
+    });
+
+    it('decrements and resets keys', async () => {
+      const store = newStore(60000);
+      await store.increment('ip:1');
+      await store.increment('ip:1');
+      await store.decrement('ip:1');
+      assert.equal((await store.increment('ip:1')).totalHits, 2);
+
+      await store.resetKey('ip:1');
+      assert.equal((await store.increment('ip:1')).totalHits, 1);
+    });
+
+    it('shares counts between limiters in different processes', async () => {
+      const options = { windowMs: 60000, max: 3, message: 'Slow down', prefix: `rl:shared:${process.pid}:${Date.now()}:` };
+      const deps = { getClient: () => redis.client, jwtSecret: JWT_SECRET, logger: silentLogger };
+      const first = await listen(limitedApp(createRateLimiter(options, deps)));
+      const second = await listen(limitedApp(createRateLimiter(options, deps)));
+
+      try {
+        assert.equal((await fetch(first.url)).status, 200);
+        assert.equal((await fetch(second.url)).status, 200);
+        assert.equal((await fetch(first.url)).status, 200);
+        assert.equal((await fetch(second.url)).status, 429);
+      } finally {
+        first.server.close();
+        second.server.close();
+      }
+    });
+  });
+}
+
+describe('in-memory fallback', () => {
+  it('limits in memory while Redis is disconnected', async () => {
+    const store = createRedisStore({ getClient: () => null, prefix: 'rl:test:', logger: silentLogger });
+    store.init({ windowMs: 60000 });
+
+    assert.equal((await store.increment('ip:1')).totalHits, 1);
+    assert.equal((await store.increment('ip:1')).totalHits, 2);
+  });
+
+  it('falls back when Redis commands fail and returns once they succeed', async () => {
+    const fake = createFakeRedis();
+    let failing = true;
+    const broken = {
+      multi() {
+        const chain = fake.multi();
+        const exec = chain.exec;
+        chain.exec = () => (failing ? Promise.reject(new Error('Connection lost')) : exec());
+        return chain;
+      }
+    };
+
+    const warnings = [];
+    const logger = { ...silentLogger, warn: (message) => warnings.push(message) };
+    const store = createRedisStore({ getClient: () => broken, prefix: 'rl:test:', logger });
+    store.init({ windowMs: 60000 });
+
+    assert.equal((await store.increment('ip:1')).totalHits, 1);
+    assert.equal((await store.increment('ip:1')).totalHits, 2);
+    assert.equal(warnings.length, 1, 'warns once per outage');
+
+    failing = false;
+    assert.equal((await store.increment('ip:1')).totalHits, 1);
+    assert.equal(fake.sets.get('rl:test:ip:1').length, 1);
+  });
+});
+
+describe('createRateLimiter', () => {
+  let app;
+
+  before(async () => {
+    app = await listen(limitedApp(createRateLimiter(
+      { windowMs: 60000, max: 2, message: 'Too many requests', prefix: 'rl:test:' },
+      { jwtSecret: JWT_SECRET, logger: silentLogger }
+    )));
+  });
+
+  after(() => {
+    app.server.close();
+  });
+
+  const tokenFor = (userId) => jwt.sign({ userId, deviceId: 'device' }, JWT_SECRET);
+
+  it('sends RateLimit headers, then 429 with Retry-After', async () => {
+    const headers = { Authorization: `Bearer ${tokenFor(1)}` };
+
+    const first = await fetch(app.url, { headers });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.ok(Number(first.headers.get('ratelimit-reset')) > 0);
+    assert.equal(first.headers.get('x-ratelimit-limit'), null);
+
+    await fetch(app.url, { headers });
+    const limited = await fetch(app.url, { headers });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.deepEqual(await limited.json(), { error: 'Too many requests' });
+  });
+
+  it('gives each signed-in user their own budget', async () => {
+    const other = await fetch(app.url, { headers: { Authorization: `Bearer ${tokenFor(2)}` } });
+    assert.equal(other.status, 200);
+    assert.equal(other.headers.get('ratelimit-remaining'), '1');
+  });
+});
+
+describe('rateLimitKey', () => {
+  const key = rateLimitKey(JWT_SECRET);
+
+  it('uses the user id from a valid token', () => {
+    const token = jwt.sign({ userId: 42, deviceId: 'device' }, JWT_SECRET);
+    assert.equal(key({ headers: { authorization: `Bearer ${token}` }, ip: '10.0.0.1' }), 'user:42');
+  });
+
+  it('uses the IP without a token or with a forged one', () => {
+    const forged = jwt.sign({ userId: 42 }, 'not-the-secret');
+    assert.equal(key({ headers: {}, ip: '10.0.0.1' }), 'ip:10.0.0.1');
+    assert.equal(key({ headers: { authorization: `Bearer ${forged}` }, ip: '10.0.0.1' }), 'ip:10.0.0.1');
+  });
+});
@@ -0,0 +1,117 @@
+// Solution ratings and the admin aggregates, end to end. Run with `npm test`.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, ADMIN_KEY } = require('./support/testApp');
+
+describe('solution ratings', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  async function solve(token, subject = 'math') {
+    const response = await t.request('POST', '/api/v1/homework/solve', { token, body: { question: `A ${subject} question`, subject } });
+    assert.equal(response.status, 200);
+    return response.body.id;
+  }
+
+  function rate(token, problemId, body) {
+    return t.request('POST', `/api/v1/homework/problem/${problemId}/rate`, { token, body });
+  }
+
+  function aggregates(path = '/api/v1/admin/ratings') {
+    return t.request('GET', path, { headers: { 'X-Admin-Key': ADMIN_KEY } });
+  }
+
+  it('saves one rating per problem and lets the student change it', async () => {
+    const { token } = await t.login('rater');
+    const problemId = await solve(token);
+
+    const first = await rate(token, problemId, { rating: 2, wasHelpful: false, comment: '  Skipped a step  ' });
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body, { success: true, problemId: String(problemId), rating: 2, wasHelpful: false });
+
+    const changed = await rate(token, problemId, { rating: 5, wasHelpful: true });
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.rating, 5);
+
+    const stored = await t.pool.query('SELECT * FROM problem_ratings WHERE problem_id = $1', [parseInt(problemId)]);
+    assert.equal(stored.rows.length, 1);
+    assert.equal(stored.rows[0].rating, 5);
+    assert.equal(stored.rows[0].was_helpful, true);
+    assert.equal(stored.rows[0].comment, null);
+  });
+
+  it('rejects out of range ratings and other students\' problems', async () => {
+    const { token } = await t.login('careful-rater');
+    const problemId = await solve(token);
+
+    assert.equal((await rate(token, problemId, { rating: 0, wasHelpful: true })).status, 400);
+    assert.equal((await rate(token, problemId, { rating: 6, wasHelpful: true })).status, 400);
+    assert.equal((await rate(token, problemId, { rating: 3 })).status, 400);
+    assert.equal((await rate(token, problemId, { rating: 3, wasHelpful: true, comment: 'x'.repeat(1001) })).status, 400);
+    assert.equal((await rate(token, 'abc', { rating: 3, wasHelpful: true })).status, 400);
+
+    const { token: other } = await t.login('nosy-rater');
+    const foreign = await rate(other, problemId, { rating: 1, wasHelpful: false });
+    assert.equal(foreign.status, 404);
+    assert.equal((await rate(token, 999999, { rating: 1, wasHelpful: false })).status, 404);
+
+    assert.equal((await rate(undefined, problemId, { rating: 1, wasHelpful: false })).status, 401);
+  });
+
+  it('aggregates ratings by subject, model, prompt and day, worst first', async () => {
+    const { token } = await t.login('aggregate-rater');
+    await rate(token, await solve(token, 'chemistry'), { rating: 1, wasHelpful: false });
+    await rate(token, await solve(token, 'chemistry'), { rating: 2, wasHelpful: true });
+    await rate(token, await solve(token, 'history'), { rating: 4, wasHelpful: true });
+
+    const response = await aggregates();
+    assert.equal(response.status, 200);
+    assert.equal(response.body.days, 30);
+
+    const subjects = response.body.bySubject.map(group => group.subject);
+    assert.ok(subjects.indexOf('chemistry') < subjects.indexOf('history'));
+    const chemistry = response.body.bySubject.find(group => group.subject === 'chemistry');
+    assert.deepEqual(chemistry, { subject: 'chemistry', ratings: 2, averageRating: 1.5, helpfulRate: 0.5 });
+
+    const total = (groups) => groups.reduce((sum, group) => sum + group.ratings, 0);
+    const rated = await t.pool.query('SELECT COUNT(*) AS count FROM problem_ratings');
+    const count = parseInt(rated.rows[0].count);
+    assert.equal(total(response.body.bySubject), count);
+    assert.equal(total(response.body.byModel), count);
+    assert.equal(total(response.body.byDay), count);
+    assert.equal(total(response.body.byPrompt), count);
+    assert.ok(response.body.byPrompt.every(group => group.promptTemplateId && group.mode === 'solve' && group.version));
+    assert.match(response.body.byDay[0].date, /^\d{4}-\d{2}-\d{2}$/);
+    assert.ok(response.body.byModel.every(group => group.model));
+
+    for (let i = 1; i < response.body.bySubject.length; i++) {
+      assert.ok(response.body.bySubject[i - 1].averageRating <= response.body.bySubject[i].averageRating);
+    }
+  });
+
+  it('limits the window and requires the admin key', async () => {
+    const { token } = await t.login('old-rater');
+    const problemId = await solve(token, 'biology');
+    await rate(token, problemId, { rating: 3, wasHelpful: true });
+    await t.pool.query(`UPDATE problems SET created_at = NOW() - INTERVAL '10 days' WHERE id = $1`, [parseInt(problemId)]);
+
+    const week = await aggregates('/api/v1/admin/ratings?days=7');
+    assert.equal(week.status, 200);
+    assert.equal(week.body.days, 7);
+    assert.equal(week.body.bySubject.some(group => group.subject === 'biology'), false);
+    const month = await aggregates('/api/v1/admin/ratings');
+    assert.equal(month.body.bySubject.some(group => group.subject === 'biology'), true);
+
+    assert.equal((await aggregates('/api/v1/admin/ratings?days=0')).status, 400);
+    assert.equal((await aggregates('/api/v1/admin/ratings?days=366')).status, 400);
+    assert.equal((await t.request('GET', '/api/v1/admin/ratings', { token })).status, 401);
+  });
+});
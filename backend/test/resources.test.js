@@ -0,0 +1,209 @@
+// Learning resource matching and the admin catalog, end to end. Run with
+// `npm test`.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { countTagMatches, rankResources } = require('../lib/resources');
+const { parseTopics } = require('../lib/routes/resources');
+const { startTestApp, ADMIN_KEY } = require('./support/testApp');
+
+const admin = { 'X-Admin-Key': ADMIN_KEY };
+
+describe('resource matching', () => {
+  it('counts whole-word tags and their plurals', () => {
+    assert.equal(countTagMatches(['triangle', 'angle', 'area'], 'Find the angles of a right triangle'), 2);
+    assert.equal(countTagMatches(['mole'], 'How many molecules are there?'), 0);
+    assert.equal(countTagMatches(['solve for x'], 'Solve for X: 2x = 4'), 1);
+    assert.equal(countTagMatches(null, 'anything'), 0);
+  });
+
+  it('ranks subject resources by matches then priority and keeps general ones last', () => {
+    const rows = [
+      { id: 1, subject: null, tags: [], priority: 0 },
+      { id: 2, subject: 'math', tags: [], priority: 10 },
+      { id: 3, subject: 'math', tags: ['graph'], priority: 5 },
+      { id: 4, subject: 'math', tags: ['graph', 'slope'], priority: 0 },
+      { id: 5, subject: 'math', tags: [], priority: 1 }
+    ];
+    assert.deepEqual(rankResources(rows, 'graph the slope', 3).map(row => row.id), [4, 3, 2, 1]);
+  });
+
+  it('reads topics from the model\'s JSON array only', () => {
+    assert.deepEqual(parseTopics('Topics: ["Photosynthesis", " Cell Respiration ", 7, "x"]'), ['photosynthesis', 'cell respiration']);
+    assert.deepEqual(parseTopics('["a b c d e", "one", "two", "three", "four"]'), ['one', 'two', 'three']);
+    assert.deepEqual(parseTopics('Photosynthesis and respiration'), []);
+    assert.deepEqual(parseTopics('[not json]'), []);
+  });
+});
+
+describe('POST /api/v1/homework/resources', () => {
+  let t;
+  let token;
+
+  before(async () => {
+    t = await startTestApp();
+    ({ token } = await t.login('resource-reader'));
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  function resources(question, subject) {
+    return t.request('POST', '/api/v1/homework/resources', { token, body: { question, subject } });
+  }
+
+  it('puts the resources whose tags match the question first', async () => {
+    const response = await resources('Graph y = 2x + 1 and find the slope', 'Mathematics');
+    assert.equal(response.status, 200);
+    const titles = response.body.resources.map(item => item.title);
+    assert.equal(titles[0], 'Desmos Graphing Calculator');
+    assert.equal(titles.length, 5);
+    assert.equal(titles.at(-1), 'Wikipedia');
+    assert.deepEqual(Object.keys(response.body.resources[0]).sort(), ['description', 'icon', 'title', 'type', 'url']);
+  });
+
+  it('falls back to the general resources for an unknown subject', async () => {
+    const response = await resources('Where is Peru?', 'geography');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.resources.map(item => item.title), ['Wikipedia']);
+  });
+
+  it('validates the body and requires a session', async () => {
+    assert.equal((await resources(42, 'math')).status, 400);
+    assert.equal((await resources('x'.repeat(5001), 'math')).status, 400);
+    assert.equal((await resources('What is 2 + 2?', '')).status, 400);
+    const anonymous = await t.request('POST', '/api/v1/homework/resources', { body: { question: 'q', subject: 'math' } });
+    assert.equal(anonymous.status, 401);
+  });
+
+  it('does not ask the model unless topic suggestions are turned on', async () => {
+    t.llm.reset();
+    await resources('Explain photosynthesis', 'biology');
+    assert.equal(t.llm.requests.length, 0);
+  });
+});
+
+describe('resources with RESOURCES_LLM_TOPICS', () => {
+  let t;
+  let token;
+
+  before(async () => {
+    t = await startTestApp({ RESOURCES_LLM_TOPICS: 'true' });
+    ({ token } = await t.login('curious-reader'));
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  beforeEach(() => {
+    t.llm.reset();
+  });
+
+  function resources(question, subject) {
+    return t.request('POST', '/api/v1/homework/resources', { token, body: { question, subject } });
+  }
+
+  it('matches suggested topics against the catalog and links searches for the rest', async () => {
+    t.llm.reply = { content: '["DNA", "natural selection"]' };
+    const response = await resources('Why do finches on different islands have different beaks?', 'biology');
+    assert.equal(response.status, 200);
+    assert.equal(t.llm.requests.length, 1);
+
+    const titles = response.body.resources.map(item => item.title);
+    assert.equal(titles[0], 'Learn.Genetics');
+    const search = response.body.resources.find(item => item.title === 'Khan Academy: natural selection');
+    assert.equal(search.url, 'https://www.khanacademy.org/search?page_search_query=natural%20selection');
+    assert.ok(titles.indexOf('Khan Academy: natural selection') < titles.indexOf('Wikipedia'));
+    assert.equal(titles.some(title => title === 'Khan Academy: dna'), false);
+  });
+
+  it('skips the model when the catalog already matches, and survives its failure', async () => {
+    await resources('Write a Punnett square for this cross', 'biology');
+    assert.equal(t.llm.requests.length, 0);
+
+    t.llm.queue({ status: 400 });
+    const response = await resources('Why are leaves green?', 'biology');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.resources.some(item => item.title.startsWith('Khan Academy:')), false);
+    assert.equal(response.body.resources.at(-1).title, 'Wikipedia');
+  });
+});
+
+describe('/api/v1/admin/resources', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  const resource = {
+    subject: 'Chemistry',
+    title: 'Gas Laws Explained',
+    type: 'article',
+    url: 'https://example.com/gas-laws',
+    description: 'Boyle, Charles and the ideal gas law',
+    icon: 'wind',
+    tags: ['Ideal Gas', 'pressure'],
+    priority: 20
+  };
+
+  it('creates, updates and deletes catalog entries', async () => {
+    const created = await t.request('POST', '/api/v1/admin/resources', { headers: admin, body: resource });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.subject, 'chemistry');
+    assert.deepEqual(created.body.tags, ['ideal gas', 'pressure']);
+    assert.equal(created.body.active, true);
+
+    const { token } = await t.login('chemist');
+    const matched = await t.request('POST', '/api/v1/homework/resources', {
+      token,
+      body: { question: 'Use the ideal gas law to find the pressure', subject: 'chem' }
+    });
+    assert.equal(matched.body.resources[0].title, 'Gas Laws Explained');
+
+    const updated = await t.request('PUT', `/api/v1/admin/resources/${created.body.id}`, {
+      headers: admin,
+      body: { active: false, subject: null }
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.active, false);
+    assert.equal(updated.body.subject, null);
+    assert.equal(updated.body.title, resource.title);
+
+    const listed = await t.request('GET', '/api/v1/admin/resources', { headers: admin });
+    assert.equal(listed.status, 200);
+    assert.ok(listed.body.resources.some(item => item.id === created.body.id));
+
+    const deleted = await t.request('DELETE', `/api/v1/admin/resources/${created.body.id}`, { headers: admin });
+    assert.deepEqual(deleted.body, { success: true });
+    assert.equal((await t.request('DELETE', `/api/v1/admin/resources/${created.body.id}`, { headers: admin })).status, 404);
+    assert.equal((await t.request('PUT', `/api/v1/admin/resources/${created.body.id}`, { headers: admin, body: { priority: 1 } })).status, 404);
+  });
+
+  it('validates entries', async () => {
+    const create = (body) => t.request('POST', '/api/v1/admin/resources', { headers: admin, body });
+    assert.equal((await create({ ...resource, subject: 'astrology' })).status, 400);
+    assert.equal((await create({ ...resource, type: 'podcast' })).status, 400);
+    assert.equal((await create({ ...resource, url: 'javascript:alert(1)' })).status, 400);
+    assert.equal((await create({ ...resource, priority: 101 })).status, 400);
+    const { title, ...untitled } = resource;
+    assert.equal((await create(untitled)).status, 400);
+
+    const empty = await t.request('PUT', '/api/v1/admin/resources/1', { headers: admin, body: {} });
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.error, 'No fields to update');
+  });
+
+  it('requires the admin key', async () => {
+    const { token } = await t.login('catalog-vandal');
+    assert.equal((await t.request('GET', '/api/v1/admin/resources', { token })).status, 401);
+    assert.equal((await t.request('POST', '/api/v1/admin/resources', { token, body: resource })).status, 401);
+    assert.equal((await t.request('DELETE', '/api/v1/admin/resources/1', { token })).status, 401);
+  });
+});
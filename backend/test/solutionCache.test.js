@@ -0,0 +1,176 @@
+// Solution cache tests. Run with `npm test`.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeQuestion, solutionCacheKey } = require('../lib/solutionCache');
+const { startTestApp, ADMIN_KEY } = require('./support/testApp');
+
+const admin = { 'X-Admin-Key': ADMIN_KEY };
+
+describe('normalizeQuestion', () => {
+  it('ignores case, spacing and trailing punctuation', () => {
+    assert.equal(normalizeQuestion('  Solve 2x + 3 = 11. '), 'solve 2x+3=11');
+    assert.equal(normalizeQuestion('SOLVE   2x+3 =11?'), 'solve 2x+3=11');
+  });
+
+  it('keeps different numbers apart', () => {
+    assert.notEqual(normalizeQuestion('Solve 2x + 3 = 11'), normalizeQuestion('Solve 2x + 3 = 12'));
+  });
+});
+
+describe('solutionCacheKey', () => {
+  const prompt = { id: 7, version: 2 };
+
+  it('depends on the subject and prompt version', () => {
+    const key = solutionCacheKey({ question: 'What is a noun?', subject: 'english', prompt });
+    assert.equal(key, solutionCacheKey({ question: 'what is a noun', subject: 'english', prompt }));
+    assert.notEqual(key, solutionCacheKey({ question: 'What is a noun?', subject: 'history', prompt }));
+    assert.notEqual(key, solutionCacheKey({ question: 'What is a noun?', subject: 'english', prompt: { id: 8, version: 3 } }));
+  });
+});
+
+describe('solution cache over the API', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  beforeEach(async () => {
+    t.llm.reset();
+    await t.request('DELETE', '/api/v1/admin/solution-cache', { headers: admin });
+    await t.pool.query('DELETE FROM api_usage');
+  });
+
+  function solve(token, question, subject = 'math') {
+    return t.request('POST', '/api/v1/homework/solve', { token, body: { question, subject } });
+  }
+
+  it('answers a repeated question without a completion and records no tokens', async () => {
+    const first = await t.login('student-1');
+    const second = await t.login('student-2');
+
+    const miss = await solve(first.token, 'Solve 3x - 4 = 8');
+    assert.equal(miss.status, 200);
+    assert.equal(miss.body.cached, false);
+
+    const hit = await solve(second.token, 'solve 3x-4=8.');
+    assert.equal(hit.status, 200);
+    assert.equal(hit.body.cached, true);
+    assert.equal(hit.body.solution, miss.body.solution);
+    assert.equal(t.llm.requests.length, 1);
+
+    // The hit still lands in the student's history and counts as a solve
+    assert.equal(hit.body.dailySolvesRemaining, 4);
+    const stored = await t.pool.query('SELECT tokens_used, cost_cents FROM problems WHERE id = $1', [parseInt(hit.body.id)]);
+    assert.equal(stored.rows[0].tokens_used, 0);
+    assert.equal(stored.rows[0].cost_cents, 0);
+
+    const usage = await t.pool.query("SELECT count, tokens_used, cost_cents FROM api_usage WHERE endpoint = 'homework_solve_cached'");
+    assert.equal(usage.rows[0].count, 1);
+    assert.equal(usage.rows[0].tokens_used, 0);
+    assert.equal(usage.rows[0].cost_cents, 0);
+  });
+
+  it('keeps subjects apart', async () => {
+    const { token } = await t.login('student-3');
+
+    await solve(token, 'Explain the main idea', 'english');
+    const other = await solve(token, 'Explain the main idea', 'history');
+    assert.equal(other.body.cached, false);
+    assert.equal(t.llm.requests.length, 2);
+  });
+
+  it('stops reusing entries when a new prompt version is activated', async () => {
+    const { token } = await t.login('student-4');
+    await solve(token, 'What is a covalent bond?', 'chemistry');
+
+    const created = await t.request('POST', '/api/v1/admin/prompts', {
+      headers: admin,
+      body: { subject: 'chemistry', body: 'You are a chemistry tutor.', activate: true }
+    });
+    assert.equal(created.status, 201);
+
+    const again = await solve(token, 'What is a covalent bond?', 'chemistry');
+    assert.equal(again.body.cached, false);
+    assert.equal(t.llm.requests.length, 2);
+  });
+
+  it('serves hits over the event stream too', async () => {
+    const { token } = await t.login('student-5');
+    await solve(token, 'What is photosynthesis?', 'biology');
+
+    const response = await fetch(`${t.baseUrl}/api/v1/homework/solve/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ question: 'what is photosynthesis', subject: 'biology' })
+    });
+    const text = await response.text();
+    assert.match(text, /event: token/);
+    assert.match(text, /"cached":true/);
+    assert.equal(t.llm.requests.length, 1);
+  });
+
+  it('lets admins list and invalidate entries', async () => {
+    const { token } = await t.login('student-6');
+    await solve(token, 'What is 7 times 8?', 'math');
+    await solve(token, 'What is 7 times 8?', 'math');
+    await solve(token, 'Who was Napoleon?', 'history');
+
+    const list = await t.request('GET', '/api/v1/admin/solution-cache', { headers: admin });
+    assert.equal(list.status, 200);
+    assert.equal(list.body.total, 2);
+    assert.equal(list.body.entries[0].question, 'what is 7 times 8');
+    assert.equal(list.body.entries[0].hits, 1);
+
+    const one = await t.request('DELETE', `/api/v1/admin/solution-cache/${list.body.entries[0].id}`, { headers: admin });
+    assert.deepEqual(one.body, { deleted: 1 });
+    assert.equal((await solve(token, 'What is 7 times 8?', 'math')).body.cached, false);
+
+    const bySubject = await t.request('DELETE', '/api/v1/admin/solution-cache?subject=History', { headers: admin });
+    assert.deepEqual(bySubject.body, { deleted: 1 });
+    assert.equal((await solve(token, 'Who was Napoleon?', 'history')).body.cached, false);
+
+    assert.equal((await t.request('DELETE', '/api/v1/admin/solution-cache/99999', { headers: admin })).status, 404);
+    assert.equal((await t.request('GET', '/api/v1/admin/solution-cache')).status, 401);
+  });
+
+  it('reports the hit rate in admin stats', async () => {
+    const { token } = await t.login('student-7');
+    await solve(token, 'Define velocity', 'physics');
+    await solve(token, 'Define velocity', 'physics');
+    await solve(token, 'Define velocity', 'physics');
+    await solve(token, 'Define acceleration', 'physics');
+
+    const stats = await t.request('GET', '/api/v1/admin/stats', { headers: admin });
+    assert.equal(Number(stats.body.daily_cache_hits), 2);
+    assert.equal(Number(stats.body.daily_cache_misses), 2);
+    assert.equal(stats.body.cache_hit_rate, 0.5);
+    assert.equal(Number(stats.body.cached_solutions), 2);
+  });
+});
+
+describe('solution cache turned off', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ SOLUTION_CACHE_TTL_HOURS: '0' });
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  it('always calls the LLM', async () => {
+    const { token } = await t.login('uncached');
+    for (let i = 0; i < 2; i++) {
+      const response = await t.request('POST', '/api/v1/homework/solve', { token, body: { question: 'What is gravity?', subject: 'physics' } });
+      assert.equal(response.body.cached, false);
+    }
+    assert.equal(t.llm.requests.length, 2);
+  });
+});
@@ -0,0 +1,156 @@
+// The solve pipeline end to end: quota, budget, integrity check and
+// persistence, against the fake completions server. Run with `npm test`.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/testApp');
+
+// A new question per request, so none is answered from the solution cache
+let questionCount = 0;
+function nextQuestion() {
+  questionCount++;
+  return `How do I solve 2x + ${questionCount} = 11?`;
+}
+
+describe('POST /api/v1/homework/solve', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ OPENAI_DAILY_LIMIT: '10' });
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  beforeEach(async () => {
+    t.llm.reset();
+    await t.pool.query('DELETE FROM api_usage');
+  });
+
+  function solve(token, body = { question: nextQuestion(), subject: 'math' }) {
+    return t.request('POST', '/api/v1/homework/solve', { token, body });
+  }
+
+  it('returns the completion and stores it in history', async () => {
+    const { token } = await t.login('solver');
+
+    const question = nextQuestion();
+    const response = await solve(token, { question, subject: 'Mathematics' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.solution, t.llm.reply.content);
+    assert.equal(response.body.subject, 'math');
+    assert.equal(response.body.dailySolvesRemaining, 4);
+
+    assert.equal(t.llm.requests.length, 1);
+    const [system, user] = t.llm.requests[0].messages;
+    assert.equal(system.role, 'system');
+    assert.ok(user.content.includes(question));
+
+    const stored = await t.pool.query('SELECT * FROM problems WHERE id = $1', [parseInt(response.body.id)]);
+    assert.equal(stored.rows[0].solution, t.llm.reply.content);
+    assert.equal(stored.rows[0].tokens_used, 60);
+    assert.equal(stored.rows[0].model, 'stub-model');
+  });
+
+  it('streams the completion over server-sent events', async () => {
+    const { token } = await t.login('streamer');
+
+    const response = await fetch(`${t.baseUrl}/api/v1/homework/solve/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ question: nextQuestion(), subject: 'math' })
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+    const events = (await response.text()).trim().split('\n\n').map(block => {
+      const lines = block.split('\n');
+      return {
+        event: lines.find(line => line.startsWith('event:')).slice(6).trim(),
+        data: JSON.parse(lines.find(line => line.startsWith('data:')).slice(5))
+      };
+    });
+    const tokens = events.filter(e => e.event === 'token').map(e => e.data.content).join('');
+    assert.equal(tokens, t.llm.reply.content);
+
+    const done = events[events.length - 1];
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.tokensUsed, 60);
+  });
+
+  it('allows five free solves a day and resets the count on the next day', async () => {
+    const { token, user } = await t.login('free-user');
+
+    for (let i = 0; i < 5; i++) {
+      assert.equal((await solve(token)).status, 200);
+    }
+
+    const limited = await solve(token);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, 'Daily limit reached');
+    assert.equal(t.llm.requests.length, 5);
+
+    // The count resets at the first sign-in after last_reset_date
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    await t.pool.query('UPDATE users SET last_reset_date = $1 WHERE id = $2', [yesterday, user.id]);
+
+    const nextDay = await t.login('free-user');
+    assert.equal(nextDay.user.dailySolvesUsed, 0);
+    assert.equal((await solve(nextDay.token)).status, 200);
+  });
+
+  it('does not limit premium users', async () => {
+    const { token, user } = await t.login('premium-user');
+    await t.pool.query('UPDATE users SET is_premium = true, daily_solves_used = 5 WHERE id = $1', [user.id]);
+
+    const response = await solve(token);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.dailySolvesRemaining, 999);
+  });
+
+  it('returns 503 without calling the LLM once the daily budget is spent', async () => {
+    const { token } = await t.login('budget-user');
+
+    // OPENAI_DAILY_LIMIT is $10 for this app
+    await t.pool.query(
+      "INSERT INTO api_usage (date, endpoint, count, tokens_used, cost_cents) VALUES (CURRENT_DATE, 'homework_solve', 1, 0, 1001)"
+    );
+
+    const response = await solve(token);
+    assert.equal(response.status, 503);
+    assert.equal(t.llm.requests.length, 0);
+  });
+
+  it('stays under budget at exactly the limit', async () => {
+    const { token } = await t.login('budget-edge-user');
+    await t.pool.query(
+      "INSERT INTO api_usage (date, endpoint, count, tokens_used, cost_cents) VALUES (CURRENT_DATE, 'homework_solve', 1, 0, 1000)"
+    );
+
+    assert.equal((await solve(token)).status, 200);
+  });
+
+  it('rejects questions that look like an active assessment', async () => {
+    const { token, user } = await t.login('integrity-user');
+
+    const response = await solve(token, { question: 'Answer question 3 of my chemistry quiz', subject: 'chemistry' });
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /active assessment/);
+    assert.equal(response.body.code, 'academic_integrity');
+    assert.ok(response.body.decisionId);
+    assert.equal(t.llm.requests.length, 0);
+
+    const stored = await t.pool.query('SELECT COUNT(*) FROM problems WHERE user_id = $1', [user.id]);
+    assert.equal(Number(stored.rows[0].count), 0);
+  });
+
+  it('validates the request body', async () => {
+    const { token } = await t.login('validation-user');
+
+    assert.equal((await solve(token, { subject: 'math' })).status, 400);
+    assert.equal((await solve(token, { question: nextQuestion(), subject: 'astrology' })).status, 400);
+    assert.equal((await solve(undefined)).status, 401);
+    assert.equal(t.llm.requests.length, 0);
+  });
+});
@@ -0,0 +1,208 @@
+// Queued solves over the API (Prefer: respond-async). Run with `npm test`.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./support/testApp');
+
+const ASYNC = { Prefer: 'respond-async' };
+
+describe('asynchronous solves', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  beforeEach(() => {
+    t.llm.reset();
+  });
+
+  function solve(token, question, headers = ASYNC) {
+    return t.request('POST', '/api/v1/homework/solve', { token, headers, body: { question, subject: 'math' } });
+  }
+
+  async function poll(token, id) {
+    for (let i = 0; i < 100; i++) {
+      const response = await t.request('GET', `/api/v1/homework/jobs/${id}`, { token });
+      if (response.body.status === 'done' || response.body.status === 'failed') return response;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Job ${id} did not finish`);
+  }
+
+  it('queues the solve and reports the result when done', async () => {
+    const { token } = await t.login('async-user');
+
+    const queued = await solve(token, 'What is 12 squared?');
+    assert.equal(queued.status, 202);
+    assert.equal(queued.body.status, 'queued');
+    assert.equal(queued.headers.get('location'), `/api/v1/homework/jobs/${queued.body.id}`);
+    assert.ok(queued.headers.get('retry-after'));
+
+    const done = await poll(token, queued.body.id);
+    assert.equal(done.status, 200);
+    assert.equal(done.body.status, 'done');
+    assert.equal(done.body.result.solution, t.llm.reply.content);
+    assert.equal(done.body.result.question, 'What is 12 squared?');
+    assert.equal(done.body.result.dailySolvesRemaining, 4);
+
+    const history = await t.request('GET', '/api/v1/homework/history', { token });
+    assert.equal(history.body.problems[0].id, done.body.result.id);
+  });
+
+  it('also accepts "async": true in the body', async () => {
+    const { token } = await t.login('async-body-user');
+    const queued = await t.request('POST', '/api/v1/homework/solve', {
+      token,
+      body: { question: 'What is 13 squared?', subject: 'math', async: true }
+    });
+    assert.equal(queued.status, 202);
+    assert.equal((await poll(token, queued.body.id)).body.status, 'done');
+  });
+
+  it('runs a retried request with the same Idempotency-Key once', async () => {
+    const { token, user } = await t.login('retry-user');
+    const headers = { ...ASYNC, 'Idempotency-Key': 'worksheet-4-q2' };
+
+    const first = await solve(token, 'What is 14 squared?', headers);
+    const retry = await solve(token, 'What is 14 squared?', headers);
+    assert.equal(retry.status, 202);
+    assert.equal(retry.body.id, first.body.id);
+
+    await poll(token, first.body.id);
+    assert.equal(t.llm.requests.length, 1);
+    const solves = await t.pool.query('SELECT daily_solves_used FROM users WHERE id = $1', [user.id]);
+    assert.equal(solves.rows[0].daily_solves_used, 1);
+  });
+
+  it('reports rejections as failed jobs with the synchronous status', async () => {
+    const { token } = await t.login('quiz-user');
+
+    const queued = await solve(token, 'Answers for tomorrow\'s quiz please');
+    assert.equal(queued.status, 202);
+
+    const failed = await poll(token, queued.body.id);
+    assert.equal(failed.body.status, 'failed');
+    assert.equal(failed.body.error.status, 400);
+    assert.match(failed.body.error.error, /active assessment/);
+    assert.equal(t.llm.requests.length, 0);
+  });
+
+  it('refuses straight away what the job would refuse', async () => {
+    const { token, user } = await t.login('refused-async-user');
+
+    const photo = await t.request('POST', '/api/v1/homework/solve', {
+      token,
+      headers: ASYNC,
+      body: { subject: 'math', imageData: 'not an image' }
+    });
+    assert.equal(photo.status, 400);
+
+    await t.pool.query('UPDATE users SET daily_solves_used = 5 WHERE id = $1', [user.id]);
+    const limited = await solve(token, 'What is 18 squared?');
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.error, 'Daily limit reached');
+  });
+
+  it('keeps jobs running side by side within the daily limit', async () => {
+    const { token, user } = await t.login('parallel-async-user');
+    await t.pool.query('UPDATE users SET daily_solves_used = 4 WHERE id = $1', [user.id]);
+    // Slow enough that both jobs are running before either is saved
+    t.llm.reply = { delayMs: 400 };
+
+    const queued = await Promise.all([solve(token, 'What is 19 squared?'), solve(token, 'What is 21 squared?')]);
+    assert.deepEqual(queued.map(response => response.status), [202, 202]);
+    const finished = await Promise.all(queued.map(response => poll(token, response.body.id)));
+    assert.deepEqual(finished.map(response => response.body.status).sort(), ['done', 'failed']);
+    assert.equal(finished.find(response => response.body.status === 'failed').body.error.status, 429);
+
+    const solves = await t.pool.query('SELECT daily_solves_used FROM users WHERE id = $1', [user.id]);
+    assert.equal(solves.rows[0].daily_solves_used, 5);
+  });
+
+  it('only shows a job to its owner', async () => {
+    const owner = await t.login('job-owner');
+    const other = await t.login('job-snooper');
+
+    const queued = await solve(owner.token, 'What is 15 squared?');
+    const response = await t.request('GET', `/api/v1/homework/jobs/${queued.body.id}`, { token: other.token });
+    assert.equal(response.status, 404);
+
+    assert.equal((await t.request('GET', '/api/v1/homework/jobs/not-a-uuid', { token: owner.token })).status, 400);
+    await poll(owner.token, queued.body.id);
+  });
+
+  it('keeps streaming requests synchronous', async () => {
+    const { token } = await t.login('stream-user');
+    const response = await fetch(`${t.baseUrl}/api/v1/homework/solve/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...ASYNC },
+      body: JSON.stringify({ question: 'What is 16 squared?', subject: 'math' })
+    });
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /event: done/);
+  });
+});
+
+describe('asynchronous solves with a full queue', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ SOLVE_JOB_MAX_QUEUE: '0' });
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  it('are rejected with 503 while synchronous solves still work', async () => {
+    const { token } = await t.login('shed-user');
+
+    const rejected = await t.request('POST', '/api/v1/homework/solve', {
+      token,
+      headers: ASYNC,
+      body: { question: 'What is 17 squared?', subject: 'math' }
+    });
+    assert.equal(rejected.status, 503);
+    assert.equal(rejected.headers.get('retry-after'), '30');
+
+    const sync = await t.request('POST', '/api/v1/homework/solve', {
+      token,
+      body: { question: 'What is 17 squared?', subject: 'math' }
+    });
+    assert.equal(sync.status, 200);
+  });
+});
+
+describe('asynchronous solves waiting for a worker', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ SOLVE_JOB_CONCURRENCY: '0', SOLVE_JOB_MAX_PER_USER: '2' });
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  it('are capped per user', async () => {
+    const { token } = await t.login('queue-hog');
+    const other = await t.login('queue-neighbour');
+    const solve = (as, question) => t.request('POST', '/api/v1/homework/solve', {
+      token: as,
+      headers: ASYNC,
+      body: { question, subject: 'math' }
+    });
+
+    assert.equal((await solve(token, 'What is 22 squared?')).status, 202);
+    assert.equal((await solve(token, 'What is 23 squared?')).status, 202);
+    const third = await solve(token, 'What is 24 squared?');
+    assert.equal(third.status, 429);
+    assert.match(third.body.error, /already have 2 solves waiting/);
+    assert.equal((await solve(other.token, 'What is 24 squared?')).status, 202);
+  });
+});
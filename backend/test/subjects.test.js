@@ -0,0 +1,93 @@
+// The subject registry and GET /api/v1/subjects. Run with `npm test`.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { SUBJECTS, findSubject, loadSubjectConfig, createSubjectRegistry } = require('../lib/subjects');
+const { startTestApp } = require('./support/testApp');
+
+describe('subject registry', () => {
+  it('finds subjects by id, display name or alias in any spelling', () => {
+    for (const name of ['computerScience', 'Computer Science', 'computer_science', 'COMPUTER-SCIENCE', ' cs ', 'compsci']) {
+      assert.equal(findSubject(name).id, 'computerScience', name);
+    }
+    assert.equal(findSubject('Mathematics').id, 'math');
+    assert.equal(findSubject('social studies').id, 'history');
+    assert.equal(findSubject('astrology'), null);
+    assert.equal(findSubject(''), null);
+    assert.equal(findSubject(42), null);
+  });
+
+  it('reads SUBJECTS_DISABLED as a comma-separated list', () => {
+    assert.deepEqual(loadSubjectConfig({ SUBJECTS_DISABLED: ' history, ,Programming ' }).disabled, ['history', 'Programming']);
+    assert.deepEqual(loadSubjectConfig({}).disabled, []);
+  });
+
+  it('hides and refuses disabled subjects, whatever they are called', () => {
+    const registry = createSubjectRegistry({ disabled: ['History', 'coding', 'not-a-subject'] });
+
+    assert.equal(registry.resolve('social studies'), null);
+    assert.equal(registry.resolve('programming'), null);
+    assert.equal(registry.resolve('maths').id, 'math');
+    assert.equal(registry.isEnabled('history'), false);
+    assert.equal(registry.isEnabled('math'), true);
+    assert.equal(registry.isEnabled('astrology'), false);
+
+    const listed = registry.list().map(subject => subject.id);
+    assert.equal(listed.length, SUBJECTS.length - 2);
+    assert.equal(listed.includes('history'), false);
+    assert.equal(listed.includes('programming'), false);
+  });
+});
+
+describe('subjects over HTTP', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp({ SUBJECTS_DISABLED: 'history' });
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  it('lists the enabled subjects without a session', async () => {
+    const response = await t.request('GET', '/api/v1/subjects');
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('cache-control'), 'public, max-age=3600');
+
+    const ids = response.body.subjects.map(subject => subject.id);
+    assert.deepEqual(ids, SUBJECTS.map(subject => subject.id).filter(id => id !== 'history'));
+    assert.deepEqual(response.body.subjects.find(subject => subject.id === 'chemistry'), {
+      id: 'chemistry',
+      displayName: 'Chemistry',
+      icon: 'flask.fill',
+      aliases: ['chem']
+    });
+  });
+
+  it('stores solves under the subject id for any accepted spelling', async () => {
+    const { token } = await t.login('subject-speller');
+    const solved = await t.request('POST', '/api/v1/homework/solve', {
+      token,
+      body: { question: 'What does a compiler do?', subject: 'Computer Science' }
+    });
+    assert.equal(solved.status, 200);
+    const stored = await t.pool.query('SELECT subject FROM problems WHERE id = $1', [parseInt(solved.body.id)]);
+    assert.equal(stored.rows[0].subject, 'computerScience');
+  });
+
+  it('rejects unknown and disabled subjects', async () => {
+    const { token } = await t.login('subject-rejected');
+    t.llm.reset();
+    const solve = (subject) => t.request('POST', '/api/v1/homework/solve', { token, body: { question: 'When did Rome fall?', subject } });
+
+    const disabled = await solve('History');
+    assert.equal(disabled.status, 400);
+    assert.equal(disabled.body.errors[0].msg, 'Subject is not available');
+
+    const unknown = await solve('astrology');
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.errors[0].msg, 'Unknown subject');
+    assert.equal(t.llm.requests.length, 0);
+  });
+});
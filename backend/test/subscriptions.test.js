@@ -0,0 +1,275 @@
+// App Store signed data and the subscription endpoints. Run with `npm test`.
+//
+// Payloads are signed with a locally generated root/intermediate/leaf chain
+// (support/appStoreCerts.js) that the app is configured to trust.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { createAppStoreVerifier, AppStoreVerificationError } = require('../lib/appstore');
+const { startTestApp } = require('./support/testApp');
+const { createAppStoreChain } = require('./support/appStoreCerts');
+
+const BUNDLE_ID = 'com.aihelper.homework';
+const MONTHLY = 'com.aihelper.homework.monthly';
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('createAppStoreVerifier', () => {
+  const chain = createAppStoreChain();
+  const verifier = createAppStoreVerifier({ rootCertificates: [chain.root], bundleId: BUNDLE_ID });
+
+  function rejects(jws, message, options) {
+    assert.throws(() => verifier.verify(jws, options), error =>
+      error instanceof AppStoreVerificationError && message.test(error.message));
+  }
+
+  it('returns the payload of a JWS signed by a chain to a trusted root', () => {
+    assert.deepEqual(verifier.verify(chain.sign({ bundleId: BUNDLE_ID, productId: MONTHLY })), {
+      bundleId: BUNDLE_ID,
+      productId: MONTHLY
+    });
+    assert.equal(verifier.verify(chain.sign({ data: { bundleId: BUNDLE_ID } })).data.bundleId, BUNDLE_ID);
+  });
+
+  it('rejects chains that do not end at a trusted root', () => {
+    const other = createAppStoreChain();
+    rejects(other.sign({ bundleId: BUNDLE_ID }), /not anchored/);
+    // Another chain's leaf can't be passed off under this chain's intermediate
+    rejects(chain.sign({ bundleId: BUNDLE_ID }, { chain: [other.leaf, chain.intermediate, chain.root] }), /chain signature/);
+  });
+
+  it('rejects bad signatures, tampered payloads and expired certificates', () => {
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    rejects(chain.sign({ bundleId: BUNDLE_ID }, { signingKey: privateKey }), /JWS signature/);
+
+    const [header, , signature] = chain.sign({ bundleId: BUNDLE_ID, productId: MONTHLY }).split('.');
+    const forged = Buffer.from(JSON.stringify({ bundleId: BUNDLE_ID, productId: 'free' })).toString('base64url');
+    rejects(`${header}.${forged}.${signature}`, /JWS signature/);
+
+    const expired = createAppStoreChain({ validDays: -0.5 });
+    const expiredVerifier = createAppStoreVerifier({ rootCertificates: [expired.root], bundleId: BUNDLE_ID });
+    assert.throws(() => expiredVerifier.verify(expired.sign({ bundleId: BUNDLE_ID })), /expired/);
+
+    rejects('not.a.jws', /Malformed/);
+  });
+
+  it('requires the App Store extensions unless turned off', () => {
+    const unmarked = createAppStoreChain({ appleMarkers: false });
+    const strict = createAppStoreVerifier({ rootCertificates: [unmarked.root], bundleId: BUNDLE_ID });
+    assert.throws(() => strict.verify(unmarked.sign({ bundleId: BUNDLE_ID })), /App Store extensions/);
+
+    const relaxed = createAppStoreVerifier({ rootCertificates: [unmarked.root], bundleId: BUNDLE_ID, requireAppleOids: false });
+    assert.equal(relaxed.verify(unmarked.sign({ bundleId: BUNDLE_ID })).bundleId, BUNDLE_ID);
+  });
+
+  it('requires the configured bundle id unless told the payload has none', () => {
+    rejects(chain.sign({ bundleId: 'com.example.other' }), /Unexpected bundle id/);
+    rejects(chain.sign({ productId: MONTHLY }), /Missing bundle id/);
+    assert.equal(verifier.verify(chain.sign({ autoRenewStatus: 1 }), { bundleIdRequired: false }).autoRenewStatus, 1);
+  });
+});
+
+describe('subscription routes', () => {
+  const chain = createAppStoreChain();
+  let t;
+  let directory;
+  let transactions = 0;
+
+  function transaction(overrides = {}) {
+    transactions++;
+    return {
+      bundleId: BUNDLE_ID,
+      productId: MONTHLY,
+      transactionId: `tx-${transactions}`,
+      originalTransactionId: `original-${transactions}`,
+      purchaseDate: Date.now() - DAY,
+      expiresDate: Date.now() + 30 * DAY,
+      environment: 'Sandbox',
+      ...overrides
+    };
+  }
+
+  // The client fields are required but ignored once the receipt verifies
+  function processPurchase(token, signed) {
+    return t.request('POST', '/api/v1/subscription/process', {
+      token,
+      body: {
+        receipt: chain.sign(signed),
+        productId: signed.productId,
+        transactionId: signed.transactionId,
+        originalTransactionId: signed.originalTransactionId,
+        purchaseDate: new Date().toISOString(),
+        expiryDate: new Date().toISOString()
+      }
+    });
+  }
+
+  function notify(signedTransaction, { type = 'DID_RENEW', subtype, signedDate = Date.now(), renewal, ...overrides } = {}) {
+    const payload = {
+      notificationType: type,
+      subtype,
+      notificationUUID: crypto.randomUUID(),
+      signedDate,
+      data: {
+        bundleId: BUNDLE_ID,
+        signedTransactionInfo: chain.sign(signedTransaction),
+        ...(renewal ? { signedRenewalInfo: chain.sign(renewal) } : {})
+      },
+      ...overrides
+    };
+    return t.request('POST', '/api/v1/subscription/notifications', { body: { signedPayload: chain.sign(payload) } });
+  }
+
+  async function status(token) {
+    return (await t.request('GET', '/api/v1/subscription/status', { token })).body;
+  }
+
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'appstore-'));
+    const rootFile = path.join(directory, 'root.pem');
+    fs.writeFileSync(rootFile, chain.rootPem);
+    t = await startTestApp({ APPSTORE_ROOT_CERTS: rootFile });
+  });
+
+  after(async () => {
+    await t.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('makes the user premium for a verified purchase', async () => {
+    const { token } = await t.login('subscriber');
+    const signed = transaction();
+
+    const processed = await processPurchase(token, signed);
+    assert.equal(processed.status, 200);
+    assert.equal(processed.body.subscriptionStatus, 'active');
+    assert.equal(processed.body.expiryDate, new Date(signed.expiresDate).toISOString());
+
+    const current = await status(token);
+    assert.equal(current.isPremium, true);
+    assert.equal(current.subscriptionType, 'monthly');
+  });
+
+  it('rejects receipts that do not verify or are for other products', async () => {
+    const { token } = await t.login('bad-receipts');
+
+    const other = createAppStoreChain();
+    const untrusted = await t.request('POST', '/api/v1/subscription/process', {
+      token,
+      body: {
+        receipt: other.sign(transaction()),
+        productId: MONTHLY,
+        transactionId: 'x',
+        originalTransactionId: 'x',
+        purchaseDate: new Date().toISOString(),
+        expiryDate: new Date(Date.now() + 30 * DAY).toISOString()
+      }
+    });
+    assert.equal(untrusted.status, 400);
+
+    const unknown = await processPurchase(token, transaction({ productId: 'com.aihelper.homework.coins' }));
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, 'Unknown subscription product');
+
+    assert.equal((await status(token)).isPremium, false);
+  });
+
+  it('records a verified transaction without an expiry as expired', async () => {
+    const { token } = await t.login('no-expiry');
+    const processed = await processPurchase(token, transaction({ expiresDate: undefined }));
+    assert.equal(processed.status, 200);
+    assert.equal(processed.body.subscriptionStatus, 'expired');
+    assert.equal(processed.body.expiryDate, null);
+    assert.equal((await status(token)).isPremium, false);
+  });
+
+  it('applies notifications once and keeps the grace period from the renewal info', async () => {
+    const { token } = await t.login('lapsing');
+    const signed = transaction();
+    await processPurchase(token, signed);
+
+    const graceEnds = Date.now() + 3 * DAY;
+    const failed = await notify({ ...signed, expiresDate: Date.now() - 1000 }, {
+      type: 'DID_FAIL_TO_RENEW',
+      subtype: 'GRACE_PERIOD',
+      renewal: { originalTransactionId: signed.originalTransactionId, autoRenewStatus: 1, gracePeriodExpiresDate: graceEnds }
+    });
+    assert.equal(failed.status, 200);
+    let current = await status(token);
+    assert.equal(current.subscriptionStatus, 'grace_period');
+    assert.equal(current.isPremium, true);
+
+    const expired = await notify(signed, { type: 'EXPIRED', subtype: 'VOLUNTARY' });
+    assert.equal(expired.status, 200);
+    current = await status(token);
+    assert.equal(current.subscriptionStatus, 'expired');
+    assert.equal(current.isPremium, false);
+
+    const rows = await t.pool.query('SELECT notification_type FROM app_store_notifications WHERE original_transaction_id = $1', [signed.originalTransactionId]);
+    assert.deepEqual(rows.rows.map(row => row.notification_type).sort(), ['DID_FAIL_TO_RENEW', 'EXPIRED']);
+  });
+
+  it('skips a notification signed before the last one applied', async () => {
+    const { token } = await t.login('out-of-order');
+    const signed = transaction();
+    await processPurchase(token, signed);
+
+    const refunded = await notify(signed, { type: 'REFUND', signedDate: Date.now() });
+    assert.equal(refunded.status, 200);
+    assert.equal((await status(token)).subscriptionStatus, 'revoked');
+
+    // A renewal Apple signed earlier but delivered late
+    const late = await notify(signed, { type: 'DID_RENEW', signedDate: Date.now() - 60 * 1000 });
+    assert.equal(late.status, 200);
+    assert.equal(late.body.stale, true);
+    const current = await status(token);
+    assert.equal(current.subscriptionStatus, 'revoked');
+    assert.equal(current.isPremium, false);
+  });
+
+  it('answers a repeated delivery without applying it again', async () => {
+    const { token } = await t.login('redelivered');
+    const signed = transaction();
+    await processPurchase(token, signed);
+
+    const payload = chain.sign({
+      notificationType: 'REVOKE',
+      notificationUUID: crypto.randomUUID(),
+      signedDate: Date.now(),
+      data: { bundleId: BUNDLE_ID, signedTransactionInfo: chain.sign(signed) }
+    });
+    await t.request('POST', '/api/v1/subscription/notifications', { body: { signedPayload: payload } });
+    const again = await t.request('POST', '/api/v1/subscription/notifications', { body: { signedPayload: payload } });
+    assert.deepEqual(again.body, { success: true, duplicate: true });
+  });
+
+  it('rejects notifications without a bundle id, signedDate or trusted signature', async () => {
+    const { token } = await t.login('forged-notifications');
+    const signed = transaction();
+    await processPurchase(token, signed);
+
+    const noBundle = await notify(signed, { type: 'REVOKE', data: { signedTransactionInfo: chain.sign(signed) } });
+    assert.equal(noBundle.status, 400);
+
+    const undated = await notify(signed, { type: 'REVOKE', signedDate: null });
+    assert.equal(undated.status, 400);
+
+    const other = createAppStoreChain();
+    const forged = await t.request('POST', '/api/v1/subscription/notifications', {
+      body: {
+        signedPayload: other.sign({
+          notificationType: 'REVOKE',
+          notificationUUID: crypto.randomUUID(),
+          signedDate: Date.now(),
+          data: { bundleId: BUNDLE_ID, signedTransactionInfo: other.sign(signed) }
+        })
+      }
+    });
+    assert.equal(forged.status, 400);
+
+    assert.equal((await status(token)).isPremium, true);
+  });
+});
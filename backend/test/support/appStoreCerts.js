@@ -0,0 +1,126 @@
+// A local stand-in for Apple's App Store signing chain: a root, an
+// intermediate and a leaf certificate (with the App Store marker extensions)
+// built from fresh P-256 keys, and a signer for ES256 JWS strings whose x5c
+// header carries the chain, like the StoreKit 2 and Server Notification
+// payloads. Node can read certificates but not write them, so the DER is
+// assembled here.
+
+const crypto = require('crypto');
+
+const OIDS = {
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+  commonName: '2.5.4.3',
+  basicConstraints: '2.5.29.19',
+  appleLeaf: '1.2.840.113635.100.6.11.1',
+  appleIntermediate: '1.2.840.113635.100.6.2.1'
+};
+
+function length(size) {
+  if (size < 0x80) return Buffer.from([size]);
+  const bytes = [];
+  for (let rest = size; rest > 0; rest >>= 8) bytes.unshift(rest & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function tlv(tag, ...contents) {
+  const content = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), length(content.length), content]);
+}
+
+const sequence = (...items) => tlv(0x30, ...items);
+
+function integer(value) {
+  const bytes = [];
+  for (let rest = value; rest > 0; rest = Math.floor(rest / 256)) bytes.unshift(rest % 256);
+  if (bytes.length === 0 || bytes[0] & 0x80) bytes.unshift(0);
+  return tlv(0x02, Buffer.from(bytes));
+}
+
+function oid(dotted) {
+  const [first, second, ...rest] = dotted.split('.').map(Number);
+  const bytes = [40 * first + second];
+  for (const arc of rest) {
+    const groups = [arc & 0x7f];
+    for (let value = arc >> 7; value > 0; value >>= 7) groups.unshift(0x80 | (value & 0x7f));
+    bytes.push(...groups);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+}
+
+function name(commonName) {
+  return sequence(tlv(0x31, sequence(oid(OIDS.commonName), tlv(0x0c, Buffer.from(commonName)))));
+}
+
+function utcTime(date) {
+  const text = date.toISOString().replace(/[-:T]/g, '').slice(2, 14) + 'Z';
+  return tlv(0x17, Buffer.from(text));
+}
+
+function extension(id, value) {
+  return sequence(oid(id), tlv(0x04, value));
+}
+
+// A certificate for `keys`, signed by `issuer` (self-signed when omitted)
+function certificate({ commonName, keys, issuer, serial, extensions, notBefore, notAfter }) {
+  const signer = issuer || { commonName, keys };
+  const algorithm = sequence(oid(OIDS.ecdsaWithSha256));
+  const tbs = sequence(
+    tlv(0xa0, integer(2)),
+    integer(serial),
+    algorithm,
+    name(signer.commonName),
+    sequence(utcTime(notBefore), utcTime(notAfter)),
+    name(commonName),
+    keys.publicKey.export({ type: 'spki', format: 'der' }),
+    ...(extensions.length ? [tlv(0xa3, sequence(...extensions))] : [])
+  );
+  const signature = crypto.sign('sha256', tbs, signer.keys.privateKey);
+  return sequence(tbs, algorithm, tlv(0x03, Buffer.from([0]), signature));
+}
+
+// { root, intermediate, leaf } as DER buffers, plus sign(payload) for JWS.
+// validDays moves the end of every certificate's validity (negative: expired);
+// appleMarkers: false leaves out the App Store extensions.
+function createAppStoreChain({ validDays = 365, appleMarkers = true } = {}) {
+  const notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const notAfter = new Date(Date.now() + validDays * 24 * 60 * 60 * 1000);
+  const keyPair = () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const ca = sequence(oid(OIDS.basicConstraints), tlv(0x01, Buffer.from([0xff])), tlv(0x04, sequence(tlv(0x01, Buffer.from([0xff])))));
+  const marker = (id) => (appleMarkers ? [extension(id, Buffer.from([0x05, 0x00]))] : []);
+
+  const rootCa = { commonName: 'Test Root CA', keys: keyPair() };
+  const intermediateCa = { commonName: 'Test App Store Intermediate', keys: keyPair() };
+  const leafKeys = keyPair();
+
+  const root = certificate({ ...rootCa, serial: 1, extensions: [ca], notBefore, notAfter });
+  const intermediate = certificate({
+    ...intermediateCa,
+    issuer: rootCa,
+    serial: 2,
+    extensions: [ca, ...marker(OIDS.appleIntermediate)],
+    notBefore,
+    notAfter
+  });
+  const leaf = certificate({
+    commonName: 'Test App Store Signing',
+    keys: leafKeys,
+    issuer: intermediateCa,
+    serial: 3,
+    extensions: [...marker(OIDS.appleLeaf)],
+    notBefore,
+    notAfter
+  });
+
+  // signingKey lets a test sign with a key that doesn't match the leaf
+  function sign(payload, { signingKey = leafKeys.privateKey, chain = [leaf, intermediate, root] } = {}) {
+    const header = { alg: 'ES256', x5c: chain.map(cert => cert.toString('base64')) };
+    const encoded = [header, payload].map(part => Buffer.from(JSON.stringify(part)).toString('base64url')).join('.');
+    const signature = crypto.sign('sha256', Buffer.from(encoded), { key: signingKey, dsaEncoding: 'ieee-p1363' });
+    return `${encoded}.${signature.toString('base64url')}`;
+  }
+
+  const rootPem = `-----BEGIN CERTIFICATE-----\n${root.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`;
+  return { root, rootPem, intermediate, leaf, sign };
+}
+
+module.exports = { createAppStoreChain };
@@ -0,0 +1,87 @@
+// A local stand-in for an OpenAI-compatible completions server.
+//
+// Point the app at it with LLM_PROVIDER=openai-compatible and
+// LLM_BASE_URL=<url>. Every request body is kept in `requests`, and `reply`
+// can be changed between tests to control the next completions. `queue()`
+// sets replies for just the next requests, in order; a queued `{ status }`
+// answers with that HTTP error instead. A reply with `delayMs` is held back
+// that long.
+
+const http = require('http');
+
+const DEFAULT_REPLY = {
+  content: 'Step 1: Identify what the problem is asking. Step 2: Work through it together.',
+  model: 'stub-model',
+  usage: { prompt_tokens: 40, completion_tokens: 20, total_tokens: 60 }
+};
+
+async function startFakeLLM() {
+  const requests = [];
+  const state = { reply: { ...DEFAULT_REPLY }, queued: [] };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      if (req.method !== 'POST' || !req.url.endsWith('/chat/completions')) {
+        res.writeHead(404).end();
+        return;
+      }
+
+      const body = JSON.parse(raw);
+      requests.push(body);
+      const next = state.queued.length > 0 ? state.queued.shift() : state.reply;
+      if (next.delayMs) {
+        await new Promise(resolve => setTimeout(resolve, next.delayMs));
+      }
+      if (next.status) {
+        res.writeHead(next.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Fake provider error' } }));
+        return;
+      }
+      const { content, model, usage } = next;
+
+      if (!body.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          model,
+          choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+          usage
+        }));
+        return;
+      }
+
+      // One chunk per word, then the usage chunk requested by stream_options
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (const word of content.match(/\S+\s*/g) || []) {
+        res.write(`data: ${JSON.stringify({ model, choices: [{ index: 0, delta: { content: word } }] })}\n\n`);
+      }
+      res.write(`data: ${JSON.stringify({ model, choices: [], usage })}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    get reply() {
+      return state.reply;
+    },
+    set reply(value) {
+      state.reply = { ...DEFAULT_REPLY, ...value };
+    },
+    queue(...replies) {
+      state.queued.push(...replies.map(reply => (reply.status ? reply : { ...DEFAULT_REPLY, ...reply })));
+    },
+    reset() {
+      requests.length = 0;
+      state.reply = { ...DEFAULT_REPLY };
+      state.queued.length = 0;
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+module.exports = { startFakeLLM };
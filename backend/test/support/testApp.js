@@ -0,0 +1,152 @@
+// Boots the whole app for end-to-end tests.
+//
+// The database is a fresh in-memory pg-mem instance by default. Set
+// TEST_DATABASE_URL to use a throwaway local Postgres instead; its public
+// schema is dropped and migrated again for every app, so never point it at a
+// database you care about. Completions go to the fake server in fakeLLM.js,
+// and email is collected in `mail` instead of being sent.
+
+const { newDb } = require('pg-mem');
+const { loadConfig } = require('../../lib/config');
+const { createApp } = require('../../lib/app');
+const { createPool, initDatabase } = require('../../lib/database');
+const { createMailer } = require('../../lib/mailer');
+const { startFakeLLM } = require('./fakeLLM');
+
+const ADMIN_KEY = 'test-admin-key';
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+async function createTestDatabase() {
+  if (process.env.TEST_DATABASE_URL) {
+    const pool = createPool({ url: process.env.TEST_DATABASE_URL, ssl: false }, { max: 5 });
+    await pool.query('DROP SCHEMA public CASCADE');
+    await pool.query('CREATE SCHEMA public');
+    return pool;
+  }
+
+  const db = newDb();
+  // pg-mem has no advisory locks; nothing else migrates this database anyway
+  for (const name of ['pg_advisory_lock', 'pg_advisory_unlock']) {
+    db.public.registerFunction({ name, args: ['integer'], returns: 'bool', implementation: () => true, impure: true });
+  }
+  // nor jsonb_array_length, which the hint ladder uses
+  db.public.registerFunction({ name: 'jsonb_array_length', args: ['jsonb'], returns: 'integer', implementation: value => value.length });
+  const { Pool, Client } = db.adapters.createPg();
+
+  // Two gaps between pg-mem and Postgres are papered over by rewriting SQL.
+  // The migrator queries through pool.connect() clients, hence both classes.
+  for (const target of [Pool.prototype, Client.prototype]) {
+    const query = target.query;
+    target.query = function (sql, ...rest) {
+      if (typeof sql === 'string') {
+        sql = forPgMem(sql);
+      } else if (sql && typeof sql.text === 'string') {
+        sql = { ...sql, text: forPgMem(sql.text) };
+      }
+      return query.call(this, sql, ...rest);
+    };
+  }
+
+  return new Pool();
+}
+
+function forPgMem(sql) {
+  const today = new Date().toISOString().split('T')[0];
+  return sql
+    // pg-mem can't compare TIMESTAMP columns with NOW(), a TIMESTAMPTZ
+    .replace(/\bTIMESTAMP\b(?!TZ| WITH)/g, 'TIMESTAMPTZ')
+    // and its CURRENT_DATE keeps the time of day, so it never equals a DATE
+    .replace(/\bCURRENT_DATE\b/g, `CAST('${today}' AS DATE)`);
+}
+
+// env is merged over the test defaults and read with loadConfig()
+async function startTestApp(env = {}) {
+  const llm = await startFakeLLM();
+  const pool = await createTestDatabase();
+
+  const config = loadConfig({
+    NODE_ENV: 'test',
+    JWT_SECRET: 'test-secret',
+    ADMIN_KEY,
+    LLM_PROVIDER: 'openai-compatible',
+    LLM_BASE_URL: llm.url,
+    MAIL_TRANSPORT: 'log',
+    // The production default (50 tokens) would stop every user after one solve
+    OPENAI_USER_DAILY_LIMIT: '100000',
+    ...env
+  });
+  const mail = [];
+  const mailer = createMailer({ transport: async (message) => { mail.push(message); }, from: config.mail.from });
+  const app = createApp(config, { pool, logger: silentLogger, mailer });
+  const { migrator, solveJobs } = app.locals.services;
+
+  await migrator.migrate();
+  await initDatabase({ pool, migrator, logger: silentLogger });
+  solveJobs.start();
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  async function request(method, path, { token, body, headers = {} } = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      json = text;
+    }
+    return { status: response.status, headers: response.headers, body: json };
+  }
+
+  // Each device signs in from its own address so the per-IP auth rate limit
+  // (5 per 15 minutes) doesn't run out partway through a suite
+  const deviceAddresses = new Map();
+  async function login(deviceId) {
+    if (!deviceAddresses.has(deviceId)) {
+      deviceAddresses.set(deviceId, `10.0.0.${deviceAddresses.size + 1}`);
+    }
+    const response = await request('POST', '/api/v1/auth/device', {
+      body: { deviceId },
+      headers: { 'X-Forwarded-For': deviceAddresses.get(deviceId) }
+    });
+    if (response.status !== 200) {
+      throw new Error(`Device login failed with ${response.status}: ${JSON.stringify(response.body)}`);
+    }
+    return { token: response.body.sessionToken, user: response.body.user };
+  }
+
+  // An email teacher account, approved by an admin so it can run classes
+  async function registerTeacher(email, address) {
+    const registered = await request('POST', '/api/v1/auth/register', {
+      body: { email, password: 'correct horse', accountType: 'teacher' },
+      headers: { 'X-Forwarded-For': address }
+    });
+    if (registered.status !== 201) {
+      throw new Error(`Teacher registration failed with ${registered.status}: ${JSON.stringify(registered.body)}`);
+    }
+    await request('POST', `/api/v1/admin/teachers/${registered.body.user.id}/approve`, { headers: { 'X-Admin-Key': ADMIN_KEY } });
+    return { token: registered.body.sessionToken, user: registered.body.user };
+  }
+
+  async function close() {
+    await solveJobs.stop();
+    await new Promise(resolve => server.close(resolve));
+    await pool.end();
+    await llm.close();
+  }
+
+  return { app, pool, llm, mail, baseUrl, request, login, registerTeacher, close };
+}
+
+module.exports = { startTestApp, createTestDatabase, ADMIN_KEY };
@@ -0,0 +1,129 @@
+// Follow-up threads on solved problems. Run with `npm test`.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildThreadMessages, FREE_FOLLOW_UPS } = require('../lib/threads');
+const { startTestApp } = require('./support/testApp');
+
+describe('buildThreadMessages', () => {
+  const prompt = { system: 'You are a tutor.' };
+  const history = [
+    { role: 'user', content: 'a'.repeat(400) },
+    { role: 'assistant', content: 'b'.repeat(400) },
+    { role: 'user', content: 'Why step 3?' },
+    { role: 'assistant', content: 'Because we isolate x.' }
+  ];
+
+  it('replays the whole thread when it fits', () => {
+    const { messages, trimmed } = buildThreadMessages({
+      prompt, question: 'Solve 2x = 8', solution: 'x = 4', history, content: 'And step 4?'
+    });
+    assert.equal(trimmed, 0);
+    assert.deepEqual(messages.map(message => message.role), ['system', 'user', 'assistant', 'user', 'assistant', 'user', 'assistant', 'user']);
+    assert.equal(messages.at(-1).content, 'And step 4?');
+  });
+
+  it('drops the oldest exchanges first and keeps the problem', () => {
+    const { messages, trimmed } = buildThreadMessages({
+      prompt, question: 'Solve 2x = 8', solution: 'x = 4', history, content: 'And step 4?', maxContextTokens: 150
+    });
+    assert.equal(trimmed, 2);
+    assert.equal(messages[2].content, 'x = 4');
+    assert.equal(messages[3].content, 'Why step 3?');
+    assert.equal(messages.length, 6);
+  });
+});
+
+describe('follow-up threads', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  beforeEach(() => {
+    t.llm.reset();
+  });
+
+  async function solveProblem(token, question) {
+    const solved = await t.request('POST', '/api/v1/homework/solve', { token, body: { question, subject: 'math' } });
+    assert.equal(solved.status, 200);
+    return solved.body.id;
+  }
+
+  function ask(token, problemId, content) {
+    return t.request('POST', `/api/v1/problems/${problemId}/messages`, { token, body: { content } });
+  }
+
+  it('answers follow-ups with the problem and earlier messages as context', async () => {
+    const { token } = await t.login('thread-context');
+    const problemId = await solveProblem(token, 'Solve 2x + 4 = 10');
+
+    t.llm.reply = { content: 'We divide by 2 because x is multiplied by 2.' };
+    const first = await ask(token, problemId, 'Why did you divide by 2 in step 3?');
+    assert.equal(first.status, 201);
+    assert.equal(first.body.reply.content, 'We divide by 2 because x is multiplied by 2.');
+    assert.equal(first.body.countedAsSolve, false);
+    assert.equal(first.body.freeFollowUpsRemaining, FREE_FOLLOW_UPS - 1);
+
+    await ask(token, problemId, 'Could I subtract first instead?');
+    const sent = t.llm.requests.at(-1).messages;
+    assert.match(sent[1].content, /Solve 2x \+ 4 = 10/);
+    assert.equal(sent[3].content, 'Why did you divide by 2 in step 3?');
+    assert.equal(sent[4].content, 'We divide by 2 because x is multiplied by 2.');
+    assert.equal(sent.at(-1).content, 'Could I subtract first instead?');
+
+    const thread = await t.request('GET', `/api/v1/homework/problem/${problemId}/messages`, { token });
+    assert.equal(thread.status, 200);
+    assert.deepEqual(thread.body.messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+
+    // Follow-ups don't create new problems
+    const history = await t.request('GET', '/api/v1/homework/history', { token });
+    assert.equal(history.body.total, 1);
+  });
+
+  it('counts follow-ups past the free ones as solves', async () => {
+    const { token, user } = await t.login('thread-quota');
+    const problemId = await solveProblem(token, 'What is 12 squared?');
+
+    for (let i = 0; i < FREE_FOLLOW_UPS; i++) {
+      assert.equal((await ask(token, problemId, `Follow-up ${i}`)).body.countedAsSolve, false);
+    }
+    const extra = await ask(token, problemId, 'One more question');
+    assert.equal(extra.status, 201);
+    assert.equal(extra.body.countedAsSolve, true);
+
+    const used = await t.pool.query('SELECT daily_solves_used FROM users WHERE id = $1', [user.id]);
+    assert.equal(used.rows[0].daily_solves_used, 2);
+
+    // Paid follow-ups stop once the daily solves run out
+    await t.pool.query('UPDATE users SET daily_solves_used = 5 WHERE id = $1', [user.id]);
+    const limited = await ask(token, problemId, 'And another');
+    assert.equal(limited.status, 429);
+  });
+
+  it('needs a solution and keeps threads private', async () => {
+    const owner = await t.login('thread-owner');
+    const other = await t.login('thread-other');
+    const problemId = await solveProblem(owner.token, 'What is 9 plus 10?');
+
+    assert.equal((await ask(other.token, problemId, 'Why?')).status, 404);
+    assert.equal((await t.request('GET', `/api/v1/problems/${problemId}/messages`, { token: other.token })).status, 404);
+
+    const hint = await t.request('POST', '/api/v1/homework/hint', {
+      token: owner.token,
+      body: { question: 'What is 7 times 8?', subject: 'math' }
+    });
+    const unsolved = await ask(owner.token, hint.body.problemId, 'Is it 56?');
+    assert.equal(unsolved.status, 409);
+    assert.equal(unsolved.body.code, 'no_solution');
+
+    const blocked = await ask(owner.token, problemId, 'I am taking a math test right now, what is 4x=12');
+    assert.equal(blocked.status, 400);
+    assert.equal(blocked.body.code, 'academic_integrity');
+  });
+});
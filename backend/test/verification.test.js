@@ -0,0 +1,209 @@
+// Local verification of math and physics final answers. Run with `npm test`.
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { verifySolution, extractFinalAnswer, evaluateExpression } = require('../lib/verification');
+const { PROMPT_REVISIONS, applyPromptRevisions } = require('../lib/prompts');
+const { startTestApp } = require('./support/testApp');
+
+function verify(question, solution, subject = 'math') {
+  const { status, method } = verifySolution({ question, solution, subject });
+  return [status, method];
+}
+
+describe('verifySolution', () => {
+  it('evaluates expressions without eval', () => {
+    assert.equal(evaluateExpression('2(3 + 4)^2'), 98);
+    assert.equal(evaluateExpression('-2^2'), -4);
+    assert.equal(evaluateExpression('\\frac{1}{4} + 3x', { x: 2 }), 6.25);
+    assert.throws(() => evaluateExpression('process.exit()'));
+  });
+
+  it('gives up on deeply nested expressions instead of overflowing the stack', () => {
+    const nested = '('.repeat(3000) + '1' + ')'.repeat(3000);
+    assert.throws(() => evaluateExpression(nested), /nested too deeply/);
+    assert.deepEqual(verify(`Solve x = ${nested}`, 'Final answer: x = 1'), ['unverifiable', null]);
+    assert.deepEqual(verify(`What is ${'-'.repeat(3000)}1?`, 'Final answer: 1'), ['unverifiable', null]);
+    assert.equal(evaluateExpression('((((2))))^2'), 4);
+  });
+
+  it('finds the final answer in common layouts', () => {
+    assert.equal(extractFinalAnswer('Step 1: ...\n**Final Answer:** x = 4.'), 'x = 4');
+    assert.equal(extractFinalAnswer('So we get $\\boxed{98}$'), '98');
+    assert.equal(extractFinalAnswer('Step 2: divide\nx = 7'), 'x = 7');
+    assert.equal(extractFinalAnswer('Photosynthesis turns light into chemical energy.'), null);
+  });
+
+  it('substitutes answers back into the equation', () => {
+    assert.deepEqual(verify('Solve 2x + 3 = 11', 'Final answer: x = 4'), ['verified', 'substitution']);
+    assert.deepEqual(verify('Solve 2x + 3 = 11', 'Final answer: x = 5'), ['failed', 'substitution']);
+    assert.deepEqual(verify('Solve x^2 - 5x + 6 = 0 for x.', 'The answer is x = 2 or x = 3.'), ['verified', 'substitution']);
+    assert.deepEqual(verify('Solve x^2 = 2', 'Final answer: x = ±1.414'), ['verified', 'substitution']);
+    assert.deepEqual(verify('Solve 1/x = 2', 'Final answer: x = 0.5'), ['verified', 'substitution']);
+    // A stated value isn't an equation to solve
+    assert.deepEqual(verify('If y = 3, what is 2y?', 'Final answer: 6'), ['unverifiable', null]);
+  });
+
+  it('does not verify answers that leave out a root', () => {
+    assert.deepEqual(verify('Solve x^2 = 4', 'Final answer: x = 2'), ['unverifiable', 'substitution']);
+    assert.deepEqual(verify('Solve x^2 = 4', 'Final answer: x = 2 or x = -2'), ['verified', 'substitution']);
+    assert.deepEqual(verify('Solve x^3 - x = 0', 'Final answer: x = 0, x = 1'), ['unverifiable', 'substitution']);
+    assert.deepEqual(verify('Solve (x - 2)^2 = 0', 'Final answer: x = 2'), ['verified', 'substitution']);
+  });
+
+  it('recomputes bare arithmetic to the precision given', () => {
+    assert.deepEqual(verify('What is 17 * 23?', 'Final answer: 391'), ['verified', 'arithmetic']);
+    assert.deepEqual(verify('What is 17 * 23?', 'Final answer: 392'), ['failed', 'arithmetic']);
+    assert.deepEqual(verify('Calculate 10 / 3', 'Final answer: 3.33'), ['verified', 'arithmetic']);
+    assert.deepEqual(verify('What is the 3-4-5 triangle\'s area?', 'Final answer: 6'), ['unverifiable', null]);
+  });
+
+  it('reads scientific notation and mixed numbers in arithmetic answers', () => {
+    assert.deepEqual(verify('What is 3000 * 4000?', 'Final answer: 1.2 × 10^7'), ['verified', 'arithmetic']);
+    assert.deepEqual(verify('What is 3000 * 4000?', 'Final answer: 1.2e7'), ['verified', 'arithmetic']);
+    assert.deepEqual(verify('What is 3000 * 4000?', 'Final answer: 1.3 × 10^7'), ['failed', 'arithmetic']);
+    assert.deepEqual(verify('What is 1 / 8000?', 'Final answer: 1.25 × 10^-4'), ['verified', 'arithmetic']);
+    assert.deepEqual(verify('What is 7 / 2?', 'Final answer: 3 1/2'), ['verified', 'arithmetic']);
+    assert.deepEqual(verify('What is 7 / 2?', 'Final answer: 3 1/4'), ['failed', 'arithmetic']);
+  });
+
+  it('leaves arithmetic answers with more after the number unverifiable', () => {
+    assert.deepEqual(verify('What is 17 * 23?', 'Final answer: 3 hundred and ninety-one'), ['unverifiable', null]);
+    assert.deepEqual(verify('What is 17 * 23?', 'Final answer: 39 tens and 1 one'), ['unverifiable', null]);
+  });
+
+  it('checks physics units against the quantity asked for', () => {
+    const question = 'A car speeds up from 0 to 20 m/s in 4 s. What is its acceleration?';
+    assert.deepEqual(verify(question, 'Final answer: 5 m/s²', 'physics'), ['verified', 'units']);
+    assert.deepEqual(verify(question, 'Final answer: 5 m/s', 'physics'), ['failed', 'units']);
+    assert.deepEqual(verify('A 2 kg mass accelerates at 3 m/s^2. Find the force.', 'Final answer: 6 kg·m/s^2', 'physics'), ['verified', 'units']);
+  });
+});
+
+describe('solve verification', () => {
+  let t;
+
+  before(async () => {
+    t = await startTestApp();
+  });
+
+  after(async () => {
+    await t.close();
+  });
+
+  beforeEach(() => {
+    t.llm.reset();
+  });
+
+  function solve(token, question, subject = 'math') {
+    return t.request('POST', '/api/v1/homework/solve', { token, body: { question, subject } });
+  }
+
+  it('asks for a final answer line in version 2 of the math and physics prompts', async () => {
+    const active = await t.pool.query(
+      "SELECT subject, version, body FROM prompt_templates WHERE grade_band = 'any' AND mode = 'solve' AND is_active AND subject IN ('math', 'physics') ORDER BY subject"
+    );
+    assert.deepEqual(active.rows.map(row => [row.subject, row.version]), [['math', 2], ['physics', 2]]);
+    assert.match(active.rows[0].body, /starting "Final answer:"/);
+
+    // A database still on the built-in version 1 moves to version 2...
+    const physics = PROMPT_REVISIONS.find(revision => revision.subject === 'physics');
+    await t.pool.query("DELETE FROM prompt_templates WHERE subject = 'physics' AND mode = 'solve' AND version = 2");
+    await t.pool.query("UPDATE prompt_templates SET is_active = true WHERE subject = 'physics' AND mode = 'solve' AND version = 1");
+    assert.equal(await applyPromptRevisions(t.pool), 1);
+    const upgraded = await t.pool.query("SELECT version FROM prompt_templates WHERE subject = 'physics' AND mode = 'solve' AND is_active");
+    assert.equal(upgraded.rows[0].version, 2);
+    assert.equal(await applyPromptRevisions(t.pool), 0);
+
+    // ...but one an admin has edited only gets version 2 added
+    await t.pool.query("DELETE FROM prompt_templates WHERE subject = 'physics' AND mode = 'solve' AND version = 2");
+    await t.pool.query(
+      "UPDATE prompt_templates SET is_active = true, body = $1 WHERE subject = 'physics' AND mode = 'solve' AND version = 1",
+      [`${physics.previous} Keep it short.`]
+    );
+    assert.equal(await applyPromptRevisions(t.pool), 1);
+    const kept = await t.pool.query("SELECT version, is_active FROM prompt_templates WHERE subject = 'physics' AND mode = 'solve' ORDER BY version");
+    assert.deepEqual(kept.rows.map(row => [row.version, row.is_active]), [[1, true], [2, false]]);
+  });
+
+  it('flags verified solutions and records the outcome', async () => {
+    const { token } = await t.login('verify-pass');
+    t.llm.reply = { ...t.llm.reply, content: 'Step 1: Subtract 3.\nStep 2: Divide by 2.\nFinal answer: x = 4' };
+
+    const solved = await solve(token, 'Solve 2x + 3 = 11');
+    assert.equal(solved.status, 200);
+    assert.equal(solved.body.verified, true);
+    assert.equal(t.llm.requests.length, 1);
+
+    const stored = await t.pool.query('SELECT * FROM problems WHERE id = $1', [solved.body.id]);
+    assert.equal(stored.rows[0].verification_status, 'verified');
+    assert.equal(stored.rows[0].verification_method, 'substitution');
+    assert.equal(stored.rows[0].final_answer, 'x = 4');
+    assert.equal(stored.rows[0].regenerated, false);
+
+    const history = await t.request('GET', `/api/v1/problems/${solved.body.id}`, { token });
+    assert.equal(history.body.verified, true);
+  });
+
+  it('regenerates a failed solution once and keeps it out of the cache', async () => {
+    const { token } = await t.login('verify-fail');
+    t.llm.reply = { ...t.llm.reply, content: 'Step 1: Multiply.\nFinal answer: 392' };
+
+    const solved = await solve(token, 'What is 17 * 23?');
+    assert.equal(solved.body.verified, false);
+    assert.equal(t.llm.requests.length, 2);
+    const retry = t.llm.requests[1].messages;
+    assert.equal(retry.at(-2).content, 'Step 1: Multiply.\nFinal answer: 392');
+    assert.match(retry.at(-1).content, /does not work out/);
+
+    const stored = await t.pool.query('SELECT regenerated, tokens_used FROM problems WHERE id = $1', [solved.body.id]);
+    assert.equal(stored.rows[0].regenerated, true);
+    assert.equal(stored.rows[0].tokens_used, 120);
+
+    const again = await solve(token, 'What is 17 * 23?');
+    assert.equal(again.body.cached, false);
+  });
+
+  it('keeps the first solution when regenerating fails', async () => {
+    const { token } = await t.login('verify-retry-error');
+    t.llm.queue({ content: 'Step 1: Multiply.\nFinal answer: 392' }, { status: 400 });
+
+    const solved = await solve(token, 'What is 17 * 23?');
+    assert.equal(solved.status, 200);
+    assert.equal(solved.body.solution, 'Step 1: Multiply.\nFinal answer: 392');
+    assert.equal(solved.body.verified, false);
+    assert.equal(t.llm.requests.length, 2);
+
+    const stored = await t.pool.query('SELECT verification_status, regenerated, tokens_used FROM problems WHERE id = $1', [solved.body.id]);
+    assert.deepEqual(stored.rows[0], { verification_status: 'failed', regenerated: false, tokens_used: 60 });
+  });
+
+  it('leaves other subjects and uncheckable answers unflagged', async () => {
+    const { token } = await t.login('verify-skip');
+    t.llm.reply = { ...t.llm.reply, content: 'Final answer: 1066' };
+
+    const history = await solve(token, 'When was the Battle of Hastings?', 'history');
+    assert.equal(history.body.verified, null);
+    const stored = await t.pool.query('SELECT verification_status FROM problems WHERE id = $1', [history.body.id]);
+    assert.equal(stored.rows[0].verification_status, null);
+
+    const math = await solve(token, 'Why is the sky blue?');
+    assert.equal(math.body.verified, null);
+    assert.equal(t.llm.requests.length, 2);
+  });
+
+  it('flags streamed solutions without regenerating them', async () => {
+    const { token } = await t.login('verify-stream');
+    t.llm.reply = { ...t.llm.reply, content: 'Final answer: x = 9' };
+
+    const response = await fetch(`${t.baseUrl}/api/v1/homework/solve/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ question: 'Solve x + 1 = 5', subject: 'math' })
+    });
+    const blocks = (await response.text()).trim().split('\n\n');
+    const done = JSON.parse(blocks.at(-1).split('\n').find(line => line.startsWith('data:')).slice(5));
+    assert.equal(done.verified, false);
+    assert.equal(t.llm.requests.length, 1);
+  });
+});